@@ -0,0 +1,141 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Gossipsub = require('../src')
+const {
+  createPeers,
+  connectGossipsub,
+  stopNode
+} = require('./utils')
+
+const shouldNotHappen = () => expect.fail()
+
+describe('asynchronous validation', () => {
+  const topic = 'Z'
+  const asyncValidationTimeout = 500
+  let nodes
+
+  // Create a line of nodes A - B - C where B validates messages asynchronously
+  beforeEach(async () => {
+    const libp2ps = await createPeers({ number: 3 })
+    nodes = [
+      new Gossipsub(libp2ps[0]),
+      new Gossipsub(libp2ps[1], { asyncValidation: true, asyncValidationTimeout, scoreParams: { topics: { [topic]: {} } } }),
+      new Gossipsub(libp2ps[2])
+    ]
+    nodes.forEach(n => n.start())
+
+    await connectGossipsub(nodes[0], nodes[1])
+    await connectGossipsub(nodes[1], nodes[2])
+    nodes.forEach(n => n.subscribe(topic))
+
+    // await subscription propagation and mesh building
+    await delay(50)
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  const publishAndHold = async () => {
+    const promise = new Promise((resolve) => nodes[1].once('gossipsub:message', resolve))
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    const evt = await promise
+
+    expect(evt.propagationSource).to.equal(nodes[0].peerId.toB58String())
+    expect(nodes[1].pendingValidation.has(evt.msgId)).to.equal(true)
+    expect(nodes[1].messageCache.getGossipIDs(topic)).to.have.lengthOf(0)
+    return evt
+  }
+
+  const invalidMessageDeliveries = () => {
+    const pstats = nodes[1].score.peerStats.get(nodes[0].peerId.toB58String())
+    return pstats.topics[topic] ? pstats.topics[topic].invalidMessageDeliveries : 0
+  }
+
+  it('should emit and forward messages once accepted', async () => {
+    let delivered = 0
+    const deliverMessage = nodes[1].gossipTracer.deliverMessage.bind(nodes[1].gossipTracer)
+    nodes[1].gossipTracer.deliverMessage = (msg) => {
+      delivered++
+      deliverMessage(msg)
+    }
+    nodes[1].on(topic, shouldNotHappen)
+    nodes[2].on(topic, shouldNotHappen)
+    const { msgId, propagationSource } = await publishAndHold()
+    await delay(100)
+    nodes[1].removeListener(topic, shouldNotHappen)
+    nodes[2].removeListener(topic, shouldNotHappen)
+
+    const emitted = new Promise((resolve) => nodes[1].once(topic, resolve))
+    const promise = new Promise((resolve) => nodes[2].once(topic, resolve))
+    nodes[1].reportMessageValidationResult(msgId, propagationSource, 'accept')
+    await Promise.all([emitted, promise])
+
+    expect(nodes[1].pendingValidation.size).to.equal(0)
+    expect(nodes[1].messageCache.getGossipIDs(topic)).to.have.lengthOf(1)
+    expect(delivered).to.equal(1)
+  })
+
+  it('should not leave a failed forward of an accepted message unhandled', async () => {
+    const { msgId, propagationSource } = await publishAndHold()
+
+    let failed = false
+    nodes[1]._publish = async () => {
+      failed = true
+      throw new Error('forward failed')
+    }
+    const unhandled = []
+    const onUnhandled = (err) => unhandled.push(err)
+    process.prependListener('unhandledRejection', onUnhandled)
+    try {
+      nodes[1].reportMessageValidationResult(msgId, propagationSource, 'accept')
+      await delay(10)
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled)
+    }
+
+    expect(failed).to.equal(true)
+    expect(unhandled).to.deep.equal([])
+  })
+
+  it('should drop and penalize rejected messages', async () => {
+    nodes[1].on(topic, shouldNotHappen)
+    nodes[2].on(topic, shouldNotHappen)
+    const { msgId, propagationSource } = await publishAndHold()
+
+    nodes[1].reportMessageValidationResult(msgId, propagationSource, 'reject')
+    await delay(100)
+
+    expect(nodes[1].pendingValidation.size).to.equal(0)
+    expect(invalidMessageDeliveries()).to.equal(1)
+    nodes[1].removeListener(topic, shouldNotHappen)
+    nodes[2].removeListener(topic, shouldNotHappen)
+  })
+
+  it('should ignore results reported with the wrong propagation source', async () => {
+    const { msgId } = await publishAndHold()
+
+    nodes[1].reportMessageValidationResult(msgId, nodes[2].peerId.toB58String(), 'reject')
+    expect(nodes[1].pendingValidation.has(msgId)).to.equal(true)
+    expect(invalidMessageDeliveries()).to.equal(0)
+  })
+
+  it('should ignore messages whose result is not reported in time', async () => {
+    nodes[2].on(topic, shouldNotHappen)
+    const { msgId, propagationSource } = await publishAndHold()
+
+    await delay(asyncValidationTimeout)
+    await new Promise((resolve) => nodes[1].once('gossipsub:heartbeat', resolve))
+    expect(nodes[1].pendingValidation.size).to.equal(0)
+
+    // reporting the result afterwards has no effect
+    nodes[1].reportMessageValidationResult(msgId, propagationSource, 'accept')
+    await delay(100)
+    expect(invalidMessageDeliveries()).to.equal(0)
+    nodes[2].removeListener(topic, shouldNotHappen)
+  })
+})
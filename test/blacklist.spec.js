@@ -0,0 +1,188 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const PeerId = require('peer-id')
+const { Multiaddr } = require('multiaddr')
+
+const Gossipsub = require('../src')
+const { Blacklist } = require('../src/blacklist')
+const { getGossipPeers } = require('../src/get-gossip-peers')
+const { createPeers, connectGossipsub, stopNode, expectThrowsCode } = require('./utils')
+
+describe('blacklist', () => {
+  describe('Blacklist', () => {
+    let now
+    let blacklist
+
+    beforeEach(() => {
+      now = 1000
+      blacklist = new Blacklist(() => now)
+    })
+
+    it('should ban peers until their ban expires', () => {
+      blacklist.addPeer('peerA')
+      blacklist.addPeer('peerB', 100)
+      expect(blacklist.hasPeer('peerA')).to.equal(true)
+      expect(blacklist.hasPeer('peerB')).to.equal(true)
+      expect(blacklist.hasPeer('peerC')).to.equal(false)
+
+      now += 100
+      expect(blacklist.hasPeer('peerA')).to.equal(true)
+      expect(blacklist.hasPeer('peerB')).to.equal(false)
+
+      expect(blacklist.removePeer('peerA')).to.equal(true)
+      expect(blacklist.hasPeer('peerA')).to.equal(false)
+    })
+
+    it('should ban IPs and CIDR ranges', () => {
+      blacklist.addIP('10.0.0.0/8')
+      blacklist.addIP('2001:db8::/32', 100)
+      blacklist.addIP('1.2.3.4')
+      expect(blacklist.hasIP('10.1.2.3')).to.equal(true)
+      expect(blacklist.hasIP('2001:db8::1')).to.equal(true)
+      expect(blacklist.hasIP('1.2.3.4')).to.equal(true)
+      expect(blacklist.hasIP('1.2.3.5')).to.equal(false)
+
+      now += 100
+      expect(blacklist.hasIP('2001:db8::1')).to.equal(false)
+
+      expectThrowsCode(() => blacklist.addIP('10.0.0.0/40'), 'ERR_INVALID_IP_RANGE')
+    })
+
+    it('should export and import the unexpired bans', () => {
+      blacklist.addPeer('peerA')
+      blacklist.addPeer('peerB', 100)
+      blacklist.addIP('10.0.0.0/8', 200)
+      const state = blacklist.export()
+      expect(state).to.deep.equal({ peers: { peerA: 0, peerB: 1100 }, ips: { '10.0.0.0/8': 1200 } })
+
+      now += 100
+      const restored = new Blacklist(() => now)
+      restored.addPeer('peerA', 50)
+      restored.import(state)
+      // the current bans are kept
+      expect(restored.export()).to.deep.equal({ peers: { peerA: 1150 }, ips: { '10.0.0.0/8': 1200 } })
+    })
+  })
+
+  describe('gossipsub', () => {
+    const topic = 'Z'
+    let store
+    let nodes
+
+    beforeEach(async () => {
+      store = {
+        state: undefined,
+        load: async () => store.state,
+        save: async (state) => { store.state = state }
+      }
+      const libp2ps = await createPeers({ number: 2 })
+      nodes = libp2ps.map(libp2p => new Gossipsub(libp2p, { blacklistStore: store }))
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+      nodes.forEach(n => n.subscribe(topic))
+      await Promise.all(nodes.map(n => new Promise(resolve => n.once('gossipsub:heartbeat', resolve))))
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    it('should reject and evict a blacklisted peer', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      expect(nodes[0].mesh.get(topic).has(id1)).to.equal(true)
+
+      nodes[0].blacklistPeer(id1)
+      expect(nodes[0].mesh.get(topic).has(id1)).to.equal(false)
+      expect(nodes[0]._acceptFrom(id1)).to.equal(false)
+      expect(getGossipPeers(nodes[0], topic, 10).size).to.equal(0)
+      expect(store.state.peers).to.deep.equal({ [id1]: 0 })
+
+      // the heartbeat doesn't graft the peer back
+      await new Promise(resolve => nodes[0].once('gossipsub:heartbeat', resolve))
+      expect(nodes[0].mesh.get(topic).has(id1)).to.equal(false)
+
+      // the messages of the peer are ignored
+      let received = false
+      nodes[0].on(topic, () => { received = true })
+      nodes[1].publish(topic, new Uint8Array([1]))
+      await delay(100)
+      expect(received).to.equal(false)
+
+      nodes[0].removeBlacklistedPeer(id1)
+      expect(nodes[0]._acceptFrom(id1)).to.equal(true)
+      expect(store.state.peers).to.deep.equal({})
+    })
+
+    it('should not send to or track the subscriptions of a blacklisted peer', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      nodes[0].blacklistPeer(id1)
+
+      // flood publishing sends to all the peers of the topic
+      expect(nodes[0]._options.floodPublish).to.equal(true)
+      let sent = 0
+      nodes[0].peers.get(id1).write = () => { sent++ }
+      await nodes[0].publish(topic, new Uint8Array([1]))
+      expect(sent).to.equal(0)
+
+      nodes[1].subscribe('other')
+      await delay(100)
+      expect(nodes[0].topics.has('other')).to.equal(false)
+    })
+
+    it('should reject the peers of a blacklisted IP range', () => {
+      const id1 = nodes[1].peerId.toB58String()
+      const [ip] = nodes[0].score.peerStats.get(id1).ips
+
+      nodes[0].blacklistIP(`${ip}/8`)
+      expect(nodes[0].mesh.get(topic).has(id1)).to.equal(false)
+      expect(nodes[0]._acceptFrom(id1)).to.equal(false)
+
+      nodes[0].removeBlacklistedIP(`${ip}/8`)
+      expect(nodes[0]._acceptFrom(id1)).to.equal(true)
+    })
+
+    it('should not connect to blacklisted peers obtained through PX', async () => {
+      const banned = await PeerId.create({ keyType: 'secp256k1' })
+      nodes[0].blacklistPeer(banned)
+      let connected = false
+      nodes[0]._connect = () => { connected = true }
+      await nodes[0]._pxConnect([{ peerID: banned.toBytes() }])
+      expect(connected).to.equal(false)
+    })
+
+    it('should not dial blacklisted peers or addresses', async () => {
+      const scheduled = []
+      nodes[0].connectionScheduler.schedule = (id) => { scheduled.push(id) }
+
+      const banned = await PeerId.create({ keyType: 'secp256k1' })
+      nodes[0].blacklistPeer(banned)
+      nodes[0]._connect(banned.toB58String())
+      expect(scheduled).to.deep.equal([])
+
+      const other = await PeerId.create({ keyType: 'secp256k1' })
+      nodes[0]._libp2p.peerStore.addressBook.add(other, [new Multiaddr('/ip4/198.51.100.1/tcp/4001')])
+      nodes[0].blacklistIP('198.51.100.0/24')
+      nodes[0]._connect(other.toB58String())
+      expect(scheduled).to.deep.equal([])
+
+      nodes[0].removeBlacklistedIP('198.51.100.0/24')
+      nodes[0]._connect(other.toB58String())
+      expect(scheduled).to.deep.equal([other.toB58String()])
+    })
+
+    it('should restore the blacklist on start', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      nodes[0].blacklistPeer(id1, 60000)
+      await delay(10)
+
+      nodes[0].stop()
+      nodes[0] = new Gossipsub(nodes[0]._libp2p, { blacklistStore: store })
+      nodes[0].start()
+      await delay(10)
+
+      expect(nodes[0].blacklist.hasPeer(id1)).to.equal(true)
+      expect(nodes[0]._acceptFrom(id1)).to.equal(false)
+    })
+  })
+})
@@ -0,0 +1,170 @@
+const { expect } = require('chai')
+const delay = require('delay')
+
+const { ConnectionScheduler } = require('../src/connection-scheduler')
+
+describe('ConnectionScheduler', () => {
+  const options = {
+    connectors: 2,
+    maxPending: 2,
+    timeout: 1000,
+    backoffBase: 100,
+    backoffMax: 400,
+    maxRetries: 1
+  }
+
+  // A dial function whose dials complete once resolved or rejected from the test
+  const createDialer = () => {
+    const dials = new Map()
+    const dial = (id, signal) => new Promise((resolve, reject) => {
+      dials.set(id, { resolve, reject, signal })
+      signal.addEventListener('abort', () => reject(new Error('aborted')))
+    })
+    return { dials, dial }
+  }
+
+  it('should bound the number of concurrent connection attempts', async () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, options)
+
+    expect(s.schedule('A')).to.equal(true)
+    expect(s.schedule('B')).to.equal(true)
+    expect(s.schedule('C')).to.equal(true)
+    // already scheduled
+    expect(s.schedule('A')).to.equal(false)
+    expect(s.schedule('C')).to.equal(false)
+
+    expect(Array.from(dials.keys())).to.deep.equal(['A', 'B'])
+    expect(Array.from(s.pending)).to.deep.equal(['C'])
+
+    dials.get('A').resolve()
+    await delay(0)
+    expect(Array.from(dials.keys())).to.deep.equal(['A', 'B', 'C'])
+    expect(s.pending.size).to.equal(0)
+    s.stop()
+  })
+
+  it('should bound the number of pending connection attempts', () => {
+    const { dial } = createDialer()
+    const s = new ConnectionScheduler(dial, options)
+
+    expect(['A', 'B', 'C', 'D', 'E'].map(id => s.schedule(id))).to.deep.equal([true, true, true, true, false])
+    s.stop()
+  })
+
+  it('should abort connection attempts after the timeout', async () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, { ...options, timeout: 50 })
+
+    s.schedule('A')
+    await delay(100)
+    expect(dials.get('A').signal.aborted).to.equal(true)
+    expect(s.active.size).to.equal(0)
+    expect(s.backoff.get('A').failures).to.equal(1)
+    s.stop()
+  })
+
+  it('should back off exponentially after failed connection attempts', async () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, { ...options, maxRetries: 0 })
+
+    s.schedule('A')
+    dials.get('A').reject(new Error('unreachable'))
+    await delay(0)
+
+    // between half and the whole of the base backoff
+    let backoff = s.backoff.get('A')
+    expect(backoff.failures).to.equal(1)
+    expect(backoff.expire - Date.now()).to.be.within(40, 100)
+    expect(s.schedule('A')).to.equal(false)
+
+    await delay(100)
+    expect(s.schedule('A')).to.equal(true)
+    dials.get('A').reject(new Error('unreachable'))
+    await delay(0)
+
+    backoff = s.backoff.get('A')
+    expect(backoff.failures).to.equal(2)
+    expect(backoff.expire - Date.now()).to.be.within(90, 200)
+    s.stop()
+  })
+
+  it('should retry failed connection attempts once backed off', async () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, options)
+
+    s.schedule('A')
+    const first = dials.get('A')
+    first.reject(new Error('unreachable'))
+    await delay(0)
+    expect(s.retries.has('A')).to.equal(true)
+
+    await delay(100)
+    // retried without being scheduled again
+    const second = dials.get('A')
+    expect(second).to.not.equal(first)
+    expect(s.retries.has('A')).to.equal(false)
+
+    // no more retries than maxRetries
+    second.reject(new Error('unreachable'))
+    await delay(0)
+    expect(s.backoff.get('A').failures).to.equal(2)
+    expect(s.retries.has('A')).to.equal(false)
+    s.stop()
+  })
+
+  it('should not retry connection attempts once stopped', async () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, options)
+
+    s.schedule('A')
+    const first = dials.get('A')
+    first.reject(new Error('unreachable'))
+    await delay(0)
+
+    s.stop()
+    expect(s.retries.size).to.equal(0)
+    await delay(100)
+    expect(dials.get('A')).to.equal(first)
+  })
+
+  it('should cap the backoff', () => {
+    const s = new ConnectionScheduler(createDialer().dial, options)
+    for (let i = 0; i < 10; i++) {
+      expect(s._backoffDelay(10)).to.be.within(200, 400)
+    }
+  })
+
+  it('should reset the backoff after a successful connection attempt', async () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, options)
+    s.backoff.set('A', { failures: 3, expire: Date.now() - 1 })
+
+    s.schedule('A')
+    dials.get('A').resolve()
+    await delay(0)
+    expect(s.backoff.has('A')).to.equal(false)
+  })
+
+  it('should prune the backoffs once the maximum backoff has elapsed', () => {
+    const s = new ConnectionScheduler(createDialer().dial, options)
+    s.backoff.set('A', { failures: 3, expire: Date.now() - 100 })
+    s.backoff.set('B', { failures: 3, expire: Date.now() - 500 })
+
+    s.prune()
+    expect(Array.from(s.backoff.keys())).to.deep.equal(['A'])
+  })
+
+  it('should abort the connection attempts when stopped', () => {
+    const { dials, dial } = createDialer()
+    const s = new ConnectionScheduler(dial, options)
+    s.schedule('A')
+    s.schedule('B')
+    s.schedule('C')
+
+    s.stop()
+    expect(dials.get('A').signal.aborted).to.equal(true)
+    expect(s.active.size).to.equal(0)
+    expect(s.pending.size).to.equal(0)
+  })
+})
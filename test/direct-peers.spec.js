@@ -0,0 +1,86 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+
+const Gossipsub = require('../src')
+const { createPeers, connectGossipsub, stopNode } = require('./utils')
+
+describe('direct peers management', () => {
+  const topic = 'Z'
+  let nodes
+
+  beforeEach(async () => {
+    const libp2ps = await createPeers({ number: 2 })
+    nodes = libp2ps.map(libp2p => new Gossipsub(libp2p))
+    nodes.forEach(n => n.start())
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  const addrInfo = (node) => ({ id: node.peerId, addrs: node._libp2p.multiaddrs })
+
+  it('should connect to a new direct peer', async () => {
+    const connected = new Promise((resolve) => nodes[0].once('gossipsub:direct-peer-connected', resolve))
+    nodes[0].addDirectPeer(addrInfo(nodes[1]))
+
+    expect(nodes[0].getDirectPeers()).to.deep.equal([nodes[1].peerId.toB58String()])
+    expect(await connected).to.equal(nodes[1].peerId.toB58String())
+    expect(nodes[0].peers.has(nodes[1].peerId.toB58String())).to.equal(true)
+  })
+
+  it('should remove a new direct peer from the meshes', async () => {
+    await connectGossipsub(nodes[0], nodes[1])
+    nodes.forEach(n => n.subscribe(topic))
+    await delay(50)
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+    expect(nodes[0].mesh.get(topic).has(nodes[1].peerId.toB58String())).to.equal(true)
+
+    nodes[0].addDirectPeer(addrInfo(nodes[1]))
+    expect(nodes[0].mesh.get(topic).has(nodes[1].peerId.toB58String())).to.equal(false)
+
+    // the peer is pruned, so it removes us from its mesh as well
+    await delay(50)
+    expect(nodes[1].mesh.get(topic).has(nodes[0].peerId.toB58String())).to.equal(false)
+
+    // and we don't graft it again
+    await new Promise((resolve) => nodes[0].once('gossipsub:heartbeat', resolve))
+    expect(nodes[0].mesh.get(topic).has(nodes[1].peerId.toB58String())).to.equal(false)
+  })
+
+  it('should emit an event when a direct peer disconnects', async () => {
+    nodes[0].addDirectPeer(addrInfo(nodes[1]))
+    await new Promise((resolve) => nodes[0].once('gossipsub:direct-peer-connected', resolve))
+
+    const disconnected = new Promise((resolve) => nodes[0].once('gossipsub:direct-peer-disconnected', resolve))
+    await nodes[0]._libp2p.hangUp(nodes[1].peerId)
+    expect(await disconnected).to.equal(nodes[1].peerId.toB58String())
+  })
+
+  it('should remove a direct peer', async () => {
+    const id1 = nodes[1].peerId.toB58String()
+    const added = new Promise((resolve) => nodes[0].once('gossipsub:direct-peer-added', resolve))
+    nodes[0].addDirectPeer(addrInfo(nodes[1]))
+    expect(await added).to.equal(id1)
+
+    const removed = new Promise((resolve) => nodes[0].once('gossipsub:direct-peer-removed', resolve))
+    nodes[0].removeDirectPeer(nodes[1].peerId)
+    expect(nodes[0].getDirectPeers()).to.deep.equal([])
+    expect(await removed).to.equal(id1)
+  })
+
+  it('should graft a removed direct peer as a regular peer', async () => {
+    const id1 = nodes[1].peerId.toB58String()
+    nodes[0].addDirectPeer(addrInfo(nodes[1]))
+    await new Promise((resolve) => nodes[0].once('gossipsub:direct-peer-connected', resolve))
+    nodes.forEach(n => n.subscribe(topic))
+    await delay(50)
+    await new Promise((resolve) => nodes[0].once('gossipsub:heartbeat', resolve))
+    expect(nodes[0].mesh.get(topic).has(id1)).to.equal(false)
+
+    nodes[0].removeDirectPeer(nodes[1].peerId)
+    await new Promise((resolve) => nodes[0].once('gossipsub:heartbeat', resolve))
+    expect(nodes[0].mesh.get(topic).has(id1)).to.equal(true)
+  })
+})
@@ -0,0 +1,71 @@
+const { expect } = require('chai')
+
+const { fragmentRpc, createGossipRpc } = require('../src/utils')
+const { RPC } = require('../src/message/rpc')
+
+describe('fragmentRpc', () => {
+  const maxSize = 1024
+  const messageId = (i) => Uint8Array.from([i >> 8, i & 0xff, ...new Array(30).fill(i % 256)])
+  const makeMessage = (i, size) => ({ data: new Uint8Array(size).fill(i % 256), topicIDs: ['topic'] })
+  const encodedLength = (rpc) => RPC.encode(rpc).finish().length
+  // merge the fragments back into a single rpc
+  const merge = (fragments) => {
+    const merged = createGossipRpc()
+    fragments.forEach(f => {
+      merged.subscriptions.push(...f.subscriptions)
+      merged.msgs.push(...f.msgs)
+      if (f.control) {
+        ['ihave', 'iwant', 'graft', 'prune', 'idontwant'].forEach(type => merged.control[type].push(...f.control[type]))
+      }
+    })
+    return merged
+  }
+
+  it('should not split rpcs under the max size', () => {
+    const rpc = createGossipRpc([makeMessage(0, 100)], { graft: [{ topicID: 'topic' }] })
+    const fragments = fragmentRpc(rpc, maxSize)
+    expect(fragments).to.have.lengthOf(1)
+    expect(RPC.decode(RPC.encode(fragments[0]).finish())).to.deep.equal(RPC.decode(RPC.encode(rpc).finish()))
+  })
+
+  it('should split messages, subscriptions and control entries', () => {
+    const rpc = createGossipRpc(
+      Array.from({ length: 10 }, (_, i) => makeMessage(i, 300)),
+      {
+        graft: Array.from({ length: 100 }, (_, i) => ({ topicID: `topic-${i}` })),
+        prune: Array.from({ length: 100 }, (_, i) => ({ topicID: `topic-${i}`, backoff: 60 }))
+      }
+    )
+    rpc.subscriptions = Array.from({ length: 100 }, (_, i) => ({ subscribe: true, topicID: `topic-${i}` }))
+
+    const fragments = fragmentRpc(rpc, maxSize)
+    expect(fragments.length).to.be.above(1)
+    fragments.forEach(f => expect(encodedLength(f)).to.be.at.most(maxSize))
+    expect(merge(fragments)).to.deep.equal(rpc)
+  })
+
+  it('should split the message IDs of large IHAVE, IWANT and IDONTWANT entries', () => {
+    const messageIDs = Array.from({ length: 200 }, (_, i) => messageId(i))
+    const rpc = createGossipRpc([], {
+      ihave: [{ topicID: 'topic', messageIDs }],
+      iwant: [{ messageIDs }],
+      idontwant: [{ messageIDs }]
+    })
+
+    const fragments = fragmentRpc(rpc, maxSize)
+    fragments.forEach(f => expect(encodedLength(f)).to.be.at.most(maxSize))
+
+    const merged = merge(fragments)
+    merged.control.ihave.forEach(ihave => expect(ihave.topicID).to.equal('topic'))
+    expect([].concat(...merged.control.ihave.map(e => e.messageIDs))).to.deep.equal(messageIDs)
+    expect([].concat(...merged.control.iwant.map(e => e.messageIDs))).to.deep.equal(messageIDs)
+    expect([].concat(...merged.control.idontwant.map(e => e.messageIDs))).to.deep.equal(messageIDs)
+  })
+
+  it('should send messages larger than the max size on their own', () => {
+    const rpc = createGossipRpc([makeMessage(0, 100), makeMessage(1, 2000), makeMessage(2, 100)])
+    const fragments = fragmentRpc(rpc, maxSize)
+    expect(fragments.map(f => f.msgs.length)).to.deep.equal([1, 1, 1])
+    expect(fragments[1].msgs[0]).to.equal(rpc.msgs[1])
+  })
+})
@@ -0,0 +1,66 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+
+const Gossipsub = require('../src')
+const { createPeers, connectGossipsub, stopNode } = require('./utils')
+
+describe('graylist disconnect', () => {
+  let nodes
+  let id1
+
+  beforeEach(async () => {
+    const libp2ps = await createPeers({ number: 2 })
+    id1 = libp2ps[1].peerId.toB58String()
+    nodes = libp2ps.map(libp2p => new Gossipsub(libp2p, {
+      scoreParams: {
+        appSpecificScore: (id) => id === id1 ? -1000 : 0,
+        appSpecificWeight: 1
+      },
+      graylistDisconnectTimeout: 500,
+      graylistDisconnectCooldown: 60000
+    }))
+    nodes.forEach(n => n.start())
+    await connectGossipsub(nodes[0], nodes[1])
+    await delay(50)
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  it('should disconnect from a peer staying graylisted and refuse its connections', async () => {
+    expect(nodes[0].peers.has(id1)).to.equal(true)
+
+    const evt = await new Promise(resolve => nodes[0].once('gossipsub:graylist-disconnect', resolve))
+    expect(evt.id).to.equal(id1)
+    expect(evt.breakdown.p5).to.equal(-1000)
+    expect(evt.breakdown.score).to.be.lt(nodes[0]._options.scoreThresholds.graylistThreshold)
+    expect(nodes[0]._acceptFrom(id1)).to.equal(false)
+
+    await delay(100)
+    expect(nodes[0].peers.has(id1)).to.equal(false)
+    expect(nodes[0]._libp2p.connectionManager.get(nodes[1].peerId)).to.equal(null)
+
+    // we don't dial the peer during the cool-down
+    let scheduled = false
+    nodes[0].connectionScheduler.schedule = () => { scheduled = true }
+    nodes[0]._connect(id1)
+    expect(scheduled).to.equal(false)
+
+    // and we hang up when it connects, possibly before the stream is opened, without adding the peer
+    const traced = []
+    nodes[0].tracer.addPeer = (id) => traced.push(id)
+    await connectGossipsub(nodes[1], nodes[0]).catch(() => {})
+    await delay(100)
+    expect(nodes[0].peers.has(id1)).to.equal(false)
+    expect(traced).to.deep.equal([])
+  })
+
+  it('should not disconnect from peers above the graylist threshold', async () => {
+    const id0 = nodes[0].peerId.toB58String()
+    await new Promise(resolve => nodes[0].once('gossipsub:graylist-disconnect', resolve))
+    expect(nodes[1].graylisted.has(id0)).to.equal(false)
+    expect(nodes[1].disconnectCooldown.has(id0)).to.equal(false)
+  })
+})
@@ -0,0 +1,120 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const errcode = require('err-code')
+
+const {
+  GossipsubIDontWantMessageThreshold,
+  GossipsubIDontWantMessageTTL,
+  ERR_TOPIC_VALIDATOR_REJECT
+} = require('../src/constants')
+const { messageIdToString } = require('../src/utils')
+const {
+  createConnectedGossipsubs,
+  stopNode
+} = require('./utils')
+
+describe('IDONTWANT', () => {
+  const topic = 'Z'
+  let nodes
+
+  beforeEach(async () => {
+    nodes = await createConnectedGossipsubs({ number: 3 })
+    nodes.forEach(n => n.subscribe(topic))
+
+    // await subscription propagation and mesh building
+    await delay(50)
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  it('should send IDONTWANT to mesh peers for large messages', async () => {
+    const [nodeA, nodeB, nodeC] = nodes
+    const idB = nodeB.peerId.toB58String()
+
+    const promise = new Promise((resolve) => nodeC.once(topic, resolve))
+    await nodeA.publish(topic, new Uint8Array(GossipsubIDontWantMessageThreshold))
+    const msg = await promise
+    await delay(100)
+
+    // nodeC has been told by nodeB that it already has the message
+    const msgIdStr = messageIdToString(await nodeC.getMsgId(msg))
+    expect(nodeC.dontwant.get(idB).has(msgIdStr)).to.equal(true)
+    // but nodeA, the sender of the message, has not
+    expect(nodeA.dontwant.has(idB)).to.equal(false)
+  })
+
+  it('should not send IDONTWANT for small messages', async () => {
+    const [nodeA, , nodeC] = nodes
+
+    const promise = new Promise((resolve) => nodeC.once(topic, resolve))
+    await nodeA.publish(topic, new Uint8Array(GossipsubIDontWantMessageThreshold - 1))
+    await promise
+    await delay(100)
+
+    nodes.forEach(n => expect(n.dontwant.size).to.equal(0))
+  })
+
+  it('should not send IDONTWANT for invalid messages', async () => {
+    const [nodeA, nodeB, nodeC] = nodes
+    const idB = nodeB.peerId.toB58String()
+    nodeB.topicValidators.set(topic, () => {
+      throw errcode(new Error(), ERR_TOPIC_VALIDATOR_REJECT)
+    })
+
+    const promise = new Promise((resolve) => nodeC.once(topic, resolve))
+    await nodeA.publish(topic, new Uint8Array(GossipsubIDontWantMessageThreshold))
+    await promise
+    await delay(100)
+
+    expect(nodeC.dontwant.has(idB)).to.equal(false)
+  })
+
+  it('should not forward messages to peers which sent IDONTWANT', async () => {
+    const [nodeA, nodeB, nodeC] = nodes
+    const idB = nodeB.peerId.toB58String()
+    const idC = nodeC.peerId.toB58String()
+    expect(nodeA.mesh.get(topic).has(idB)).to.equal(true)
+
+    let sentToB = 0
+    const streamB = nodeA.peers.get(idB)
+    const write = streamB.write.bind(streamB)
+    streamB.write = (data) => {
+      sentToB++
+      write(data)
+    }
+    // a message from nodeC, forwarded by nodeA to its other mesh peer nodeB
+    const makeMessage = async (seqno) => {
+      const msg = { from: idC, receivedFrom: idC, data: new Uint8Array([1]), seqno, topicIDs: [topic] }
+      const msgID = await nodeA.getMsgId(msg)
+      return { msg, msgID }
+    }
+
+    const forwarded = await makeMessage(new Uint8Array([1]))
+    await nodeA._publish(forwarded.msg)
+    expect(sentToB).to.equal(1)
+
+    const unwanted = await makeMessage(new Uint8Array([2]))
+    nodeA._handleIDontWant(idB, [{ messageIDs: [unwanted.msgID] }])
+    await nodeA._publish(unwanted.msg)
+    expect(sentToB).to.equal(1)
+  })
+
+  it('should expire the IDONTWANT records', () => {
+    const [nodeA, nodeB] = nodes
+    const idB = nodeB.peerId.toB58String()
+    const msgID = new Uint8Array([1, 2, 3])
+
+    nodeA._handleIDontWant(idB, [{ messageIDs: [msgID] }])
+    expect(nodeA.dontwant.get(idB).has(messageIdToString(msgID))).to.equal(true)
+    expect(nodeA.idontwantCounts.get(idB)).to.equal(1)
+
+    // records expire after GossipsubIDontWantMessageTTL heartbeats
+    nodeA.heartbeatTicks += GossipsubIDontWantMessageTTL
+    nodeA._clearDontWant()
+    expect(nodeA.dontwant.has(idB)).to.equal(false)
+  })
+})
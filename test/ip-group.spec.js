@@ -0,0 +1,48 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+
+const { parseIP, getIPGroup, isIPWhitelisted, isValidIPRange } = require('../src/score/ip-group')
+
+describe('IP colocation groups', () => {
+  const params = { IPColocationFactorIPv4PrefixLength: 24, IPColocationFactorIPv6PrefixLength: 56 }
+
+  it('should parse IPv4 and IPv6 addresses', () => {
+    expect(parseIP('192.168.1.20')).to.deep.equal([192, 168, 1, 20])
+    expect(parseIP('2001:db8::1')).to.deep.equal([0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1])
+    expect(parseIP('::')).to.deep.equal(new Array(16).fill(0))
+    expect(parseIP('fe80::1%eth0')).to.have.length(16)
+    // IPv4-mapped IPv6 addresses are IPv4 addresses
+    expect(parseIP('::ffff:1.2.3.4')).to.deep.equal([1, 2, 3, 4])
+
+    expect(parseIP('256.1.1.1')).to.equal(null)
+    expect(parseIP('1.2.3')).to.equal(null)
+    expect(parseIP('1::2::3')).to.equal(null)
+    expect(parseIP('1:2:3:4:5:6:7:8:9')).to.equal(null)
+    expect(parseIP('example.com')).to.equal(null)
+  })
+
+  it('should group IPs by network', () => {
+    expect(getIPGroup('192.168.1.20', params)).to.equal('192.168.1.0/24')
+    expect(getIPGroup('2001:db8:1234:56ff::1', params)).to.equal('2001:db8:1234:5600:0:0:0:0/56')
+    expect(getIPGroup('::ffff:192.168.1.20', params)).to.equal('192.168.1.0/24')
+    // addresses which are not IPs are their own group
+    expect(getIPGroup('example.com', params)).to.equal('example.com')
+  })
+
+  it('should match IPs against the whitelist', () => {
+    const whitelist = new Set(['10.0.0.0/8', '2001:db8::/32', '192.168.1.1', 'example.com'])
+    expect(isIPWhitelisted('10.20.30.40', whitelist)).to.equal(true)
+    expect(isIPWhitelisted('11.0.0.1', whitelist)).to.equal(false)
+    expect(isIPWhitelisted('2001:db8:ffff::1', whitelist)).to.equal(true)
+    expect(isIPWhitelisted('2001:db9::1', whitelist)).to.equal(false)
+    expect(isIPWhitelisted('192.168.1.1', whitelist)).to.equal(true)
+    expect(isIPWhitelisted('192.168.1.2', whitelist)).to.equal(false)
+    expect(isIPWhitelisted('example.com', whitelist)).to.equal(true)
+
+    expect(isValidIPRange('10.0.0.0/8')).to.equal(true)
+    expect(isValidIPRange('10.0.0.0/33')).to.equal(false)
+    expect(isValidIPRange('example.com')).to.equal(false)
+  })
+})
@@ -0,0 +1,104 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+
+const { createTopicMeshParams, validateTopicMeshParams } = require('../src/mesh-params')
+const constants = require('../src/constants')
+const { ERR_INVALID_TOPIC_MESH_PARAMS } = constants
+const {
+  createGossipsubs,
+  connectGossipsubs,
+  stopNode,
+  expectThrowsCode
+} = require('./utils')
+
+const defaults = {
+  D: constants.GossipsubD,
+  Dlo: constants.GossipsubDlo,
+  Dhi: constants.GossipsubDhi,
+  Dscore: constants.GossipsubDscore,
+  Dout: constants.GossipsubDout,
+  Dlazy: constants.GossipsubDlazy
+}
+
+describe('TopicMeshParams validation', () => {
+  it('should throw on invalid TopicMeshParams', () => {
+    expectThrowsCode(() => validateTopicMeshParams(
+      createTopicMeshParams(defaults, { D: -1 })
+    ), ERR_INVALID_TOPIC_MESH_PARAMS)
+    expectThrowsCode(() => validateTopicMeshParams(
+      createTopicMeshParams(defaults, { Dlo: 8 })
+    ), ERR_INVALID_TOPIC_MESH_PARAMS)
+    expectThrowsCode(() => validateTopicMeshParams(
+      createTopicMeshParams(defaults, { Dhi: 5 })
+    ), ERR_INVALID_TOPIC_MESH_PARAMS)
+    expectThrowsCode(() => validateTopicMeshParams(
+      createTopicMeshParams(defaults, { Dout: 4 })
+    ), ERR_INVALID_TOPIC_MESH_PARAMS)
+  })
+  it('should not throw on valid TopicMeshParams', () => {
+    expect(() => validateTopicMeshParams(
+      createTopicMeshParams(defaults)
+    )).to.not.throw()
+    expect(() => validateTopicMeshParams(
+      createTopicMeshParams(defaults, { D: 2, Dlo: 1, Dhi: 3, Dout: 0 })
+    )).to.not.throw()
+  })
+  it('should fit the default Dout to partial TopicMeshParams', () => {
+    expect(createTopicMeshParams(defaults).Dout).to.equal(defaults.Dout)
+
+    const small = createTopicMeshParams(defaults, { D: 3, Dlo: 2, Dhi: 4 })
+    expect(small.Dout).to.equal(1)
+    expect(() => validateTopicMeshParams(small)).to.not.throw()
+
+    expect(createTopicMeshParams(defaults, { D: 1, Dlo: 1, Dhi: 2 }).Dout).to.equal(0)
+    expect(createTopicMeshParams(defaults, { D: 3, Dlo: 2, Dhi: 4, Dout: 0 }).Dout).to.equal(0)
+  })
+})
+
+describe('per-topic mesh params', () => {
+  const topic = 'Z'
+  let nodes
+
+  beforeEach(async () => {
+    nodes = await createGossipsubs({
+      number: 6,
+      options: {
+        topicMeshParams: { [topic]: { D: 2, Dlo: 1, Dhi: 3, Dscore: 1, Dout: 0 } }
+      }
+    })
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  it('should fall back to the global params', () => {
+    expect(nodes[0].getMeshParams(topic).D).to.equal(2)
+    expect(nodes[0].getMeshParams(topic).Dlazy).to.equal(constants.GossipsubDlazy)
+    expect(nodes[0].getMeshParams('other').D).to.equal(constants.GossipsubD)
+
+    nodes[0].removeTopicMeshParams(topic)
+    expect(nodes[0].getMeshParams(topic).D).to.equal(constants.GossipsubD)
+  })
+
+  it('should validate params set at runtime', () => {
+    expectThrowsCode(() => nodes[0].setTopicMeshParams(topic, { Dlo: 10 }), ERR_INVALID_TOPIC_MESH_PARAMS)
+    nodes[0].setTopicMeshParams(topic, { D: 3, Dlo: 2, Dhi: 4, Dout: 1 })
+    expect(nodes[0].getMeshParams(topic).D).to.equal(3)
+    expect(nodes[0].getMeshParams(topic).Dscore).to.equal(constants.GossipsubDscore)
+  })
+
+  it('should keep the mesh within the topic bounds', async () => {
+    nodes.forEach((node) => node.subscribe(topic))
+    await connectGossipsubs(nodes)
+
+    await delay(500)
+    // await mesh rebalancing
+    await new Promise((resolve) => nodes[0].once('gossipsub:heartbeat', resolve))
+
+    const { Dlo, Dhi } = nodes[0].getMeshParams(topic)
+    expect(nodes[0].mesh.get(topic).size).to.be.gte(Dlo)
+    expect(nodes[0].mesh.get(topic).size).to.be.lte(Dhi)
+  })
+})
@@ -0,0 +1,109 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Gossipsub = require('../src')
+const { MetricsRegistry } = require('../src/metrics')
+const { createPeers, connectGossipsub, stopNode } = require('./utils')
+
+describe('metrics', () => {
+  describe('MetricsRegistry', () => {
+    it('should render counters and gauges', () => {
+      const r = new MetricsRegistry()
+      const c = r.counter('test_total', 'A counter')
+      const g = r.gauge('test_gauge', 'A gauge')
+      c.inc({ topic: 'a' })
+      c.inc({ topic: 'a' }, 2)
+      c.inc({ topic: 'b"\\\n' })
+      g.set(5)
+
+      expect(r.render()).to.equal([
+        '# HELP test_total A counter',
+        '# TYPE test_total counter',
+        'test_total{topic="a"} 3',
+        'test_total{topic="b\\"\\\\\\n"} 1',
+        '# HELP test_gauge A gauge',
+        '# TYPE test_gauge gauge',
+        'test_gauge 5',
+        ''
+      ].join('\n'))
+
+      g.reset()
+      expect(r.render()).to.not.include('test_gauge 5')
+    })
+
+    it('should render histograms with cumulative buckets', () => {
+      const r = new MetricsRegistry()
+      const h = r.histogram('test_hist', 'A histogram', [1, 10])
+      h.observe(0.5)
+      h.observe(5)
+      h.observe(50)
+
+      expect(r.render()).to.equal([
+        '# HELP test_hist A histogram',
+        '# TYPE test_hist histogram',
+        'test_hist_bucket{le="1"} 1',
+        'test_hist_bucket{le="10"} 2',
+        'test_hist_bucket{le="+Inf"} 3',
+        'test_hist_sum 55.5',
+        'test_hist_count 3',
+        ''
+      ].join('\n'))
+    })
+  })
+
+  describe('gossipsub', () => {
+    const topic = 'Z'
+    let nodes
+
+    beforeEach(async () => {
+      const libp2ps = await createPeers({ number: 2 })
+      nodes = libp2ps.map(libp2p => new Gossipsub(libp2p, { metrics: true }))
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+      nodes.forEach(n => n.subscribe(topic))
+      await delay(50)
+      await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    it('should be disabled by default', async () => {
+      const [libp2p] = await createPeers({ number: 1 })
+      const gs = new Gossipsub(libp2p)
+      expect(gs.metrics).to.equal(null)
+      expect(gs.getMetrics()).to.equal('')
+      await libp2p.stop()
+    })
+
+    it('should collect router metrics', async () => {
+      const received = new Promise((resolve) => nodes[1].once(topic, resolve))
+      await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+      await received
+      await new Promise((resolve) => nodes[1].once('gossipsub:heartbeat', resolve))
+
+      const text = nodes[1].getMetrics()
+      expect(text).to.include('gossipsub_messages_received_total{topic="Z"} 1')
+      expect(text).to.include('gossipsub_messages_validated_total{topic="Z"} 1')
+      expect(text).to.include('gossipsub_control_received_total{type="graft"} 1')
+      expect(text).to.include('gossipsub_control_sent_total{type="graft"} 1')
+      expect(text).to.include('gossipsub_mesh_peers{topic="Z"} 1')
+      expect(text).to.include('gossipsub_mcache_size 1')
+      expect(text).to.include('gossipsub_peer_scores_count 1')
+      expect(text).to.match(/gossipsub_heartbeat_duration_seconds_count [1-9]/)
+    })
+
+    it('should label the unknown topics as other', () => {
+      const metrics = nodes[1].metrics
+      metrics.onMessage(metrics.msgReceived, [topic, 'unknown1', 'unknown2'])
+
+      const text = nodes[1].getMetrics()
+      expect(text).to.include(`gossipsub_messages_received_total{topic="${topic}"} 1`)
+      expect(text).to.include('gossipsub_messages_received_total{topic="other"} 1')
+      expect(text).to.not.include('unknown')
+    })
+  })
+})
@@ -4,7 +4,7 @@ const delay = require('delay')
 
 const { PeerScore, createPeerScoreParams, createTopicScoreParams } = require('../src/score')
 const { ERR_TOPIC_VALIDATOR_IGNORE, ERR_TOPIC_VALIDATOR_REJECT } = require('../src/constants')
-const { makeTestMessage, getMsgId } = require('./utils')
+const { makeTestMessage, getMsgId, expectThrowsCode } = require('./utils')
 
 const connectionManager = new Map()
 connectionManager.getAll = () => ([])
@@ -597,6 +597,59 @@ describe('PeerScore', () => {
     expect(cScore).to.equal(expected)
     expect(dScore).to.equal(expected)
   })
+  it('should score w/ IP colocation by subnet', async function () {
+    const params = createPeerScoreParams({
+      IPColocationFactorThreshold: 1,
+      IPColocationFactorWeight: -1,
+      IPColocationFactorIPv4PrefixLength: 24,
+      IPColocationFactorIPv6PrefixLength: 64,
+      IPColocationFactorWhitelist: new Set(['10.0.0.0/8'])
+    })
+    const peers = await Promise.all([0, 1, 2, 3, 4, 5].map(async () => (await PeerId.create({keyType: 'secp256k1'})).toB58String()))
+    const ips = ['2001:db8:0:1::1', '2001:db8:0:1:ffff::2', '2001:db8:0:2::1', '1.2.3.4', '1.2.3.5', '10.0.0.1']
+
+    const ps = new PeerScore(params, connectionManager, getMsgId)
+    peers.forEach((p, i) => {
+      ps.addPeer(p)
+      ps._setIPs(p, [ips[i]], [])
+      ps.peerStats.get(p).ips = [ips[i]]
+    })
+    // the whitelisted peer shares a subnet with a peer
+    ps._setIPs(peers[2], ['10.0.0.2'], [ips[2]])
+    ps.peerStats.get(peers[2]).ips = ['10.0.0.2']
+
+    // the peers in the same /64 and /24 are penalized
+    expect(ps.score(peers[0])).to.equal(-1)
+    expect(ps.score(peers[1])).to.equal(-1)
+    expect(ps.score(peers[3])).to.equal(-1)
+    expect(ps.score(peers[4])).to.equal(-1)
+    expect(ps.score(peers[2])).to.equal(0)
+    expect(ps.score(peers[5])).to.equal(0)
+
+    expect(ps.getScoreBreakdown(peers[0]).ipGroups).to.deep.equal([
+      { ip: ips[0], group: '2001:db8:0:1:0:0:0:0/64', peers: 2, whitelisted: false, p6: -1 }
+    ])
+    expect(ps.getScoreBreakdown(peers[5]).ipGroups).to.deep.equal([
+      { ip: '10.0.0.1', group: '10.0.0.0/24', peers: 2, whitelisted: true, p6: 0 }
+    ])
+
+    // the peers are regrouped when the prefix lengths change
+    ps.setParams({ IPColocationFactorIPv4PrefixLength: 32, IPColocationFactorIPv6PrefixLength: 48 })
+    expect(ps.score(peers[3])).to.equal(0)
+    expect(ps.score(peers[4])).to.equal(0)
+    expect(ps.getScoreBreakdown(peers[0]).ipGroups[0].peers).to.equal(2)
+
+    // and when the whitelist changes
+    ps.setParams({ IPColocationFactorWhitelist: new Set(['2001:db8::/32']) })
+    expect(ps.score(peers[0])).to.equal(0)
+    expect(ps.peerStats.get(peers[0]).ipGroups).to.deep.equal([
+      { ip: ips[0], group: '2001:db8:0:0:0:0:0:0/48', whitelisted: true }
+    ])
+    ps.setParams({ IPColocationFactorWhitelist: new Set() })
+
+    ps._removeIPs(peers[0], [ips[0]])
+    expect(ps.score(peers[1])).to.equal(0)
+  })
   it('should score w/ behavior penalty', async function () {
     const params = createPeerScoreParams({
       behaviourPenaltyWeight: -1,
@@ -664,4 +717,164 @@ describe('PeerScore', () => {
     aScore = ps.score(peerA)
     expect(aScore).to.equal(0)
   })
+  it('should keep the retained score when the peer reconnects', async function () {
+    const params = createPeerScoreParams({
+      behaviourPenaltyWeight: -1,
+      behaviourPenaltyDecay: 0.99
+    })
+    const peerA = (await PeerId.create({keyType: 'secp256k1'})).toB58String()
+
+    const ps = new PeerScore(params, connectionManager, getMsgId)
+    ps.addPeer(peerA)
+    ps.addPenalty(peerA, 2)
+    ps.removePeer(peerA)
+    ps.addPeer(peerA)
+
+    expect(ps.peerStats.get(peerA).connected).to.equal(true)
+    expect(ps.score(peerA)).to.equal(-4)
+  })
+  it('should break down the score', async function () {
+    const mytopic = 'mytopic'
+    const params = createPeerScoreParams({
+      topicScoreCap: 5,
+      appSpecificScore: () => 3,
+      appSpecificWeight: 1,
+      behaviourPenaltyWeight: -1,
+      behaviourPenaltyDecay: 0.99
+    })
+    params.topics[mytopic] = createTopicScoreParams({
+      topicWeight: 2,
+      firstMessageDeliveriesWeight: 1,
+      firstMessageDeliveriesDecay: 0.9,
+      firstMessageDeliveriesCap: 100,
+      timeInMeshWeight: 0
+    })
+    const peerA = (await PeerId.create({keyType: 'secp256k1'})).toB58String()
+    const peerB = (await PeerId.create({keyType: 'secp256k1'})).toB58String()
+
+    const ps = new PeerScore(params, connectionManager, getMsgId)
+    ps.addPeer(peerA)
+    ps.addPeer(peerB)
+    ps.graft(peerA, mytopic)
+
+    for (let i = 0; i < 10; i++) {
+      const msg = makeTestMessage(i, [mytopic])
+      msg.receivedFrom = peerA
+      await ps.validateMessage(msg)
+      await ps.deliverMessage(msg)
+    }
+    ps.addPenalty(peerA, 2)
+
+    const breakdown = ps.getScoreBreakdown(peerA)
+    const topicBreakdown = breakdown.topics[mytopic]
+    expect(topicBreakdown.p2).to.equal(10)
+    expect(topicBreakdown.p1 + topicBreakdown.p3 + topicBreakdown.p3b + topicBreakdown.p4).to.equal(0)
+    expect(topicBreakdown.score).to.equal(20)
+    expect(breakdown.topicScore).to.equal(20)
+    expect(breakdown.cappedTopicScore).to.equal(5)
+    expect(breakdown.p5).to.equal(3)
+    expect(breakdown.p6).to.equal(0)
+    expect(breakdown.p7).to.equal(-4)
+    expect(breakdown.score).to.equal(4)
+    expect(breakdown.score).to.equal(ps.score(peerA))
+
+    expect(ps.getScoreBreakdown('unknown')).to.equal(null)
+
+    const scores = ps.dumpPeerScores()
+    expect(Object.keys(scores)).to.have.members([peerA, peerB])
+    expect(scores[peerA]).to.deep.equal(breakdown)
+    expect(scores[peerB].score).to.equal(3)
+  })
+  it('should update the topic score parameters at runtime', async function () {
+    const mytopic = 'mytopic'
+    const params = createPeerScoreParams()
+    const peerA = (await PeerId.create({keyType: 'secp256k1'})).toB58String()
+
+    const ps = new PeerScore(params, connectionManager, getMsgId)
+    ps.addPeer(peerA)
+
+    // the topic is not scored yet
+    const deliver = async (i) => {
+      const msg = makeTestMessage(i, [mytopic])
+      msg.receivedFrom = peerA
+      await ps.validateMessage(msg)
+      await ps.deliverMessage(msg)
+    }
+    await deliver(0)
+    expect(ps.score(peerA)).to.equal(0)
+
+    ps.setTopicScoreParams(mytopic, createTopicScoreParams({
+      topicWeight: 1,
+      timeInMeshWeight: 0,
+      firstMessageDeliveriesWeight: 1,
+      meshMessageDeliveriesWeight: 0,
+      meshFailurePenaltyWeight: 0
+    }))
+    await deliver(1)
+    await deliver(2)
+    expect(ps.score(peerA)).to.equal(2)
+
+    // the counters are kept when the parameters change
+    ps.setTopicScoreParams(mytopic, { ...ps.params.topics[mytopic], topicWeight: 3 })
+    expect(ps.score(peerA)).to.equal(6)
+
+    expectThrowsCode(() => ps.setTopicScoreParams(mytopic, createTopicScoreParams({ topicWeight: -1 })), 'ERR_INVALID_PEER_SCORE_PARAMS')
+    expectThrowsCode(() => ps.setParams({ decayToZero: 2 }), 'ERR_INVALID_PEER_SCORE_PARAMS')
+    expect(ps.params.topics[mytopic].topicWeight).to.equal(3)
+    expect(ps.params.decayToZero).to.equal(params.decayToZero)
+
+    ps.setParams({ topicScoreCap: 5 })
+    expect(ps.score(peerA)).to.equal(5)
+
+    ps.removeTopicScoreParams(mytopic)
+    expect(ps.peerStats.get(peerA).topics).to.deep.equal({})
+    expect(ps.score(peerA)).to.equal(0)
+  })
+  it('should score w/ asynchronous application score', async function () {
+    const appScores = {}
+    let calls = 0
+    const params = createPeerScoreParams({
+      appSpecificScore: () => { throw new Error('should use the provider') },
+      appSpecificScoreProvider: async (id) => {
+        calls++
+        await delay(10)
+        if (appScores[id] === undefined) {
+          throw new Error('unknown peer')
+        }
+        return appScores[id]
+      },
+      appSpecificWeight: 0.5
+    })
+    const peerA = (await PeerId.create({keyType: 'secp256k1'})).toB58String()
+    appScores[peerA] = 4
+
+    const ps = new PeerScore(params, connectionManager, getMsgId)
+    ps.addPeer(peerA)
+    // the score is computed from the cached value until the provider resolves
+    expect(ps.score(peerA)).to.equal(0)
+    await ps.updateAppSpecificScore(peerA)
+    expect(calls).to.equal(1)
+    expect(ps.score(peerA)).to.equal(2)
+
+    // the value is cached
+    appScores[peerA] = -10
+    expect(ps.score(peerA)).to.equal(2)
+    expect(calls).to.equal(1)
+
+    // concurrent updates share the pending call
+    await Promise.all([ps.updateAppSpecificScore(peerA), ps.updateAppSpecificScore(peerA)])
+    expect(calls).to.equal(2)
+    expect(ps.score(peerA)).to.equal(-5)
+
+    // the connected peers are refreshed every decay interval
+    appScores[peerA] = 6
+    ps.background()
+    await delay(20)
+    expect(ps.score(peerA)).to.equal(3)
+
+    // the previous value is kept if the provider fails
+    delete appScores[peerA]
+    await ps.updateAppSpecificScore(peerA)
+    expect(ps.score(peerA)).to.equal(3)
+  })
 })
@@ -0,0 +1,128 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+
+const Gossipsub = require('../src')
+const { PeerTagger, createPeerTagWeights } = require('../src/peer-tagger')
+const { createPeers, connectGossipsub, stopNode, expectThrowsCode } = require('./utils')
+
+describe('peer tagger', () => {
+  describe('PeerTagger', () => {
+    let direct
+    let scores
+    let values
+    let tagger
+
+    beforeEach(() => {
+      direct = new Set()
+      scores = new Map()
+      values = []
+      tagger = new PeerTagger(
+        createPeerTagWeights(),
+        (id) => direct.has(id),
+        (id) => scores.get(id) || 0,
+        () => 0.2,
+        (id, value, tags) => values.push({ id, value, tags })
+      )
+    })
+
+    it('should raise the value of the peers from their tags', () => {
+      // the peers without tags keep their base value
+      tagger.addPeer('peerA')
+      expect(values).to.deep.equal([])
+
+      tagger.graft('peerA', 'A')
+      tagger.graft('peerA', 'B')
+      expect(values[1]).to.deep.include({ id: 'peerA', tags: { mesh: ['A', 'B'], direct: false, positiveScore: false } })
+      expect(values[1].value).to.be.closeTo(0.4, 1e-9)
+
+      tagger.prune('peerA', 'A')
+      tagger.prune('peerA', 'C')
+      expect(values).to.have.length(3)
+      expect(values[2].value).to.be.closeTo(0.3, 1e-9)
+
+      direct.add('peerA')
+      scores.set('peerA', 10)
+      tagger.refresh(['peerA'])
+      expect(values[3]).to.deep.include({ id: 'peerA', tags: { mesh: ['B'], direct: true, positiveScore: true } })
+      expect(values[3].value).to.be.closeTo(0.9, 1e-9)
+
+      // the values are capped to 1
+      tagger.graft('peerA', 'C')
+      tagger.graft('peerA', 'D')
+      expect(values[values.length - 1].value).to.equal(1)
+    })
+
+    it('should give the peers their base value back when untagged', () => {
+      tagger.addPeer('peerA')
+      tagger.graft('peerA', 'A')
+      tagger.refresh(['peerA'])
+      expect(values).to.have.length(1)
+
+      tagger.removePeer('peerA')
+      expect(values[1]).to.deep.equal({ id: 'peerA', value: 0.2, tags: { mesh: [], direct: false, positiveScore: false } })
+
+      tagger.graft('peerB', 'A')
+      tagger.clear()
+      expect(values[3]).to.deep.include({ id: 'peerB', value: 0.2 })
+      expect(tagger.values.size).to.equal(0)
+    })
+
+    it('should throw on invalid weights', () => {
+      expectThrowsCode(() => new PeerTagger(createPeerTagWeights({ mesh: -1 }), () => false, () => 0, () => 1, () => {}), 'ERR_INVALID_PEER_TAG_WEIGHTS')
+    })
+  })
+
+  describe('gossipsub', () => {
+    const topic = 'Z'
+    let nodes
+
+    beforeEach(async () => {
+      const libp2ps = await createPeers({ number: 2, config: { connectionManager: { defaultPeerValue: 0.5 } } })
+      nodes = libp2ps.map(libp2p => new Gossipsub(libp2p, { peerTagWeights: {} }))
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+      await delay(50)
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    it('should set the peer values in the connection manager', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      const peerValues = nodes[0]._libp2p.connectionManager._peerValues
+      expect(peerValues.get(id1)).to.equal(0.5)
+
+      nodes.forEach(n => n.subscribe(topic))
+      await delay(100)
+      await new Promise(resolve => nodes[0].once('gossipsub:heartbeat', resolve))
+      expect(nodes[0].mesh.get(topic).has(id1)).to.equal(true)
+      expect(peerValues.get(id1)).to.be.closeTo(0.6, 1e-9)
+
+      nodes[0].unsubscribe(topic)
+      expect(peerValues.get(id1)).to.equal(0.5)
+    })
+
+    it('should give the peers their value back on stop', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      const peerValues = nodes[0]._libp2p.connectionManager._peerValues
+      nodes[0].addDirectPeer({ id: nodes[1].peerId, addrs: [] })
+      await new Promise(resolve => nodes[0].once('gossipsub:heartbeat', resolve))
+      expect(peerValues.get(id1)).to.equal(1)
+
+      nodes[0].stop()
+      expect(peerValues.get(id1)).to.equal(0.5)
+    })
+
+    it('should lower the value of a removed direct peer', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      const peerValues = nodes[0]._libp2p.connectionManager._peerValues
+      nodes[0].addDirectPeer({ id: nodes[1].peerId, addrs: [] })
+      expect(peerValues.get(id1)).to.equal(1)
+
+      nodes[0].removeDirectPeer(nodes[1].peerId)
+      expect(peerValues.get(id1)).to.equal(0.5)
+    })
+  })
+})
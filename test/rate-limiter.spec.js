@@ -0,0 +1,122 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Gossipsub = require('../src')
+const { RateLimiter, createRateLimitParams } = require('../src/rate-limiter')
+const { ERR_INVALID_RATE_LIMIT_PARAMS } = require('../src/constants')
+const { createPeers, connectGossipsub, stopNode, expectThrowsCode } = require('./utils')
+
+describe('RateLimiter', () => {
+  it('should be disabled by default', () => {
+    const r = new RateLimiter()
+    expect(r.enabled).to.equal(false)
+    for (let i = 0; i < 100; i++) {
+      expect(r.allow(['A'], ['a'], 100)).to.equal(true)
+    }
+  })
+
+  it('should default bursts to one second worth of tokens', () => {
+    expect(createRateLimitParams({ messageRate: 5, byteRate: 100 }))
+      .to.deep.equal({ messageRate: 5, messageBurst: 5, byteRate: 100, byteBurst: 100 })
+  })
+
+  it('should default bursts to at least one token', () => {
+    expect(createRateLimitParams({ messageRate: 0.5 }).messageBurst).to.equal(1)
+    const r = new RateLimiter({ messageRate: 0.5 })
+    expect(r.allow(['A'], ['a'], 1)).to.equal(true)
+    expect(r.allow(['A'], ['a'], 1)).to.equal(false)
+  })
+
+  it('should reject bursts below one token', () => {
+    expectThrowsCode(() => new RateLimiter({ messageRate: 0.5, messageBurst: 0.5 }), ERR_INVALID_RATE_LIMIT_PARAMS)
+    expectThrowsCode(() => new RateLimiter({}, { a: { byteRate: 100, byteBurst: 0 } }), ERR_INVALID_RATE_LIMIT_PARAMS)
+    expectThrowsCode(() => new RateLimiter({ messageRate: -1 }), ERR_INVALID_RATE_LIMIT_PARAMS)
+  })
+
+  it('should limit messages per key', async () => {
+    const r = new RateLimiter({ messageRate: 20, messageBurst: 2 })
+    expect(r.enabled).to.equal(true)
+    expect(r.allow(['A'], ['a'], 1)).to.equal(true)
+    expect(r.allow(['A'], ['a'], 1)).to.equal(true)
+    expect(r.allow(['A'], ['a'], 1)).to.equal(false)
+    // other keys have their own buckets
+    expect(r.allow(['B'], ['a'], 1)).to.equal(true)
+
+    // tokens are refilled over time
+    await delay(60)
+    expect(r.allow(['A'], ['a'], 1)).to.equal(true)
+  })
+
+  it('should limit bytes per key', () => {
+    const r = new RateLimiter({ byteRate: 100 })
+    expect(r.allow(['A'], ['a'], 60)).to.equal(true)
+    expect(r.allow(['A'], ['a'], 60)).to.equal(false)
+    expect(r.allow(['A'], ['a'], 40)).to.equal(true)
+  })
+
+  it('should not consume tokens of dropped messages', () => {
+    const r = new RateLimiter({ messageRate: 1 })
+    expect(r.allow(['A'], ['a'], 1)).to.equal(true)
+    // B has tokens but A doesn't, so B's tokens are not consumed
+    expect(r.allow(['B', 'A'], ['a'], 1)).to.equal(false)
+    expect(r.allow(['B'], ['a'], 1)).to.equal(true)
+  })
+
+  it('should limit topics with their own params separately', () => {
+    const r = new RateLimiter({ messageRate: 1 }, { b: { messageRate: 2 }, c: {} })
+    expect(r.allow(['A'], ['a'], 1)).to.equal(true)
+    expect(r.allow(['A'], ['d'], 1)).to.equal(false)
+    expect(r.allow(['A'], ['b'], 1)).to.equal(true)
+    expect(r.allow(['A'], ['b'], 1)).to.equal(true)
+    expect(r.allow(['A'], ['b'], 1)).to.equal(false)
+    // topic c is not limited
+    expect(r.allow(['A'], ['c'], 1)).to.equal(true)
+  })
+
+  it('should prune full buckets', async () => {
+    const r = new RateLimiter({ messageRate: 100 })
+    r.allow(['A'], ['a'], 1)
+    r.prune()
+    expect(r.buckets.size).to.equal(1)
+    await delay(20)
+    r.prune()
+    expect(r.buckets.size).to.equal(0)
+  })
+})
+
+describe('inbound rate limiting', () => {
+  const topic = 'Z'
+  let nodes
+
+  beforeEach(async () => {
+    const libp2ps = await createPeers({ number: 2 })
+    nodes = [
+      new Gossipsub(libp2ps[0]),
+      new Gossipsub(libp2ps[1], { rateLimit: { messageRate: 1, messageBurst: 2 } })
+    ]
+    nodes.forEach(n => n.start())
+    await connectGossipsub(nodes[0], nodes[1])
+    nodes.forEach(n => n.subscribe(topic))
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  it('should drop messages exceeding the rate limit and penalize the sender', async () => {
+    let received = 0
+    nodes[1].on(topic, () => received++)
+
+    for (let i = 0; i < 5; i++) {
+      await nodes[0].publish(topic, uint8ArrayFromString(`hey ${i}`))
+    }
+    await delay(200)
+
+    expect(received).to.equal(2)
+    const pstats = nodes[1].score.peerStats.get(nodes[0].peerId.toB58String())
+    expect(pstats.behaviourPenalty).to.be.above(0)
+  })
+})
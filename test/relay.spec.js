@@ -0,0 +1,77 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Gossipsub = require('../src')
+const {
+  createPeers,
+  connectGossipsub,
+  stopNode
+} = require('./utils')
+
+const shouldNotHappen = () => expect.fail()
+
+describe('relay', () => {
+  const topic = 'Z'
+  let nodes
+
+  // Create nodes D - A - B - C where A publishes to its direct peer B,
+  // B is not subscribed to the topic, and C is only reachable through B
+  const createNodes = async (relayOptions) => {
+    const libp2ps = await createPeers({ number: 4 })
+    const [a, b, c, d] = libp2ps
+    nodes = [
+      new Gossipsub(a, { floodPublish: false, directPeers: [{ id: b.peerId, addrs: b.multiaddrs }] }),
+      new Gossipsub(b, { directPeers: [{ id: a.peerId, addrs: a.multiaddrs }], ...relayOptions }),
+      new Gossipsub(c),
+      new Gossipsub(d)
+    ]
+    nodes.forEach(n => n.start())
+
+    await connectGossipsub(nodes[0], nodes[1])
+    await connectGossipsub(nodes[1], nodes[2])
+    await connectGossipsub(nodes[0], nodes[3])
+
+    nodes[0].subscribe(topic)
+    nodes[2].subscribe(topic)
+    nodes[3].subscribe(topic)
+
+    // await subscription propagation and heartbeat
+    await delay(50)
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+  }
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  it('should relay messages of topics not subscribed to', async () => {
+    await createNodes({ canRelayMessage: true })
+    nodes[1].on(topic, shouldNotHappen)
+
+    const promise = new Promise((resolve) => nodes[2].once(topic, resolve))
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+
+    const msg = await promise
+    expect(msg.data.toString()).to.equal('hey')
+    expect(msg.from).to.equal(nodes[0].peerId.toB58String())
+
+    // the relay peers are tracked, and the message is available for IWANT
+    expect(nodes[1].relay.get(topic).has(nodes[2].peerId.toB58String())).to.equal(true)
+    expect(nodes[1].messageCache.getGossipIDs(topic)).to.have.lengthOf(1)
+
+    nodes[1].removeListener(topic, shouldNotHappen)
+  })
+
+  it('should not relay messages if canRelayMessage is disabled', async () => {
+    await createNodes({ canRelayMessage: false })
+    nodes[2].on(topic, shouldNotHappen)
+
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    await delay(500)
+
+    expect(nodes[1].relay.size).to.equal(0)
+    nodes[2].removeListener(topic, shouldNotHappen)
+  })
+})
@@ -0,0 +1,121 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const Gossipsub = require('../src')
+const { createRpcLimits, truncateRpc } = require('../src/rpc-limits')
+const { RPC } = require('../src/message/rpc')
+const { createPeers, connectGossipsub, stopNode } = require('./utils')
+
+describe('RPC limits', () => {
+  const makeRpc = (n) => {
+    const entries = (make) => Array.from({ length: n }, (_, i) => make(i))
+    return RPC.decode(RPC.encode({
+      subscriptions: entries(i => ({ subscribe: true, topicID: `t${i}` })),
+      msgs: entries(i => ({ data: Uint8Array.from([i]), topicIDs: ['t'] })),
+      control: {
+        ihave: entries(i => ({ topicID: `t${i}` })),
+        iwant: entries(() => ({ messageIDs: [] })),
+        graft: entries(i => ({ topicID: `t${i}` })),
+        prune: entries(i => ({ topicID: `t${i}` })),
+        idontwant: entries(() => ({ messageIDs: [] }))
+      }
+    }).finish())
+  }
+
+  it('should not truncate RPCs within the limits', () => {
+    const rpc = makeRpc(3)
+    expect(truncateRpc(rpc, createRpcLimits())).to.equal(false)
+    expect(rpc.msgs).to.have.lengthOf(3)
+  })
+
+  it('should truncate RPCs exceeding the limits', () => {
+    const limits = createRpcLimits({
+      maxMessages: 1,
+      maxSubscriptions: 2,
+      maxIHave: 1,
+      maxIWant: 2,
+      maxGraft: 1,
+      maxPrune: 2,
+      maxIDontWant: 1
+    })
+
+    const rpc = makeRpc(3)
+    expect(truncateRpc(rpc, limits)).to.equal(true)
+    expect(rpc.msgs).to.have.lengthOf(1)
+    expect(rpc.subscriptions).to.have.lengthOf(2)
+    expect(rpc.control.ihave).to.have.lengthOf(1)
+    expect(rpc.control.iwant).to.have.lengthOf(2)
+    expect(rpc.control.graft).to.have.lengthOf(1)
+    expect(rpc.control.prune).to.have.lengthOf(2)
+    expect(rpc.control.idontwant).to.have.lengthOf(1)
+  })
+
+  it('should truncate the message ids of the control entries exceeding the limits', () => {
+    const ids = [Uint8Array.from([0]), Uint8Array.from([1]), Uint8Array.from([2])]
+    const rpc = RPC.decode(RPC.encode({
+      control: {
+        ihave: [{ topicID: 't', messageIDs: ids }],
+        iwant: [{ messageIDs: ids }],
+        idontwant: [{ messageIDs: ids.slice(0, 1) }]
+      }
+    }).finish())
+
+    expect(truncateRpc(rpc, createRpcLimits({ maxMessageIDs: 2 }))).to.equal(true)
+    expect(rpc.control.ihave[0].messageIDs).to.have.lengthOf(2)
+    expect(rpc.control.iwant[0].messageIDs).to.have.lengthOf(2)
+    expect(rpc.control.idontwant[0].messageIDs).to.have.lengthOf(1)
+  })
+
+  describe('inbound rpcs', () => {
+    const topic = 'Z'
+    let nodes
+
+    beforeEach(async () => {
+      const libp2ps = await createPeers({ number: 2 })
+      nodes = [
+        new Gossipsub(libp2ps[0]),
+        new Gossipsub(libp2ps[1], { rpcLimits: { maxRpcSize: 2048, maxMessages: 1 } })
+      ]
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+      nodes.forEach(n => n.subscribe(topic))
+      await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    const behaviourPenalty = () => nodes[1].score.peerStats.get(nodes[0].peerId.toB58String()).behaviourPenalty
+
+    it('should drop RPCs exceeding the maximum size and penalize the sender', async () => {
+      const received = []
+      nodes[1].on(topic, (msg) => received.push(msg.data.length))
+
+      await nodes[0].publish(topic, new Uint8Array(4096))
+      await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+      await delay(100)
+
+      expect(received).to.deep.equal([3])
+      expect(behaviourPenalty()).to.equal(1)
+    })
+
+    it('should truncate RPCs exceeding the maximum number of messages and penalize the sender', async () => {
+      const id = nodes[0].peerId.toB58String()
+      const received = []
+      nodes[1].on(topic, (msg) => received.push(msg))
+
+      // bypass signature checks, only the number of messages matters here
+      nodes[1].globalSignaturePolicy = 'StrictNoSign'
+      const rpc = RPC.decode(RPC.encode({ msgs: ['a', 'b'].map(data => ({ data: uint8ArrayFromString(data), topicIDs: [topic] })) }).finish())
+      await nodes[1]._processRpc(id, nodes[1].peers.get(id), rpc)
+      await delay(100)
+
+      expect(rpc.msgs).to.have.lengthOf(1)
+      expect(received).to.have.lengthOf(1)
+      expect(behaviourPenalty()).to.equal(1)
+    })
+  })
+})
@@ -0,0 +1,60 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+
+const { computeScoreParams, validatePeerScoreParams, validatePeerScoreThresholds } = require('../src/score')
+const { expectThrowsCode } = require('./utils')
+
+describe('computeScoreParams', () => {
+  const { scoreParams, scoreThresholds } = computeScoreParams({
+    topics: {
+      blocks: { messageRate: 1 / 12, topicWeight: 0.5 },
+      attestations: { messageRate: 50 }
+    }
+  })
+  // (maxInMeshScore + maxFirstMessageDeliveriesScore) * total topic weight
+  const maxPositiveScore = 50 * 1.5
+
+  it('should produce valid parameters and thresholds', () => {
+    expect(() => validatePeerScoreParams(scoreParams)).to.not.throw()
+    expect(() => validatePeerScoreThresholds(scoreThresholds)).to.not.throw()
+    expect(Object.keys(scoreParams.topics)).to.have.members(['blocks', 'attestations'])
+    expect(scoreParams.topicScoreCap).to.equal(maxPositiveScore / 2)
+    expect(scoreThresholds.graylistThreshold).to.be.lt(scoreThresholds.publishThreshold)
+    expect(scoreThresholds.publishThreshold).to.be.lt(scoreThresholds.gossipThreshold)
+  })
+
+  it('should bound the positive topic score', () => {
+    Object.values(scoreParams.topics).forEach(tparams => {
+      const p1 = tparams.timeInMeshCap * tparams.timeInMeshWeight
+      const p2 = tparams.firstMessageDeliveriesCap * tparams.firstMessageDeliveriesWeight
+      expect(p1).to.be.closeTo(10, 1e-9)
+      expect(p2).to.be.closeTo(40, 1e-9)
+    })
+  })
+
+  it('should scale the thresholds of the mesh deliveries with the message rate', () => {
+    const { blocks, attestations } = scoreParams.topics
+    expect(attestations.meshMessageDeliveriesThreshold / blocks.meshMessageDeliveriesThreshold).to.be.closeTo(600, 1e-6)
+    expect(blocks.meshMessageDeliveriesDecay).to.be.gt(0).and.lt(1)
+    expect(blocks.meshMessageDeliveriesActivation).to.equal(60 * 1000)
+
+    // a mesh peer delivering no message loses the maximum positive score
+    const deficit = blocks.meshMessageDeliveriesThreshold
+    expect(deficit * deficit * blocks.meshMessageDeliveriesWeight * blocks.topicWeight).to.be.closeTo(-maxPositiveScore, 1e-6)
+  })
+
+  it('should penalize invalid messages and misbehaviour', () => {
+    const { attestations } = scoreParams.topics
+    expect(attestations.invalidMessageDeliveriesWeight * attestations.topicWeight).to.equal(-maxPositiveScore)
+    // 6 behaviour penalties bring a peer to the gossip threshold
+    expect(36 * scoreParams.behaviourPenaltyWeight).to.be.closeTo(scoreThresholds.gossipThreshold, 1e-6)
+    expect(scoreParams.behaviourPenaltyDecay).to.be.gt(0).and.lt(1)
+  })
+
+  it('should throw on invalid topic traffic', () => {
+    expectThrowsCode(() => computeScoreParams({ topics: { foo: { messageRate: 0 } } }), 'ERR_INVALID_PEER_SCORE_PARAMS')
+    expectThrowsCode(() => computeScoreParams({ topics: { foo: { messageRate: 1, topicWeight: 0 } } }), 'ERR_INVALID_PEER_SCORE_PARAMS')
+  })
+})
@@ -0,0 +1,87 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+
+const { computeScoreParams, createPeerScoreThresholds, simulateScores } = require('../src/score')
+
+describe('simulateScores', () => {
+  const topic = 'foo'
+  const { scoreParams, scoreThresholds } = computeScoreParams({ topics: { [topic]: { messageRate: 6 } } })
+  const duration = 5 * 60 * 1000
+
+  // a mesh peer delivering first 2 messages per second, its share of the topic traffic
+  const honestEvents = () => {
+    const events = [{ time: 0, type: 'graft', topic }]
+    for (let time = 1000; time < duration; time += 1000) {
+      events.push({ time, type: 'deliver', topic, count: 2 })
+    }
+    return events
+  }
+
+  it('should not flag honest peers delivering their share of the messages', async () => {
+    const report = await simulateScores({
+      params: scoreParams,
+      thresholds: scoreThresholds,
+      duration,
+      peers: { honest: { honest: true, events: honestEvents() } }
+    })
+
+    expect(report.flagged).to.deep.equal([])
+    const peer = report.peers.honest
+    expect(peer.samples).to.have.length(duration / scoreParams.decayInterval)
+    expect(peer.minScore).to.be.gte(0)
+    expect(peer.samples[peer.samples.length - 1].breakdown.topics[topic].p2).to.be.gt(0)
+    expect(peer.crossed.opportunisticGraftThreshold).to.be.a('number')
+  })
+
+  it('should report a spammer crossing the graylist threshold', async () => {
+    const report = await simulateScores({
+      params: scoreParams,
+      thresholds: scoreThresholds,
+      duration,
+      sampleInterval: 10000,
+      peers: { spammer: { events: [{ time: 5000, type: 'invalid', topic, count: 20 }] } }
+    })
+
+    // only honest peers are flagged
+    expect(report.flagged).to.deep.equal([])
+    const peer = report.peers.spammer
+    expect(peer.samples).to.have.length(duration / 10000)
+    expect(peer.crossed.graylistThreshold).to.equal(10000)
+    expect(peer.crossed.gossipThreshold).to.equal(10000)
+    expect(peer.samples[0].breakdown.topics[topic].p4).to.be.lt(scoreThresholds.graylistThreshold)
+  })
+
+  it('should flag honest peers graylisted by the thresholds', async () => {
+    // a mesh peer forwarding every message late
+    const events = [{ time: 0, type: 'graft', topic }]
+    for (let time = 1000; time < duration; time += 1000) {
+      events.push({ time, type: 'deliver', topic, count: 2, first: false, delay: 5000 })
+    }
+    const thresholds = createPeerScoreThresholds({
+      gossipThreshold: -1,
+      publishThreshold: -2,
+      graylistThreshold: -3
+    })
+
+    const report = await simulateScores({
+      params: scoreParams,
+      thresholds,
+      duration,
+      peers: { slow: { honest: true, events } }
+    })
+
+    const peer = report.peers.slow
+    const activation = scoreParams.topics[topic].meshMessageDeliveriesActivation
+    // the late deliveries are outside of the mesh delivery window, the peer is penalized once P3 activates
+    expect(peer.samples.find(s => s.time <= activation).breakdown.topics[topic].p3).to.equal(0)
+    expect(peer.samples[peer.samples.length - 1].breakdown.topics[topic].p3).to.be.lt(0)
+    expect(peer.crossed.graylistThreshold).to.be.gt(activation)
+    expect(report.flagged.map(f => f.threshold)).to.deep.equal(['gossipThreshold', 'publishThreshold', 'graylistThreshold'])
+    report.flagged.forEach(f => {
+      expect(f.id).to.equal('slow')
+      expect(f.time).to.equal(peer.crossed[f.threshold])
+    })
+  })
+})
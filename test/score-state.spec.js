@@ -0,0 +1,121 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const PeerId = require('peer-id')
+
+const Gossipsub = require('../src')
+const { PeerScore, createPeerScoreParams } = require('../src/score')
+const { FileScoreStateStore } = require('../src/score/file-score-state-store')
+const { createPeers, connectGossipsub, stopNode, getMsgId } = require('./utils')
+
+const connectionManager = new Map()
+connectionManager.getAll = () => ([])
+
+describe('score state', () => {
+  describe('FileScoreStateStore', () => {
+    let file
+
+    beforeEach(() => {
+      file = path.join(os.tmpdir(), `gossipsub-score-state-${Date.now()}-${Math.random()}`)
+    })
+
+    afterEach(() => fs.promises.unlink(file).catch(() => {}))
+
+    it('should load nothing if no state was saved', async () => {
+      expect(await new FileScoreStateStore(file).load()).to.equal(undefined)
+    })
+
+    it('should save and load the state', async () => {
+      const state = {
+        savedAt: 1000,
+        peerStats: { peerA: { expire: 2000, behaviourPenalty: 3, topics: {} } },
+        backoff: { foo: { peerA: 3000 } }
+      }
+      await new FileScoreStateStore(file).save(state)
+      expect(await new FileScoreStateStore(file).load()).to.deep.equal(state)
+    })
+  })
+
+  describe('PeerScore', () => {
+    it('should export and import the retained stats, decayed for the downtime', async () => {
+      const peerA = (await PeerId.create({ keyType: 'secp256k1' })).toB58String()
+      const peerB = (await PeerId.create({ keyType: 'secp256k1' })).toB58String()
+      const params = createPeerScoreParams({
+        appSpecificScore: (id) => id === peerB ? 1 : 0,
+        appSpecificWeight: 1,
+        behaviourPenaltyWeight: -1,
+        behaviourPenaltyDecay: 0.5,
+        decayInterval: 1000,
+        retainScore: 60000
+      })
+
+      const ps = new PeerScore(params, connectionManager, getMsgId)
+      ps.addPeer(peerA)
+      ps.addPeer(peerB)
+      ps.addPenalty(peerA, 4)
+
+      const stats = ps.exportStats()
+      // only non-positive scores are retained
+      expect(Object.keys(stats)).to.deep.equal([peerA])
+      expect(stats[peerA].behaviourPenalty).to.equal(4)
+      expect(stats[peerA].expire).to.be.gt(Date.now())
+      expect(ps.peerStats.get(peerA).connected).to.equal(false)
+
+      const restored = new PeerScore(params, connectionManager, getMsgId)
+      restored.importStats(stats, Date.now() - 2000)
+      expect(restored.peerStats.get(peerA).connected).to.equal(false)
+      expect(restored.score(peerA)).to.equal(-1)
+    })
+
+    it('should not import expired stats', async () => {
+      const params = createPeerScoreParams()
+      const ps = new PeerScore(params, connectionManager, getMsgId)
+      ps.importStats({ peerA: { expire: Date.now() - 1, behaviourPenalty: 4, topics: {} } }, Date.now())
+      expect(ps.peerStats.size).to.equal(0)
+    })
+  })
+
+  describe('gossipsub', () => {
+    const topic = 'Z'
+    let store
+    let nodes
+
+    beforeEach(async () => {
+      store = {
+        state: undefined,
+        load: async () => store.state,
+        save: async (state) => { store.state = state }
+      }
+      const libp2ps = await createPeers({ number: 2 })
+      nodes = libp2ps.map(libp2p => new Gossipsub(libp2p, { scoreStateStore: store }))
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+      await delay(50)
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    it('should save the score state on stop and restore it on start', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      nodes[0].score.addPenalty(id1, 3)
+      nodes[0]._doAddBackoff(id1, topic, 60000)
+
+      nodes[0].stop()
+      expect(store.state.peerStats[id1].behaviourPenalty).to.equal(3)
+      expect(store.state.backoff[topic][id1]).to.be.gt(Date.now())
+
+      nodes[0] = new Gossipsub(nodes[0]._libp2p, { scoreStateStore: store })
+      nodes[0].start()
+      await delay(10)
+
+      expect(nodes[0].score.peerStats.get(id1).behaviourPenalty).to.equal(3)
+      expect(nodes[0].score.score(id1)).to.be.lt(0)
+      expect(nodes[0].backoff.get(topic).get(id1)).to.equal(store.state.backoff[topic][id1])
+    })
+  })
+})
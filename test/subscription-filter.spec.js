@@ -0,0 +1,108 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+
+const Gossipsub = require('../src')
+const {
+  AllowlistSubscriptionFilter,
+  RegexSubscriptionFilter,
+  LimitSubscriptionFilter
+} = require('../src/subscription-filter')
+const { ERR_TOO_MANY_SUBSCRIPTIONS, ERR_TOPIC_NOT_ALLOWED } = require('../src/constants')
+const { createPeers, connectGossipsub, stopNode, expectThrowsCode } = require('./utils')
+
+describe('subscription filter', () => {
+  const sub = (topicID, subscribe = true) => ({ topicID, subscribe })
+
+  it('should allow a list of topics', () => {
+    const filter = new AllowlistSubscriptionFilter(['a', 'b'])
+    expect(filter.canSubscribe('a')).to.equal(true)
+    expect(filter.canSubscribe('c')).to.equal(false)
+    expect(filter.filterIncomingSubscriptions('A', [sub('a'), sub('c'), sub('b', false)], new Set()))
+      .to.deep.equal([sub('a'), sub('b', false)])
+  })
+
+  it('should allow topics matching a regular expression', () => {
+    const filter = new RegexSubscriptionFilter(/^\/prefix\//)
+    expect(filter.canSubscribe('/prefix/a')).to.equal(true)
+    expect(filter.canSubscribe('/other/a')).to.equal(false)
+    expect(filter.filterIncomingSubscriptions('A', [sub('/prefix/a'), sub('/other/a')], new Set()))
+      .to.deep.equal([sub('/prefix/a')])
+  })
+
+  it('should cap the number of topics per peer', () => {
+    const filter = new LimitSubscriptionFilter(new AllowlistSubscriptionFilter(['a', 'b', 'c']), 2)
+    expect(filter.canSubscribe('a')).to.equal(true)
+    expect(filter.canSubscribe('d')).to.equal(false)
+
+    // disallowed topics don't count toward the cap
+    expect(filter.filterIncomingSubscriptions('A', [sub('a'), sub('d')], new Set(['b'])))
+      .to.deep.equal([sub('a')])
+    // unsubscriptions free some room
+    expect(filter.filterIncomingSubscriptions('A', [sub('a', false), sub('c')], new Set(['a', 'b'])))
+      .to.deep.equal([sub('a', false), sub('c')])
+    expectThrowsCode(() => filter.filterIncomingSubscriptions('A', [sub('c')], new Set(['a', 'b'])), ERR_TOO_MANY_SUBSCRIPTIONS)
+  })
+
+  it('should cap the number of topics per peer without a wrapped filter', () => {
+    const filter = new LimitSubscriptionFilter(undefined, 1)
+    expect(filter.canSubscribe('a')).to.equal(true)
+    expect(filter.filterIncomingSubscriptions('A', [sub('a')], new Set())).to.deep.equal([sub('a')])
+    expectThrowsCode(() => filter.filterIncomingSubscriptions('A', [sub('a'), sub('b')], new Set()), ERR_TOO_MANY_SUBSCRIPTIONS)
+  })
+
+  describe('gossipsub', () => {
+    let nodes
+
+    beforeEach(async () => {
+      const libp2ps = await createPeers({ number: 2 })
+      nodes = [
+        new Gossipsub(libp2ps[0]),
+        new Gossipsub(libp2ps[1], {
+          subscriptionFilter: new LimitSubscriptionFilter(new RegexSubscriptionFilter(/^a/), 2)
+        })
+      ]
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    const peerTopics = () => {
+      const id = nodes[0].peerId.toB58String()
+      return Array.from(nodes[1].topics.entries())
+        .filter(([_, peers]) => peers.has(id))
+        .map(([topic]) => topic)
+        .sort()
+    }
+
+    it('should not subscribe to topics not allowed by the filter', () => {
+      expectThrowsCode(() => nodes[1].subscribe('b'), ERR_TOPIC_NOT_ALLOWED)
+      expect(nodes[1].subscriptions.has('b')).to.equal(false)
+      nodes[1].subscribe('a')
+      expect(nodes[1].subscriptions.has('a')).to.equal(true)
+    })
+
+    it('should drop the subscriptions of peers not allowed by the filter', async () => {
+      nodes[0].subscribe('a1')
+      nodes[0].subscribe('b1')
+      await delay(100)
+      expect(peerTopics()).to.deep.equal(['a1'])
+    })
+
+    it('should drop the subscriptions of peers exceeding the cap and penalize them', async () => {
+      nodes[0].subscribe('a1')
+      nodes[0].subscribe('a2')
+      await delay(100)
+      expect(peerTopics()).to.deep.equal(['a1', 'a2'])
+
+      nodes[0].subscribe('a3')
+      await delay(100)
+      expect(peerTopics()).to.deep.equal(['a1', 'a2'])
+      const pstats = nodes[1].score.peerStats.get(nodes[0].peerId.toB58String())
+      expect(pstats.behaviourPenalty).to.equal(1)
+    })
+  })
+})
@@ -0,0 +1,76 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+
+const Gossipsub = require('../src')
+const { MemoryRendezvous } = require('../src/topic-discovery')
+const { createPeers, stopNode } = require('./utils')
+
+describe('topic discovery', () => {
+  describe('MemoryRendezvous', () => {
+    it('should find the other peers advertising a topic', async () => {
+      const [a, b] = await createPeers({ number: 2, started: false })
+      const rendezvous = new MemoryRendezvous()
+      const discoveryA = rendezvous.discovery({ id: a.peerId, addrs: [] })
+      const discoveryB = rendezvous.discovery({ id: b.peerId, addrs: [] })
+
+      await discoveryA.advertise('Z')
+      await discoveryB.advertise('Z')
+      expect((await discoveryA.findPeers('Z', 1)).map(p => p.id)).to.deep.equal([b.peerId])
+      expect(await discoveryA.findPeers('Y', 1)).to.deep.equal([])
+
+      await discoveryB.unadvertise('Z')
+      expect(await discoveryA.findPeers('Z', 1)).to.deep.equal([])
+    })
+  })
+
+  describe('gossipsub', () => {
+    const topic = 'Z'
+    let rendezvous
+    let nodes
+
+    beforeEach(async () => {
+      rendezvous = new MemoryRendezvous()
+      const libp2ps = await createPeers({ number: 2, seedAddressBook: false })
+      nodes = libp2ps.map(libp2p => new Gossipsub(libp2p, {
+        topicDiscovery: rendezvous.discovery({ id: libp2p.peerId, addrs: libp2p.multiaddrs }),
+        topicDiscoveryInterval: 60000
+      }))
+      nodes.forEach(n => n.start())
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    it('should discover and connect to the peers of an under-peered topic', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      nodes.forEach(n => n.subscribe(topic))
+      expect(rendezvous.registrations.get(topic).size).to.equal(2)
+
+      let queries = 0
+      const findPeers = nodes[0]._options.topicDiscovery.findPeers
+      nodes[0]._options.topicDiscovery.findPeers = (...args) => {
+        queries++
+        return findPeers.apply(nodes[0]._options.topicDiscovery, args)
+      }
+
+      const evt = await new Promise(resolve => nodes[0].once('gossipsub:under-peered', resolve))
+      expect(evt).to.deep.equal({ topic, peers: 0, Dlo: nodes[0]._options.Dlo })
+
+      await delay(500)
+      expect(nodes[0].peers.has(id1)).to.equal(true)
+
+      // the discovery is rate limited
+      await new Promise(resolve => nodes[0].once('gossipsub:heartbeat', resolve))
+      await new Promise(resolve => nodes[0].once('gossipsub:heartbeat', resolve))
+      expect(queries).to.equal(1)
+    })
+
+    it('should stop advertising the topics we leave', () => {
+      nodes[0].subscribe(topic)
+      nodes[0].unsubscribe(topic)
+      expect(rendezvous.registrations.has(topic)).to.equal(false)
+    })
+  })
+})
@@ -0,0 +1,102 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const {
+  createConnectedGossipsubs,
+  stopNode
+} = require('./utils')
+
+const shouldNotHappen = () => expect.fail()
+
+describe('topic validators', () => {
+  const topic = 'Z'
+  const validatorTimeout = 200
+  let nodes
+
+  beforeEach(async () => {
+    nodes = await createConnectedGossipsubs({
+      number: 2,
+      options: { validatorTimeout, scoreParams: { topics: { [topic]: {} } } }
+    })
+    nodes.forEach(n => n.subscribe(topic))
+
+    // await subscription propagation and mesh building
+    await delay(50)
+    await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+  })
+
+  afterEach(() => Promise.all(nodes.map(stopNode)))
+
+  const invalidMessageDeliveries = () => {
+    const pstats = nodes[1].score.peerStats.get(nodes[0].peerId.toB58String())
+    return pstats.topics[topic] ? pstats.topics[topic].invalidMessageDeliveries : 0
+  }
+
+  it('should deliver accepted messages', async () => {
+    nodes[1].addTopicValidator(topic, () => 'accept')
+
+    const promise = new Promise((resolve) => nodes[1].once(topic, resolve))
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+
+    const msg = await promise
+    expect(msg.data.toString()).to.equal('hey')
+    expect(invalidMessageDeliveries()).to.equal(0)
+  })
+
+  it('should drop ignored messages without penalty', async () => {
+    nodes[1].addTopicValidator(topic, async () => 'ignore')
+    nodes[1].on(topic, shouldNotHappen)
+
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    await delay(100)
+
+    expect(invalidMessageDeliveries()).to.equal(0)
+    nodes[1].removeListener(topic, shouldNotHappen)
+  })
+
+  it('should drop rejected messages with penalty', async () => {
+    nodes[1].addTopicValidator(topic, async () => 'reject')
+    nodes[1].on(topic, shouldNotHappen)
+
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    await delay(100)
+
+    expect(invalidMessageDeliveries()).to.equal(1)
+    nodes[1].removeListener(topic, shouldNotHappen)
+  })
+
+  it('should reject messages when the validator throws', async () => {
+    nodes[1].addTopicValidator(topic, () => { throw new Error('boom') })
+    nodes[1].on(topic, shouldNotHappen)
+
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    await delay(100)
+
+    expect(invalidMessageDeliveries()).to.equal(1)
+    nodes[1].removeListener(topic, shouldNotHappen)
+  })
+
+  it('should ignore messages when the validator times out', async () => {
+    nodes[1].addTopicValidator(topic, () => new Promise(() => {}))
+    nodes[1].on(topic, shouldNotHappen)
+
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    await delay(validatorTimeout + 100)
+
+    expect(invalidMessageDeliveries()).to.equal(0)
+    nodes[1].removeListener(topic, shouldNotHappen)
+  })
+
+  it('should deliver messages once the validator is removed', async () => {
+    nodes[1].addTopicValidator(topic, () => 'reject')
+    nodes[1].removeTopicValidator(topic)
+
+    const promise = new Promise((resolve) => nodes[1].once(topic, resolve))
+    await nodes[0].publish(topic, uint8ArrayFromString('hey'))
+    await promise
+  })
+})
@@ -0,0 +1,168 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('chai')
+const delay = require('delay')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Reader } = require('protobufjs/minimal')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+const { toString: uint8ArrayToString } = require('uint8arrays/to-string')
+
+const Gossipsub = require('../src')
+const { TraceEvent } = require('../src/message/trace')
+const { JSONTracer, PBTracer } = require('../src/event-tracers')
+const { createPeers, connectGossipsub, stopNode } = require('./utils')
+
+describe('trace', () => {
+  describe('event tracers', () => {
+    const peerID = uint8ArrayFromString('peer')
+    const events = [
+      { type: TraceEvent.Type.JOIN, peerID, timestamp: 1000, join: { topic: 'foo' } },
+      { type: TraceEvent.Type.GRAFT, peerID, timestamp: 2000, graft: { peerID, topic: 'foo' } }
+    ]
+    let file
+
+    beforeEach(() => {
+      file = path.join(os.tmpdir(), `gossipsub-trace-${Date.now()}-${Math.random()}`)
+    })
+
+    afterEach(() => fs.promises.unlink(file))
+
+    it('should write newline-delimited JSON', async () => {
+      const tracer = new JSONTracer(file)
+      events.forEach(evt => tracer.trace(evt))
+      await tracer.close()
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n')
+      expect(lines).to.have.length(3)
+      expect(lines[2]).to.equal('')
+      expect(JSON.parse(lines[0])).to.deep.equal({
+        type: TraceEvent.Type.JOIN,
+        peerID: uint8ArrayToString(peerID, 'base64pad'),
+        timestamp: 1000,
+        join: { topic: 'foo' }
+      })
+      expect(JSON.parse(lines[1]).graft.peerID).to.equal(uint8ArrayToString(peerID, 'base64pad'))
+    })
+
+    it('should write length-delimited protobuf', async () => {
+      const tracer = new PBTracer(file)
+      events.forEach(evt => tracer.trace(evt))
+      await tracer.close()
+
+      const reader = Reader.create(fs.readFileSync(file))
+      const decoded = []
+      while (reader.pos < reader.len) {
+        decoded.push(TraceEvent.decode(reader.bytes()))
+      }
+      expect(decoded).to.have.length(2)
+      expect(decoded[0].type).to.equal(TraceEvent.Type.JOIN)
+      expect(decoded[0].join.topic).to.equal('foo')
+      expect(decoded[1].timestamp.toString()).to.equal('2000')
+      expect(uint8ArrayToString(decoded[1].graft.peerID)).to.equal('peer')
+    })
+
+    it('should stop writing to an unwritable file', async () => {
+      // a file can't be created under a regular file
+      fs.writeFileSync(file, '')
+      const tracer = new JSONTracer(path.join(file, 'trace.json'))
+      events.forEach(evt => tracer.trace(evt))
+      await delay(100)
+
+      expect(tracer.error).to.have.property('code', 'ENOTDIR')
+      tracer.trace(events[0])
+      let err
+      try {
+        await tracer.close()
+      } catch (e) {
+        err = e
+      }
+      expect(err).to.equal(tracer.error)
+    })
+  })
+
+  describe('gossipsub', () => {
+    const topic = 'Z'
+    let nodes
+    let raw
+    let traced
+
+    beforeEach(async () => {
+      raw = []
+      traced = []
+      const rawTracer = {
+        join: (topic) => raw.push(['join', topic]),
+        graft: (id, topic) => raw.push(['graft', id, topic]),
+        publishMessage: (msg) => raw.push(['publishMessage', msg.topicIDs[0]]),
+        deliverMessage: (msg) => raw.push(['deliverMessage', msg.receivedFrom]),
+        throttlePeer: () => { throw new Error('unexpected') }
+      }
+      const libp2ps = await createPeers({ number: 2 })
+      nodes = [
+        new Gossipsub(libp2ps[0], { rawTracers: [rawTracer], eventTracer: { trace: (evt) => traced.push(evt) } }),
+        new Gossipsub(libp2ps[1])
+      ]
+      nodes.forEach(n => n.start())
+      await connectGossipsub(nodes[0], nodes[1])
+      nodes.forEach(n => n.subscribe(topic))
+      await delay(50)
+      await Promise.all(nodes.map(n => new Promise((resolve) => n.once('gossipsub:heartbeat', resolve))))
+    })
+
+    afterEach(() => Promise.all(nodes.map(stopNode)))
+
+    it('should call the raw tracers', async () => {
+      const id1 = nodes[1].peerId.toB58String()
+      expect(raw).to.deep.include(['join', topic])
+      expect(raw).to.deep.include(['graft', id1, topic])
+
+      const received = new Promise((resolve) => nodes[0].once(topic, resolve))
+      await nodes[1].publish(topic, uint8ArrayFromString('hey'))
+      await received
+      await nodes[0].publish(topic, uint8ArrayFromString('hello'))
+
+      expect(raw).to.deep.include(['deliverMessage', id1])
+      expect(raw).to.deep.include(['publishMessage', topic])
+    })
+
+    it('should trace events in the go-libp2p-pubsub format', async () => {
+      const received = new Promise((resolve) => nodes[0].once(topic, resolve))
+      await nodes[1].publish(topic, uint8ArrayFromString('hey'))
+      await received
+      await delay(10)
+
+      const id0 = nodes[0].peerId.toBytes()
+      const id1 = nodes[1].peerId.toBytes()
+      traced.forEach(evt => {
+        expect(evt.peerID).to.deep.equal(id0)
+        expect(evt.timestamp).to.be.a('number')
+      })
+
+      const types = traced.map(evt => evt.type)
+      expect(types).to.include.members([
+        TraceEvent.Type.ADD_PEER,
+        TraceEvent.Type.JOIN,
+        TraceEvent.Type.GRAFT,
+        TraceEvent.Type.SEND_RPC,
+        TraceEvent.Type.RECV_RPC,
+        TraceEvent.Type.DELIVER_MESSAGE
+      ])
+
+      const addPeer = traced.find(evt => evt.type === TraceEvent.Type.ADD_PEER).addPeer
+      expect(addPeer.peerID).to.deep.equal(id1)
+      expect(addPeer.proto).to.equal(nodes[0].multicodecs[0])
+
+      const deliver = traced.find(evt => evt.type === TraceEvent.Type.DELIVER_MESSAGE).deliverMessage
+      expect(deliver.topic).to.equal(topic)
+      expect(deliver.receivedFrom).to.deep.equal(id1)
+
+      const recv = traced.find(evt => evt.type === TraceEvent.Type.RECV_RPC && evt.recvRPC.meta.messages.length)
+      expect(recv.recvRPC.meta.messages[0].messageID).to.deep.equal(deliver.messageID)
+
+      // trace events can be encoded in the go-libp2p-pubsub protobuf format
+      traced.forEach(evt => TraceEvent.encode(evt).finish())
+    })
+  })
+})
@@ -14,6 +14,17 @@ exports.expectSet = (set, list) => {
   })
 }
 
+exports.expectThrowsCode = (fn, code) => {
+  let err
+  try {
+    fn()
+  } catch (e) {
+    err = e
+  }
+  expect(err).to.be.an.instanceof(Error)
+  expect(err.code).to.eql(code)
+}
+
 const createPeerId = async () => {
   const peerId = await PeerId.create({ bits: 1024 })
 
@@ -0,0 +1,108 @@
+const { expect } = require('chai')
+const delay = require('delay')
+
+const { ValidationQueue } = require('../src/validation-queue')
+const { ERR_VALIDATION_THROTTLED } = require('../src/constants')
+const { makeTestMessage } = require('./utils')
+
+describe('ValidationQueue', () => {
+  const createQueue = (options) => new ValidationQueue({
+    concurrency: 2,
+    topicConcurrency: {},
+    queueSize: 2,
+    dropPolicy: 'drop-newest',
+    ...options
+  })
+
+  // A validation which completes once resolved from the test
+  const pendingValidation = () => {
+    let done
+    const validate = () => new Promise((resolve) => { done = resolve })
+    return { validate, done: () => done() }
+  }
+
+  const settled = (promise) => promise.then(() => 'resolved', (err) => err.code)
+
+  it('should bound the number of concurrent validations', async () => {
+    const q = createQueue()
+    const validations = [0, 1, 2].map(() => pendingValidation())
+    const results = validations.map((v, i) => settled(q.validate(makeTestMessage(i, ['a']), v.validate)))
+
+    expect(q.active).to.equal(2)
+    expect(q.size).to.equal(1)
+
+    validations[0].done()
+    await delay(0)
+    expect(q.active).to.equal(2)
+    expect(q.size).to.equal(0)
+
+    validations[1].done()
+    validations[2].done()
+    expect(await Promise.all(results)).to.deep.equal(['resolved', 'resolved', 'resolved'])
+    expect(q.stats).to.deep.equal({ queued: 1, dropped: 0, validated: 3 })
+  })
+
+  it('should bound the number of concurrent validations per topic', async () => {
+    const q = createQueue({ topicConcurrency: { a: 1 } })
+    const validations = [0, 1, 2].map(() => pendingValidation())
+    q.validate(makeTestMessage(0, ['a']), validations[0].validate)
+    q.validate(makeTestMessage(1, ['a']), validations[1].validate)
+    // another topic is not blocked by the queued message of topic a
+    q.validate(makeTestMessage(2, ['b']), validations[2].validate)
+
+    expect(q.active).to.equal(2)
+    expect(q.size).to.equal(1)
+    expect(q.topicActive.get('b')).to.equal(1)
+
+    validations[0].done()
+    await delay(0)
+    expect(q.active).to.equal(2)
+    expect(q.size).to.equal(0)
+    expect(q.topicActive.get('a')).to.equal(1)
+    expect(q.topicActive.get('b')).to.equal(1)
+  })
+
+  it('should propagate validation errors', async () => {
+    const q = createQueue()
+    const err = Object.assign(new Error('invalid'), { code: 'ERR_INVALID' })
+    expect(await settled(q.validate(makeTestMessage(0), () => Promise.reject(err)))).to.equal('ERR_INVALID')
+    expect(q.active).to.equal(0)
+    expect(q.stats.validated).to.equal(1)
+  })
+
+  it('should drop the newest message once the queue is full', async () => {
+    const q = createQueue({ concurrency: 1, queueSize: 1 })
+    const validation = pendingValidation()
+    q.validate(makeTestMessage(0), validation.validate)
+    const queued = settled(q.validate(makeTestMessage(1), () => Promise.resolve()))
+    const dropped = settled(q.validate(makeTestMessage(2), () => Promise.resolve()))
+
+    expect(await dropped).to.equal(ERR_VALIDATION_THROTTLED)
+    validation.done()
+    expect(await queued).to.equal('resolved')
+    expect(q.stats).to.deep.equal({ queued: 1, dropped: 1, validated: 2 })
+  })
+
+  it('should drop the oldest message once the queue is full', async () => {
+    const q = createQueue({ concurrency: 1, queueSize: 1, dropPolicy: 'drop-oldest' })
+    const validation = pendingValidation()
+    q.validate(makeTestMessage(0), validation.validate)
+    const dropped = settled(q.validate(makeTestMessage(1), () => Promise.resolve()))
+    const queued = settled(q.validate(makeTestMessage(2), () => Promise.resolve()))
+
+    expect(await dropped).to.equal(ERR_VALIDATION_THROTTLED)
+    validation.done()
+    expect(await queued).to.equal('resolved')
+    expect(q.stats).to.deep.equal({ queued: 2, dropped: 1, validated: 2 })
+  })
+
+  it('should drop the queued messages when cleared', async () => {
+    const q = createQueue({ concurrency: 1 })
+    q.validate(makeTestMessage(0), pendingValidation().validate)
+    const dropped = settled(q.validate(makeTestMessage(1), () => Promise.resolve()))
+
+    q.clear()
+    expect(await dropped).to.equal(ERR_VALIDATION_THROTTLED)
+    expect(q.size).to.equal(0)
+  })
+})
@@ -0,0 +1,181 @@
+import { isIPInRanges, isValidIPRange } from './score/ip-group'
+import { ERR_INVALID_IP_RANGE } from './constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+/**
+ * Banned peers and IP ranges, persisted across restarts
+ */
+export interface BlacklistState {
+  /**
+   * peer id => ban expiration time, or 0 if the ban doesn't expire
+   */
+  peers: Record<string, number>
+  /**
+   * IP or CIDR range => ban expiration time, or 0 if the ban doesn't expire
+   */
+  ips: Record<string, number>
+}
+
+/**
+ * BlacklistStore persists the ban list when it changes, and loads it back when gossipsub starts
+ */
+export interface BlacklistStore {
+  /**
+   * @returns {Promise<BlacklistState|undefined>} undefined if no ban list was saved
+   */
+  load (): Promise<BlacklistState | undefined>
+  /**
+   * @param {BlacklistState} state
+   * @returns {Promise<void>}
+   */
+  save (state: BlacklistState): Promise<void>
+}
+
+/**
+ * Blacklist tracks the banned peers and IP ranges; expired bans are dropped lazily
+ */
+export class Blacklist {
+  /**
+   * peer id => ban expiration time, or 0 if the ban doesn't expire
+   */
+  peers: Map<string, number>
+  /**
+   * IP or CIDR range => ban expiration time, or 0 if the ban doesn't expire
+   */
+  ips: Map<string, number>
+  private now: () => number
+
+  /**
+   * @param {Function} [now] current time in milliseconds
+   */
+  constructor (now: () => number = Date.now) {
+    this.peers = new Map()
+    this.ips = new Map()
+    this.now = now
+  }
+
+  /**
+   * @param {string} id
+   * @param {number} [ttl] duration of the ban in milliseconds, forever if not set
+   * @returns {void}
+   */
+  addPeer (id: string, ttl?: number): void {
+    this.peers.set(id, this._expire(ttl))
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} true if the peer was banned
+   */
+  removePeer (id: string): boolean {
+    return this.peers.delete(id)
+  }
+
+  /**
+   * Throws if range is not an IP or a CIDR range
+   * @param {string} range IP or CIDR range, e.g. 10.0.0.0/8
+   * @param {number} [ttl] duration of the ban in milliseconds, forever if not set
+   * @returns {void}
+   */
+  addIP (range: string, ttl?: number): void {
+    if (!isValidIPRange(range)) {
+      throw errcode(new Error(`invalid IP range ${range}; must be an IP or a CIDR range`), ERR_INVALID_IP_RANGE)
+    }
+    this.ips.set(range, this._expire(ttl))
+  }
+
+  /**
+   * @param {string} range
+   * @returns {boolean} true if the range was banned
+   */
+  removeIP (range: string): boolean {
+    return this.ips.delete(range)
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  hasPeer (id: string): boolean {
+    const expire = this.peers.get(id)
+    if (expire === undefined) {
+      return false
+    }
+    if (this._expired(expire)) {
+      this.peers.delete(id)
+      return false
+    }
+    return true
+  }
+
+  /**
+   * @param {string} ip
+   * @returns {boolean} true if the IP is in a banned range
+   */
+  hasIP (ip: string): boolean {
+    if (!this.ips.size) {
+      return false
+    }
+    this.ips.forEach((expire, range) => {
+      if (this._expired(expire)) {
+        this.ips.delete(range)
+      }
+    })
+    return this.ips.has(ip) || isIPInRanges(ip, this.ips.keys())
+  }
+
+  /**
+   * @returns {BlacklistState}
+   */
+  export (): BlacklistState {
+    const state: BlacklistState = { peers: {}, ips: {} }
+    this.peers.forEach((expire, id) => {
+      if (!this._expired(expire)) {
+        state.peers[id] = expire
+      }
+    })
+    this.ips.forEach((expire, range) => {
+      if (!this._expired(expire)) {
+        state.ips[range] = expire
+      }
+    })
+    return state
+  }
+
+  /**
+   * Add the unexpired bans of a saved ban list, keeping the current bans
+   * Invalid IP ranges are skipped
+   * @param {BlacklistState} state
+   * @returns {void}
+   */
+  import (state: BlacklistState): void {
+    Object.entries(state.peers).forEach(([id, expire]) => {
+      if (!this._expired(expire) && !this.peers.has(id)) {
+        this.peers.set(id, expire)
+      }
+    })
+    Object.entries(state.ips).forEach(([range, expire]) => {
+      if (!this._expired(expire) && !this.ips.has(range) && isValidIPRange(range)) {
+        this.ips.set(range, expire)
+      }
+    })
+  }
+
+  /**
+   * @param {number} [ttl]
+   * @returns {number}
+   */
+  _expire (ttl?: number): number {
+    return ttl === undefined ? 0 : this.now() + ttl
+  }
+
+  /**
+   * @param {number} expire
+   * @returns {boolean}
+   */
+  _expired (expire: number): boolean {
+    return expire !== 0 && expire <= this.now()
+  }
+}
@@ -0,0 +1,228 @@
+import debug = require('debug')
+import AbortController from 'abort-controller'
+
+const log = debug('libp2p:gossipsub:connection-scheduler')
+
+export interface ConnectionSchedulerOptions {
+  /**
+   * connectors is the maximum number of concurrent connection attempts
+   */
+  connectors: number
+  /**
+   * maxPending is the maximum number of peers waiting for a connection attempt
+   */
+  maxPending: number
+  /**
+   * timeout is the time in milliseconds after which a connection attempt is aborted
+   */
+  timeout: number
+  /**
+   * backoffBase is the backoff time in milliseconds after the first failed connection attempt to a peer,
+   * it doubles after every subsequent failure
+   */
+  backoffBase: number
+  /**
+   * backoffMax is the maximum backoff time in milliseconds
+   */
+  backoffMax: number
+  /**
+   * maxRetries is the number of consecutive failed connection attempts to a peer retried once backed off,
+   * later attempts wait for the peer to be scheduled again
+   */
+  maxRetries: number
+}
+
+/**
+ * Connect to a peer, aborting the connection attempt once the signal is aborted
+ */
+export type DialFn = (id: string, signal: AbortSignal) => Promise<void>
+
+interface ConnectionBackoff {
+  /**
+   * Number of consecutive failed connection attempts
+   */
+  failures: number
+  /**
+   * Time before which we don't attempt to connect to the peer again
+   */
+  expire: number
+}
+
+/**
+ * ConnectionScheduler attempts connections to peers with a bounded number of concurrent attempts,
+ * a bounded pending queue, and an exponential backoff with jitter per peer after failed attempts.
+ */
+export class ConnectionScheduler {
+  dial: DialFn
+  options: ConnectionSchedulerOptions
+  /**
+   * Peers waiting for a connection attempt, in scheduling order
+   */
+  pending: Set<string>
+  /**
+   * Connection attempts in progress
+   * peer id => abort controller
+   */
+  active: Map<string, AbortController>
+  /**
+   * Backoff state of the peers whose last connection attempt failed
+   * peer id => backoff
+   */
+  backoff: Map<string, ConnectionBackoff>
+  /**
+   * Connection attempts retried once the backoff expires
+   * peer id => retry timer
+   */
+  retries: Map<string, ReturnType<typeof setTimeout>>
+
+  /**
+   * @param {DialFn} dial
+   * @param {ConnectionSchedulerOptions} options
+   */
+  constructor (dial: DialFn, options: ConnectionSchedulerOptions) {
+    this.dial = dial
+    this.options = options
+    this.pending = new Set()
+    this.active = new Map()
+    this.backoff = new Map()
+    this.retries = new Map()
+  }
+
+  /**
+   * Schedule a connection attempt to a peer
+   * @param {string} id
+   * @returns {boolean} false if the peer is already scheduled, backing off, or the pending queue is full
+   */
+  schedule (id: string): boolean {
+    if (this.pending.has(id) || this.active.has(id)) {
+      return false
+    }
+
+    const backoff = this.backoff.get(id)
+    if (backoff && backoff.expire > Date.now()) {
+      log('not connecting to %s, backing off after %d failed attempts', id, backoff.failures)
+      return false
+    }
+
+    return this._enqueue(id)
+  }
+
+  /**
+   * Remove the backoff state which no longer affects the connection attempts
+   * @returns {void}
+   */
+  prune (): void {
+    const now = Date.now()
+    this.backoff.forEach((backoff, id) => {
+      // keep the failure count until the maximum backoff has elapsed, so that it keeps growing
+      if (backoff.expire + this.options.backoffMax < now) {
+        this.backoff.delete(id)
+      }
+    })
+  }
+
+  /**
+   * Abort the connection attempts in progress and drop the pending ones
+   * @returns {void}
+   */
+  stop (): void {
+    this.pending.clear()
+    this.active.forEach(controller => controller.abort())
+    this.active.clear()
+    this.backoff.clear()
+    this.retries.forEach(timer => clearTimeout(timer))
+    this.retries.clear()
+  }
+
+  /**
+   * Add a peer to the pending queue, if not full
+   * @param {string} id
+   * @returns {boolean}
+   */
+  _enqueue (id: string): boolean {
+    if (this.pending.size >= this.options.maxPending) {
+      log('not connecting to %s, too many pending connections', id)
+      return false
+    }
+
+    this.pending.add(id)
+    this._next()
+    return true
+  }
+
+  /**
+   * Start the pending connection attempts allowed by the concurrency limit
+   * @returns {void}
+   */
+  _next (): void {
+    for (const id of this.pending) {
+      if (this.active.size >= this.options.connectors) {
+        return
+      }
+      this.pending.delete(id)
+      this._connect(id)
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {void}
+   */
+  _connect (id: string): void {
+    const controller = new AbortController()
+    const timeout = setTimeout(() => controller.abort(), this.options.timeout)
+    this.active.set(id, controller)
+
+    this.dial(id, controller.signal)
+      .then(() => {
+        this.backoff.delete(id)
+      }, (err) => {
+        const failures = (this.backoff.get(id) || { failures: 0 }).failures + 1
+        const delay = this._backoffDelay(failures)
+        log('connection to %s failed %d times, backing off for %dms: %s', id, failures, delay, err.message)
+        this.backoff.set(id, { failures, expire: Date.now() + delay })
+        // the attempt may have been aborted by stop
+        if (failures <= this.options.maxRetries && this.active.get(id) === controller) {
+          this._retry(id, delay)
+        }
+      })
+      .then(() => {
+        clearTimeout(timeout)
+        // the attempt may have been aborted by stop
+        if (this.active.get(id) === controller) {
+          this.active.delete(id)
+          this._next()
+        }
+      })
+  }
+
+  /**
+   * Schedule a connection attempt to a peer once its backoff expires
+   * @param {string} id
+   * @param {number} delay
+   * @returns {void}
+   */
+  _retry (id: string, delay: number): void {
+    const timer = this.retries.get(id)
+    if (timer) {
+      clearTimeout(timer)
+    }
+    this.retries.set(id, setTimeout(() => {
+      this.retries.delete(id)
+      // the timer may fire a little early, so the backoff is not checked again
+      if (!this.pending.has(id) && !this.active.has(id)) {
+        this._enqueue(id)
+      }
+    }, delay))
+  }
+
+  /**
+   * Exponential backoff with jitter: a random delay between half and the whole of the exponential delay
+   * @param {number} failures
+   * @returns {number}
+   */
+  _backoffDelay (failures: number): number {
+    const delay = Math.min(this.options.backoffMax, this.options.backoffBase * Math.pow(2, failures - 1))
+    return delay / 2 + Math.random() * delay / 2
+  }
+}
@@ -20,6 +20,14 @@ export const GossipsubIDv10 = '/quorum/nevis/meshsub/1.0.0'
  */
 export const GossipsubIDv11 = '/quorum/nevis/meshsub/1.1.0'
 
+/**
+ * The protocol ID for version 1.2.0 of the Gossipsub protocol
+ * It is advertised along with GossipsubIDv11 and GossipsubIDv10 for backwards compatability
+ * See the spec for details about how v1.2.0 compares to v1.1.0:
+ * https://github.com/libp2p/specs/blob/master/pubsub/gossipsub/gossipsub-v1.2.md
+ */
+export const GossipsubIDv12 = '/quorum/nevis/meshsub/1.2.0'
+
 // Overlay parameters
 
 /**
@@ -101,6 +109,24 @@ export const GossipsubGossipFactor = 0.25
  */
 export const GossipsubGossipRetransmission = 3
 
+/**
+ * GossipsubIDontWantMessageThreshold is the size in bytes of a message above which we send IDONTWANT
+ * to our mesh peers once we receive it. Smaller messages are cheaper to receive twice than to announce.
+ */
+export const GossipsubIDontWantMessageThreshold = 1024
+
+/**
+ * GossipsubIDontWantMessageTTL controls how many heartbeats we remember the message IDs a peer
+ * told us it doesn't want through IDONTWANT.
+ */
+export const GossipsubIDontWantMessageTTL = 3
+
+/**
+ * GossipsubMaxIDontWantMessages is the maximum number of IDONTWANT message IDs to accept from a peer
+ * within a heartbeat, to protect from IDONTWANT floods.
+ */
+export const GossipsubMaxIDontWantMessages = 1000
+
 // Heartbeat interval
 
 /**
@@ -160,6 +186,36 @@ export const GossipsubMaxPendingConnections = 128
  */
 export const GossipsubConnectionTimeout = 30 * second
 
+/**
+ * GossipsubConnectionBackoff is the backoff time after a failed connection attempt to a peer.
+ * It doubles after every subsequent failed attempt, up to GossipsubConnectionBackoffMax.
+ */
+export const GossipsubConnectionBackoff = 5 * second
+
+/**
+ * GossipsubConnectionBackoffMax is the maximum backoff time after failed connection attempts to a peer.
+ */
+export const GossipsubConnectionBackoffMax = 5 * minute
+
+/**
+ * GossipsubConnectionRetries is the number of consecutive failed connection attempts to a peer which are retried
+ * once backed off. Later attempts wait for the peer to be scheduled again, eg: every GossipsubDirectConnectTicks
+ * heartbeats for direct peers.
+ */
+export const GossipsubConnectionRetries = 5
+
+/**
+ * GossipsubGraylistDisconnectCooldown is the time during which we refuse the connections of a peer
+ * we disconnected for staying graylisted.
+ */
+export const GossipsubGraylistDisconnectCooldown = 10 * minute
+
+/**
+ * GossipsubTopicDiscoveryInterval is the minimum time between two peer discoveries for a topic whose mesh
+ * stays below Dlo.
+ */
+export const GossipsubTopicDiscoveryInterval = minute
+
 /**
  * GossipsubDirectConnectTicks is the number of heartbeat ticks for attempting to reconnect direct peers
  * that are not currently connected.
@@ -204,6 +260,36 @@ export const GossipsubMaxIHaveLength = 5000
  */
 export const GossipsubMaxIHaveMessages = 10
 
+/**
+ * GossipsubMaxRpcSize is the maximum size in bytes of an encoded RPC we accept from a peer.
+ * Larger RPCs are dropped without being decoded.
+ * It matches the maximum length of the stream messages, so that it only applies when lowered.
+ */
+export const GossipsubMaxRpcSize = 4 * 1024 * 1024
+
+/**
+ * GossipsubMaxRpcMessages is the maximum number of messages we accept in a single RPC.
+ * This is large enough for a response to a full IWANT request.
+ */
+export const GossipsubMaxRpcMessages = GossipsubMaxIHaveLength
+
+/**
+ * GossipsubMaxRpcSubscriptions is the maximum number of subscriptions we accept in a single RPC.
+ */
+export const GossipsubMaxRpcSubscriptions = 5000
+
+/**
+ * GossipsubMaxRpcControlEntries is the maximum number of control entries of each type
+ * (IHAVE, IWANT, GRAFT, PRUNE, IDONTWANT) we accept in a single RPC.
+ */
+export const GossipsubMaxRpcControlEntries = 5000
+
+/**
+ * GossipsubMaxRpcMessageIDs is the maximum number of message ids we accept in a single
+ * IHAVE, IWANT or IDONTWANT entry.
+ */
+export const GossipsubMaxRpcMessageIDs = GossipsubMaxIHaveLength
+
 /**
  * Time to wait for a message requested through IWANT following an IHAVE advertisement.
  * If the message is not received within this window, a broken promise is declared and
@@ -211,6 +297,30 @@ export const GossipsubMaxIHaveMessages = 10
  */
 export const GossipsubIWantFollowupTime = 3 * second
 
+/**
+ * GossipsubValidatorTimeout is the time in milliseconds to wait for a topic validator to return
+ * a result. Messages whose validation times out are ignored.
+ */
+export const GossipsubValidatorTimeout = 10 * second
+
+/**
+ * GossipsubAsyncValidationTimeout is the time in milliseconds to wait for the application to report
+ * the validation result of a message when using asynchronous validation.
+ * Messages whose validation result is not reported in time are ignored.
+ */
+export const GossipsubAsyncValidationTimeout = 12 * second
+
+/**
+ * GossipsubValidationConcurrency is the maximum number of messages validated at the same time.
+ */
+export const GossipsubValidationConcurrency = 64
+
+/**
+ * GossipsubValidationQueueSize is the maximum number of messages waiting to be validated.
+ * Once the queue is full, messages are dropped without penalizing their senders.
+ */
+export const GossipsubValidationQueueSize = 1024
+
 /**
  * Time in milliseconds to keep message ids in the seen cache
  */
@@ -220,3 +330,10 @@ export const TimeCacheDuration = 120 * 1000
 
 export const ERR_TOPIC_VALIDATOR_REJECT = 'ERR_TOPIC_VALIDATOR_REJECT'
 export const ERR_TOPIC_VALIDATOR_IGNORE = 'ERR_TOPIC_VALIDATOR_IGNORE'
+export const ERR_VALIDATION_THROTTLED = 'ERR_VALIDATION_THROTTLED'
+export const ERR_TOO_MANY_SUBSCRIPTIONS = 'ERR_TOO_MANY_SUBSCRIPTIONS'
+export const ERR_TOPIC_NOT_ALLOWED = 'ERR_TOPIC_NOT_ALLOWED'
+export const ERR_INVALID_TOPIC_MESH_PARAMS = 'ERR_INVALID_TOPIC_MESH_PARAMS'
+export const ERR_INVALID_IP_RANGE = 'ERR_INVALID_IP_RANGE'
+export const ERR_INVALID_PEER_TAG_WEIGHTS = 'ERR_INVALID_PEER_TAG_WEIGHTS'
+export const ERR_INVALID_RATE_LIMIT_PARAMS = 'ERR_INVALID_RATE_LIMIT_PARAMS'
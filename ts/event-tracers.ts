@@ -0,0 +1,73 @@
+import { TraceEvent, ITraceEvent } from './message/trace'
+import { EventTracer } from './trace'
+import { Writer } from 'protobufjs/minimal'
+import fs = require('fs')
+import debug = require('debug')
+
+const log = debug('libp2p:gossipsub:trace')
+
+/**
+ * File sink of trace events
+ */
+abstract class FileTracer implements EventTracer {
+  stream: fs.WriteStream
+  /**
+   * Error of the file, after which the trace events are dropped
+   */
+  error: Error | null
+
+  /**
+   * @param {string} path file to write the trace to, truncated if it exists
+   */
+  constructor (path: string) {
+    this.stream = fs.createWriteStream(path)
+    this.error = null
+    this.stream.on('error', (err) => {
+      log('error writing the trace to %s, no longer tracing: %s', path, err.message)
+      this.error = err
+    })
+  }
+
+  trace (evt: ITraceEvent): void {
+    if (this.error) {
+      return
+    }
+    this.stream.write(this.encode(evt))
+  }
+
+  /**
+   * Flush the pending trace events and close the file
+   * @returns {Promise<void>} rejects with the error of the file, if any
+   */
+  close (): Promise<void> {
+    if (this.error) {
+      return Promise.reject(this.error)
+    }
+    return new Promise((resolve, reject) => {
+      this.stream.once('error', reject)
+      this.stream.end(resolve)
+    })
+  }
+
+  abstract encode (evt: ITraceEvent): string | Uint8Array
+}
+
+/**
+ * JSONTracer writes trace events to a file as newline-delimited JSON,
+ * in the format of the go-libp2p-pubsub JSON tracer: bytes fields are base64 encoded
+ */
+export class JSONTracer extends FileTracer {
+  encode (evt: ITraceEvent): string {
+    return JSON.stringify(TraceEvent.toObject(evt as TraceEvent, { bytes: String })) + '\n'
+  }
+}
+
+/**
+ * PBTracer writes trace events to a file as length-delimited protobuf messages,
+ * in the format of the go-libp2p-pubsub protobuf tracer
+ */
+export class PBTracer extends FileTracer {
+  encode (evt: ITraceEvent): Uint8Array {
+    return Writer.create().bytes(TraceEvent.encode(evt).finish()).finish()
+  }
+}
@@ -3,7 +3,7 @@ import Gossipsub = require('./index')
 
 /**
  * Given a topic, returns up to count peers subscribed to that topic
- * that pass an optional filter function
+ * that are not blacklisted and pass an optional filter function
  *
  * @param {Gossipsub} router
  * @param {String} topic
@@ -33,6 +33,7 @@ export function getGossipPeers (
     }
     if (
       hasGossipProtocol(peerStreams.protocol) &&
+      !router._isBlacklisted(id) &&
       filter(id)
     ) {
       peers.push(id)
@@ -64,14 +64,8 @@ export class Heartbeat {
    * @returns {void}
    */
   _heartbeat (): void {
-    const {
-      D,
-      Dlo,
-      Dhi,
-      Dscore,
-      Dout,
-      fanoutTTL
-    } = this.gossipsub._options
+    const { fanoutTTL } = this.gossipsub._options
+    const heartbeatStart = Date.now()
     this.gossipsub.heartbeatTicks++
 
     // cache scores throught the heartbeat
@@ -99,14 +93,43 @@ export class Heartbeat {
     this.gossipsub.peerhave.clear()
     this.gossipsub.iasked.clear()
 
+    // clean up IDONTWANT counters and expired records
+    this.gossipsub.idontwantCounts.clear()
+    this.gossipsub._clearDontWant()
+
+    // clean up the rate limiter buckets which are full again
+    this.gossipsub.rateLimiter.prune()
+
     // apply IWANT request penalties
     this.gossipsub._applyIwantPenalties()
 
+    // disconnect from the peers which stayed graylisted
+    this.gossipsub._disconnectGraylisted()
+
+    // update the peer values for the direct peers and score changes
+    if (this.gossipsub.peerTagger) {
+      this.gossipsub.peerTagger.refresh(this.gossipsub.peers.keys())
+    }
+
+    // expire messages whose validation result was not reported
+    this.gossipsub._clearPendingValidation()
+
+    // clean up expired connection backoffs
+    this.gossipsub.connectionScheduler.prune()
+
     // ensure direct peers are connected
     this.gossipsub._directConnect()
 
     // maintain the mesh for topics we have joined
     this.gossipsub.mesh.forEach((peers, topic) => {
+      const {
+        D,
+        Dlo,
+        Dhi,
+        Dscore,
+        Dout
+      } = this.gossipsub.getMeshParams(topic)
+
       // prune/graft helper functions (defined per topic)
       const prunePeer = (id: string): void => {
         this.gossipsub.log(
@@ -115,6 +138,7 @@ export class Heartbeat {
         )
         // update peer score
         this.gossipsub.score.prune(id, topic)
+        this.gossipsub.tracer.prune(id, topic)
         // add prune backoff record
         this.gossipsub._addBackoff(id, topic)
         // remove peer from mesh
@@ -134,6 +158,7 @@ export class Heartbeat {
         )
         // update peer score
         this.gossipsub.score.graft(id, topic)
+        this.gossipsub.tracer.graft(id, topic)
         // add peer to mesh
         peers.add(id)
         // add to tograft
@@ -168,6 +193,11 @@ export class Heartbeat {
         })
 
         peersSet.forEach(graftPeer)
+
+        // we are still short of peers, look for more
+        if (peers.size < Dlo) {
+          this.gossipsub._underPeered(topic, peers.size, Dlo)
+        }
       }
 
       // do we have to many peers?
@@ -292,8 +322,18 @@ export class Heartbeat {
       }
     })
 
-    // maintain our fanout for topics we are publishing but we have not joined
-    this.gossipsub.fanout.forEach((fanoutPeers, topic) => {
+    // expire relay peers for topics we haven't relayed in a while
+    this.gossipsub.lastrelay.forEach((lastrl, topic) => {
+      if ((lastrl + fanoutTTL) < now) {
+        this.gossipsub.relay.delete(topic)
+        this.gossipsub.lastrelay.delete(topic)
+      }
+    })
+
+    // maintain a fanout-style peer set for a topic we have not joined
+    const maintainFanout = (fanoutPeers: Set<string>, topic: string): void => {
+      const { D } = this.gossipsub.getMeshParams(topic)
+
       // checks whether our peers are still in the topic and have a score above the publish threshold
       const topicPeers = this.gossipsub.topics.get(topic)
       fanoutPeers.forEach(id => {
@@ -322,7 +362,13 @@ export class Heartbeat {
       // 2nd arg are fanout peers excluded from gossip.
       // We have already pushed messages to them, so its redundant to gossip IHAVEs
       this.gossipsub._emitGossip(topic, fanoutPeers)
-    })
+    }
+
+    // maintain our fanout for topics we are publishing but we have not joined
+    this.gossipsub.fanout.forEach(maintainFanout)
+
+    // maintain our relay peers for topics we are relaying but we have not joined
+    this.gossipsub.relay.forEach(maintainFanout)
 
     // send coalesced GRAFT/PRUNE messages (will piggyback gossip)
     this.gossipsub._sendGraftPrune(tograft, toprune, noPX)
@@ -333,6 +379,17 @@ export class Heartbeat {
     // advance the message history window
     this.gossipsub.messageCache.shift()
 
+    // update the router metrics
+    const metrics = this.gossipsub.metrics
+    if (metrics) {
+      metrics.setTopicPeers(metrics.meshPeers, this.gossipsub.mesh)
+      metrics.setTopicPeers(metrics.fanoutPeers, this.gossipsub.fanout)
+      metrics.mcacheSize.set(this.gossipsub.messageCache.msgs.size)
+      metrics.peerScores.reset()
+      this.gossipsub.peers.forEach((_, id) => metrics.peerScores.observe(getScore(id)))
+      metrics.heartbeatDuration.observe((Date.now() - heartbeatStart) / 1000)
+    }
+
     this.gossipsub.emit('gossipsub:heartbeat')
   }
 }
@@ -4,10 +4,26 @@ import { RPC, IRPC } from './message/rpc'
 import * as constants from './constants'
 import { Heartbeat } from './heartbeat'
 import { getGossipPeers } from './get-gossip-peers'
-import { createGossipRpc, shuffle, hasGossipProtocol, messageIdToString } from './utils'
-import { PeerScore, PeerScoreParams, PeerScoreThresholds, createPeerScoreParams, createPeerScoreThresholds } from './score'
+import { createGossipRpc, fragmentRpc, shuffle, hasGossipProtocol, messageIdToString } from './utils'
+import {
+  PeerScore, PeerScoreParams, PeerScoreThresholds, TopicScoreParams, ScoreBreakdown, ScoreState, ScoreStateStore,
+  createPeerScoreParams, createPeerScoreThresholds, createTopicScoreParams, validatePeerScoreThresholds
+} from './score'
 import { IWantTracer } from './tracer'
-import { AddrInfo, MessageIdFunction } from './interfaces'
+import { ValidationQueue, ValidationDropPolicy } from './validation-queue'
+import { RateLimiter, RateLimitParams } from './rate-limiter'
+import { RpcLimits, createRpcLimits, truncateRpc } from './rpc-limits'
+import { SubscriptionFilter } from './subscription-filter'
+import { ConnectionScheduler } from './connection-scheduler'
+import { GossipsubMetrics } from './metrics'
+import { Tracer, RawTracer, EventTracer } from './trace'
+import { TopicMeshParams, createTopicMeshParams, validateTopicMeshParams } from './mesh-params'
+import { Blacklist, BlacklistState, BlacklistStore } from './blacklist'
+import { PeerTagger, PeerTagWeights, PeerValueHook, createPeerTagWeights } from './peer-tagger'
+import { TopicDiscovery } from './topic-discovery'
+import {
+  AddrInfo, MessageIdFunction, MessageAcceptance, TopicValidatorFn, GraylistDisconnectEvent, UnderPeeredEvent
+} from './interfaces'
 import { Debugger } from 'debug'
 import Libp2p from 'libp2p'
 
@@ -18,6 +34,9 @@ import TimeCache = require('time-cache')
 import PeerId = require('peer-id')
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
+import errcode = require('err-code')
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
 import Envelope = require('libp2p/src/record/envelope')
 
 interface GossipInputOptions {
@@ -57,6 +76,10 @@ interface GossipInputOptions {
    * Dlazy affects how many peers we will emit gossip to at each heartbeat.
    */
   Dlazy: number
+  /**
+   * topicMeshParams overrides the mesh degree parameters (D, Dlo, Dhi, Dscore, Dout, Dlazy) per topic.
+   */
+  topicMeshParams: Record<string, Partial<TopicMeshParams>>
   /**
    * heartbeatInterval is the time between heartbeats in milliseconds
    */
@@ -79,11 +102,127 @@ interface GossipInputOptions {
    * seenTTL is the number of milliseconds to retain message IDs in the seen cache
    */
   seenTTL: number
+  /**
+   * idontwantMessageThreshold is the size in bytes of a message above which we send IDONTWANT to mesh peers
+   */
+  idontwantMessageThreshold: number
+  /**
+   * validatorTimeout is the time in milliseconds to wait for a topic validator before ignoring the message
+   */
+  validatorTimeout: number
+  /**
+   * asyncValidation holds incoming messages until the application reports their validation result
+   * through reportMessageValidationResult, instead of forwarding them as soon as they are validated
+   */
+  asyncValidation: boolean
+  /**
+   * asyncValidationTimeout is the time in milliseconds after which messages whose validation result
+   * has not been reported are ignored
+   */
+  asyncValidationTimeout: number
+  /**
+   * validationConcurrency is the maximum number of messages validated at the same time
+   */
+  validationConcurrency: number
+  /**
+   * validationTopicConcurrency is the maximum number of messages of a topic validated at the same time
+   */
+  validationTopicConcurrency: Record<string, number>
+  /**
+   * validationQueueSize is the maximum number of messages waiting to be validated
+   */
+  validationQueueSize: number
+  /**
+   * validationDropPolicy selects the message dropped once the validation queue is full
+   */
+  validationDropPolicy: ValidationDropPolicy
+  /**
+   * rateLimit limits the messages and bytes each peer may send us per second
+   */
+  rateLimit: Partial<RateLimitParams>
+  /**
+   * topicRateLimits overrides the rate limit per topic
+   */
+  topicRateLimits: Record<string, Partial<RateLimitParams>>
+  /**
+   * rateLimitByIP additionally applies the rate limits to all the peers sharing an IP
+   */
+  rateLimitByIP: boolean
+  /**
+   * rpcLimits limits the size of an encoded RPC and the number of messages, subscriptions and control entries per RPC
+   */
+  rpcLimits: Partial<RpcLimits>
+  /**
+   * maxOutboundRpcSize is the maximum size in bytes of an encoded RPC we send, larger RPCs are split into several RPCs
+   */
+  maxOutboundRpcSize: number
+  /**
+   * subscriptionFilter bounds the topics we can subscribe to and the topics peers can announce
+   */
+  subscriptionFilter: SubscriptionFilter | undefined
+  /**
+   * metrics enables the collection of router metrics, rendered by getMetrics
+   */
+  metrics: boolean
+  /**
+   * rawTracers receive the router events as they happen
+   */
+  rawTracers: RawTracer[]
+  /**
+   * eventTracer receives the router events as trace events in the go-libp2p-pubsub trace format
+   */
+  eventTracer: EventTracer | undefined
+  /**
+   * scoreStateStore persists the peer score and backoff state when stopping, and restores it when starting
+   */
+  scoreStateStore: ScoreStateStore | undefined
+  /**
+   * blacklistStore persists the banned peers and IP ranges when they change, and restores them when starting
+   */
+  blacklistStore: BlacklistStore | undefined
+  /**
+   * graylistDisconnectTimeout is the time in milliseconds after which we disconnect from a peer whose score
+   * stays below the graylist threshold; 0 disables the disconnections
+   */
+  graylistDisconnectTimeout: number
+  /**
+   * graylistDisconnectCooldown is the time in milliseconds during which we refuse the connections of a
+   * disconnected graylisted peer
+   */
+  graylistDisconnectCooldown: number
+  /**
+   * peerTagWeights enables raising the value of the peers in the connection manager from their mesh memberships,
+   * direct status and score, so that the connections to these peers are trimmed last
+   */
+  peerTagWeights: Partial<PeerTagWeights> | undefined
+  /**
+   * peerValueHook receives the peer values instead of the connection manager
+   */
+  peerValueHook: PeerValueHook | undefined
+  /**
+   * topicDiscovery finds more peers of the topics whose mesh stays below Dlo, and advertises the topics we join
+   */
+  topicDiscovery: TopicDiscovery | undefined
+  /**
+   * topicDiscoveryInterval is the minimum time in milliseconds between two peer discoveries for a topic
+   */
+  topicDiscoveryInterval: number
+}
+
+/**
+ * Inbound stream of encoded RPCs
+ */
+type RpcStream = Parameters<Pubsub['_processMessages']>[1]
+
+interface PendingValidation {
+  msg: InMessage
+  expire: number
 }
 
 interface GossipOptions extends GossipInputOptions {
   scoreParams: PeerScoreParams
   scoreThresholds: PeerScoreThresholds
+  rpcLimits: RpcLimits
 }
 
 class Gossipsub extends Pubsub {
@@ -94,12 +233,29 @@ class Gossipsub extends Pubsub {
   mesh: Map<string, Set<string>>
   fanout: Map<string, Set<string>>
   lastpub: Map<string, number>
+  relay: Map<string, Set<string>>
+  lastrelay: Map<string, number>
   gossip: Map<string, RPC.IControlIHave[]>
   control: Map<string, RPC.IControlMessage>
   peerhave:Map<string, number>
   iasked:Map<string, number>
+  dontwant: Map<string, Map<string, number>>
+  idontwantCounts: Map<string, number>
   backoff: Map<string, Map<string, number>>
   outbound: Map<string, boolean>
+  pendingValidation: Map<string, PendingValidation>
+  topicMeshParams: Map<string, TopicMeshParams>
+  validationQueue: ValidationQueue
+  rateLimiter: RateLimiter
+  blacklist: Blacklist
+  graylisted: Map<string, number>
+  disconnectCooldown: Map<string, number>
+  connectionScheduler: ConnectionScheduler
+  metrics: GossipsubMetrics | null
+  peerTagger: PeerTagger | null
+  lastDiscovery: Map<string, number>
+  pendingDiscovery: Set<string>
+  tracer: Tracer
   defaultMsgIdFn: MessageIdFunction
   _msgIdFn: MessageIdFunction
   messageCache: MessageCache
@@ -118,7 +274,7 @@ class Gossipsub extends Pubsub {
   // eslint-disable-next-line @typescript-eslint/ban-types
   emit: (event: string | symbol, ...args: any[]) => boolean
 
-  public static multicodec: string = constants.GossipsubIDv11
+  public static multicodec: string = constants.GossipsubIDv12
 
   // TODO: add remaining props
   /**
@@ -135,14 +291,38 @@ class Gossipsub extends Pubsub {
    * @param {Object} [options.scoreParams] peer score parameters
    * @param {Object} [options.scoreThresholds] peer score thresholds
    * @param {AddrInfo[]} [options.directPeers] peers with which we will maintain direct connections
+   * @param {Object} [options.topicMeshParams] mesh degree parameters per topic, overriding D, Dlo, Dhi, Dscore, Dout and Dlazy
+   * @param {boolean} [options.asyncValidation = false] if incoming messages are held until their validation result is reported
+   * @param {number} [options.validationConcurrency] maximum number of messages validated at the same time
+   * @param {Object} [options.validationTopicConcurrency] maximum number of messages validated at the same time per topic
+   * @param {number} [options.validationQueueSize] maximum number of messages waiting to be validated
+   * @param {string} [options.validationDropPolicy = "drop-newest"] message dropped once the validation queue is full
+   * @param {Object} [options.rateLimit] inbound message rate limit per peer
+   * @param {Object} [options.topicRateLimits] inbound message rate limits per topic, overriding rateLimit
+   * @param {boolean} [options.rateLimitByIP = false] if rate limits also apply per IP
+   * @param {Object} [options.rpcLimits] inbound RPC size and entry count limits
+   * @param {number} [options.maxOutboundRpcSize] maximum size of the RPCs we send, larger RPCs are split
+   * @param {SubscriptionFilter} [options.subscriptionFilter] filter of the topics we and our peers can subscribe to
+   * @param {boolean} [options.metrics = false] if router metrics are collected
+   * @param {RawTracer[]} [options.rawTracers] tracers receiving the router events
+   * @param {EventTracer} [options.eventTracer] tracer receiving the router events as go-libp2p-pubsub trace events
+   * @param {ScoreStateStore} [options.scoreStateStore] store of the peer score and backoff state across restarts
+   * @param {BlacklistStore} [options.blacklistStore] store of the banned peers and IP ranges across restarts
+   * @param {number} [options.graylistDisconnectTimeout = 0] time after which we disconnect from graylisted peers, 0 to never disconnect
+   * @param {number} [options.graylistDisconnectCooldown] time during which we refuse the connections of disconnected graylisted peers
+   * @param {Object} [options.peerTagWeights] weights of the peer tags raising the value of the peers in the connection manager, disabled if not set
+   * @param {PeerValueHook} [options.peerValueHook] receives the peer values instead of the connection manager
+   * @param {TopicDiscovery} [options.topicDiscovery] finds more peers of the topics whose mesh stays below Dlo
+   * @param {number} [options.topicDiscoveryInterval] minimum time between two peer discoveries for a topic
    * @constructor
    */
   constructor (
     libp2p: Libp2p,
     options: Partial<GossipInputOptions> = {}
   ) {
-    const multicodecs = [constants.GossipsubIDv11, constants.GossipsubIDv10]
+    const multicodecs = [constants.GossipsubIDv12, constants.GossipsubIDv11, constants.GossipsubIDv10]
     const opts = {
+      canRelayMessage: false,
       gossipIncoming: true,
       fallbackToFloodsub: true,
       floodPublish: true,
@@ -154,14 +334,33 @@ class Gossipsub extends Pubsub {
       Dscore: constants.GossipsubDscore,
       Dout: constants.GossipsubDout,
       Dlazy: constants.GossipsubDlazy,
+      topicMeshParams: {},
       heartbeatInterval: constants.GossipsubHeartbeatInterval,
       fanoutTTL: constants.GossipsubFanoutTTL,
       mcacheLength: constants.GossipsubHistoryLength,
       mcacheGossip: constants.GossipsubHistoryGossip,
       seenTTL: constants.GossipsubSeenTTL,
+      idontwantMessageThreshold: constants.GossipsubIDontWantMessageThreshold,
+      validatorTimeout: constants.GossipsubValidatorTimeout,
+      asyncValidation: false,
+      asyncValidationTimeout: constants.GossipsubAsyncValidationTimeout,
+      validationConcurrency: constants.GossipsubValidationConcurrency,
+      validationTopicConcurrency: {},
+      validationQueueSize: constants.GossipsubValidationQueueSize,
+      validationDropPolicy: 'drop-newest',
+      rateLimit: {},
+      topicRateLimits: {},
+      rateLimitByIP: false,
+      maxOutboundRpcSize: constants.GossipsubMaxRpcSize,
+      metrics: false,
+      rawTracers: [],
+      graylistDisconnectTimeout: 0,
+      graylistDisconnectCooldown: constants.GossipsubGraylistDisconnectCooldown,
+      topicDiscoveryInterval: constants.GossipsubTopicDiscoveryInterval,
       ...options,
       scoreParams: createPeerScoreParams(options.scoreParams),
-      scoreThresholds: createPeerScoreThresholds(options.scoreThresholds)
+      scoreThresholds: createPeerScoreThresholds(options.scoreThresholds),
+      rpcLimits: createRpcLimits(options.rpcLimits)
     } as GossipOptions
 
     // Also wants to get notified of peers connected using floodsub
@@ -220,6 +419,23 @@ class Gossipsub extends Pubsub {
      */
     this.lastpub = new Map()
 
+    /**
+     * Map of topics to set of peers to which we forward messages of topics we are not subscribed to
+     * Only used when canRelayMessage is enabled
+     * topic => peer id set
+     *
+     * @type {Map<string, Set<string>>}
+     */
+    this.relay = new Map()
+
+    /**
+     * Map of last relay time for relayed topics
+     * topic => last relay time
+     *
+     * @type {Map<string, number>}
+     */
+    this.lastrelay = new Map()
+
     /**
      * Map of pending messages to gossip
      * peer id => control messages
@@ -248,6 +464,19 @@ class Gossipsub extends Pubsub {
      */
     this.iasked = new Map()
 
+    /**
+     * Message IDs peers told us they don't want, through IDONTWANT
+     * peer id => msgId => heartbeat tick when received
+     * @type {Map<string, Map<string, number>>}
+     */
+    this.dontwant = new Map()
+
+    /**
+     * Number of IDONTWANT message IDs received from peer in the last heartbeat
+     * @type {Map<string, number>}
+     */
+    this.idontwantCounts = new Map()
+
     /**
      * Prune backoff map
      */
@@ -261,6 +490,93 @@ class Gossipsub extends Pubsub {
      */
     this.outbound = new Map()
 
+    /**
+     * Messages held until the application reports their validation result
+     * msgId => pending validation
+     *
+     * @type {Map<string, PendingValidation>}
+     */
+    this.pendingValidation = new Map()
+
+    /**
+     * Mesh degree parameters overridden per topic
+     * topic => mesh params
+     *
+     * @type {Map<string, TopicMeshParams>}
+     */
+    this.topicMeshParams = new Map()
+    Object.entries(opts.topicMeshParams).forEach(([topic, params]) => {
+      this.setTopicMeshParams(topic, params)
+    })
+
+    /**
+     * Bounds the number of messages validated concurrently
+     */
+    this.validationQueue = new ValidationQueue({
+      concurrency: opts.validationConcurrency,
+      topicConcurrency: opts.validationTopicConcurrency,
+      queueSize: opts.validationQueueSize,
+      dropPolicy: opts.validationDropPolicy
+    })
+
+    /**
+     * Limits the messages received per peer, and per IP if rateLimitByIP is enabled
+     */
+    this.rateLimiter = new RateLimiter(opts.rateLimit, opts.topicRateLimits)
+
+    /**
+     * Banned peers and IP ranges
+     */
+    this.blacklist = new Blacklist(() => this._now())
+
+    /**
+     * Time since which connected peers are graylisted, when disconnecting graylisted peers
+     * peer id => time
+     *
+     * @type {Map<string, number>}
+     */
+    this.graylisted = new Map()
+
+    /**
+     * Expiration time of the cool-down of the disconnected graylisted peers, during which we refuse their connections
+     * peer id => time
+     *
+     * @type {Map<string, number>}
+     */
+    this.disconnectCooldown = new Map()
+
+    /**
+     * Time of the last peer discovery per topic
+     * topic => time
+     *
+     * @type {Map<string, number>}
+     */
+    this.lastDiscovery = new Map()
+
+    /**
+     * Topics whose peer discovery is in progress
+     *
+     * @type {Set<string>}
+     */
+    this.pendingDiscovery = new Set()
+
+    /**
+     * Schedules the connection attempts to direct peers and peers obtained through PX
+     */
+    this.connectionScheduler = new ConnectionScheduler((id, signal) => this._dial(id, signal), {
+      connectors: constants.GossipsubConnectors,
+      maxPending: constants.GossipsubMaxPendingConnections,
+      timeout: constants.GossipsubConnectionTimeout,
+      backoffBase: constants.GossipsubConnectionBackoff,
+      backoffMax: constants.GossipsubConnectionBackoffMax,
+      maxRetries: constants.GossipsubConnectionRetries
+    })
+
+    /**
+     * Router metrics, if enabled
+     */
+    this.metrics = opts.metrics ? new GossipsubMetrics(topic => this._isKnownTopic(topic)) : null
+
     /**
      * A message cache that contains the messages for last few hearbeat ticks
      *
@@ -292,6 +608,25 @@ class Gossipsub extends Pubsub {
      * Peer score tracking
      */
     this.score = new PeerScore(this._options.scoreParams, libp2p.connectionManager, this.getMsgId.bind(this))
+
+    /**
+     * Values the peers in the connection manager, if enabled
+     */
+    this.peerTagger = opts.peerTagWeights
+      ? new PeerTagger(
+        createPeerTagWeights(opts.peerTagWeights),
+        (id) => this.direct.has(id),
+        (id) => this.score.score(id),
+        (id) => this._getPeerValue(id),
+        opts.peerValueHook || ((id, value) => this._setPeerValue(id, value))
+      )
+      : null
+
+    /**
+     * Dispatches the router events to the tracers
+     */
+    const rawTracers = this.peerTagger ? [...opts.rawTracers, this.peerTagger] : opts.rawTracers
+    this.tracer = new Tracer(libp2p.peerId.toB58String(), this.getMsgId.bind(this), opts.eventTracer, rawTracers)
   }
 
   /**
@@ -324,10 +659,28 @@ class Gossipsub extends Pubsub {
    * @returns {PeerStreams}
    */
   _addPeer (peerId: PeerId, protocol: string): PeerStreams {
+    const id = peerId.toB58String()
+    const existing = this.peers.has(id)
+
+    // refuse the connections of the peers disconnected for staying graylisted
+    if (!existing && this._inDisconnectCooldown(id)) {
+      this.log('disconnecting from %s, in cool-down after staying graylisted', id)
+      this._hangUp(id)
+      // the streams are not tracked: the peer is not scored, traced nor sent our subscriptions
+      return new PeerStreams({ id: peerId, protocol })
+    }
+
     const p = super._addPeer(peerId, protocol)
 
     // Add to peer scoring
-    this.score.addPeer(peerId.toB58String())
+    this.score.addPeer(id)
+
+    if (!existing) {
+      this.tracer.addPeer(id, protocol)
+      if (this.direct.has(id)) {
+        this.emit('gossipsub:direct-peer-connected', id)
+      }
+    }
 
     // track the connection direction
     let outbound = false
@@ -366,19 +719,67 @@ class Gossipsub extends Pubsub {
       peers.delete(id)
     }
 
+    // Remove this peer from the relay peers
+    // eslint-disable-next-line no-unused-vars
+    for (const peers of this.relay.values()) {
+      peers.delete(id)
+    }
+
     // Remove from gossip mapping
     this.gossip.delete(id)
     // Remove from control mapping
     this.control.delete(id)
     // Remove from backoff mapping
     this.outbound.delete(id)
+    // Remove from IDONTWANT mappings
+    this.dontwant.delete(id)
+    this.idontwantCounts.delete(id)
+    // Remove from graylisted peers
+    this.graylisted.delete(id)
 
     // Remove from peer scoring
     this.score.removePeer(id)
 
+    if (peerStreams) {
+      this.tracer.removePeer(id)
+      if (this.direct.has(id)) {
+        this.emit('gossipsub:direct-peer-disconnected', id)
+      }
+    }
+
     return peerStreams
   }
 
+  /**
+   * Responsible for processing each RPC message received by other peers.
+   * Overridden to drop the RPCs exceeding the maximum size before decoding them
+   * @override
+   * @param {string} id peer id
+   * @param {AsyncIterable<Uint8Array|BufferList>} stream inbound stream
+   * @param {PeerStreams} peerStreams
+   * @returns {Promise<void>}
+   */
+  async _processMessages (id: string, stream: RpcStream, peerStreams: PeerStreams): Promise<void> {
+    return super._processMessages(id, this._limitRpcSize(id, stream), peerStreams)
+  }
+
+  /**
+   * Drop the RPCs exceeding the maximum size, penalizing the peer that sent them
+   * @param {string} id peer id
+   * @param {AsyncIterable<Uint8Array|BufferList>} source
+   * @returns {AsyncIterable<Uint8Array|BufferList>}
+   */
+  async * _limitRpcSize (id: string, source: RpcStream): RpcStream {
+    for await (const data of source) {
+      if (data.length > this._options.rpcLimits.maxRpcSize) {
+        this.log('dropping rpc of %d bytes from %s exceeding the maximum rpc size', data.length, id)
+        this.score.addPenalty(id, 1)
+        continue
+      }
+      yield data instanceof Uint8Array ? data : data.slice()
+    }
+  }
+
   /**
    * Handles an rpc request from a peer
    *
@@ -389,6 +790,26 @@ class Gossipsub extends Pubsub {
    * @returns {Promise<boolean>}
    */
   async _processRpc (id: string, peerStreams: PeerStreams, rpc: RPC): Promise<boolean> {
+    if (truncateRpc(rpc, this._options.rpcLimits)) {
+      this.log('truncating rpc from %s exceeding the rpc limits', id)
+      this.score.addPenalty(id, 1)
+    }
+
+    // the subscriptions are handled before the rpc is checked by _acceptFrom
+    if (rpc.subscriptions.length && this._isBlacklisted(id)) {
+      rpc.subscriptions = []
+    }
+
+    if (rpc.subscriptions.length && this._options.subscriptionFilter) {
+      rpc.subscriptions = this._filterSubscriptions(id, rpc.subscriptions, this._options.subscriptionFilter)
+    }
+
+    if (rpc.msgs.length && this.rateLimiter.enabled) {
+      rpc.msgs = this._rateLimitMessages(id, rpc.msgs)
+    }
+
+    this.tracer.recvRPC(id, rpc)
+
     if (await super._processRpc(id, peerStreams, rpc)) {
       if (rpc.control) {
         this._processRpcControlMessage(id, rpc.control)
@@ -398,6 +819,61 @@ class Gossipsub extends Pubsub {
     return false
   }
 
+  /**
+   * Drop the subscriptions of a peer not allowed by the subscription filter
+   * Peers exceeding the limits of the filter have all the subscriptions of the rpc dropped, and get a behaviour penalty
+   * @param {string} id peer id
+   * @param {Array<RPC.ISubOpts>} subs
+   * @param {SubscriptionFilter} filter
+   * @returns {Array<RPC.ISubOpts>}
+   */
+  _filterSubscriptions (id: string, subs: RPC.ISubOpts[], filter: SubscriptionFilter): RPC.ISubOpts[] {
+    const peerTopics = new Set<string>()
+    this.topics.forEach((peers, topic) => {
+      if (peers.has(id)) {
+        peerTopics.add(topic)
+      }
+    })
+
+    try {
+      const filtered = filter.filterIncomingSubscriptions(id, subs, peerTopics)
+      if (filtered.length < subs.length) {
+        this.log('dropping %d subscriptions from %s not allowed by the subscription filter', subs.length - filtered.length, id)
+      }
+      return filtered
+    } catch (err) {
+      this.log('dropping subscriptions from %s: %s', id, err.message)
+      this.score.addPenalty(id, 1)
+      return []
+    }
+  }
+
+  /**
+   * Drop the messages exceeding the rate limits of a peer
+   * Peers exceeding their rate limits get a behaviour penalty, once per rpc
+   * @param {string} id peer id
+   * @param {Array<RPC.IMessage>} msgs
+   * @returns {Array<RPC.IMessage>}
+   */
+  _rateLimitMessages (id: string, msgs: RPC.IMessage[]): RPC.IMessage[] {
+    const keys = [id]
+    if (this._options.rateLimitByIP) {
+      const pstats = this.score.peerStats.get(id)
+      if (pstats) {
+        pstats.ips.forEach(ip => keys.push(`ip/${ip}`))
+      }
+    }
+
+    const allowed = msgs.filter(msg => this.rateLimiter.allow(keys, msg.topicIDs || [], msg.data ? msg.data.length : 0))
+    const dropped = msgs.length - allowed.length
+    if (dropped) {
+      this.log('dropping %d messages from %s exceeding the rate limit', dropped, id)
+      this.score.addPenalty(id, 1)
+      this.tracer.throttlePeer(id)
+    }
+    return allowed
+  }
+
   /**
    * Handles an rpc control message from a peer
    * @param {string} id peer id
@@ -409,10 +885,15 @@ class Gossipsub extends Pubsub {
       return
     }
 
+    if (this.metrics) {
+      this.metrics.onControl(this.metrics.controlReceived, controlMsg)
+    }
+
     const iwant = controlMsg.ihave ? this._handleIHave(id, controlMsg.ihave) : []
     const ihave = controlMsg.iwant ? this._handleIWant(id, controlMsg.iwant) : []
     const prune = controlMsg.graft ? this._handleGraft(id, controlMsg.graft) : []
     controlMsg.prune && this._handlePrune(id, controlMsg.prune)
+    controlMsg.idontwant && this._handleIDontWant(id, controlMsg.idontwant)
 
     if (!iwant.length && !ihave.length && !prune.length) {
       return
@@ -433,15 +914,113 @@ class Gossipsub extends Pubsub {
     const msgID = await this.getMsgId(msg)
     const msgIdStr = messageIdToString(msgID)
 
+    if (this.metrics) {
+      this.metrics.onMessage(this.metrics.msgReceived, msg.topicIDs)
+    }
+
     // Ignore if we've already seen the message
     if (this.seenCache.has(msgIdStr)) {
       this.score.duplicateMessage(msg)
+      this.tracer.duplicateMessage(msg)
+      if (this.metrics) {
+        this.metrics.onMessage(this.metrics.msgDuplicate, msg.topicIDs)
+      }
       return
     }
     this.seenCache.put(msgIdStr)
 
     await this.score.validateMessage(msg)
-    await super._processRpcMessage(msg)
+
+    if (!this._options.asyncValidation) {
+      await super._processRpcMessage(msg)
+      return
+    }
+
+    if (this.peerId.toB58String() === msg.from && !this.emitSelf) {
+      return
+    }
+
+    // Ensure the message is valid before handing it over to the application
+    try {
+      await this.validate(msg)
+    } catch (err) {
+      this.log('Message is invalid, dropping it. %O', err)
+      return
+    }
+
+    // The IWANT promise is fulfilled once the message is received, as the application
+    // controls how long the validation takes
+    this.gossipTracer.deliverMessage(msg)
+
+    // Hold the message until the application reports the validation result,
+    // it is emitted to local listeners once accepted
+    this.pendingValidation.set(msgIdStr, {
+      msg,
+      expire: this._now() + this._options.asyncValidationTimeout
+    })
+    this.emit('gossipsub:message', {
+      propagationSource: msg.receivedFrom,
+      msgId: msgIdStr,
+      msg
+    })
+  }
+
+  /**
+   * Report the validation result of a message held for asynchronous validation
+   * Accepted messages are forwarded, ignored and rejected messages are dropped,
+   * rejected messages also penalize the peers that sent them.
+   * @param {string} msgId
+   * @param {string} propagationSource id of the peer the message was received from
+   * @param {MessageAcceptance} acceptance
+   * @returns {void}
+   */
+  reportMessageValidationResult (msgId: string, propagationSource: string, acceptance: MessageAcceptance): void {
+    const pending = this.pendingValidation.get(msgId)
+    if (!pending) {
+      this.log('validation result reported for unknown or expired message %s', msgId)
+      return
+    }
+    if (pending.msg.receivedFrom !== propagationSource) {
+      this.log(
+        'validation result reported for message %s from %s, but it was received from %s',
+        msgId, propagationSource, pending.msg.receivedFrom
+      )
+      return
+    }
+    this.pendingValidation.delete(msgId)
+
+    switch (acceptance) {
+      case 'accept':
+        this._emitMessage(pending.msg)
+        this._publish(pending.msg).catch(err => this.log.err(err))
+        return
+      case 'ignore':
+        this.score.rejectMessage(pending.msg, constants.ERR_TOPIC_VALIDATOR_IGNORE)
+        this.gossipTracer.rejectMessage(pending.msg, constants.ERR_TOPIC_VALIDATOR_IGNORE)
+        this.tracer.rejectMessage(pending.msg, constants.ERR_TOPIC_VALIDATOR_IGNORE)
+        return
+      default:
+        this.score.rejectMessage(pending.msg, constants.ERR_TOPIC_VALIDATOR_REJECT)
+        this.gossipTracer.rejectMessage(pending.msg, constants.ERR_TOPIC_VALIDATOR_REJECT)
+        this.tracer.rejectMessage(pending.msg, constants.ERR_TOPIC_VALIDATOR_REJECT)
+    }
+  }
+
+  /**
+   * Ignore the messages whose validation result has not been reported in time
+   * @returns {void}
+   */
+  _clearPendingValidation (): void {
+    const now = this._now()
+    this.pendingValidation.forEach(({ msg, expire }, msgId) => {
+      if (expire < now) {
+        this.log('validation result of message %s not reported in time; ignoring', msgId)
+        this.pendingValidation.delete(msgId)
+        this.score.rejectMessage(msg, constants.ERR_TOPIC_VALIDATOR_IGNORE)
+        this.gossipTracer.rejectMessage(msg, constants.ERR_TOPIC_VALIDATOR_IGNORE)
+        this.tracer.rejectMessage(msg, constants.ERR_TOPIC_VALIDATOR_IGNORE)
+      }
+    })
   }
 
   /**
@@ -451,44 +1030,118 @@ class Gossipsub extends Pubsub {
    * @returns {boolean}
    */
   _acceptFrom (id: string): boolean {
+    if (this._isBlacklisted(id) || this._inDisconnectCooldown(id)) {
+      return false
+    }
     return this.direct.has(id) || this.score.score(id) >= this._options.scoreThresholds.graylistThreshold
   }
 
   /**
    * Validate incoming message
+   * Validations are throttled by the validation queue, dropped messages fail with ERR_VALIDATION_THROTTLED
    * @override
    * @param {InMessage} message
    * @returns {Promise<void>}
    */
   async validate (message: InMessage): Promise<void> {
     try {
-      await super.validate(message)
+      await this.validationQueue.validate(message, () => super.validate(message))
+      if (this.metrics) {
+        this.metrics.onMessage(this.metrics.msgValidated, message.topicIDs)
+      }
     } catch (e) {
+      if (this.metrics) {
+        this.metrics.onMessage(this.metrics.msgRejected, message.topicIDs, { reason: e.code || 'unknown' })
+      }
       this.score.rejectMessage(message, e.code)
       this.gossipTracer.rejectMessage(message, e.code)
+      this.tracer.rejectMessage(message, e.code)
+      if (e.code === constants.ERR_VALIDATION_THROTTLED) {
+        this.tracer.throttlePeer(message.receivedFrom)
+      }
       throw e
     }
   }
 
   /**
-   * Handles IHAVE messages
-   * @param {string} id peer id
-   * @param {Array<RPC.IControlIHave>} ihave
-   * @returns {RPC.IControlIWant}
+   * Register a topic validator
+   * The validator returns whether to accept, ignore or reject messages of the topic.
+   * Ignored messages are dropped without penalty, rejected messages penalize the peers that sent them.
+   * A validator that throws rejects the message, a validator that times out ignores the message.
+   * @param {string} topic
+   * @param {TopicValidatorFn} validator
+   * @returns {void}
    */
-  _handleIHave (id: string, ihave: RPC.IControlIHave[]): RPC.IControlIWant[] {
-    if (!ihave.length) {
-      return []
-    }
-    // we ignore IHAVE gossip from any peer whose score is below the gossips threshold
-    const score = this.score.score(id)
-    if (score < this._options.scoreThresholds.gossipThreshold) {
-      this.log(
-        'IHAVE: ignoring peer %s with score below threshold [ score = %d ]',
-        id, score
-      )
-      return []
-    }
+  addTopicValidator (topic: string, validator: TopicValidatorFn): void {
+    this.topicValidators.set(topic, (topic, message) => this._runTopicValidator(validator, topic, message))
+  }
+
+  /**
+   * Unregister the validator of a topic
+   * @param {string} topic
+   * @returns {void}
+   */
+  removeTopicValidator (topic: string): void {
+    this.topicValidators.delete(topic)
+  }
+
+  /**
+   * Run a topic validator, throwing an error with a topic validator error code
+   * unless the message is accepted
+   * @param {TopicValidatorFn} validator
+   * @param {string} topic
+   * @param {InMessage} message
+   * @returns {Promise<void>}
+   */
+  async _runTopicValidator (validator: TopicValidatorFn, topic: string, message: InMessage): Promise<void> {
+    let acceptance: MessageAcceptance
+    let timeout: ReturnType<typeof setTimeout> | undefined
+    try {
+      acceptance = await Promise.race([
+        validator(topic, message),
+        new Promise<MessageAcceptance>((resolve) => {
+          timeout = setTimeout(() => {
+            this.log('topic validator timed out for topic %s; ignoring message', topic)
+            resolve('ignore')
+          }, this._options.validatorTimeout)
+        })
+      ])
+    } catch (e) {
+      this.log('topic validator failed for topic %s; rejecting message: %O', topic, e)
+      acceptance = 'reject'
+    } finally {
+      clearTimeout(timeout!)
+    }
+
+    switch (acceptance) {
+      case 'accept':
+        return
+      case 'ignore':
+        throw errcode(new Error('topic validator ignored the message'), constants.ERR_TOPIC_VALIDATOR_IGNORE)
+      default:
+        throw errcode(new Error('topic validator rejected the message'), constants.ERR_TOPIC_VALIDATOR_REJECT)
+    }
+  }
+
+  /**
+   * Handles IHAVE messages
+   * @param {string} id peer id
+   * @param {Array<RPC.IControlIHave>} ihave
+   * @returns {RPC.IControlIWant}
+   */
+  _handleIHave (id: string, ihave: RPC.IControlIHave[]): RPC.IControlIWant[] {
+    if (!ihave.length) {
+      return []
+    }
+    // we ignore IHAVE gossip from any peer whose score is below the gossips threshold
+    const score = this.score.score(id)
+    if (score < this._options.scoreThresholds.gossipThreshold) {
+      this.log(
+        'IHAVE: ignoring peer %s with score below threshold [ score = %d ]',
+        id, score
+      )
+      return []
+    }
 
     // IHAVE flood protection
     const peerhave = (this.peerhave.get(id) || 0) + 1
@@ -514,7 +1167,7 @@ class Gossipsub extends Pubsub {
     const iwant = new Map<string, Uint8Array>()
 
     ihave.forEach(({ topicID, messageIDs }) => {
-      if (!topicID || !messageIDs || !this.mesh.has(topicID)) {
+      if (!topicID || !messageIDs || !(this.mesh.has(topicID) || this.relay.has(topicID))) {
         return
       }
 
@@ -684,7 +1337,7 @@ class Gossipsub extends Pubsub {
       // check the number of mesh peers; if it is at (or over) Dhi, we only accept grafts
       // from peers with outbound connections; this is a defensive check to restrict potential
       // mesh takeover attacks combined with love bombing
-      if (peersInMesh.size >= this._options.Dhi && !this.outbound.get(id)) {
+      if (peersInMesh.size >= this.getMeshParams(topicID).Dhi && !this.outbound.get(id)) {
         prune.push(topicID)
         this._addBackoff(id, topicID)
         return
@@ -692,6 +1345,7 @@ class Gossipsub extends Pubsub {
 
       this.log('GRAFT: Add mesh link from %s in %s', id, topicID)
       this.score.graft(id, topicID)
+      this.tracer.graft(id, topicID)
       peersInMesh.add(id)
     })
 
@@ -720,6 +1374,7 @@ class Gossipsub extends Pubsub {
       }
       this.log('PRUNE: Remove mesh link to %s in %s', id, topicID)
       this.score.prune(id, topicID)
+      this.tracer.prune(id, topicID)
       peersInMesh.delete(id)
       // is there a backoff specified by the peer? if so obey it
       if (typeof backoff === 'number' && backoff > 0) {
@@ -743,6 +1398,44 @@ class Gossipsub extends Pubsub {
     })
   }
 
+  /**
+   * Handles IDONTWANT messages
+   * @param {string} id peer id
+   * @param {Array<RPC.IControlIDontWant>} idontwant
+   * @returns {void}
+   */
+  _handleIDontWant (id: string, idontwant: RPC.IControlIDontWant[]): void {
+    if (!idontwant.length) {
+      return
+    }
+    let count = this.idontwantCounts.get(id) || 0
+    let dontwant = this.dontwant.get(id)
+    if (!dontwant) {
+      dontwant = new Map()
+      this.dontwant.set(id, dontwant)
+    }
+
+    for (const { messageIDs } of idontwant) {
+      if (!messageIDs) {
+        continue
+      }
+      for (const msgID of messageIDs) {
+        // IDONTWANT flood protection
+        if (count >= constants.GossipsubMaxIDontWantMessages) {
+          this.log(
+            'IDONTWANT: peer %s has advertised too many messages (%d) within this heartbeat interval; ignoring',
+            id, count
+          )
+          this.idontwantCounts.set(id, count)
+          return
+        }
+        count++
+        dontwant.set(messageIdToString(msgID), this.heartbeatTicks)
+      }
+    }
+    this.idontwantCounts.set(id, count)
+  }
+
   /**
    * Add standard backoff log for a peer in a topic
    * @param {string} id
@@ -781,9 +1474,183 @@ class Gossipsub extends Pubsub {
     this.gossipTracer.getBrokenPromises().forEach((count, p) => {
       this.log('peer %s didn\'t follow up in %d IWANT requests; adding penalty', p, count)
       this.score.addPenalty(p, count)
+      if (this.metrics) {
+        this.metrics.brokenPromises.inc({}, count)
+      }
+    })
+  }
+
+  /**
+   * Disconnect from the peers whose score stayed below the graylist threshold for graylistDisconnectTimeout
+   * @returns {void}
+   */
+  _disconnectGraylisted (): void {
+    const timeout = this._options.graylistDisconnectTimeout
+    if (!timeout) {
+      return
+    }
+
+    const now = this._now()
+    this.disconnectCooldown.forEach((expire, id) => {
+      if (expire <= now) {
+        this.disconnectCooldown.delete(id)
+      }
+    })
+
+    const { graylistThreshold } = this._options.scoreThresholds
+    this.peers.forEach((_, id) => {
+      if (this.direct.has(id) || this.score.score(id) >= graylistThreshold) {
+        this.graylisted.delete(id)
+        return
+      }
+
+      const since = this.graylisted.get(id)
+      if (since === undefined) {
+        this.graylisted.set(id, now)
+        return
+      }
+      if (now - since < timeout) {
+        return
+      }
+
+      const evt: GraylistDisconnectEvent = { id, since, breakdown: this.score.getScoreBreakdown(id) }
+      this.log('disconnecting from %s, graylisted since %d', id, since)
+      this.graylisted.delete(id)
+      this.disconnectCooldown.set(id, now + this._options.graylistDisconnectCooldown)
+      this.emit('gossipsub:graylist-disconnect', evt)
+      this._hangUp(id)
     })
   }
 
+  /**
+   * Whether we refuse the connections of a peer disconnected for staying graylisted
+   * @param {string} id
+   * @returns {boolean}
+   */
+  _inDisconnectCooldown (id: string): boolean {
+    const expire = this.disconnectCooldown.get(id)
+    return expire !== undefined && expire > this._now()
+  }
+
+  /**
+   * Handle a topic whose mesh stays below Dlo after the heartbeat:
+   * emit an under-peered event and discover more peers, at most once every topicDiscoveryInterval
+   * @param {string} topic
+   * @param {number} peers number of peers in the topic mesh
+   * @param {number} Dlo
+   * @returns {void}
+   */
+  _underPeered (topic: string, peers: number, Dlo: number): void {
+    const evt: UnderPeeredEvent = { topic, peers, Dlo }
+    this.emit('gossipsub:under-peered', evt)
+
+    const discovery = this._options.topicDiscovery
+    if (!discovery || this.pendingDiscovery.has(topic)) {
+      return
+    }
+    const now = this._now()
+    const last = this.lastDiscovery.get(topic)
+    if (last !== undefined && now - last < this._options.topicDiscoveryInterval) {
+      return
+    }
+    this.lastDiscovery.set(topic, now)
+    this._discoverPeers(discovery, topic, this.getMeshParams(topic).D - peers)
+  }
+
+  /**
+   * Find peers advertising a topic and connect to the new ones
+   * @param {TopicDiscovery} discovery
+   * @param {string} topic
+   * @param {number} limit
+   * @returns {Promise<void>}
+   */
+  async _discoverPeers (discovery: TopicDiscovery, topic: string, limit: number): Promise<void> {
+    this.pendingDiscovery.add(topic)
+    try {
+      const peers = await discovery.findPeers(topic, limit)
+      if (!this.started) {
+        return
+      }
+      const self = this.peerId.toB58String()
+      let connecting = 0
+      peers.forEach(({ id: peerId, addrs }) => {
+        const id = peerId.toB58String()
+        if (id === self || this.peers.has(id) || this.blacklist.hasPeer(id)) {
+          return
+        }
+        this._libp2p.peerStore.addressBook.add(peerId, addrs)
+        this._connect(id)
+        connecting++
+      })
+      this.log('discovered %d peers in %s, connecting to %d', peers.length, topic, connecting)
+    } catch (err) {
+      this.log('failed to discover peers in %s: %s', topic, err.message)
+    } finally {
+      this.pendingDiscovery.delete(topic)
+    }
+  }
+
+  /**
+   * Advertise or stop advertising a topic with the topic discovery
+   * @param {string} topic
+   * @param {boolean} joined
+   * @returns {Promise<void>}
+   */
+  async _advertise (topic: string, joined: boolean): Promise<void> {
+    const discovery = this._options.topicDiscovery
+    if (!discovery) {
+      return
+    }
+    try {
+      if (joined) {
+        await discovery.advertise(topic)
+      } else {
+        await discovery.unadvertise(topic)
+      }
+    } catch (err) {
+      this.log('failed to %s %s: %s', joined ? 'advertise' : 'unadvertise', topic, err.message)
+    }
+  }
+
+  /**
+   * Get the value of a peer in the connection manager
+   * @param {string} id
+   * @returns {number}
+   */
+  _getPeerValue (id: string): number {
+    const connectionManager = this._libp2p.connectionManager
+    const value = connectionManager._peerValues.get(id)
+    return value === undefined ? connectionManager._options.defaultPeerValue : value
+  }
+
+  /**
+   * Set the value of a connected peer in the connection manager
+   * @param {string} id
+   * @param {number} value
+   * @returns {void}
+   */
+  _setPeerValue (id: string, value: number): void {
+    const peerId = PeerId.createFromB58String(id)
+    // the connection manager forgets the values of the disconnected peers
+    if (!this._libp2p.connectionManager.get(peerId)) {
+      return
+    }
+    this._libp2p.connectionManager.setPeerValue(peerId, value)
+  }
+
+  /**
+   * Close the connections to a peer
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async _hangUp (id: string): Promise<void> {
+    try {
+      await this._libp2p.hangUp(PeerId.createFromB58String(id))
+    } catch (err) {
+      this.log('failed to disconnect from %s: %s', id, err.message)
+    }
+  }
+
   /**
    * Clear expired backoff expiries
    * @returns {void}
@@ -807,6 +1674,23 @@ class Gossipsub extends Pubsub {
     })
   }
 
+  /**
+   * Clear IDONTWANT records older than GossipsubIDontWantMessageTTL heartbeats
+   * @returns {void}
+   */
+  _clearDontWant (): void {
+    this.dontwant.forEach((dontwant, id) => {
+      dontwant.forEach((tick, msgId) => {
+        if (this.heartbeatTicks - tick >= constants.GossipsubIDontWantMessageTTL) {
+          dontwant.delete(msgId)
+        }
+      })
+      if (dontwant.size === 0) {
+        this.dontwant.delete(id)
+      }
+    })
+  }
+
   /**
    * Maybe reconnect to direct peers
    * @returns {void}
@@ -832,6 +1716,209 @@ class Gossipsub extends Pubsub {
     }
   }
 
+  /**
+   * Add a direct peer, with which we maintain a direct connection
+   * The peer is removed from our meshes, and we connect to it if we are not connected yet
+   * @param {AddrInfo} addrInfo
+   * @returns {void}
+   */
+  addDirectPeer (addrInfo: AddrInfo): void {
+    const id = addrInfo.id.toB58String()
+    this._libp2p.peerStore.addressBook.add(addrInfo.id, addrInfo.addrs)
+    if (this.direct.has(id)) {
+      return
+    }
+    this.direct.add(id)
+
+    // we don't keep direct peers in our meshes
+    this.mesh.forEach((peers, topic) => {
+      if (peers.delete(id)) {
+        this.log('removing new direct peer %s from the mesh of %s', id, topic)
+        this.score.prune(id, topic)
+        this.tracer.prune(id, topic)
+        const out = createGossipRpc([], { prune: [this._makePrune(id, topic, false)] })
+        this._sendRpc(id, out)
+      }
+    })
+    this._updatePeerTag(id)
+    this.emit('gossipsub:direct-peer-added', id)
+
+    if (this.started) {
+      const peer = this.peers.get(id)
+      if (!peer || !peer.isWritable) {
+        this._connect(id)
+      }
+    }
+  }
+
+  /**
+   * Remove a direct peer, which then becomes a regular peer
+   * It is scored, and may be grafted to our meshes, from the next heartbeat
+   * @param {PeerId} peerId
+   * @returns {void}
+   */
+  removeDirectPeer (peerId: PeerId): void {
+    const id = peerId.toB58String()
+    if (!this.direct.delete(id)) {
+      return
+    }
+    this.log('removed direct peer %s', id)
+    this._updatePeerTag(id)
+    this.emit('gossipsub:direct-peer-removed', id)
+  }
+
+  /**
+   * Update the connection manager value of a connected peer, if the peer tagger is enabled
+   * @param {string} id
+   * @returns {void}
+   */
+  _updatePeerTag (id: string): void {
+    if (this.peerTagger && this.peers.has(id)) {
+      this.peerTagger.update(id)
+    }
+  }
+
+  /**
+   * Get the ids of the direct peers
+   * @returns {string[]}
+   */
+  getDirectPeers (): string[] {
+    return Array.from(this.direct)
+  }
+
+  /**
+   * Ban a peer: its RPCs are rejected, it is removed from our meshes and fanout, and it is not selected nor
+   * connected to through PX anymore
+   * @param {PeerId|string} peerId
+   * @param {number} [ttl] duration of the ban in milliseconds, forever if not set
+   * @returns {void}
+   */
+  blacklistPeer (peerId: PeerId | string, ttl?: number): void {
+    const id = typeof peerId === 'string' ? peerId : peerId.toB58String()
+    this.blacklist.addPeer(id, ttl)
+    this._evictBlacklisted(id)
+    this._saveBlacklist()
+  }
+
+  /**
+   * Lift the ban of a peer
+   * @param {PeerId|string} peerId
+   * @returns {void}
+   */
+  removeBlacklistedPeer (peerId: PeerId | string): void {
+    if (this.blacklist.removePeer(typeof peerId === 'string' ? peerId : peerId.toB58String())) {
+      this._saveBlacklist()
+    }
+  }
+
+  /**
+   * Ban the peers connected from an IP or a CIDR range
+   * Throws if range is not an IP or a CIDR range
+   * @param {string} range IP or CIDR range, e.g. 10.0.0.0/8
+   * @param {number} [ttl] duration of the ban in milliseconds, forever if not set
+   * @returns {void}
+   */
+  blacklistIP (range: string, ttl?: number): void {
+    this.blacklist.addIP(range, ttl)
+    this.peers.forEach((_, id) => this._evictBlacklisted(id))
+    this._saveBlacklist()
+  }
+
+  /**
+   * Lift the ban of an IP or a CIDR range
+   * @param {string} range
+   * @returns {void}
+   */
+  removeBlacklistedIP (range: string): void {
+    if (this.blacklist.removeIP(range)) {
+      this._saveBlacklist()
+    }
+  }
+
+  /**
+   * Whether a peer is banned, by id or by one of its IPs
+   * @param {string} id
+   * @returns {boolean}
+   */
+  _isBlacklisted (id: string): boolean {
+    if (this.blacklist.hasPeer(id)) {
+      return true
+    }
+    const pstats = this.score.peerStats.get(id)
+    return Boolean(pstats && pstats.ips.some(ip => this.blacklist.hasIP(ip)))
+  }
+
+  /**
+   * Whether one of the known addresses of a peer is in a banned IP range
+   * @param {string} id
+   * @returns {boolean}
+   */
+  _hasBlacklistedAddress (id: string): boolean {
+    const addrs = this._libp2p.peerStore.addressBook.getMultiaddrsForPeer(PeerId.createFromB58String(id)) || []
+    return addrs.some(ma => ma.stringTuples().some(([code, value]) => {
+      // ip4 and ip6 components
+      return (code === 4 || code === 41) && value !== undefined && this.blacklist.hasIP(value)
+    }))
+  }
+
+  /**
+   * Remove a peer from our meshes, fanout and relay peers if it is banned
+   * @param {string} id
+   * @returns {void}
+   */
+  _evictBlacklisted (id: string): void {
+    if (!this._isBlacklisted(id)) {
+      return
+    }
+    this.mesh.forEach((peers, topic) => {
+      if (peers.delete(id)) {
+        this.log('removing blacklisted peer %s from the mesh of %s', id, topic)
+        this.score.prune(id, topic)
+        this.tracer.prune(id, topic)
+      }
+    })
+    this.fanout.forEach(peers => peers.delete(id))
+    this.relay.forEach(peers => peers.delete(id))
+  }
+
+  /**
+   * Save the ban list in the background
+   * @returns {Promise<void>}
+   */
+  async _saveBlacklist (): Promise<void> {
+    const store = this._options.blacklistStore
+    if (!store) {
+      return
+    }
+    try {
+      await store.save(this.blacklist.export())
+    } catch (err) {
+      this.log('failed to save the blacklist: %s', err.message)
+    }
+  }
+
+  /**
+   * Restore the ban list, keeping the bans added meanwhile
+   * @param {BlacklistStore} store
+   * @returns {Promise<void>}
+   */
+  async _restoreBlacklist (store: BlacklistStore): Promise<void> {
+    let state: BlacklistState | undefined
+    try {
+      state = await store.load()
+    } catch (err) {
+      this.log('failed to load the blacklist: %s', err.message)
+      return
+    }
+    if (!state || !this.started) {
+      return
+    }
+
+    this.blacklist.import(state)
+    this.peers.forEach((_, id) => this._evictBlacklisted(id))
+    this.log('restored the blacklist')
+  }
+
   /**
    * Maybe attempt connection given signed peer records
    * @param {RPC.IPeerInfo[]} peers
@@ -856,6 +1943,11 @@ class Gossipsub extends Pubsub {
         return
       }
 
+      if (this._isBlacklisted(id)) {
+        this.log('ignoring blacklisted peer %s obtained through px', id)
+        return
+      }
+
       if (!pi.signedPeerRecord) {
         toconnect.push(id)
         return
@@ -903,6 +1995,12 @@ class Gossipsub extends Pubsub {
     super.start()
     this.heartbeat.start()
     this.score.start()
+    if (this._options.scoreStateStore) {
+      this._restoreScoreState(this._options.scoreStateStore)
+    }
+    if (this._options.blacklistStore) {
+      this._restoreBlacklist(this._options.blacklistStore)
+    }
     // connect to direct peers
     this._directPeerInitial = setTimeout(() => {
       this.direct.forEach(id => {
@@ -917,6 +2015,9 @@ class Gossipsub extends Pubsub {
    * @returns {void}
    */
   stop (): void {
+    if (this.started && this._options.scoreStateStore) {
+      this._saveScoreState(this._options.scoreStateStore)
+    }
     super.stop()
     this.heartbeat.stop()
     this.score.stop()
@@ -924,33 +2025,255 @@ class Gossipsub extends Pubsub {
     this.mesh = new Map()
     this.fanout = new Map()
     this.lastpub = new Map()
+    this.relay = new Map()
+    this.lastrelay = new Map()
     this.gossip = new Map()
     this.control = new Map()
     this.peerhave = new Map()
     this.iasked = new Map()
+    this.dontwant = new Map()
+    this.idontwantCounts = new Map()
     this.backoff = new Map()
     this.outbound = new Map()
+    this.graylisted = new Map()
+    this.disconnectCooldown = new Map()
+    if (this.peerTagger) {
+      this.peerTagger.clear()
+    }
+    this.lastDiscovery = new Map()
+    this.pendingDiscovery = new Set()
+    this.pendingValidation = new Map()
+    this.validationQueue.clear()
+    this.rateLimiter.clear()
+    this.connectionScheduler.stop()
     this.gossipTracer.clear()
     clearTimeout(this._directPeerInitial)
   }
 
   /**
-   * Connect to a peer using the gossipsub protocol
+   * Save the peer score and backoff state
+   * The state is taken synchronously, before the router state is cleared, and saved in the background
+   * @param {ScoreStateStore} store
+   * @returns {Promise<void>}
+   */
+  async _saveScoreState (store: ScoreStateStore): Promise<void> {
+    const backoff: Record<string, Record<string, number>> = {}
+    this.backoff.forEach((peers, topic) => {
+      backoff[topic] = {}
+      peers.forEach((expire, id) => {
+        backoff[topic][id] = expire
+      })
+    })
+    const state: ScoreState = {
+      savedAt: this._now(),
+      peerStats: this.score.exportStats(),
+      backoff
+    }
+
+    try {
+      await store.save(state)
+    } catch (err) {
+      this.log('failed to save the score state: %s', err.message)
+    }
+  }
+
+  /**
+   * Restore the peer score and backoff state saved when last stopped
+   * @param {ScoreStateStore} store
+   * @returns {Promise<void>}
+   */
+  async _restoreScoreState (store: ScoreStateStore): Promise<void> {
+    let state: ScoreState | undefined
+    try {
+      state = await store.load()
+    } catch (err) {
+      this.log('failed to load the score state: %s', err.message)
+      return
+    }
+    if (!state || !this.started) {
+      return
+    }
+
+    this.score.importStats(state.peerStats, state.savedAt)
+    const now = this._now()
+    Object.entries(state.backoff).forEach(([topic, peers]) => {
+      Object.entries(peers).forEach(([id, expire]) => {
+        if (expire > now) {
+          this._doAddBackoff(id, topic, expire - now)
+        }
+      })
+    })
+    this.log('restored the score state saved at %d', state.savedAt)
+  }
+
+  /**
+   * Schedule a connection to a peer using the gossipsub protocol
    * @param {string} id
    * @returns {void}
    */
   _connect (id: string): void {
+    if (this._inDisconnectCooldown(id)) {
+      this.log('not connecting to %s, in cool-down after staying graylisted', id)
+      return
+    }
+    if (this._isBlacklisted(id) || this._hasBlacklistedAddress(id)) {
+      this.log('not connecting to blacklisted peer %s', id)
+      return
+    }
+    this.connectionScheduler.schedule(id)
+  }
+
+  /**
+   * Dial a peer using the gossipsub protocol
+   * @param {string} id
+   * @param {AbortSignal} signal
+   * @returns {Promise<void>}
+   */
+  async _dial (id: string, signal: AbortSignal): Promise<void> {
+    // the scheduler retries failed attempts on its own, the peer may have been banned since it was scheduled
+    if (this._inDisconnectCooldown(id) || this._isBlacklisted(id) || this._hasBlacklistedAddress(id)) {
+      this.log('not connecting to %s, banned since scheduled', id)
+      return
+    }
     this.log('Initiating connection with %s', id)
-    this._libp2p.dialProtocol(PeerId.createFromB58String(id), this.multicodecs)
+    await this._libp2p.dialProtocol(PeerId.createFromB58String(id), this.multicodecs, { signal })
+  }
+
+  /**
+   * Render the router metrics in the Prometheus text exposition format
+   * Returns an empty string if metrics are not enabled
+   * @returns {string}
+   */
+  getMetrics (): string {
+    return this.metrics ? this.metrics.render() : ''
+  }
+
+  /**
+   * Get the contributions of the score parameters to the score of a peer
+   * @param {PeerId|string} peerId
+   * @returns {ScoreBreakdown | null} null if the peer is not tracked
+   */
+  getScoreBreakdown (peerId: PeerId | string): ScoreBreakdown | null {
+    return this.score.getScoreBreakdown(typeof peerId === 'string' ? peerId : peerId.toB58String())
+  }
+
+  /**
+   * Get the score breakdowns of all the tracked peers
+   * @returns {Record<string, ScoreBreakdown>} peer id => score breakdown
+   */
+  dumpPeerScores (): Record<string, ScoreBreakdown> {
+    return this.score.dumpPeerScores()
+  }
+
+  /**
+   * Refresh the application-specific score of a peer from the asynchronous appSpecificScoreProvider
+   * Resolves once the new value is used by the peer score
+   * @param {PeerId|string} peerId
+   * @returns {Promise<void>}
+   */
+  updateAppSpecificScore (peerId: PeerId | string): Promise<void> {
+    return this.score.updateAppSpecificScore(typeof peerId === 'string' ? peerId : peerId.toB58String())
+  }
+
+  /**
+   * Update the global peer score parameters, keeping the score counters
+   * Parameters which are not set keep their current values
+   * Throws if the resulting parameters are invalid
+   * @param {Partial<PeerScoreParams>} params
+   * @returns {void}
+   */
+  setScoreParams (params: Partial<PeerScoreParams>): void {
+    this.score.setParams(params)
+    this._options.scoreParams = this.score.params
+  }
+
+  /**
+   * Set the score parameters of a topic, scoring it from now on if it was not scored
+   * The peers already in the mesh of a newly scored topic are scored as if they were grafted now
+   * Throws if the parameters are invalid
+   * @param {string} topic
+   * @param {Partial<TopicScoreParams>} params
+   * @returns {void}
+   */
+  setTopicScoreParams (topic: string, params: Partial<TopicScoreParams>): void {
+    const scored = Boolean(this.score.params.topics[topic])
+    this.score.setTopicScoreParams(topic, createTopicScoreParams(params))
+    this._options.scoreParams = this.score.params
+
+    const peersInMesh = this.mesh.get(topic)
+    if (!scored && peersInMesh) {
+      peersInMesh.forEach(id => this.score.graft(id, topic))
+    }
+  }
+
+  /**
+   * Stop scoring a topic, dropping the score counters of the topic
+   * @param {string} topic
+   * @returns {void}
+   */
+  removeTopicScoreParams (topic: string): void {
+    this.score.removeTopicScoreParams(topic)
+    this._options.scoreParams = this.score.params
+  }
+
+  /**
+   * Update the peer score thresholds
+   * Thresholds which are not set keep their current values
+   * Throws if the resulting thresholds are invalid
+   * @param {Partial<PeerScoreThresholds>} thresholds
+   * @returns {void}
+   */
+  setScoreThresholds (thresholds: Partial<PeerScoreThresholds>): void {
+    const scoreThresholds = createPeerScoreThresholds({ ...this._options.scoreThresholds, ...thresholds })
+    validatePeerScoreThresholds(scoreThresholds)
+    this._options.scoreThresholds = scoreThresholds
+  }
+
+  /**
+   * Get the mesh degree parameters of a topic
+   * Returns the per-topic parameters if set, otherwise the global ones
+   * @param {string} topic
+   * @returns {TopicMeshParams}
+   */
+  getMeshParams (topic: string): TopicMeshParams {
+    return this.topicMeshParams.get(topic) || this._options
+  }
+
+  /**
+   * Set the mesh degree parameters of a topic
+   * Parameters which are not set fall back to the global ones
+   * Takes effect on the next heartbeat
+   * @param {string} topic
+   * @param {Partial<TopicMeshParams>} params
+   * @returns {void}
+   */
+  setTopicMeshParams (topic: string, params: Partial<TopicMeshParams>): void {
+    const meshParams = createTopicMeshParams(this._options, params)
+    validateTopicMeshParams(meshParams)
+    this.topicMeshParams.set(topic, meshParams)
+  }
+
+  /**
+   * Remove the mesh degree parameters of a topic, falling back to the global ones
+   * @param {string} topic
+   * @returns {void}
+   */
+  removeTopicMeshParams (topic: string): void {
+    this.topicMeshParams.delete(topic)
   }
 
   /**
    * Subscribes to a topic
+   * Throws if the topic is not allowed by the subscription filter
    * @override
    * @param {string} topic
    * @returns {void}
    */
   subscribe (topic: string): void {
+    const filter = this._options.subscriptionFilter
+    if (filter && !filter.canSubscribe(topic)) {
+      throw errcode(new Error(`topic ${topic} is not allowed by the subscription filter`), constants.ERR_TOPIC_NOT_ALLOWED)
+    }
     super.subscribe(topic)
     this.join(topic)
   }
@@ -976,8 +2299,14 @@ class Gossipsub extends Pubsub {
       throw new Error('Gossipsub has not started')
     }
     this.log('JOIN %s', topic)
-
-    const fanoutPeers = this.fanout.get(topic)
+    this.tracer.join(topic)
+    this._advertise(topic, true)
+    const { D } = this.getMeshParams(topic)
+
+    // peers we have been relaying to are as good a starting point as fanout peers
+    const fanoutPeers = this.fanout.get(topic) || this.relay.get(topic)
+    this.relay.delete(topic)
+    this.lastrelay.delete(topic)
     if (fanoutPeers) {
       // these peers have a score above the publish threshold, which may be negative
       // so drop the ones with a negative score
@@ -986,9 +2315,9 @@ class Gossipsub extends Pubsub {
           fanoutPeers.delete(id)
         }
       })
-      if (fanoutPeers.size < this._options.D) {
+      if (fanoutPeers.size < D) {
         // we need more peers; eager, as this would get fixed in the next heartbeat
-        getGossipPeers(this, topic, this._options.D - fanoutPeers.size, (id: string): boolean => {
+        getGossipPeers(this, topic, D - fanoutPeers.size, (id: string): boolean => {
           // filter our current peers, direct peers, and peers with negative scores
           return !fanoutPeers.has(id) && !this.direct.has(id) && this.score.score(id) >= 0
         }).forEach(id => fanoutPeers.add(id))
@@ -997,7 +2326,7 @@ class Gossipsub extends Pubsub {
       this.fanout.delete(topic)
       this.lastpub.delete(topic)
     } else {
-      const peers = getGossipPeers(this, topic, this._options.D, (id: string): boolean => {
+      const peers = getGossipPeers(this, topic, D, (id: string): boolean => {
         // filter direct peers and peers with negative score
         return !this.direct.has(id) && this.score.score(id) >= 0
       })
@@ -1005,6 +2334,7 @@ class Gossipsub extends Pubsub {
     }
     this.mesh.get(topic)!.forEach((id) => {
       this.log('JOIN: Add mesh link to %s in %s', id, topic)
+      this.tracer.graft(id, topic)
       this._sendGraft(id, topic)
     })
   }
@@ -1019,12 +2349,16 @@ class Gossipsub extends Pubsub {
       throw new Error('Gossipsub has not started')
     }
     this.log('LEAVE %s', topic)
+    this.tracer.leave(topic)
+    this._advertise(topic, false)
+    this.lastDiscovery.delete(topic)
 
     // Send PRUNE to mesh peers
     const meshPeers = this.mesh.get(topic)
     if (meshPeers) {
       meshPeers.forEach((id) => {
         this.log('LEAVE: Remove mesh link to %s in %s', id, topic)
+        this.tracer.prune(id, topic)
         this._sendPrune(id, topic)
       })
       this.mesh.delete(topic)
@@ -1039,13 +2373,22 @@ class Gossipsub extends Pubsub {
    * @returns {void}
    */
   async _publish (msg: InMessage): Promise<void> {
+    const msgID = await this.getMsgId(msg)
+    const msgIdStr = messageIdToString(msgID)
+
     if (msg.receivedFrom !== this.peerId.toB58String()) {
       this.score.deliverMessage(msg)
-      this.gossipTracer.deliverMessage(msg)
+      // the IWANT promises of asynchronously validated messages are fulfilled once received
+      if (!this._options.asyncValidation) {
+        this.gossipTracer.deliverMessage(msg)
+      }
+      this.tracer.deliverMessage(msg)
+      // tell our mesh peers not to send us this message again, now that it is validated
+      this._sendIDontWant(msgID, msg)
+    } else {
+      this.tracer.publishMessage(msg)
     }
 
-    const msgID = await this.getMsgId(msg)
-    const msgIdStr = messageIdToString(msgID)
     // put in seen cache
     this.seenCache.put(msgIdStr)
 
@@ -1090,12 +2433,15 @@ class Gossipsub extends Pubsub {
 
         // Gossipsub peers handling
         let meshPeers = this.mesh.get(topic)
-        if (!meshPeers || !meshPeers.size) {
+        if ((!meshPeers || !meshPeers.size) && this._isRelayed(msg, topic)) {
+          // We are relaying a message for a topic we are not subscribed to, use relay peers
+          meshPeers = this._getRelayPeers(topic)
+        } else if (!meshPeers || !meshPeers.size) {
           // We are not in the mesh for topic, use fanout peers
           meshPeers = this.fanout.get(topic)
           if (!meshPeers) {
             // If we are not in the fanout, then pick peers in topic above the publishThreshold
-            const peers = getGossipPeers(this, topic, this._options.D, id => {
+            const peers = getGossipPeers(this, topic, this.getMeshParams(topic).D, id => {
               return this.score.score(id) >= this._options.scoreThresholds.publishThreshold
             })
 
@@ -1120,13 +2466,99 @@ class Gossipsub extends Pubsub {
       utils.normalizeOutRpcMessage(msg)
     ])
     tosend.forEach((id) => {
-      if (id === msg.from) {
+      // don't send the message back to its origin or to the peer we received it from
+      if (id === msg.from || id === msg.receivedFrom) {
+        return
+      }
+      // don't send the message to peers which told us they already have it
+      if (this.dontwant.get(id)?.has(msgIdStr)) {
         return
       }
       this._sendRpc(id, rpc)
     })
   }
 
+  /**
+   * Whether a message is being relayed for a topic we are not subscribed to
+   * @param {InMessage} msg
+   * @param {string} topic
+   * @returns {boolean}
+   */
+  _isRelayed (msg: InMessage, topic: string): boolean {
+    return this._options.canRelayMessage &&
+      !this.subscriptions.has(topic) &&
+      msg.receivedFrom !== this.peerId.toB58String()
+  }
+
+  /**
+   * Whether we subscribed to, relay, publish to or configured a topic, rather than only heard of it from peers
+   * @param {string} topic
+   * @returns {boolean}
+   */
+  _isKnownTopic (topic: string): boolean {
+    return this.subscriptions.has(topic) ||
+      this.relay.has(topic) ||
+      this.fanout.has(topic) ||
+      this.topicMeshParams.has(topic) ||
+      this.rateLimiter.topicParams.has(topic) ||
+      this.score.params.topics[topic] !== undefined
+  }
+
+  /**
+   * Get the peers to relay a message to, for a topic we are not subscribed to
+   * The relay peers are selected like fanout peers and maintained in the heartbeat
+   * @param {string} topic
+   * @returns {Set<string>}
+   */
+  _getRelayPeers (topic: string): Set<string> {
+    let peers = this.relay.get(topic)
+    if (!peers) {
+      // pick peers in topic above the publishThreshold
+      peers = getGossipPeers(this, topic, this.getMeshParams(topic).D, id => {
+        return this.score.score(id) >= this._options.scoreThresholds.publishThreshold
+      })
+      this.relay.set(topic, peers)
+    }
+    // Store the latest relay time
+    this.lastrelay.set(topic, this._now())
+    return peers
+  }
+
+  /**
+   * Sends an IDONTWANT message for a message above the size threshold to our v1.2 mesh peers
+   * @param {Uint8Array} msgID
+   * @param {InMessage} msg
+   * @returns {void}
+   */
+  _sendIDontWant (msgID: Uint8Array, msg: InMessage): void {
+    if (!msg.data || msg.data.length < this._options.idontwantMessageThreshold) {
+      return
+    }
+
+    const tosend = new Set<string>()
+    msg.topicIDs.forEach((topic) => {
+      const meshPeers = this.mesh.get(topic)
+      if (!meshPeers) {
+        return
+      }
+      meshPeers.forEach((id) => {
+        const peerStreams = this.peers.get(id)
+        // older protocol versions don't know about IDONTWANT
+        if (id !== msg.receivedFrom && peerStreams && peerStreams.protocol === constants.GossipsubIDv12) {
+          tosend.add(id)
+        }
+      })
+    })
+
+    const idontwant = [{
+      messageIDs: [msgID]
+    }]
+    tosend.forEach((id) => {
+      const out = createGossipRpc([], { idontwant })
+      this._sendRpc(id, out)
+    })
+  }
+
   /**
    * Sends a GRAFT message to a peer
    * @param {string} id peer id
@@ -1158,11 +2590,18 @@ class Gossipsub extends Pubsub {
   }
 
   /**
+   * Send an rpc to a peer, piggybacking pending control and gossip
+   * Nothing is sent to blacklisted peers
+   * Rpcs larger than maxOutboundRpcSize are split into several rpcs
    * @override
+   * @param {string} id peer id
+   * @param {IRPC} outRpc
+   * @returns {void}
    */
   _sendRpc (id: string, outRpc: IRPC): void {
     const peerStreams = this.peers.get(id)
-    if (!peerStreams || !peerStreams.isWritable) {
+    if (!peerStreams || !peerStreams.isWritable || this._isBlacklisted(id)) {
+      this.tracer.dropRPC(id, outRpc)
       return
     }
 
@@ -1180,7 +2619,25 @@ class Gossipsub extends Pubsub {
       this.gossip.delete(id)
     }
 
-    peerStreams.write(RPC.encode(outRpc).finish())
+    if (this.metrics) {
+      this.metrics.onRpcSent(outRpc)
+    }
+
+    const rpcBytes = RPC.encode(outRpc).finish()
+    const maxSize = this._options.maxOutboundRpcSize
+    if (rpcBytes.length <= maxSize) {
+      peerStreams.write(rpcBytes)
+      this.tracer.sendRPC(id, outRpc)
+      return
+    }
+
+    // split the rpc, along with the piggybacked control and gossip, into rpcs the peer accepts
+    const fragments = fragmentRpc(outRpc, maxSize)
+    this.log('splitting rpc of %d bytes to %s into %d rpcs', rpcBytes.length, id, fragments.length)
+    fragments.forEach(fragment => {
+      peerStreams.write(RPC.encode(fragment).finish())
+      this.tracer.sendRPC(id, fragment)
+    })
   }
 
   _piggybackControl (id: string, outRpc: IRPC, ctrl: RPC.IControlMessage): void {
@@ -1281,7 +2738,7 @@ class Gossipsub extends Pubsub {
       }
     })
 
-    let target = this._options.Dlazy
+    let target = this.getMeshParams(topic).Dlazy
     const factor = constants.GossipsubGossipFactor * peersToGossip.length
     if (factor > target) {
       target = factor
@@ -1,6 +1,7 @@
 import { InMessage } from 'libp2p-interfaces/src/pubsub'
 import { Multiaddr } from 'multiaddr'
 import PeerId = require('peer-id')
+import { ScoreBreakdown } from './score'
 
 export interface AddrInfo {
   id: PeerId
@@ -8,3 +9,40 @@ export interface AddrInfo {
 }
 
 export type MessageIdFunction = (msg: InMessage) => Promise<Uint8Array> | Uint8Array;
+
+/**
+ * The result of validating a message with a topic validator
+ * - accept: the message is valid, it is delivered and forwarded
+ * - ignore: the message is dropped, without penalizing the peer that sent it
+ * - reject: the message is invalid, it is dropped and the peer that sent it is penalized
+ */
+export type MessageAcceptance = 'accept' | 'ignore' | 'reject'
+
+export type TopicValidatorFn = (topic: string, msg: InMessage) => MessageAcceptance | Promise<MessageAcceptance>
+
+/**
+ * Event emitted when disconnecting from a peer which stayed graylisted
+ */
+export interface GraylistDisconnectEvent {
+  id: string
+  /**
+   * time since which the peer was graylisted
+   */
+  since: number
+  /**
+   * the score of the peer at the time of the disconnection
+   */
+  breakdown: ScoreBreakdown | null
+}
+
+/**
+ * Event emitted when the mesh of a topic stays below Dlo after the heartbeat
+ */
+export interface UnderPeeredEvent {
+  topic: string
+  /**
+   * number of peers in the topic mesh after the heartbeat
+   */
+  peers: number
+  Dlo: number
+}
@@ -0,0 +1,78 @@
+import { ERR_INVALID_TOPIC_MESH_PARAMS } from './constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+// This file defines the TopicMeshParams interface
+// as well as a constructor and validation function
+// for this interface
+
+export interface TopicMeshParams {
+  /**
+   * D sets the optimal degree for the topic mesh.
+   */
+  D: number
+
+  /**
+   * Dlo sets the lower bound on the number of peers we keep in the topic mesh.
+   */
+  Dlo: number
+
+  /**
+   * Dhi sets the upper bound on the number of peers we keep in the topic mesh.
+   */
+  Dhi: number
+
+  /**
+   * Dscore affects how peers are selected when pruning the topic mesh due to over subscription.
+   */
+  Dscore: number
+
+  /**
+   * Dout sets the quota for the number of outbound connections to maintain in the topic mesh.
+   */
+  Dout: number
+
+  /**
+   * Dlazy affects how many peers we will emit gossip to at each heartbeat for the topic.
+   */
+  Dlazy: number
+}
+
+export function createTopicMeshParams (defaults: TopicMeshParams, p: Partial<TopicMeshParams> = {}): TopicMeshParams {
+  const params = {
+    D: defaults.D,
+    Dlo: defaults.Dlo,
+    Dhi: defaults.Dhi,
+    Dscore: defaults.Dscore,
+    Dout: defaults.Dout,
+    Dlazy: defaults.Dlazy,
+    ...p
+  }
+  // the default Dout may not fit a smaller mesh; it must be below Dlo and must not exceed D / 2
+  if (p.Dout === undefined) {
+    params.Dout = Math.max(0, Math.min(defaults.Dout, Math.floor(params.D / 2), params.Dlo - 1))
+  }
+  return params
+}
+
+export function validateTopicMeshParams (p: TopicMeshParams): void {
+  if (p.D < 0 || p.Dlo < 0 || p.Dhi < 0 || p.Dscore < 0 || p.Dout < 0 || p.Dlazy < 0) {
+    throw errcode(
+      new Error('invalid mesh degree; must be >= 0'),
+      ERR_INVALID_TOPIC_MESH_PARAMS
+    )
+  }
+  if (p.Dlo > p.D || p.D > p.Dhi) {
+    throw errcode(
+      new Error('invalid mesh degree; must be Dlo <= D <= Dhi'),
+      ERR_INVALID_TOPIC_MESH_PARAMS
+    )
+  }
+  if (p.Dout > 0 && (p.Dout >= p.Dlo || p.Dout > p.D / 2)) {
+    throw errcode(
+      new Error('invalid Dout; must be below Dlo and must not exceed D / 2'),
+      ERR_INVALID_TOPIC_MESH_PARAMS
+    )
+  }
+}
@@ -264,6 +264,9 @@ export namespace RPC {
 
         /** ControlMessage prune */
         prune?: (RPC.IControlPrune[]|null);
+
+        /** ControlMessage idontwant */
+        idontwant?: (RPC.IControlIDontWant[]|null);
     }
 
     /** Represents a ControlMessage. */
@@ -287,6 +290,9 @@ export namespace RPC {
         /** ControlMessage prune. */
         public prune: RPC.IControlPrune[];
 
+        /** ControlMessage idontwant. */
+        public idontwant: RPC.IControlIDontWant[];
+
         /**
          * Encodes the specified ControlMessage message. Does not implicitly {@link RPC.ControlMessage.verify|verify} messages.
          * @param m ControlMessage message or plain object to encode
@@ -454,6 +460,65 @@ export namespace RPC {
         public toJSON(): { [k: string]: any };
     }
 
+    /** Properties of a ControlIDontWant. */
+    interface IControlIDontWant {
+
+        /** ControlIDontWant messageIDs */
+        messageIDs?: (Uint8Array[]|null);
+    }
+
+    /** Represents a ControlIDontWant. */
+    class ControlIDontWant implements IControlIDontWant {
+
+        /**
+         * Constructs a new ControlIDontWant.
+         * @param [p] Properties to set
+         */
+        constructor(p?: RPC.IControlIDontWant);
+
+        /** ControlIDontWant messageIDs. */
+        public messageIDs: Uint8Array[];
+
+        /**
+         * Encodes the specified ControlIDontWant message. Does not implicitly {@link RPC.ControlIDontWant.verify|verify} messages.
+         * @param m ControlIDontWant message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: RPC.IControlIDontWant, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlIDontWant message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlIDontWant
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): RPC.ControlIDontWant;
+
+        /**
+         * Creates a ControlIDontWant message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlIDontWant
+         */
+        public static fromObject(d: { [k: string]: any }): RPC.ControlIDontWant;
+
+        /**
+         * Creates a plain object from a ControlIDontWant message. Also converts values to other types if specified.
+         * @param m ControlIDontWant
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: RPC.ControlIDontWant, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlIDontWant to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
     /** Properties of a ControlGraft. */
     interface IControlGraft {
 
@@ -750,6 +750,7 @@
              * @property {Array.<RPC.IControlIWant>|null} [iwant] ControlMessage iwant
              * @property {Array.<RPC.IControlGraft>|null} [graft] ControlMessage graft
              * @property {Array.<RPC.IControlPrune>|null} [prune] ControlMessage prune
+             * @property {Array.<RPC.IControlIDontWant>|null} [idontwant] ControlMessage idontwant
              */
     
             /**
@@ -765,6 +766,7 @@
                 this.iwant = [];
                 this.graft = [];
                 this.prune = [];
+                this.idontwant = [];
                 if (p)
                     for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
                         if (p[ks[i]] != null)
@@ -803,6 +805,14 @@
              */
             ControlMessage.prototype.prune = $util.emptyArray;
     
+            /**
+             * ControlMessage idontwant.
+             * @member {Array.<RPC.IControlIDontWant>} idontwant
+             * @memberof RPC.ControlMessage
+             * @instance
+             */
+            ControlMessage.prototype.idontwant = $util.emptyArray;
+    
             /**
              * Encodes the specified ControlMessage message. Does not implicitly {@link RPC.ControlMessage.verify|verify} messages.
              * @function encode
@@ -831,6 +841,10 @@
                     for (var i = 0; i < m.prune.length; ++i)
                         $root.RPC.ControlPrune.encode(m.prune[i], w.uint32(34).fork()).ldelim();
                 }
+                if (m.idontwant != null && m.idontwant.length) {
+                    for (var i = 0; i < m.idontwant.length; ++i)
+                        $root.RPC.ControlIDontWant.encode(m.idontwant[i], w.uint32(42).fork()).ldelim();
+                }
                 return w;
             };
     
@@ -872,6 +886,11 @@
                             m.prune = [];
                         m.prune.push($root.RPC.ControlPrune.decode(r, r.uint32()));
                         break;
+                    case 5:
+                        if (!(m.idontwant && m.idontwant.length))
+                            m.idontwant = [];
+                        m.idontwant.push($root.RPC.ControlIDontWant.decode(r, r.uint32()));
+                        break;
                     default:
                         r.skipType(t & 7);
                         break;
@@ -932,6 +951,16 @@
                         m.prune[i] = $root.RPC.ControlPrune.fromObject(d.prune[i]);
                     }
                 }
+                if (d.idontwant) {
+                    if (!Array.isArray(d.idontwant))
+                        throw TypeError(".RPC.ControlMessage.idontwant: array expected");
+                    m.idontwant = [];
+                    for (var i = 0; i < d.idontwant.length; ++i) {
+                        if (typeof d.idontwant[i] !== "object")
+                            throw TypeError(".RPC.ControlMessage.idontwant: object expected");
+                        m.idontwant[i] = $root.RPC.ControlIDontWant.fromObject(d.idontwant[i]);
+                    }
+                }
                 return m;
             };
     
@@ -953,6 +982,7 @@
                     d.iwant = [];
                     d.graft = [];
                     d.prune = [];
+                    d.idontwant = [];
                 }
                 if (m.ihave && m.ihave.length) {
                     d.ihave = [];
@@ -978,6 +1008,12 @@
                         d.prune[j] = $root.RPC.ControlPrune.toObject(m.prune[j], o);
                     }
                 }
+                if (m.idontwant && m.idontwant.length) {
+                    d.idontwant = [];
+                    for (var j = 0; j < m.idontwant.length; ++j) {
+                        d.idontwant[j] = $root.RPC.ControlIDontWant.toObject(m.idontwant[j], o);
+                    }
+                }
                 return d;
             };
     
@@ -1327,6 +1363,154 @@
             return ControlIWant;
         })();
     
+        RPC.ControlIDontWant = (function() {
+    
+            /**
+             * Properties of a ControlIDontWant.
+             * @memberof RPC
+             * @interface IControlIDontWant
+             * @property {Array.<Uint8Array>|null} [messageIDs] ControlIDontWant messageIDs
+             */
+    
+            /**
+             * Constructs a new ControlIDontWant.
+             * @memberof RPC
+             * @classdesc Represents a ControlIDontWant.
+             * @implements IControlIDontWant
+             * @constructor
+             * @param {RPC.IControlIDontWant=} [p] Properties to set
+             */
+            function ControlIDontWant(p) {
+                this.messageIDs = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlIDontWant messageIDs.
+             * @member {Array.<Uint8Array>} messageIDs
+             * @memberof RPC.ControlIDontWant
+             * @instance
+             */
+            ControlIDontWant.prototype.messageIDs = $util.emptyArray;
+    
+            /**
+             * Encodes the specified ControlIDontWant message. Does not implicitly {@link RPC.ControlIDontWant.verify|verify} messages.
+             * @function encode
+             * @memberof RPC.ControlIDontWant
+             * @static
+             * @param {RPC.IControlIDontWant} m ControlIDontWant message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlIDontWant.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageIDs != null && m.messageIDs.length) {
+                    for (var i = 0; i < m.messageIDs.length; ++i)
+                        w.uint32(10).bytes(m.messageIDs[i]);
+                }
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlIDontWant message from the specified reader or buffer.
+             * @function decode
+             * @memberof RPC.ControlIDontWant
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {RPC.ControlIDontWant} ControlIDontWant
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlIDontWant.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.RPC.ControlIDontWant();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        if (!(m.messageIDs && m.messageIDs.length))
+                            m.messageIDs = [];
+                        m.messageIDs.push(r.bytes());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlIDontWant message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof RPC.ControlIDontWant
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {RPC.ControlIDontWant} ControlIDontWant
+             */
+            ControlIDontWant.fromObject = function fromObject(d) {
+                if (d instanceof $root.RPC.ControlIDontWant)
+                    return d;
+                var m = new $root.RPC.ControlIDontWant();
+                if (d.messageIDs) {
+                    if (!Array.isArray(d.messageIDs))
+                        throw TypeError(".RPC.ControlIDontWant.messageIDs: array expected");
+                    m.messageIDs = [];
+                    for (var i = 0; i < d.messageIDs.length; ++i) {
+                        if (typeof d.messageIDs[i] === "string")
+                            $util.base64.decode(d.messageIDs[i], m.messageIDs[i] = $util.newBuffer($util.base64.length(d.messageIDs[i])), 0);
+                        else if (d.messageIDs[i].length)
+                            m.messageIDs[i] = d.messageIDs[i];
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlIDontWant message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof RPC.ControlIDontWant
+             * @static
+             * @param {RPC.ControlIDontWant} m ControlIDontWant
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlIDontWant.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.messageIDs = [];
+                }
+                if (m.messageIDs && m.messageIDs.length) {
+                    d.messageIDs = [];
+                    for (var j = 0; j < m.messageIDs.length; ++j) {
+                        d.messageIDs[j] = o.bytes === String ? $util.base64.encode(m.messageIDs[j], 0, m.messageIDs[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.messageIDs[j]) : m.messageIDs[j];
+                    }
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlIDontWant to JSON.
+             * @function toJSON
+             * @memberof RPC.ControlIDontWant
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlIDontWant.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlIDontWant;
+        })();
+    
         RPC.ControlGraft = (function() {
     
             /**
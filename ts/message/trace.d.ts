@@ -0,0 +1,1670 @@
+import * as $protobuf from "protobufjs";
+/** Properties of a TraceEvent. */
+export interface ITraceEvent {
+
+    /** TraceEvent type */
+    type?: (TraceEvent.Type|null);
+
+    /** TraceEvent peerID */
+    peerID?: (Uint8Array|null);
+
+    /** TraceEvent timestamp */
+    timestamp?: (number|null);
+
+    /** TraceEvent publishMessage */
+    publishMessage?: (TraceEvent.IPublishMessage|null);
+
+    /** TraceEvent rejectMessage */
+    rejectMessage?: (TraceEvent.IRejectMessage|null);
+
+    /** TraceEvent duplicateMessage */
+    duplicateMessage?: (TraceEvent.IDuplicateMessage|null);
+
+    /** TraceEvent deliverMessage */
+    deliverMessage?: (TraceEvent.IDeliverMessage|null);
+
+    /** TraceEvent addPeer */
+    addPeer?: (TraceEvent.IAddPeer|null);
+
+    /** TraceEvent removePeer */
+    removePeer?: (TraceEvent.IRemovePeer|null);
+
+    /** TraceEvent recvRPC */
+    recvRPC?: (TraceEvent.IRecvRPC|null);
+
+    /** TraceEvent sendRPC */
+    sendRPC?: (TraceEvent.ISendRPC|null);
+
+    /** TraceEvent dropRPC */
+    dropRPC?: (TraceEvent.IDropRPC|null);
+
+    /** TraceEvent join */
+    join?: (TraceEvent.IJoin|null);
+
+    /** TraceEvent leave */
+    leave?: (TraceEvent.ILeave|null);
+
+    /** TraceEvent graft */
+    graft?: (TraceEvent.IGraft|null);
+
+    /** TraceEvent prune */
+    prune?: (TraceEvent.IPrune|null);
+}
+
+/** Represents a TraceEvent. */
+export class TraceEvent implements ITraceEvent {
+
+    /**
+     * Constructs a new TraceEvent.
+     * @param [p] Properties to set
+     */
+    constructor(p?: ITraceEvent);
+
+    /** TraceEvent type. */
+    public type: TraceEvent.Type;
+
+    /** TraceEvent peerID. */
+    public peerID: Uint8Array;
+
+    /** TraceEvent timestamp. */
+    public timestamp: number;
+
+    /** TraceEvent publishMessage. */
+    public publishMessage?: (TraceEvent.IPublishMessage|null);
+
+    /** TraceEvent rejectMessage. */
+    public rejectMessage?: (TraceEvent.IRejectMessage|null);
+
+    /** TraceEvent duplicateMessage. */
+    public duplicateMessage?: (TraceEvent.IDuplicateMessage|null);
+
+    /** TraceEvent deliverMessage. */
+    public deliverMessage?: (TraceEvent.IDeliverMessage|null);
+
+    /** TraceEvent addPeer. */
+    public addPeer?: (TraceEvent.IAddPeer|null);
+
+    /** TraceEvent removePeer. */
+    public removePeer?: (TraceEvent.IRemovePeer|null);
+
+    /** TraceEvent recvRPC. */
+    public recvRPC?: (TraceEvent.IRecvRPC|null);
+
+    /** TraceEvent sendRPC. */
+    public sendRPC?: (TraceEvent.ISendRPC|null);
+
+    /** TraceEvent dropRPC. */
+    public dropRPC?: (TraceEvent.IDropRPC|null);
+
+    /** TraceEvent join. */
+    public join?: (TraceEvent.IJoin|null);
+
+    /** TraceEvent leave. */
+    public leave?: (TraceEvent.ILeave|null);
+
+    /** TraceEvent graft. */
+    public graft?: (TraceEvent.IGraft|null);
+
+    /** TraceEvent prune. */
+    public prune?: (TraceEvent.IPrune|null);
+
+    /**
+     * Encodes the specified TraceEvent message. Does not implicitly {@link TraceEvent.verify|verify} messages.
+     * @param m TraceEvent message or plain object to encode
+     * @param [w] Writer to encode to
+     * @returns Writer
+     */
+    public static encode(m: ITraceEvent, w?: $protobuf.Writer): $protobuf.Writer;
+
+    /**
+     * Decodes a TraceEvent message from the specified reader or buffer.
+     * @param r Reader or buffer to decode from
+     * @param [l] Message length if known beforehand
+     * @returns TraceEvent
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent;
+
+    /**
+     * Creates a TraceEvent message from a plain object. Also converts values to their respective internal types.
+     * @param d Plain object
+     * @returns TraceEvent
+     */
+    public static fromObject(d: { [k: string]: any }): TraceEvent;
+
+    /**
+     * Creates a plain object from a TraceEvent message. Also converts values to other types if specified.
+     * @param m TraceEvent
+     * @param [o] Conversion options
+     * @returns Plain object
+     */
+    public static toObject(m: TraceEvent, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+    /**
+     * Converts this TraceEvent to JSON.
+     * @returns JSON object
+     */
+    public toJSON(): { [k: string]: any };
+}
+
+export namespace TraceEvent {
+
+    /** Type enum. */
+    enum Type {
+        PUBLISH_MESSAGE = 0,
+        REJECT_MESSAGE = 1,
+        DUPLICATE_MESSAGE = 2,
+        DELIVER_MESSAGE = 3,
+        ADD_PEER = 4,
+        REMOVE_PEER = 5,
+        RECV_RPC = 6,
+        SEND_RPC = 7,
+        DROP_RPC = 8,
+        JOIN = 9,
+        LEAVE = 10,
+        GRAFT = 11,
+        PRUNE = 12
+    }
+
+    /** Properties of a PublishMessage. */
+    interface IPublishMessage {
+
+        /** PublishMessage messageID */
+        messageID?: (Uint8Array|null);
+
+        /** PublishMessage topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a PublishMessage. */
+    class PublishMessage implements IPublishMessage {
+
+        /**
+         * Constructs a new PublishMessage.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IPublishMessage);
+
+        /** PublishMessage messageID. */
+        public messageID: Uint8Array;
+
+        /** PublishMessage topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified PublishMessage message. Does not implicitly {@link TraceEvent.PublishMessage.verify|verify} messages.
+         * @param m PublishMessage message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IPublishMessage, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a PublishMessage message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns PublishMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.PublishMessage;
+
+        /**
+         * Creates a PublishMessage message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns PublishMessage
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.PublishMessage;
+
+        /**
+         * Creates a plain object from a PublishMessage message. Also converts values to other types if specified.
+         * @param m PublishMessage
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.PublishMessage, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this PublishMessage to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a RejectMessage. */
+    interface IRejectMessage {
+
+        /** RejectMessage messageID */
+        messageID?: (Uint8Array|null);
+
+        /** RejectMessage receivedFrom */
+        receivedFrom?: (Uint8Array|null);
+
+        /** RejectMessage reason */
+        reason?: (string|null);
+
+        /** RejectMessage topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a RejectMessage. */
+    class RejectMessage implements IRejectMessage {
+
+        /**
+         * Constructs a new RejectMessage.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IRejectMessage);
+
+        /** RejectMessage messageID. */
+        public messageID: Uint8Array;
+
+        /** RejectMessage receivedFrom. */
+        public receivedFrom: Uint8Array;
+
+        /** RejectMessage reason. */
+        public reason: string;
+
+        /** RejectMessage topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified RejectMessage message. Does not implicitly {@link TraceEvent.RejectMessage.verify|verify} messages.
+         * @param m RejectMessage message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IRejectMessage, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a RejectMessage message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns RejectMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.RejectMessage;
+
+        /**
+         * Creates a RejectMessage message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns RejectMessage
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.RejectMessage;
+
+        /**
+         * Creates a plain object from a RejectMessage message. Also converts values to other types if specified.
+         * @param m RejectMessage
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.RejectMessage, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this RejectMessage to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a DuplicateMessage. */
+    interface IDuplicateMessage {
+
+        /** DuplicateMessage messageID */
+        messageID?: (Uint8Array|null);
+
+        /** DuplicateMessage receivedFrom */
+        receivedFrom?: (Uint8Array|null);
+
+        /** DuplicateMessage topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a DuplicateMessage. */
+    class DuplicateMessage implements IDuplicateMessage {
+
+        /**
+         * Constructs a new DuplicateMessage.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IDuplicateMessage);
+
+        /** DuplicateMessage messageID. */
+        public messageID: Uint8Array;
+
+        /** DuplicateMessage receivedFrom. */
+        public receivedFrom: Uint8Array;
+
+        /** DuplicateMessage topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified DuplicateMessage message. Does not implicitly {@link TraceEvent.DuplicateMessage.verify|verify} messages.
+         * @param m DuplicateMessage message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IDuplicateMessage, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a DuplicateMessage message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns DuplicateMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.DuplicateMessage;
+
+        /**
+         * Creates a DuplicateMessage message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns DuplicateMessage
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.DuplicateMessage;
+
+        /**
+         * Creates a plain object from a DuplicateMessage message. Also converts values to other types if specified.
+         * @param m DuplicateMessage
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.DuplicateMessage, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this DuplicateMessage to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a DeliverMessage. */
+    interface IDeliverMessage {
+
+        /** DeliverMessage messageID */
+        messageID?: (Uint8Array|null);
+
+        /** DeliverMessage topic */
+        topic?: (string|null);
+
+        /** DeliverMessage receivedFrom */
+        receivedFrom?: (Uint8Array|null);
+    }
+
+    /** Represents a DeliverMessage. */
+    class DeliverMessage implements IDeliverMessage {
+
+        /**
+         * Constructs a new DeliverMessage.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IDeliverMessage);
+
+        /** DeliverMessage messageID. */
+        public messageID: Uint8Array;
+
+        /** DeliverMessage topic. */
+        public topic: string;
+
+        /** DeliverMessage receivedFrom. */
+        public receivedFrom: Uint8Array;
+
+        /**
+         * Encodes the specified DeliverMessage message. Does not implicitly {@link TraceEvent.DeliverMessage.verify|verify} messages.
+         * @param m DeliverMessage message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IDeliverMessage, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a DeliverMessage message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns DeliverMessage
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.DeliverMessage;
+
+        /**
+         * Creates a DeliverMessage message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns DeliverMessage
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.DeliverMessage;
+
+        /**
+         * Creates a plain object from a DeliverMessage message. Also converts values to other types if specified.
+         * @param m DeliverMessage
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.DeliverMessage, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this DeliverMessage to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of an AddPeer. */
+    interface IAddPeer {
+
+        /** AddPeer peerID */
+        peerID?: (Uint8Array|null);
+
+        /** AddPeer proto */
+        proto?: (string|null);
+    }
+
+    /** Represents an AddPeer. */
+    class AddPeer implements IAddPeer {
+
+        /**
+         * Constructs a new AddPeer.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IAddPeer);
+
+        /** AddPeer peerID. */
+        public peerID: Uint8Array;
+
+        /** AddPeer proto. */
+        public proto: string;
+
+        /**
+         * Encodes the specified AddPeer message. Does not implicitly {@link TraceEvent.AddPeer.verify|verify} messages.
+         * @param m AddPeer message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IAddPeer, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes an AddPeer message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns AddPeer
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.AddPeer;
+
+        /**
+         * Creates an AddPeer message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns AddPeer
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.AddPeer;
+
+        /**
+         * Creates a plain object from an AddPeer message. Also converts values to other types if specified.
+         * @param m AddPeer
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.AddPeer, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this AddPeer to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a RemovePeer. */
+    interface IRemovePeer {
+
+        /** RemovePeer peerID */
+        peerID?: (Uint8Array|null);
+    }
+
+    /** Represents a RemovePeer. */
+    class RemovePeer implements IRemovePeer {
+
+        /**
+         * Constructs a new RemovePeer.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IRemovePeer);
+
+        /** RemovePeer peerID. */
+        public peerID: Uint8Array;
+
+        /**
+         * Encodes the specified RemovePeer message. Does not implicitly {@link TraceEvent.RemovePeer.verify|verify} messages.
+         * @param m RemovePeer message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IRemovePeer, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a RemovePeer message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns RemovePeer
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.RemovePeer;
+
+        /**
+         * Creates a RemovePeer message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns RemovePeer
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.RemovePeer;
+
+        /**
+         * Creates a plain object from a RemovePeer message. Also converts values to other types if specified.
+         * @param m RemovePeer
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.RemovePeer, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this RemovePeer to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a RecvRPC. */
+    interface IRecvRPC {
+
+        /** RecvRPC receivedFrom */
+        receivedFrom?: (Uint8Array|null);
+
+        /** RecvRPC meta */
+        meta?: (TraceEvent.IRPCMeta|null);
+    }
+
+    /** Represents a RecvRPC. */
+    class RecvRPC implements IRecvRPC {
+
+        /**
+         * Constructs a new RecvRPC.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IRecvRPC);
+
+        /** RecvRPC receivedFrom. */
+        public receivedFrom: Uint8Array;
+
+        /** RecvRPC meta. */
+        public meta?: (TraceEvent.IRPCMeta|null);
+
+        /**
+         * Encodes the specified RecvRPC message. Does not implicitly {@link TraceEvent.RecvRPC.verify|verify} messages.
+         * @param m RecvRPC message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IRecvRPC, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a RecvRPC message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns RecvRPC
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.RecvRPC;
+
+        /**
+         * Creates a RecvRPC message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns RecvRPC
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.RecvRPC;
+
+        /**
+         * Creates a plain object from a RecvRPC message. Also converts values to other types if specified.
+         * @param m RecvRPC
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.RecvRPC, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this RecvRPC to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a SendRPC. */
+    interface ISendRPC {
+
+        /** SendRPC sendTo */
+        sendTo?: (Uint8Array|null);
+
+        /** SendRPC meta */
+        meta?: (TraceEvent.IRPCMeta|null);
+    }
+
+    /** Represents a SendRPC. */
+    class SendRPC implements ISendRPC {
+
+        /**
+         * Constructs a new SendRPC.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.ISendRPC);
+
+        /** SendRPC sendTo. */
+        public sendTo: Uint8Array;
+
+        /** SendRPC meta. */
+        public meta?: (TraceEvent.IRPCMeta|null);
+
+        /**
+         * Encodes the specified SendRPC message. Does not implicitly {@link TraceEvent.SendRPC.verify|verify} messages.
+         * @param m SendRPC message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.ISendRPC, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a SendRPC message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns SendRPC
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.SendRPC;
+
+        /**
+         * Creates a SendRPC message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns SendRPC
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.SendRPC;
+
+        /**
+         * Creates a plain object from a SendRPC message. Also converts values to other types if specified.
+         * @param m SendRPC
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.SendRPC, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this SendRPC to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a DropRPC. */
+    interface IDropRPC {
+
+        /** DropRPC sendTo */
+        sendTo?: (Uint8Array|null);
+
+        /** DropRPC meta */
+        meta?: (TraceEvent.IRPCMeta|null);
+    }
+
+    /** Represents a DropRPC. */
+    class DropRPC implements IDropRPC {
+
+        /**
+         * Constructs a new DropRPC.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IDropRPC);
+
+        /** DropRPC sendTo. */
+        public sendTo: Uint8Array;
+
+        /** DropRPC meta. */
+        public meta?: (TraceEvent.IRPCMeta|null);
+
+        /**
+         * Encodes the specified DropRPC message. Does not implicitly {@link TraceEvent.DropRPC.verify|verify} messages.
+         * @param m DropRPC message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IDropRPC, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a DropRPC message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns DropRPC
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.DropRPC;
+
+        /**
+         * Creates a DropRPC message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns DropRPC
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.DropRPC;
+
+        /**
+         * Creates a plain object from a DropRPC message. Also converts values to other types if specified.
+         * @param m DropRPC
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.DropRPC, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this DropRPC to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a Join. */
+    interface IJoin {
+
+        /** Join topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a Join. */
+    class Join implements IJoin {
+
+        /**
+         * Constructs a new Join.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IJoin);
+
+        /** Join topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified Join message. Does not implicitly {@link TraceEvent.Join.verify|verify} messages.
+         * @param m Join message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IJoin, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a Join message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns Join
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.Join;
+
+        /**
+         * Creates a Join message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns Join
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.Join;
+
+        /**
+         * Creates a plain object from a Join message. Also converts values to other types if specified.
+         * @param m Join
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.Join, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this Join to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a Leave. */
+    interface ILeave {
+
+        /** Leave topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a Leave. */
+    class Leave implements ILeave {
+
+        /**
+         * Constructs a new Leave.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.ILeave);
+
+        /** Leave topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified Leave message. Does not implicitly {@link TraceEvent.Leave.verify|verify} messages.
+         * @param m Leave message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.ILeave, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a Leave message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns Leave
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.Leave;
+
+        /**
+         * Creates a Leave message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns Leave
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.Leave;
+
+        /**
+         * Creates a plain object from a Leave message. Also converts values to other types if specified.
+         * @param m Leave
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.Leave, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this Leave to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a Graft. */
+    interface IGraft {
+
+        /** Graft peerID */
+        peerID?: (Uint8Array|null);
+
+        /** Graft topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a Graft. */
+    class Graft implements IGraft {
+
+        /**
+         * Constructs a new Graft.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IGraft);
+
+        /** Graft peerID. */
+        public peerID: Uint8Array;
+
+        /** Graft topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified Graft message. Does not implicitly {@link TraceEvent.Graft.verify|verify} messages.
+         * @param m Graft message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IGraft, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a Graft message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns Graft
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.Graft;
+
+        /**
+         * Creates a Graft message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns Graft
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.Graft;
+
+        /**
+         * Creates a plain object from a Graft message. Also converts values to other types if specified.
+         * @param m Graft
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.Graft, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this Graft to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a Prune. */
+    interface IPrune {
+
+        /** Prune peerID */
+        peerID?: (Uint8Array|null);
+
+        /** Prune topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a Prune. */
+    class Prune implements IPrune {
+
+        /**
+         * Constructs a new Prune.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IPrune);
+
+        /** Prune peerID. */
+        public peerID: Uint8Array;
+
+        /** Prune topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified Prune message. Does not implicitly {@link TraceEvent.Prune.verify|verify} messages.
+         * @param m Prune message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IPrune, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a Prune message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns Prune
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.Prune;
+
+        /**
+         * Creates a Prune message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns Prune
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.Prune;
+
+        /**
+         * Creates a plain object from a Prune message. Also converts values to other types if specified.
+         * @param m Prune
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.Prune, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this Prune to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a RPCMeta. */
+    interface IRPCMeta {
+
+        /** RPCMeta messages */
+        messages?: (TraceEvent.IMessageMeta[]|null);
+
+        /** RPCMeta subscription */
+        subscription?: (TraceEvent.ISubMeta[]|null);
+
+        /** RPCMeta control */
+        control?: (TraceEvent.IControlMeta|null);
+    }
+
+    /** Represents a RPCMeta. */
+    class RPCMeta implements IRPCMeta {
+
+        /**
+         * Constructs a new RPCMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IRPCMeta);
+
+        /** RPCMeta messages. */
+        public messages: TraceEvent.IMessageMeta[];
+
+        /** RPCMeta subscription. */
+        public subscription: TraceEvent.ISubMeta[];
+
+        /** RPCMeta control. */
+        public control?: (TraceEvent.IControlMeta|null);
+
+        /**
+         * Encodes the specified RPCMeta message. Does not implicitly {@link TraceEvent.RPCMeta.verify|verify} messages.
+         * @param m RPCMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IRPCMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a RPCMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns RPCMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.RPCMeta;
+
+        /**
+         * Creates a RPCMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns RPCMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.RPCMeta;
+
+        /**
+         * Creates a plain object from a RPCMeta message. Also converts values to other types if specified.
+         * @param m RPCMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.RPCMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this RPCMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a MessageMeta. */
+    interface IMessageMeta {
+
+        /** MessageMeta messageID */
+        messageID?: (Uint8Array|null);
+
+        /** MessageMeta topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a MessageMeta. */
+    class MessageMeta implements IMessageMeta {
+
+        /**
+         * Constructs a new MessageMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IMessageMeta);
+
+        /** MessageMeta messageID. */
+        public messageID: Uint8Array;
+
+        /** MessageMeta topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified MessageMeta message. Does not implicitly {@link TraceEvent.MessageMeta.verify|verify} messages.
+         * @param m MessageMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IMessageMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a MessageMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns MessageMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.MessageMeta;
+
+        /**
+         * Creates a MessageMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns MessageMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.MessageMeta;
+
+        /**
+         * Creates a plain object from a MessageMeta message. Also converts values to other types if specified.
+         * @param m MessageMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.MessageMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this MessageMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a SubMeta. */
+    interface ISubMeta {
+
+        /** SubMeta subscribe */
+        subscribe?: (boolean|null);
+
+        /** SubMeta topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a SubMeta. */
+    class SubMeta implements ISubMeta {
+
+        /**
+         * Constructs a new SubMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.ISubMeta);
+
+        /** SubMeta subscribe. */
+        public subscribe: boolean;
+
+        /** SubMeta topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified SubMeta message. Does not implicitly {@link TraceEvent.SubMeta.verify|verify} messages.
+         * @param m SubMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.ISubMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a SubMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns SubMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.SubMeta;
+
+        /**
+         * Creates a SubMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns SubMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.SubMeta;
+
+        /**
+         * Creates a plain object from a SubMeta message. Also converts values to other types if specified.
+         * @param m SubMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.SubMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this SubMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a ControlMeta. */
+    interface IControlMeta {
+
+        /** ControlMeta ihave */
+        ihave?: (TraceEvent.IControlIHaveMeta[]|null);
+
+        /** ControlMeta iwant */
+        iwant?: (TraceEvent.IControlIWantMeta[]|null);
+
+        /** ControlMeta graft */
+        graft?: (TraceEvent.IControlGraftMeta[]|null);
+
+        /** ControlMeta prune */
+        prune?: (TraceEvent.IControlPruneMeta[]|null);
+
+        /** ControlMeta idontwant */
+        idontwant?: (TraceEvent.IControlIDontWantMeta[]|null);
+    }
+
+    /** Represents a ControlMeta. */
+    class ControlMeta implements IControlMeta {
+
+        /**
+         * Constructs a new ControlMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IControlMeta);
+
+        /** ControlMeta ihave. */
+        public ihave: TraceEvent.IControlIHaveMeta[];
+
+        /** ControlMeta iwant. */
+        public iwant: TraceEvent.IControlIWantMeta[];
+
+        /** ControlMeta graft. */
+        public graft: TraceEvent.IControlGraftMeta[];
+
+        /** ControlMeta prune. */
+        public prune: TraceEvent.IControlPruneMeta[];
+
+        /** ControlMeta idontwant. */
+        public idontwant: TraceEvent.IControlIDontWantMeta[];
+
+        /**
+         * Encodes the specified ControlMeta message. Does not implicitly {@link TraceEvent.ControlMeta.verify|verify} messages.
+         * @param m ControlMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IControlMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.ControlMeta;
+
+        /**
+         * Creates a ControlMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.ControlMeta;
+
+        /**
+         * Creates a plain object from a ControlMeta message. Also converts values to other types if specified.
+         * @param m ControlMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.ControlMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a ControlIHaveMeta. */
+    interface IControlIHaveMeta {
+
+        /** ControlIHaveMeta topic */
+        topic?: (string|null);
+
+        /** ControlIHaveMeta messageIDs */
+        messageIDs?: (Uint8Array[]|null);
+    }
+
+    /** Represents a ControlIHaveMeta. */
+    class ControlIHaveMeta implements IControlIHaveMeta {
+
+        /**
+         * Constructs a new ControlIHaveMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IControlIHaveMeta);
+
+        /** ControlIHaveMeta topic. */
+        public topic: string;
+
+        /** ControlIHaveMeta messageIDs. */
+        public messageIDs: Uint8Array[];
+
+        /**
+         * Encodes the specified ControlIHaveMeta message. Does not implicitly {@link TraceEvent.ControlIHaveMeta.verify|verify} messages.
+         * @param m ControlIHaveMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IControlIHaveMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlIHaveMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlIHaveMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.ControlIHaveMeta;
+
+        /**
+         * Creates a ControlIHaveMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlIHaveMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.ControlIHaveMeta;
+
+        /**
+         * Creates a plain object from a ControlIHaveMeta message. Also converts values to other types if specified.
+         * @param m ControlIHaveMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.ControlIHaveMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlIHaveMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a ControlIWantMeta. */
+    interface IControlIWantMeta {
+
+        /** ControlIWantMeta messageIDs */
+        messageIDs?: (Uint8Array[]|null);
+    }
+
+    /** Represents a ControlIWantMeta. */
+    class ControlIWantMeta implements IControlIWantMeta {
+
+        /**
+         * Constructs a new ControlIWantMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IControlIWantMeta);
+
+        /** ControlIWantMeta messageIDs. */
+        public messageIDs: Uint8Array[];
+
+        /**
+         * Encodes the specified ControlIWantMeta message. Does not implicitly {@link TraceEvent.ControlIWantMeta.verify|verify} messages.
+         * @param m ControlIWantMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IControlIWantMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlIWantMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlIWantMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.ControlIWantMeta;
+
+        /**
+         * Creates a ControlIWantMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlIWantMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.ControlIWantMeta;
+
+        /**
+         * Creates a plain object from a ControlIWantMeta message. Also converts values to other types if specified.
+         * @param m ControlIWantMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.ControlIWantMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlIWantMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a ControlGraftMeta. */
+    interface IControlGraftMeta {
+
+        /** ControlGraftMeta topic */
+        topic?: (string|null);
+    }
+
+    /** Represents a ControlGraftMeta. */
+    class ControlGraftMeta implements IControlGraftMeta {
+
+        /**
+         * Constructs a new ControlGraftMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IControlGraftMeta);
+
+        /** ControlGraftMeta topic. */
+        public topic: string;
+
+        /**
+         * Encodes the specified ControlGraftMeta message. Does not implicitly {@link TraceEvent.ControlGraftMeta.verify|verify} messages.
+         * @param m ControlGraftMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IControlGraftMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlGraftMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlGraftMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.ControlGraftMeta;
+
+        /**
+         * Creates a ControlGraftMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlGraftMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.ControlGraftMeta;
+
+        /**
+         * Creates a plain object from a ControlGraftMeta message. Also converts values to other types if specified.
+         * @param m ControlGraftMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.ControlGraftMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlGraftMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a ControlPruneMeta. */
+    interface IControlPruneMeta {
+
+        /** ControlPruneMeta topic */
+        topic?: (string|null);
+
+        /** ControlPruneMeta peers */
+        peers?: (Uint8Array[]|null);
+    }
+
+    /** Represents a ControlPruneMeta. */
+    class ControlPruneMeta implements IControlPruneMeta {
+
+        /**
+         * Constructs a new ControlPruneMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IControlPruneMeta);
+
+        /** ControlPruneMeta topic. */
+        public topic: string;
+
+        /** ControlPruneMeta peers. */
+        public peers: Uint8Array[];
+
+        /**
+         * Encodes the specified ControlPruneMeta message. Does not implicitly {@link TraceEvent.ControlPruneMeta.verify|verify} messages.
+         * @param m ControlPruneMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IControlPruneMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlPruneMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlPruneMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.ControlPruneMeta;
+
+        /**
+         * Creates a ControlPruneMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlPruneMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.ControlPruneMeta;
+
+        /**
+         * Creates a plain object from a ControlPruneMeta message. Also converts values to other types if specified.
+         * @param m ControlPruneMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.ControlPruneMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlPruneMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a ControlIDontWantMeta. */
+    interface IControlIDontWantMeta {
+
+        /** ControlIDontWantMeta messageIDs */
+        messageIDs?: (Uint8Array[]|null);
+    }
+
+    /** Represents a ControlIDontWantMeta. */
+    class ControlIDontWantMeta implements IControlIDontWantMeta {
+
+        /**
+         * Constructs a new ControlIDontWantMeta.
+         * @param [p] Properties to set
+         */
+        constructor(p?: TraceEvent.IControlIDontWantMeta);
+
+        /** ControlIDontWantMeta messageIDs. */
+        public messageIDs: Uint8Array[];
+
+        /**
+         * Encodes the specified ControlIDontWantMeta message. Does not implicitly {@link TraceEvent.ControlIDontWantMeta.verify|verify} messages.
+         * @param m ControlIDontWantMeta message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: TraceEvent.IControlIDontWantMeta, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a ControlIDontWantMeta message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns ControlIDontWantMeta
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEvent.ControlIDontWantMeta;
+
+        /**
+         * Creates a ControlIDontWantMeta message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns ControlIDontWantMeta
+         */
+        public static fromObject(d: { [k: string]: any }): TraceEvent.ControlIDontWantMeta;
+
+        /**
+         * Creates a plain object from a ControlIDontWantMeta message. Also converts values to other types if specified.
+         * @param m ControlIDontWantMeta
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: TraceEvent.ControlIDontWantMeta, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this ControlIDontWantMeta to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+}
+
+/** Properties of a TraceEventBatch. */
+export interface ITraceEventBatch {
+
+    /** TraceEventBatch batch */
+    batch?: (ITraceEvent[]|null);
+}
+
+/** Represents a TraceEventBatch. */
+export class TraceEventBatch implements ITraceEventBatch {
+
+    /**
+     * Constructs a new TraceEventBatch.
+     * @param [p] Properties to set
+     */
+    constructor(p?: ITraceEventBatch);
+
+    /** TraceEventBatch batch. */
+    public batch: ITraceEvent[];
+
+    /**
+     * Encodes the specified TraceEventBatch message. Does not implicitly {@link TraceEventBatch.verify|verify} messages.
+     * @param m TraceEventBatch message or plain object to encode
+     * @param [w] Writer to encode to
+     * @returns Writer
+     */
+    public static encode(m: ITraceEventBatch, w?: $protobuf.Writer): $protobuf.Writer;
+
+    /**
+     * Decodes a TraceEventBatch message from the specified reader or buffer.
+     * @param r Reader or buffer to decode from
+     * @param [l] Message length if known beforehand
+     * @returns TraceEventBatch
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): TraceEventBatch;
+
+    /**
+     * Creates a TraceEventBatch message from a plain object. Also converts values to their respective internal types.
+     * @param d Plain object
+     * @returns TraceEventBatch
+     */
+    public static fromObject(d: { [k: string]: any }): TraceEventBatch;
+
+    /**
+     * Creates a plain object from a TraceEventBatch message. Also converts values to other types if specified.
+     * @param m TraceEventBatch
+     * @param [o] Conversion options
+     * @returns Plain object
+     */
+    public static toObject(m: TraceEventBatch, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+    /**
+     * Converts this TraceEventBatch to JSON.
+     * @returns JSON object
+     */
+    public toJSON(): { [k: string]: any };
+}
@@ -0,0 +1,4476 @@
+/*eslint-disable*/
+(function(global, factory) { /* global define, require, module */
+
+    /* AMD */ if (typeof define === 'function' && define.amd)
+        define(["protobufjs/minimal"], factory);
+
+    /* CommonJS */ else if (typeof require === 'function' && typeof module === 'object' && module && module.exports)
+        module.exports = factory(require("protobufjs/minimal"));
+
+})(this, function($protobuf) {
+    "use strict";
+
+    // Common aliases
+    var $Reader = $protobuf.Reader, $Writer = $protobuf.Writer, $util = $protobuf.util;
+    
+    // Exported root namespace
+    var $root = $protobuf.roots["default"] || ($protobuf.roots["default"] = {});
+    
+    $root.TraceEvent = (function() {
+    
+        /**
+         * Properties of a TraceEvent.
+         * @exports ITraceEvent
+         * @interface ITraceEvent
+         * @property {TraceEvent.Type|null} [type] TraceEvent type
+         * @property {Uint8Array|null} [peerID] TraceEvent peerID
+         * @property {number|null} [timestamp] TraceEvent timestamp
+         * @property {TraceEvent.IPublishMessage|null} [publishMessage] TraceEvent publishMessage
+         * @property {TraceEvent.IRejectMessage|null} [rejectMessage] TraceEvent rejectMessage
+         * @property {TraceEvent.IDuplicateMessage|null} [duplicateMessage] TraceEvent duplicateMessage
+         * @property {TraceEvent.IDeliverMessage|null} [deliverMessage] TraceEvent deliverMessage
+         * @property {TraceEvent.IAddPeer|null} [addPeer] TraceEvent addPeer
+         * @property {TraceEvent.IRemovePeer|null} [removePeer] TraceEvent removePeer
+         * @property {TraceEvent.IRecvRPC|null} [recvRPC] TraceEvent recvRPC
+         * @property {TraceEvent.ISendRPC|null} [sendRPC] TraceEvent sendRPC
+         * @property {TraceEvent.IDropRPC|null} [dropRPC] TraceEvent dropRPC
+         * @property {TraceEvent.IJoin|null} [join] TraceEvent join
+         * @property {TraceEvent.ILeave|null} [leave] TraceEvent leave
+         * @property {TraceEvent.IGraft|null} [graft] TraceEvent graft
+         * @property {TraceEvent.IPrune|null} [prune] TraceEvent prune
+         */
+    
+        /**
+         * Constructs a new TraceEvent.
+         * @exports TraceEvent
+         * @classdesc Represents a TraceEvent.
+         * @implements ITraceEvent
+         * @constructor
+         * @param {ITraceEvent=} [p] Properties to set
+         */
+        function TraceEvent(p) {
+            if (p)
+                for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                    if (p[ks[i]] != null)
+                        this[ks[i]] = p[ks[i]];
+        }
+    
+        /**
+         * TraceEvent type.
+         * @member {TraceEvent.Type} type
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.type = 0;
+    
+        /**
+         * TraceEvent peerID.
+         * @member {Uint8Array} peerID
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.peerID = $util.newBuffer([]);
+    
+        /**
+         * TraceEvent timestamp.
+         * @member {number} timestamp
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.timestamp = $util.Long ? $util.Long.fromBits(0,0,false) : 0;
+    
+        /**
+         * TraceEvent publishMessage.
+         * @member {TraceEvent.IPublishMessage|null|undefined} publishMessage
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.publishMessage = null;
+    
+        /**
+         * TraceEvent rejectMessage.
+         * @member {TraceEvent.IRejectMessage|null|undefined} rejectMessage
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.rejectMessage = null;
+    
+        /**
+         * TraceEvent duplicateMessage.
+         * @member {TraceEvent.IDuplicateMessage|null|undefined} duplicateMessage
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.duplicateMessage = null;
+    
+        /**
+         * TraceEvent deliverMessage.
+         * @member {TraceEvent.IDeliverMessage|null|undefined} deliverMessage
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.deliverMessage = null;
+    
+        /**
+         * TraceEvent addPeer.
+         * @member {TraceEvent.IAddPeer|null|undefined} addPeer
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.addPeer = null;
+    
+        /**
+         * TraceEvent removePeer.
+         * @member {TraceEvent.IRemovePeer|null|undefined} removePeer
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.removePeer = null;
+    
+        /**
+         * TraceEvent recvRPC.
+         * @member {TraceEvent.IRecvRPC|null|undefined} recvRPC
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.recvRPC = null;
+    
+        /**
+         * TraceEvent sendRPC.
+         * @member {TraceEvent.ISendRPC|null|undefined} sendRPC
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.sendRPC = null;
+    
+        /**
+         * TraceEvent dropRPC.
+         * @member {TraceEvent.IDropRPC|null|undefined} dropRPC
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.dropRPC = null;
+    
+        /**
+         * TraceEvent join.
+         * @member {TraceEvent.IJoin|null|undefined} join
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.join = null;
+    
+        /**
+         * TraceEvent leave.
+         * @member {TraceEvent.ILeave|null|undefined} leave
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.leave = null;
+    
+        /**
+         * TraceEvent graft.
+         * @member {TraceEvent.IGraft|null|undefined} graft
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.graft = null;
+    
+        /**
+         * TraceEvent prune.
+         * @member {TraceEvent.IPrune|null|undefined} prune
+         * @memberof TraceEvent
+         * @instance
+         */
+        TraceEvent.prototype.prune = null;
+    
+        /**
+         * Encodes the specified TraceEvent message. Does not implicitly {@link TraceEvent.verify|verify} messages.
+         * @function encode
+         * @memberof TraceEvent
+         * @static
+         * @param {ITraceEvent} m TraceEvent message or plain object to encode
+         * @param {$protobuf.Writer} [w] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TraceEvent.encode = function encode(m, w) {
+            if (!w)
+                w = $Writer.create();
+            if (m.type != null && Object.hasOwnProperty.call(m, "type"))
+                w.uint32(8).int32(m.type);
+            if (m.peerID != null && Object.hasOwnProperty.call(m, "peerID"))
+                w.uint32(18).bytes(m.peerID);
+            if (m.timestamp != null && Object.hasOwnProperty.call(m, "timestamp"))
+                w.uint32(24).int64(m.timestamp);
+            if (m.publishMessage != null && Object.hasOwnProperty.call(m, "publishMessage"))
+                $root.TraceEvent.PublishMessage.encode(m.publishMessage, w.uint32(34).fork()).ldelim();
+            if (m.rejectMessage != null && Object.hasOwnProperty.call(m, "rejectMessage"))
+                $root.TraceEvent.RejectMessage.encode(m.rejectMessage, w.uint32(42).fork()).ldelim();
+            if (m.duplicateMessage != null && Object.hasOwnProperty.call(m, "duplicateMessage"))
+                $root.TraceEvent.DuplicateMessage.encode(m.duplicateMessage, w.uint32(50).fork()).ldelim();
+            if (m.deliverMessage != null && Object.hasOwnProperty.call(m, "deliverMessage"))
+                $root.TraceEvent.DeliverMessage.encode(m.deliverMessage, w.uint32(58).fork()).ldelim();
+            if (m.addPeer != null && Object.hasOwnProperty.call(m, "addPeer"))
+                $root.TraceEvent.AddPeer.encode(m.addPeer, w.uint32(66).fork()).ldelim();
+            if (m.removePeer != null && Object.hasOwnProperty.call(m, "removePeer"))
+                $root.TraceEvent.RemovePeer.encode(m.removePeer, w.uint32(74).fork()).ldelim();
+            if (m.recvRPC != null && Object.hasOwnProperty.call(m, "recvRPC"))
+                $root.TraceEvent.RecvRPC.encode(m.recvRPC, w.uint32(82).fork()).ldelim();
+            if (m.sendRPC != null && Object.hasOwnProperty.call(m, "sendRPC"))
+                $root.TraceEvent.SendRPC.encode(m.sendRPC, w.uint32(90).fork()).ldelim();
+            if (m.dropRPC != null && Object.hasOwnProperty.call(m, "dropRPC"))
+                $root.TraceEvent.DropRPC.encode(m.dropRPC, w.uint32(98).fork()).ldelim();
+            if (m.join != null && Object.hasOwnProperty.call(m, "join"))
+                $root.TraceEvent.Join.encode(m.join, w.uint32(106).fork()).ldelim();
+            if (m.leave != null && Object.hasOwnProperty.call(m, "leave"))
+                $root.TraceEvent.Leave.encode(m.leave, w.uint32(114).fork()).ldelim();
+            if (m.graft != null && Object.hasOwnProperty.call(m, "graft"))
+                $root.TraceEvent.Graft.encode(m.graft, w.uint32(122).fork()).ldelim();
+            if (m.prune != null && Object.hasOwnProperty.call(m, "prune"))
+                $root.TraceEvent.Prune.encode(m.prune, w.uint32(130).fork()).ldelim();
+            return w;
+        };
+    
+        /**
+         * Decodes a TraceEvent message from the specified reader or buffer.
+         * @function decode
+         * @memberof TraceEvent
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+         * @param {number} [l] Message length if known beforehand
+         * @returns {TraceEvent} TraceEvent
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TraceEvent.decode = function decode(r, l) {
+            if (!(r instanceof $Reader))
+                r = $Reader.create(r);
+            var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent();
+            while (r.pos < c) {
+                var t = r.uint32();
+                switch (t >>> 3) {
+                case 1:
+                    m.type = r.int32();
+                    break;
+                case 2:
+                    m.peerID = r.bytes();
+                    break;
+                case 3:
+                    m.timestamp = r.int64();
+                    break;
+                case 4:
+                    m.publishMessage = $root.TraceEvent.PublishMessage.decode(r, r.uint32());
+                    break;
+                case 5:
+                    m.rejectMessage = $root.TraceEvent.RejectMessage.decode(r, r.uint32());
+                    break;
+                case 6:
+                    m.duplicateMessage = $root.TraceEvent.DuplicateMessage.decode(r, r.uint32());
+                    break;
+                case 7:
+                    m.deliverMessage = $root.TraceEvent.DeliverMessage.decode(r, r.uint32());
+                    break;
+                case 8:
+                    m.addPeer = $root.TraceEvent.AddPeer.decode(r, r.uint32());
+                    break;
+                case 9:
+                    m.removePeer = $root.TraceEvent.RemovePeer.decode(r, r.uint32());
+                    break;
+                case 10:
+                    m.recvRPC = $root.TraceEvent.RecvRPC.decode(r, r.uint32());
+                    break;
+                case 11:
+                    m.sendRPC = $root.TraceEvent.SendRPC.decode(r, r.uint32());
+                    break;
+                case 12:
+                    m.dropRPC = $root.TraceEvent.DropRPC.decode(r, r.uint32());
+                    break;
+                case 13:
+                    m.join = $root.TraceEvent.Join.decode(r, r.uint32());
+                    break;
+                case 14:
+                    m.leave = $root.TraceEvent.Leave.decode(r, r.uint32());
+                    break;
+                case 15:
+                    m.graft = $root.TraceEvent.Graft.decode(r, r.uint32());
+                    break;
+                case 16:
+                    m.prune = $root.TraceEvent.Prune.decode(r, r.uint32());
+                    break;
+                default:
+                    r.skipType(t & 7);
+                    break;
+                }
+            }
+            return m;
+        };
+    
+        /**
+         * Creates a TraceEvent message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof TraceEvent
+         * @static
+         * @param {Object.<string,*>} d Plain object
+         * @returns {TraceEvent} TraceEvent
+         */
+        TraceEvent.fromObject = function fromObject(d) {
+            if (d instanceof $root.TraceEvent)
+                return d;
+            var m = new $root.TraceEvent();
+            switch (d.type) {
+            case "PUBLISH_MESSAGE":
+            case 0:
+                m.type = 0;
+                break;
+            case "REJECT_MESSAGE":
+            case 1:
+                m.type = 1;
+                break;
+            case "DUPLICATE_MESSAGE":
+            case 2:
+                m.type = 2;
+                break;
+            case "DELIVER_MESSAGE":
+            case 3:
+                m.type = 3;
+                break;
+            case "ADD_PEER":
+            case 4:
+                m.type = 4;
+                break;
+            case "REMOVE_PEER":
+            case 5:
+                m.type = 5;
+                break;
+            case "RECV_RPC":
+            case 6:
+                m.type = 6;
+                break;
+            case "SEND_RPC":
+            case 7:
+                m.type = 7;
+                break;
+            case "DROP_RPC":
+            case 8:
+                m.type = 8;
+                break;
+            case "JOIN":
+            case 9:
+                m.type = 9;
+                break;
+            case "LEAVE":
+            case 10:
+                m.type = 10;
+                break;
+            case "GRAFT":
+            case 11:
+                m.type = 11;
+                break;
+            case "PRUNE":
+            case 12:
+                m.type = 12;
+                break;
+            }
+            if (d.peerID != null) {
+                if (typeof d.peerID === "string")
+                    $util.base64.decode(d.peerID, m.peerID = $util.newBuffer($util.base64.length(d.peerID)), 0);
+                else if (d.peerID.length)
+                    m.peerID = d.peerID;
+            }
+            if (d.timestamp != null) {
+                if ($util.Long)
+                    (m.timestamp = $util.Long.fromValue(d.timestamp)).unsigned = false;
+                else if (typeof d.timestamp === "string")
+                    m.timestamp = parseInt(d.timestamp, 10);
+                else if (typeof d.timestamp === "number")
+                    m.timestamp = d.timestamp;
+                else if (typeof d.timestamp === "object")
+                    m.timestamp = new $util.LongBits(d.timestamp.low >>> 0, d.timestamp.high >>> 0).toNumber();
+            }
+            if (d.publishMessage != null) {
+                if (typeof d.publishMessage !== "object")
+                    throw TypeError(".TraceEvent.publishMessage: object expected");
+                m.publishMessage = $root.TraceEvent.PublishMessage.fromObject(d.publishMessage);
+            }
+            if (d.rejectMessage != null) {
+                if (typeof d.rejectMessage !== "object")
+                    throw TypeError(".TraceEvent.rejectMessage: object expected");
+                m.rejectMessage = $root.TraceEvent.RejectMessage.fromObject(d.rejectMessage);
+            }
+            if (d.duplicateMessage != null) {
+                if (typeof d.duplicateMessage !== "object")
+                    throw TypeError(".TraceEvent.duplicateMessage: object expected");
+                m.duplicateMessage = $root.TraceEvent.DuplicateMessage.fromObject(d.duplicateMessage);
+            }
+            if (d.deliverMessage != null) {
+                if (typeof d.deliverMessage !== "object")
+                    throw TypeError(".TraceEvent.deliverMessage: object expected");
+                m.deliverMessage = $root.TraceEvent.DeliverMessage.fromObject(d.deliverMessage);
+            }
+            if (d.addPeer != null) {
+                if (typeof d.addPeer !== "object")
+                    throw TypeError(".TraceEvent.addPeer: object expected");
+                m.addPeer = $root.TraceEvent.AddPeer.fromObject(d.addPeer);
+            }
+            if (d.removePeer != null) {
+                if (typeof d.removePeer !== "object")
+                    throw TypeError(".TraceEvent.removePeer: object expected");
+                m.removePeer = $root.TraceEvent.RemovePeer.fromObject(d.removePeer);
+            }
+            if (d.recvRPC != null) {
+                if (typeof d.recvRPC !== "object")
+                    throw TypeError(".TraceEvent.recvRPC: object expected");
+                m.recvRPC = $root.TraceEvent.RecvRPC.fromObject(d.recvRPC);
+            }
+            if (d.sendRPC != null) {
+                if (typeof d.sendRPC !== "object")
+                    throw TypeError(".TraceEvent.sendRPC: object expected");
+                m.sendRPC = $root.TraceEvent.SendRPC.fromObject(d.sendRPC);
+            }
+            if (d.dropRPC != null) {
+                if (typeof d.dropRPC !== "object")
+                    throw TypeError(".TraceEvent.dropRPC: object expected");
+                m.dropRPC = $root.TraceEvent.DropRPC.fromObject(d.dropRPC);
+            }
+            if (d.join != null) {
+                if (typeof d.join !== "object")
+                    throw TypeError(".TraceEvent.join: object expected");
+                m.join = $root.TraceEvent.Join.fromObject(d.join);
+            }
+            if (d.leave != null) {
+                if (typeof d.leave !== "object")
+                    throw TypeError(".TraceEvent.leave: object expected");
+                m.leave = $root.TraceEvent.Leave.fromObject(d.leave);
+            }
+            if (d.graft != null) {
+                if (typeof d.graft !== "object")
+                    throw TypeError(".TraceEvent.graft: object expected");
+                m.graft = $root.TraceEvent.Graft.fromObject(d.graft);
+            }
+            if (d.prune != null) {
+                if (typeof d.prune !== "object")
+                    throw TypeError(".TraceEvent.prune: object expected");
+                m.prune = $root.TraceEvent.Prune.fromObject(d.prune);
+            }
+            return m;
+        };
+    
+        /**
+         * Creates a plain object from a TraceEvent message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof TraceEvent
+         * @static
+         * @param {TraceEvent} m TraceEvent
+         * @param {$protobuf.IConversionOptions} [o] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        TraceEvent.toObject = function toObject(m, o) {
+            if (!o)
+                o = {};
+            var d = {};
+            if (o.defaults) {
+                d.type = o.enums === String ? "PUBLISH_MESSAGE" : 0;
+                if (o.bytes === String)
+                    d.peerID = "";
+                else {
+                    d.peerID = [];
+                    if (o.bytes !== Array)
+                        d.peerID = $util.newBuffer(d.peerID);
+                }
+                if ($util.Long) {
+                    var n = new $util.Long(0, 0, false);
+                    d.timestamp = o.longs === String ? n.toString() : o.longs === Number ? n.toNumber() : n;
+                } else
+                    d.timestamp = o.longs === String ? "0" : 0;
+                d.publishMessage = null;
+                d.rejectMessage = null;
+                d.duplicateMessage = null;
+                d.deliverMessage = null;
+                d.addPeer = null;
+                d.removePeer = null;
+                d.recvRPC = null;
+                d.sendRPC = null;
+                d.dropRPC = null;
+                d.join = null;
+                d.leave = null;
+                d.graft = null;
+                d.prune = null;
+            }
+            if (m.type != null && m.hasOwnProperty("type")) {
+                d.type = o.enums === String ? $root.TraceEvent.Type[m.type] : m.type;
+            }
+            if (m.peerID != null && m.hasOwnProperty("peerID")) {
+                d.peerID = o.bytes === String ? $util.base64.encode(m.peerID, 0, m.peerID.length) : o.bytes === Array ? Array.prototype.slice.call(m.peerID) : m.peerID;
+            }
+            if (m.timestamp != null && m.hasOwnProperty("timestamp")) {
+                if (typeof m.timestamp === "number")
+                    d.timestamp = o.longs === String ? String(m.timestamp) : m.timestamp;
+                else
+                    d.timestamp = o.longs === String ? $util.Long.prototype.toString.call(m.timestamp) : o.longs === Number ? new $util.LongBits(m.timestamp.low >>> 0, m.timestamp.high >>> 0).toNumber() : m.timestamp;
+            }
+            if (m.publishMessage != null && m.hasOwnProperty("publishMessage")) {
+                d.publishMessage = $root.TraceEvent.PublishMessage.toObject(m.publishMessage, o);
+            }
+            if (m.rejectMessage != null && m.hasOwnProperty("rejectMessage")) {
+                d.rejectMessage = $root.TraceEvent.RejectMessage.toObject(m.rejectMessage, o);
+            }
+            if (m.duplicateMessage != null && m.hasOwnProperty("duplicateMessage")) {
+                d.duplicateMessage = $root.TraceEvent.DuplicateMessage.toObject(m.duplicateMessage, o);
+            }
+            if (m.deliverMessage != null && m.hasOwnProperty("deliverMessage")) {
+                d.deliverMessage = $root.TraceEvent.DeliverMessage.toObject(m.deliverMessage, o);
+            }
+            if (m.addPeer != null && m.hasOwnProperty("addPeer")) {
+                d.addPeer = $root.TraceEvent.AddPeer.toObject(m.addPeer, o);
+            }
+            if (m.removePeer != null && m.hasOwnProperty("removePeer")) {
+                d.removePeer = $root.TraceEvent.RemovePeer.toObject(m.removePeer, o);
+            }
+            if (m.recvRPC != null && m.hasOwnProperty("recvRPC")) {
+                d.recvRPC = $root.TraceEvent.RecvRPC.toObject(m.recvRPC, o);
+            }
+            if (m.sendRPC != null && m.hasOwnProperty("sendRPC")) {
+                d.sendRPC = $root.TraceEvent.SendRPC.toObject(m.sendRPC, o);
+            }
+            if (m.dropRPC != null && m.hasOwnProperty("dropRPC")) {
+                d.dropRPC = $root.TraceEvent.DropRPC.toObject(m.dropRPC, o);
+            }
+            if (m.join != null && m.hasOwnProperty("join")) {
+                d.join = $root.TraceEvent.Join.toObject(m.join, o);
+            }
+            if (m.leave != null && m.hasOwnProperty("leave")) {
+                d.leave = $root.TraceEvent.Leave.toObject(m.leave, o);
+            }
+            if (m.graft != null && m.hasOwnProperty("graft")) {
+                d.graft = $root.TraceEvent.Graft.toObject(m.graft, o);
+            }
+            if (m.prune != null && m.hasOwnProperty("prune")) {
+                d.prune = $root.TraceEvent.Prune.toObject(m.prune, o);
+            }
+            return d;
+        };
+    
+        /**
+         * Converts this TraceEvent to JSON.
+         * @function toJSON
+         * @memberof TraceEvent
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        TraceEvent.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+    
+        /**
+         * Type enum.
+         * @name TraceEvent.Type
+         * @enum {number}
+         * @property {number} PUBLISH_MESSAGE=0 PUBLISH_MESSAGE value
+         * @property {number} REJECT_MESSAGE=1 REJECT_MESSAGE value
+         * @property {number} DUPLICATE_MESSAGE=2 DUPLICATE_MESSAGE value
+         * @property {number} DELIVER_MESSAGE=3 DELIVER_MESSAGE value
+         * @property {number} ADD_PEER=4 ADD_PEER value
+         * @property {number} REMOVE_PEER=5 REMOVE_PEER value
+         * @property {number} RECV_RPC=6 RECV_RPC value
+         * @property {number} SEND_RPC=7 SEND_RPC value
+         * @property {number} DROP_RPC=8 DROP_RPC value
+         * @property {number} JOIN=9 JOIN value
+         * @property {number} LEAVE=10 LEAVE value
+         * @property {number} GRAFT=11 GRAFT value
+         * @property {number} PRUNE=12 PRUNE value
+         */
+        TraceEvent.Type = (function() {
+            var valuesById = {}, values = Object.create(valuesById);
+            values[valuesById[0] = "PUBLISH_MESSAGE"] = 0;
+            values[valuesById[1] = "REJECT_MESSAGE"] = 1;
+            values[valuesById[2] = "DUPLICATE_MESSAGE"] = 2;
+            values[valuesById[3] = "DELIVER_MESSAGE"] = 3;
+            values[valuesById[4] = "ADD_PEER"] = 4;
+            values[valuesById[5] = "REMOVE_PEER"] = 5;
+            values[valuesById[6] = "RECV_RPC"] = 6;
+            values[valuesById[7] = "SEND_RPC"] = 7;
+            values[valuesById[8] = "DROP_RPC"] = 8;
+            values[valuesById[9] = "JOIN"] = 9;
+            values[valuesById[10] = "LEAVE"] = 10;
+            values[valuesById[11] = "GRAFT"] = 11;
+            values[valuesById[12] = "PRUNE"] = 12;
+            return values;
+        })();
+    
+        TraceEvent.PublishMessage = (function() {
+    
+            /**
+             * Properties of a PublishMessage.
+             * @memberof TraceEvent
+             * @interface IPublishMessage
+             * @property {Uint8Array|null} [messageID] PublishMessage messageID
+             * @property {string|null} [topic] PublishMessage topic
+             */
+    
+            /**
+             * Constructs a new PublishMessage.
+             * @memberof TraceEvent
+             * @classdesc Represents a PublishMessage.
+             * @implements IPublishMessage
+             * @constructor
+             * @param {TraceEvent.IPublishMessage=} [p] Properties to set
+             */
+            function PublishMessage(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * PublishMessage messageID.
+             * @member {Uint8Array} messageID
+             * @memberof TraceEvent.PublishMessage
+             * @instance
+             */
+            PublishMessage.prototype.messageID = $util.newBuffer([]);
+    
+            /**
+             * PublishMessage topic.
+             * @member {string} topic
+             * @memberof TraceEvent.PublishMessage
+             * @instance
+             */
+            PublishMessage.prototype.topic = "";
+    
+            /**
+             * Encodes the specified PublishMessage message. Does not implicitly {@link TraceEvent.PublishMessage.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.PublishMessage
+             * @static
+             * @param {TraceEvent.IPublishMessage} m PublishMessage message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            PublishMessage.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageID != null && Object.hasOwnProperty.call(m, "messageID"))
+                    w.uint32(10).bytes(m.messageID);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a PublishMessage message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.PublishMessage
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.PublishMessage} PublishMessage
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            PublishMessage.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.PublishMessage();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.messageID = r.bytes();
+                        break;
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a PublishMessage message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.PublishMessage
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.PublishMessage} PublishMessage
+             */
+            PublishMessage.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.PublishMessage)
+                    return d;
+                var m = new $root.TraceEvent.PublishMessage();
+                if (d.messageID != null) {
+                    if (typeof d.messageID === "string")
+                        $util.base64.decode(d.messageID, m.messageID = $util.newBuffer($util.base64.length(d.messageID)), 0);
+                    else if (d.messageID.length)
+                        m.messageID = d.messageID;
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a PublishMessage message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.PublishMessage
+             * @static
+             * @param {TraceEvent.PublishMessage} m PublishMessage
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            PublishMessage.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.messageID = "";
+                    else {
+                        d.messageID = [];
+                        if (o.bytes !== Array)
+                            d.messageID = $util.newBuffer(d.messageID);
+                    }
+                    d.topic = "";
+                }
+                if (m.messageID != null && m.hasOwnProperty("messageID")) {
+                    d.messageID = o.bytes === String ? $util.base64.encode(m.messageID, 0, m.messageID.length) : o.bytes === Array ? Array.prototype.slice.call(m.messageID) : m.messageID;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this PublishMessage to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.PublishMessage
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            PublishMessage.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return PublishMessage;
+        })();
+    
+        TraceEvent.RejectMessage = (function() {
+    
+            /**
+             * Properties of a RejectMessage.
+             * @memberof TraceEvent
+             * @interface IRejectMessage
+             * @property {Uint8Array|null} [messageID] RejectMessage messageID
+             * @property {Uint8Array|null} [receivedFrom] RejectMessage receivedFrom
+             * @property {string|null} [reason] RejectMessage reason
+             * @property {string|null} [topic] RejectMessage topic
+             */
+    
+            /**
+             * Constructs a new RejectMessage.
+             * @memberof TraceEvent
+             * @classdesc Represents a RejectMessage.
+             * @implements IRejectMessage
+             * @constructor
+             * @param {TraceEvent.IRejectMessage=} [p] Properties to set
+             */
+            function RejectMessage(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * RejectMessage messageID.
+             * @member {Uint8Array} messageID
+             * @memberof TraceEvent.RejectMessage
+             * @instance
+             */
+            RejectMessage.prototype.messageID = $util.newBuffer([]);
+    
+            /**
+             * RejectMessage receivedFrom.
+             * @member {Uint8Array} receivedFrom
+             * @memberof TraceEvent.RejectMessage
+             * @instance
+             */
+            RejectMessage.prototype.receivedFrom = $util.newBuffer([]);
+    
+            /**
+             * RejectMessage reason.
+             * @member {string} reason
+             * @memberof TraceEvent.RejectMessage
+             * @instance
+             */
+            RejectMessage.prototype.reason = "";
+    
+            /**
+             * RejectMessage topic.
+             * @member {string} topic
+             * @memberof TraceEvent.RejectMessage
+             * @instance
+             */
+            RejectMessage.prototype.topic = "";
+    
+            /**
+             * Encodes the specified RejectMessage message. Does not implicitly {@link TraceEvent.RejectMessage.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.RejectMessage
+             * @static
+             * @param {TraceEvent.IRejectMessage} m RejectMessage message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            RejectMessage.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageID != null && Object.hasOwnProperty.call(m, "messageID"))
+                    w.uint32(10).bytes(m.messageID);
+                if (m.receivedFrom != null && Object.hasOwnProperty.call(m, "receivedFrom"))
+                    w.uint32(18).bytes(m.receivedFrom);
+                if (m.reason != null && Object.hasOwnProperty.call(m, "reason"))
+                    w.uint32(26).string(m.reason);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(34).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a RejectMessage message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.RejectMessage
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.RejectMessage} RejectMessage
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            RejectMessage.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.RejectMessage();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.messageID = r.bytes();
+                        break;
+                    case 2:
+                        m.receivedFrom = r.bytes();
+                        break;
+                    case 3:
+                        m.reason = r.string();
+                        break;
+                    case 4:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a RejectMessage message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.RejectMessage
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.RejectMessage} RejectMessage
+             */
+            RejectMessage.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.RejectMessage)
+                    return d;
+                var m = new $root.TraceEvent.RejectMessage();
+                if (d.messageID != null) {
+                    if (typeof d.messageID === "string")
+                        $util.base64.decode(d.messageID, m.messageID = $util.newBuffer($util.base64.length(d.messageID)), 0);
+                    else if (d.messageID.length)
+                        m.messageID = d.messageID;
+                }
+                if (d.receivedFrom != null) {
+                    if (typeof d.receivedFrom === "string")
+                        $util.base64.decode(d.receivedFrom, m.receivedFrom = $util.newBuffer($util.base64.length(d.receivedFrom)), 0);
+                    else if (d.receivedFrom.length)
+                        m.receivedFrom = d.receivedFrom;
+                }
+                if (d.reason != null) {
+                    m.reason = String(d.reason);
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a RejectMessage message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.RejectMessage
+             * @static
+             * @param {TraceEvent.RejectMessage} m RejectMessage
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            RejectMessage.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.messageID = "";
+                    else {
+                        d.messageID = [];
+                        if (o.bytes !== Array)
+                            d.messageID = $util.newBuffer(d.messageID);
+                    }
+                    if (o.bytes === String)
+                        d.receivedFrom = "";
+                    else {
+                        d.receivedFrom = [];
+                        if (o.bytes !== Array)
+                            d.receivedFrom = $util.newBuffer(d.receivedFrom);
+                    }
+                    d.reason = "";
+                    d.topic = "";
+                }
+                if (m.messageID != null && m.hasOwnProperty("messageID")) {
+                    d.messageID = o.bytes === String ? $util.base64.encode(m.messageID, 0, m.messageID.length) : o.bytes === Array ? Array.prototype.slice.call(m.messageID) : m.messageID;
+                }
+                if (m.receivedFrom != null && m.hasOwnProperty("receivedFrom")) {
+                    d.receivedFrom = o.bytes === String ? $util.base64.encode(m.receivedFrom, 0, m.receivedFrom.length) : o.bytes === Array ? Array.prototype.slice.call(m.receivedFrom) : m.receivedFrom;
+                }
+                if (m.reason != null && m.hasOwnProperty("reason")) {
+                    d.reason = m.reason;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this RejectMessage to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.RejectMessage
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            RejectMessage.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return RejectMessage;
+        })();
+    
+        TraceEvent.DuplicateMessage = (function() {
+    
+            /**
+             * Properties of a DuplicateMessage.
+             * @memberof TraceEvent
+             * @interface IDuplicateMessage
+             * @property {Uint8Array|null} [messageID] DuplicateMessage messageID
+             * @property {Uint8Array|null} [receivedFrom] DuplicateMessage receivedFrom
+             * @property {string|null} [topic] DuplicateMessage topic
+             */
+    
+            /**
+             * Constructs a new DuplicateMessage.
+             * @memberof TraceEvent
+             * @classdesc Represents a DuplicateMessage.
+             * @implements IDuplicateMessage
+             * @constructor
+             * @param {TraceEvent.IDuplicateMessage=} [p] Properties to set
+             */
+            function DuplicateMessage(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * DuplicateMessage messageID.
+             * @member {Uint8Array} messageID
+             * @memberof TraceEvent.DuplicateMessage
+             * @instance
+             */
+            DuplicateMessage.prototype.messageID = $util.newBuffer([]);
+    
+            /**
+             * DuplicateMessage receivedFrom.
+             * @member {Uint8Array} receivedFrom
+             * @memberof TraceEvent.DuplicateMessage
+             * @instance
+             */
+            DuplicateMessage.prototype.receivedFrom = $util.newBuffer([]);
+    
+            /**
+             * DuplicateMessage topic.
+             * @member {string} topic
+             * @memberof TraceEvent.DuplicateMessage
+             * @instance
+             */
+            DuplicateMessage.prototype.topic = "";
+    
+            /**
+             * Encodes the specified DuplicateMessage message. Does not implicitly {@link TraceEvent.DuplicateMessage.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.DuplicateMessage
+             * @static
+             * @param {TraceEvent.IDuplicateMessage} m DuplicateMessage message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            DuplicateMessage.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageID != null && Object.hasOwnProperty.call(m, "messageID"))
+                    w.uint32(10).bytes(m.messageID);
+                if (m.receivedFrom != null && Object.hasOwnProperty.call(m, "receivedFrom"))
+                    w.uint32(18).bytes(m.receivedFrom);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(26).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a DuplicateMessage message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.DuplicateMessage
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.DuplicateMessage} DuplicateMessage
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            DuplicateMessage.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.DuplicateMessage();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.messageID = r.bytes();
+                        break;
+                    case 2:
+                        m.receivedFrom = r.bytes();
+                        break;
+                    case 3:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a DuplicateMessage message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.DuplicateMessage
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.DuplicateMessage} DuplicateMessage
+             */
+            DuplicateMessage.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.DuplicateMessage)
+                    return d;
+                var m = new $root.TraceEvent.DuplicateMessage();
+                if (d.messageID != null) {
+                    if (typeof d.messageID === "string")
+                        $util.base64.decode(d.messageID, m.messageID = $util.newBuffer($util.base64.length(d.messageID)), 0);
+                    else if (d.messageID.length)
+                        m.messageID = d.messageID;
+                }
+                if (d.receivedFrom != null) {
+                    if (typeof d.receivedFrom === "string")
+                        $util.base64.decode(d.receivedFrom, m.receivedFrom = $util.newBuffer($util.base64.length(d.receivedFrom)), 0);
+                    else if (d.receivedFrom.length)
+                        m.receivedFrom = d.receivedFrom;
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a DuplicateMessage message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.DuplicateMessage
+             * @static
+             * @param {TraceEvent.DuplicateMessage} m DuplicateMessage
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            DuplicateMessage.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.messageID = "";
+                    else {
+                        d.messageID = [];
+                        if (o.bytes !== Array)
+                            d.messageID = $util.newBuffer(d.messageID);
+                    }
+                    if (o.bytes === String)
+                        d.receivedFrom = "";
+                    else {
+                        d.receivedFrom = [];
+                        if (o.bytes !== Array)
+                            d.receivedFrom = $util.newBuffer(d.receivedFrom);
+                    }
+                    d.topic = "";
+                }
+                if (m.messageID != null && m.hasOwnProperty("messageID")) {
+                    d.messageID = o.bytes === String ? $util.base64.encode(m.messageID, 0, m.messageID.length) : o.bytes === Array ? Array.prototype.slice.call(m.messageID) : m.messageID;
+                }
+                if (m.receivedFrom != null && m.hasOwnProperty("receivedFrom")) {
+                    d.receivedFrom = o.bytes === String ? $util.base64.encode(m.receivedFrom, 0, m.receivedFrom.length) : o.bytes === Array ? Array.prototype.slice.call(m.receivedFrom) : m.receivedFrom;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this DuplicateMessage to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.DuplicateMessage
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            DuplicateMessage.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return DuplicateMessage;
+        })();
+    
+        TraceEvent.DeliverMessage = (function() {
+    
+            /**
+             * Properties of a DeliverMessage.
+             * @memberof TraceEvent
+             * @interface IDeliverMessage
+             * @property {Uint8Array|null} [messageID] DeliverMessage messageID
+             * @property {string|null} [topic] DeliverMessage topic
+             * @property {Uint8Array|null} [receivedFrom] DeliverMessage receivedFrom
+             */
+    
+            /**
+             * Constructs a new DeliverMessage.
+             * @memberof TraceEvent
+             * @classdesc Represents a DeliverMessage.
+             * @implements IDeliverMessage
+             * @constructor
+             * @param {TraceEvent.IDeliverMessage=} [p] Properties to set
+             */
+            function DeliverMessage(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * DeliverMessage messageID.
+             * @member {Uint8Array} messageID
+             * @memberof TraceEvent.DeliverMessage
+             * @instance
+             */
+            DeliverMessage.prototype.messageID = $util.newBuffer([]);
+    
+            /**
+             * DeliverMessage topic.
+             * @member {string} topic
+             * @memberof TraceEvent.DeliverMessage
+             * @instance
+             */
+            DeliverMessage.prototype.topic = "";
+    
+            /**
+             * DeliverMessage receivedFrom.
+             * @member {Uint8Array} receivedFrom
+             * @memberof TraceEvent.DeliverMessage
+             * @instance
+             */
+            DeliverMessage.prototype.receivedFrom = $util.newBuffer([]);
+    
+            /**
+             * Encodes the specified DeliverMessage message. Does not implicitly {@link TraceEvent.DeliverMessage.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.DeliverMessage
+             * @static
+             * @param {TraceEvent.IDeliverMessage} m DeliverMessage message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            DeliverMessage.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageID != null && Object.hasOwnProperty.call(m, "messageID"))
+                    w.uint32(10).bytes(m.messageID);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                if (m.receivedFrom != null && Object.hasOwnProperty.call(m, "receivedFrom"))
+                    w.uint32(26).bytes(m.receivedFrom);
+                return w;
+            };
+    
+            /**
+             * Decodes a DeliverMessage message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.DeliverMessage
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.DeliverMessage} DeliverMessage
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            DeliverMessage.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.DeliverMessage();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.messageID = r.bytes();
+                        break;
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    case 3:
+                        m.receivedFrom = r.bytes();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a DeliverMessage message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.DeliverMessage
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.DeliverMessage} DeliverMessage
+             */
+            DeliverMessage.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.DeliverMessage)
+                    return d;
+                var m = new $root.TraceEvent.DeliverMessage();
+                if (d.messageID != null) {
+                    if (typeof d.messageID === "string")
+                        $util.base64.decode(d.messageID, m.messageID = $util.newBuffer($util.base64.length(d.messageID)), 0);
+                    else if (d.messageID.length)
+                        m.messageID = d.messageID;
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                if (d.receivedFrom != null) {
+                    if (typeof d.receivedFrom === "string")
+                        $util.base64.decode(d.receivedFrom, m.receivedFrom = $util.newBuffer($util.base64.length(d.receivedFrom)), 0);
+                    else if (d.receivedFrom.length)
+                        m.receivedFrom = d.receivedFrom;
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a DeliverMessage message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.DeliverMessage
+             * @static
+             * @param {TraceEvent.DeliverMessage} m DeliverMessage
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            DeliverMessage.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.messageID = "";
+                    else {
+                        d.messageID = [];
+                        if (o.bytes !== Array)
+                            d.messageID = $util.newBuffer(d.messageID);
+                    }
+                    d.topic = "";
+                    if (o.bytes === String)
+                        d.receivedFrom = "";
+                    else {
+                        d.receivedFrom = [];
+                        if (o.bytes !== Array)
+                            d.receivedFrom = $util.newBuffer(d.receivedFrom);
+                    }
+                }
+                if (m.messageID != null && m.hasOwnProperty("messageID")) {
+                    d.messageID = o.bytes === String ? $util.base64.encode(m.messageID, 0, m.messageID.length) : o.bytes === Array ? Array.prototype.slice.call(m.messageID) : m.messageID;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                if (m.receivedFrom != null && m.hasOwnProperty("receivedFrom")) {
+                    d.receivedFrom = o.bytes === String ? $util.base64.encode(m.receivedFrom, 0, m.receivedFrom.length) : o.bytes === Array ? Array.prototype.slice.call(m.receivedFrom) : m.receivedFrom;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this DeliverMessage to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.DeliverMessage
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            DeliverMessage.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return DeliverMessage;
+        })();
+    
+        TraceEvent.AddPeer = (function() {
+    
+            /**
+             * Properties of an AddPeer.
+             * @memberof TraceEvent
+             * @interface IAddPeer
+             * @property {Uint8Array|null} [peerID] AddPeer peerID
+             * @property {string|null} [proto] AddPeer proto
+             */
+    
+            /**
+             * Constructs a new AddPeer.
+             * @memberof TraceEvent
+             * @classdesc Represents an AddPeer.
+             * @implements IAddPeer
+             * @constructor
+             * @param {TraceEvent.IAddPeer=} [p] Properties to set
+             */
+            function AddPeer(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * AddPeer peerID.
+             * @member {Uint8Array} peerID
+             * @memberof TraceEvent.AddPeer
+             * @instance
+             */
+            AddPeer.prototype.peerID = $util.newBuffer([]);
+    
+            /**
+             * AddPeer proto.
+             * @member {string} proto
+             * @memberof TraceEvent.AddPeer
+             * @instance
+             */
+            AddPeer.prototype.proto = "";
+    
+            /**
+             * Encodes the specified AddPeer message. Does not implicitly {@link TraceEvent.AddPeer.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.AddPeer
+             * @static
+             * @param {TraceEvent.IAddPeer} m AddPeer message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            AddPeer.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.peerID != null && Object.hasOwnProperty.call(m, "peerID"))
+                    w.uint32(10).bytes(m.peerID);
+                if (m.proto != null && Object.hasOwnProperty.call(m, "proto"))
+                    w.uint32(18).string(m.proto);
+                return w;
+            };
+    
+            /**
+             * Decodes an AddPeer message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.AddPeer
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.AddPeer} AddPeer
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            AddPeer.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.AddPeer();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.peerID = r.bytes();
+                        break;
+                    case 2:
+                        m.proto = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates an AddPeer message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.AddPeer
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.AddPeer} AddPeer
+             */
+            AddPeer.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.AddPeer)
+                    return d;
+                var m = new $root.TraceEvent.AddPeer();
+                if (d.peerID != null) {
+                    if (typeof d.peerID === "string")
+                        $util.base64.decode(d.peerID, m.peerID = $util.newBuffer($util.base64.length(d.peerID)), 0);
+                    else if (d.peerID.length)
+                        m.peerID = d.peerID;
+                }
+                if (d.proto != null) {
+                    m.proto = String(d.proto);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from an AddPeer message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.AddPeer
+             * @static
+             * @param {TraceEvent.AddPeer} m AddPeer
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            AddPeer.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.peerID = "";
+                    else {
+                        d.peerID = [];
+                        if (o.bytes !== Array)
+                            d.peerID = $util.newBuffer(d.peerID);
+                    }
+                    d.proto = "";
+                }
+                if (m.peerID != null && m.hasOwnProperty("peerID")) {
+                    d.peerID = o.bytes === String ? $util.base64.encode(m.peerID, 0, m.peerID.length) : o.bytes === Array ? Array.prototype.slice.call(m.peerID) : m.peerID;
+                }
+                if (m.proto != null && m.hasOwnProperty("proto")) {
+                    d.proto = m.proto;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this AddPeer to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.AddPeer
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            AddPeer.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return AddPeer;
+        })();
+    
+        TraceEvent.RemovePeer = (function() {
+    
+            /**
+             * Properties of a RemovePeer.
+             * @memberof TraceEvent
+             * @interface IRemovePeer
+             * @property {Uint8Array|null} [peerID] RemovePeer peerID
+             */
+    
+            /**
+             * Constructs a new RemovePeer.
+             * @memberof TraceEvent
+             * @classdesc Represents a RemovePeer.
+             * @implements IRemovePeer
+             * @constructor
+             * @param {TraceEvent.IRemovePeer=} [p] Properties to set
+             */
+            function RemovePeer(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * RemovePeer peerID.
+             * @member {Uint8Array} peerID
+             * @memberof TraceEvent.RemovePeer
+             * @instance
+             */
+            RemovePeer.prototype.peerID = $util.newBuffer([]);
+    
+            /**
+             * Encodes the specified RemovePeer message. Does not implicitly {@link TraceEvent.RemovePeer.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.RemovePeer
+             * @static
+             * @param {TraceEvent.IRemovePeer} m RemovePeer message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            RemovePeer.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.peerID != null && Object.hasOwnProperty.call(m, "peerID"))
+                    w.uint32(10).bytes(m.peerID);
+                return w;
+            };
+    
+            /**
+             * Decodes a RemovePeer message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.RemovePeer
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.RemovePeer} RemovePeer
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            RemovePeer.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.RemovePeer();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.peerID = r.bytes();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a RemovePeer message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.RemovePeer
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.RemovePeer} RemovePeer
+             */
+            RemovePeer.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.RemovePeer)
+                    return d;
+                var m = new $root.TraceEvent.RemovePeer();
+                if (d.peerID != null) {
+                    if (typeof d.peerID === "string")
+                        $util.base64.decode(d.peerID, m.peerID = $util.newBuffer($util.base64.length(d.peerID)), 0);
+                    else if (d.peerID.length)
+                        m.peerID = d.peerID;
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a RemovePeer message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.RemovePeer
+             * @static
+             * @param {TraceEvent.RemovePeer} m RemovePeer
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            RemovePeer.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.peerID = "";
+                    else {
+                        d.peerID = [];
+                        if (o.bytes !== Array)
+                            d.peerID = $util.newBuffer(d.peerID);
+                    }
+                }
+                if (m.peerID != null && m.hasOwnProperty("peerID")) {
+                    d.peerID = o.bytes === String ? $util.base64.encode(m.peerID, 0, m.peerID.length) : o.bytes === Array ? Array.prototype.slice.call(m.peerID) : m.peerID;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this RemovePeer to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.RemovePeer
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            RemovePeer.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return RemovePeer;
+        })();
+    
+        TraceEvent.RecvRPC = (function() {
+    
+            /**
+             * Properties of a RecvRPC.
+             * @memberof TraceEvent
+             * @interface IRecvRPC
+             * @property {Uint8Array|null} [receivedFrom] RecvRPC receivedFrom
+             * @property {TraceEvent.IRPCMeta|null} [meta] RecvRPC meta
+             */
+    
+            /**
+             * Constructs a new RecvRPC.
+             * @memberof TraceEvent
+             * @classdesc Represents a RecvRPC.
+             * @implements IRecvRPC
+             * @constructor
+             * @param {TraceEvent.IRecvRPC=} [p] Properties to set
+             */
+            function RecvRPC(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * RecvRPC receivedFrom.
+             * @member {Uint8Array} receivedFrom
+             * @memberof TraceEvent.RecvRPC
+             * @instance
+             */
+            RecvRPC.prototype.receivedFrom = $util.newBuffer([]);
+    
+            /**
+             * RecvRPC meta.
+             * @member {TraceEvent.IRPCMeta|null|undefined} meta
+             * @memberof TraceEvent.RecvRPC
+             * @instance
+             */
+            RecvRPC.prototype.meta = null;
+    
+            /**
+             * Encodes the specified RecvRPC message. Does not implicitly {@link TraceEvent.RecvRPC.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.RecvRPC
+             * @static
+             * @param {TraceEvent.IRecvRPC} m RecvRPC message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            RecvRPC.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.receivedFrom != null && Object.hasOwnProperty.call(m, "receivedFrom"))
+                    w.uint32(10).bytes(m.receivedFrom);
+                if (m.meta != null && Object.hasOwnProperty.call(m, "meta"))
+                    $root.TraceEvent.RPCMeta.encode(m.meta, w.uint32(18).fork()).ldelim();
+                return w;
+            };
+    
+            /**
+             * Decodes a RecvRPC message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.RecvRPC
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.RecvRPC} RecvRPC
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            RecvRPC.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.RecvRPC();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.receivedFrom = r.bytes();
+                        break;
+                    case 2:
+                        m.meta = $root.TraceEvent.RPCMeta.decode(r, r.uint32());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a RecvRPC message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.RecvRPC
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.RecvRPC} RecvRPC
+             */
+            RecvRPC.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.RecvRPC)
+                    return d;
+                var m = new $root.TraceEvent.RecvRPC();
+                if (d.receivedFrom != null) {
+                    if (typeof d.receivedFrom === "string")
+                        $util.base64.decode(d.receivedFrom, m.receivedFrom = $util.newBuffer($util.base64.length(d.receivedFrom)), 0);
+                    else if (d.receivedFrom.length)
+                        m.receivedFrom = d.receivedFrom;
+                }
+                if (d.meta != null) {
+                    if (typeof d.meta !== "object")
+                        throw TypeError(".TraceEvent.RecvRPC.meta: object expected");
+                    m.meta = $root.TraceEvent.RPCMeta.fromObject(d.meta);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a RecvRPC message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.RecvRPC
+             * @static
+             * @param {TraceEvent.RecvRPC} m RecvRPC
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            RecvRPC.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.receivedFrom = "";
+                    else {
+                        d.receivedFrom = [];
+                        if (o.bytes !== Array)
+                            d.receivedFrom = $util.newBuffer(d.receivedFrom);
+                    }
+                    d.meta = null;
+                }
+                if (m.receivedFrom != null && m.hasOwnProperty("receivedFrom")) {
+                    d.receivedFrom = o.bytes === String ? $util.base64.encode(m.receivedFrom, 0, m.receivedFrom.length) : o.bytes === Array ? Array.prototype.slice.call(m.receivedFrom) : m.receivedFrom;
+                }
+                if (m.meta != null && m.hasOwnProperty("meta")) {
+                    d.meta = $root.TraceEvent.RPCMeta.toObject(m.meta, o);
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this RecvRPC to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.RecvRPC
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            RecvRPC.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return RecvRPC;
+        })();
+    
+        TraceEvent.SendRPC = (function() {
+    
+            /**
+             * Properties of a SendRPC.
+             * @memberof TraceEvent
+             * @interface ISendRPC
+             * @property {Uint8Array|null} [sendTo] SendRPC sendTo
+             * @property {TraceEvent.IRPCMeta|null} [meta] SendRPC meta
+             */
+    
+            /**
+             * Constructs a new SendRPC.
+             * @memberof TraceEvent
+             * @classdesc Represents a SendRPC.
+             * @implements ISendRPC
+             * @constructor
+             * @param {TraceEvent.ISendRPC=} [p] Properties to set
+             */
+            function SendRPC(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * SendRPC sendTo.
+             * @member {Uint8Array} sendTo
+             * @memberof TraceEvent.SendRPC
+             * @instance
+             */
+            SendRPC.prototype.sendTo = $util.newBuffer([]);
+    
+            /**
+             * SendRPC meta.
+             * @member {TraceEvent.IRPCMeta|null|undefined} meta
+             * @memberof TraceEvent.SendRPC
+             * @instance
+             */
+            SendRPC.prototype.meta = null;
+    
+            /**
+             * Encodes the specified SendRPC message. Does not implicitly {@link TraceEvent.SendRPC.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.SendRPC
+             * @static
+             * @param {TraceEvent.ISendRPC} m SendRPC message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            SendRPC.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.sendTo != null && Object.hasOwnProperty.call(m, "sendTo"))
+                    w.uint32(10).bytes(m.sendTo);
+                if (m.meta != null && Object.hasOwnProperty.call(m, "meta"))
+                    $root.TraceEvent.RPCMeta.encode(m.meta, w.uint32(18).fork()).ldelim();
+                return w;
+            };
+    
+            /**
+             * Decodes a SendRPC message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.SendRPC
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.SendRPC} SendRPC
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            SendRPC.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.SendRPC();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.sendTo = r.bytes();
+                        break;
+                    case 2:
+                        m.meta = $root.TraceEvent.RPCMeta.decode(r, r.uint32());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a SendRPC message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.SendRPC
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.SendRPC} SendRPC
+             */
+            SendRPC.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.SendRPC)
+                    return d;
+                var m = new $root.TraceEvent.SendRPC();
+                if (d.sendTo != null) {
+                    if (typeof d.sendTo === "string")
+                        $util.base64.decode(d.sendTo, m.sendTo = $util.newBuffer($util.base64.length(d.sendTo)), 0);
+                    else if (d.sendTo.length)
+                        m.sendTo = d.sendTo;
+                }
+                if (d.meta != null) {
+                    if (typeof d.meta !== "object")
+                        throw TypeError(".TraceEvent.SendRPC.meta: object expected");
+                    m.meta = $root.TraceEvent.RPCMeta.fromObject(d.meta);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a SendRPC message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.SendRPC
+             * @static
+             * @param {TraceEvent.SendRPC} m SendRPC
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            SendRPC.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.sendTo = "";
+                    else {
+                        d.sendTo = [];
+                        if (o.bytes !== Array)
+                            d.sendTo = $util.newBuffer(d.sendTo);
+                    }
+                    d.meta = null;
+                }
+                if (m.sendTo != null && m.hasOwnProperty("sendTo")) {
+                    d.sendTo = o.bytes === String ? $util.base64.encode(m.sendTo, 0, m.sendTo.length) : o.bytes === Array ? Array.prototype.slice.call(m.sendTo) : m.sendTo;
+                }
+                if (m.meta != null && m.hasOwnProperty("meta")) {
+                    d.meta = $root.TraceEvent.RPCMeta.toObject(m.meta, o);
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this SendRPC to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.SendRPC
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            SendRPC.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return SendRPC;
+        })();
+    
+        TraceEvent.DropRPC = (function() {
+    
+            /**
+             * Properties of a DropRPC.
+             * @memberof TraceEvent
+             * @interface IDropRPC
+             * @property {Uint8Array|null} [sendTo] DropRPC sendTo
+             * @property {TraceEvent.IRPCMeta|null} [meta] DropRPC meta
+             */
+    
+            /**
+             * Constructs a new DropRPC.
+             * @memberof TraceEvent
+             * @classdesc Represents a DropRPC.
+             * @implements IDropRPC
+             * @constructor
+             * @param {TraceEvent.IDropRPC=} [p] Properties to set
+             */
+            function DropRPC(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * DropRPC sendTo.
+             * @member {Uint8Array} sendTo
+             * @memberof TraceEvent.DropRPC
+             * @instance
+             */
+            DropRPC.prototype.sendTo = $util.newBuffer([]);
+    
+            /**
+             * DropRPC meta.
+             * @member {TraceEvent.IRPCMeta|null|undefined} meta
+             * @memberof TraceEvent.DropRPC
+             * @instance
+             */
+            DropRPC.prototype.meta = null;
+    
+            /**
+             * Encodes the specified DropRPC message. Does not implicitly {@link TraceEvent.DropRPC.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.DropRPC
+             * @static
+             * @param {TraceEvent.IDropRPC} m DropRPC message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            DropRPC.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.sendTo != null && Object.hasOwnProperty.call(m, "sendTo"))
+                    w.uint32(10).bytes(m.sendTo);
+                if (m.meta != null && Object.hasOwnProperty.call(m, "meta"))
+                    $root.TraceEvent.RPCMeta.encode(m.meta, w.uint32(18).fork()).ldelim();
+                return w;
+            };
+    
+            /**
+             * Decodes a DropRPC message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.DropRPC
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.DropRPC} DropRPC
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            DropRPC.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.DropRPC();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.sendTo = r.bytes();
+                        break;
+                    case 2:
+                        m.meta = $root.TraceEvent.RPCMeta.decode(r, r.uint32());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a DropRPC message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.DropRPC
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.DropRPC} DropRPC
+             */
+            DropRPC.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.DropRPC)
+                    return d;
+                var m = new $root.TraceEvent.DropRPC();
+                if (d.sendTo != null) {
+                    if (typeof d.sendTo === "string")
+                        $util.base64.decode(d.sendTo, m.sendTo = $util.newBuffer($util.base64.length(d.sendTo)), 0);
+                    else if (d.sendTo.length)
+                        m.sendTo = d.sendTo;
+                }
+                if (d.meta != null) {
+                    if (typeof d.meta !== "object")
+                        throw TypeError(".TraceEvent.DropRPC.meta: object expected");
+                    m.meta = $root.TraceEvent.RPCMeta.fromObject(d.meta);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a DropRPC message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.DropRPC
+             * @static
+             * @param {TraceEvent.DropRPC} m DropRPC
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            DropRPC.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.sendTo = "";
+                    else {
+                        d.sendTo = [];
+                        if (o.bytes !== Array)
+                            d.sendTo = $util.newBuffer(d.sendTo);
+                    }
+                    d.meta = null;
+                }
+                if (m.sendTo != null && m.hasOwnProperty("sendTo")) {
+                    d.sendTo = o.bytes === String ? $util.base64.encode(m.sendTo, 0, m.sendTo.length) : o.bytes === Array ? Array.prototype.slice.call(m.sendTo) : m.sendTo;
+                }
+                if (m.meta != null && m.hasOwnProperty("meta")) {
+                    d.meta = $root.TraceEvent.RPCMeta.toObject(m.meta, o);
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this DropRPC to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.DropRPC
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            DropRPC.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return DropRPC;
+        })();
+    
+        TraceEvent.Join = (function() {
+    
+            /**
+             * Properties of a Join.
+             * @memberof TraceEvent
+             * @interface IJoin
+             * @property {string|null} [topic] Join topic
+             */
+    
+            /**
+             * Constructs a new Join.
+             * @memberof TraceEvent
+             * @classdesc Represents a Join.
+             * @implements IJoin
+             * @constructor
+             * @param {TraceEvent.IJoin=} [p] Properties to set
+             */
+            function Join(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * Join topic.
+             * @member {string} topic
+             * @memberof TraceEvent.Join
+             * @instance
+             */
+            Join.prototype.topic = "";
+    
+            /**
+             * Encodes the specified Join message. Does not implicitly {@link TraceEvent.Join.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.Join
+             * @static
+             * @param {TraceEvent.IJoin} m Join message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Join.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(10).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a Join message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.Join
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.Join} Join
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Join.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.Join();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a Join message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.Join
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.Join} Join
+             */
+            Join.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.Join)
+                    return d;
+                var m = new $root.TraceEvent.Join();
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a Join message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.Join
+             * @static
+             * @param {TraceEvent.Join} m Join
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Join.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    d.topic = "";
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this Join to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.Join
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Join.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return Join;
+        })();
+    
+        TraceEvent.Leave = (function() {
+    
+            /**
+             * Properties of a Leave.
+             * @memberof TraceEvent
+             * @interface ILeave
+             * @property {string|null} [topic] Leave topic
+             */
+    
+            /**
+             * Constructs a new Leave.
+             * @memberof TraceEvent
+             * @classdesc Represents a Leave.
+             * @implements ILeave
+             * @constructor
+             * @param {TraceEvent.ILeave=} [p] Properties to set
+             */
+            function Leave(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * Leave topic.
+             * @member {string} topic
+             * @memberof TraceEvent.Leave
+             * @instance
+             */
+            Leave.prototype.topic = "";
+    
+            /**
+             * Encodes the specified Leave message. Does not implicitly {@link TraceEvent.Leave.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.Leave
+             * @static
+             * @param {TraceEvent.ILeave} m Leave message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Leave.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a Leave message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.Leave
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.Leave} Leave
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Leave.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.Leave();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a Leave message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.Leave
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.Leave} Leave
+             */
+            Leave.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.Leave)
+                    return d;
+                var m = new $root.TraceEvent.Leave();
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a Leave message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.Leave
+             * @static
+             * @param {TraceEvent.Leave} m Leave
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Leave.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    d.topic = "";
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this Leave to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.Leave
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Leave.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return Leave;
+        })();
+    
+        TraceEvent.Graft = (function() {
+    
+            /**
+             * Properties of a Graft.
+             * @memberof TraceEvent
+             * @interface IGraft
+             * @property {Uint8Array|null} [peerID] Graft peerID
+             * @property {string|null} [topic] Graft topic
+             */
+    
+            /**
+             * Constructs a new Graft.
+             * @memberof TraceEvent
+             * @classdesc Represents a Graft.
+             * @implements IGraft
+             * @constructor
+             * @param {TraceEvent.IGraft=} [p] Properties to set
+             */
+            function Graft(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * Graft peerID.
+             * @member {Uint8Array} peerID
+             * @memberof TraceEvent.Graft
+             * @instance
+             */
+            Graft.prototype.peerID = $util.newBuffer([]);
+    
+            /**
+             * Graft topic.
+             * @member {string} topic
+             * @memberof TraceEvent.Graft
+             * @instance
+             */
+            Graft.prototype.topic = "";
+    
+            /**
+             * Encodes the specified Graft message. Does not implicitly {@link TraceEvent.Graft.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.Graft
+             * @static
+             * @param {TraceEvent.IGraft} m Graft message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Graft.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.peerID != null && Object.hasOwnProperty.call(m, "peerID"))
+                    w.uint32(10).bytes(m.peerID);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a Graft message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.Graft
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.Graft} Graft
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Graft.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.Graft();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.peerID = r.bytes();
+                        break;
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a Graft message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.Graft
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.Graft} Graft
+             */
+            Graft.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.Graft)
+                    return d;
+                var m = new $root.TraceEvent.Graft();
+                if (d.peerID != null) {
+                    if (typeof d.peerID === "string")
+                        $util.base64.decode(d.peerID, m.peerID = $util.newBuffer($util.base64.length(d.peerID)), 0);
+                    else if (d.peerID.length)
+                        m.peerID = d.peerID;
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a Graft message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.Graft
+             * @static
+             * @param {TraceEvent.Graft} m Graft
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Graft.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.peerID = "";
+                    else {
+                        d.peerID = [];
+                        if (o.bytes !== Array)
+                            d.peerID = $util.newBuffer(d.peerID);
+                    }
+                    d.topic = "";
+                }
+                if (m.peerID != null && m.hasOwnProperty("peerID")) {
+                    d.peerID = o.bytes === String ? $util.base64.encode(m.peerID, 0, m.peerID.length) : o.bytes === Array ? Array.prototype.slice.call(m.peerID) : m.peerID;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this Graft to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.Graft
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Graft.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return Graft;
+        })();
+    
+        TraceEvent.Prune = (function() {
+    
+            /**
+             * Properties of a Prune.
+             * @memberof TraceEvent
+             * @interface IPrune
+             * @property {Uint8Array|null} [peerID] Prune peerID
+             * @property {string|null} [topic] Prune topic
+             */
+    
+            /**
+             * Constructs a new Prune.
+             * @memberof TraceEvent
+             * @classdesc Represents a Prune.
+             * @implements IPrune
+             * @constructor
+             * @param {TraceEvent.IPrune=} [p] Properties to set
+             */
+            function Prune(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * Prune peerID.
+             * @member {Uint8Array} peerID
+             * @memberof TraceEvent.Prune
+             * @instance
+             */
+            Prune.prototype.peerID = $util.newBuffer([]);
+    
+            /**
+             * Prune topic.
+             * @member {string} topic
+             * @memberof TraceEvent.Prune
+             * @instance
+             */
+            Prune.prototype.topic = "";
+    
+            /**
+             * Encodes the specified Prune message. Does not implicitly {@link TraceEvent.Prune.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.Prune
+             * @static
+             * @param {TraceEvent.IPrune} m Prune message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            Prune.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.peerID != null && Object.hasOwnProperty.call(m, "peerID"))
+                    w.uint32(10).bytes(m.peerID);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a Prune message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.Prune
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.Prune} Prune
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            Prune.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.Prune();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.peerID = r.bytes();
+                        break;
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a Prune message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.Prune
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.Prune} Prune
+             */
+            Prune.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.Prune)
+                    return d;
+                var m = new $root.TraceEvent.Prune();
+                if (d.peerID != null) {
+                    if (typeof d.peerID === "string")
+                        $util.base64.decode(d.peerID, m.peerID = $util.newBuffer($util.base64.length(d.peerID)), 0);
+                    else if (d.peerID.length)
+                        m.peerID = d.peerID;
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a Prune message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.Prune
+             * @static
+             * @param {TraceEvent.Prune} m Prune
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            Prune.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.peerID = "";
+                    else {
+                        d.peerID = [];
+                        if (o.bytes !== Array)
+                            d.peerID = $util.newBuffer(d.peerID);
+                    }
+                    d.topic = "";
+                }
+                if (m.peerID != null && m.hasOwnProperty("peerID")) {
+                    d.peerID = o.bytes === String ? $util.base64.encode(m.peerID, 0, m.peerID.length) : o.bytes === Array ? Array.prototype.slice.call(m.peerID) : m.peerID;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this Prune to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.Prune
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            Prune.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return Prune;
+        })();
+    
+        TraceEvent.RPCMeta = (function() {
+    
+            /**
+             * Properties of a RPCMeta.
+             * @memberof TraceEvent
+             * @interface IRPCMeta
+             * @property {Array.<TraceEvent.IMessageMeta>|null} [messages] RPCMeta messages
+             * @property {Array.<TraceEvent.ISubMeta>|null} [subscription] RPCMeta subscription
+             * @property {TraceEvent.IControlMeta|null} [control] RPCMeta control
+             */
+    
+            /**
+             * Constructs a new RPCMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a RPCMeta.
+             * @implements IRPCMeta
+             * @constructor
+             * @param {TraceEvent.IRPCMeta=} [p] Properties to set
+             */
+            function RPCMeta(p) {
+                this.messages = [];
+                this.subscription = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * RPCMeta messages.
+             * @member {Array.<TraceEvent.IMessageMeta>} messages
+             * @memberof TraceEvent.RPCMeta
+             * @instance
+             */
+            RPCMeta.prototype.messages = $util.emptyArray;
+    
+            /**
+             * RPCMeta subscription.
+             * @member {Array.<TraceEvent.ISubMeta>} subscription
+             * @memberof TraceEvent.RPCMeta
+             * @instance
+             */
+            RPCMeta.prototype.subscription = $util.emptyArray;
+    
+            /**
+             * RPCMeta control.
+             * @member {TraceEvent.IControlMeta|null|undefined} control
+             * @memberof TraceEvent.RPCMeta
+             * @instance
+             */
+            RPCMeta.prototype.control = null;
+    
+            /**
+             * Encodes the specified RPCMeta message. Does not implicitly {@link TraceEvent.RPCMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.RPCMeta
+             * @static
+             * @param {TraceEvent.IRPCMeta} m RPCMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            RPCMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messages != null && m.messages.length) {
+                    for (var i = 0; i < m.messages.length; ++i)
+                        $root.TraceEvent.MessageMeta.encode(m.messages[i], w.uint32(10).fork()).ldelim();
+                }
+                if (m.subscription != null && m.subscription.length) {
+                    for (var i = 0; i < m.subscription.length; ++i)
+                        $root.TraceEvent.SubMeta.encode(m.subscription[i], w.uint32(18).fork()).ldelim();
+                }
+                if (m.control != null && Object.hasOwnProperty.call(m, "control"))
+                    $root.TraceEvent.ControlMeta.encode(m.control, w.uint32(26).fork()).ldelim();
+                return w;
+            };
+    
+            /**
+             * Decodes a RPCMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.RPCMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.RPCMeta} RPCMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            RPCMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.RPCMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        if (!(m.messages && m.messages.length))
+                            m.messages = [];
+                        m.messages.push($root.TraceEvent.MessageMeta.decode(r, r.uint32()));
+                        break;
+                    case 2:
+                        if (!(m.subscription && m.subscription.length))
+                            m.subscription = [];
+                        m.subscription.push($root.TraceEvent.SubMeta.decode(r, r.uint32()));
+                        break;
+                    case 3:
+                        m.control = $root.TraceEvent.ControlMeta.decode(r, r.uint32());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a RPCMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.RPCMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.RPCMeta} RPCMeta
+             */
+            RPCMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.RPCMeta)
+                    return d;
+                var m = new $root.TraceEvent.RPCMeta();
+                if (d.messages) {
+                    if (!Array.isArray(d.messages))
+                        throw TypeError(".TraceEvent.RPCMeta.messages: array expected");
+                    m.messages = [];
+                    for (var i = 0; i < d.messages.length; ++i) {
+                        if (typeof d.messages[i] !== "object")
+                            throw TypeError(".TraceEvent.RPCMeta.messages: object expected");
+                        m.messages[i] = $root.TraceEvent.MessageMeta.fromObject(d.messages[i]);
+                    }
+                }
+                if (d.subscription) {
+                    if (!Array.isArray(d.subscription))
+                        throw TypeError(".TraceEvent.RPCMeta.subscription: array expected");
+                    m.subscription = [];
+                    for (var i = 0; i < d.subscription.length; ++i) {
+                        if (typeof d.subscription[i] !== "object")
+                            throw TypeError(".TraceEvent.RPCMeta.subscription: object expected");
+                        m.subscription[i] = $root.TraceEvent.SubMeta.fromObject(d.subscription[i]);
+                    }
+                }
+                if (d.control != null) {
+                    if (typeof d.control !== "object")
+                        throw TypeError(".TraceEvent.RPCMeta.control: object expected");
+                    m.control = $root.TraceEvent.ControlMeta.fromObject(d.control);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a RPCMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.RPCMeta
+             * @static
+             * @param {TraceEvent.RPCMeta} m RPCMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            RPCMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.messages = [];
+                    d.subscription = [];
+                }
+                if (o.defaults) {
+                    d.control = null;
+                }
+                if (m.messages && m.messages.length) {
+                    d.messages = [];
+                    for (var j = 0; j < m.messages.length; ++j) {
+                        d.messages[j] = $root.TraceEvent.MessageMeta.toObject(m.messages[j], o);
+                    }
+                }
+                if (m.subscription && m.subscription.length) {
+                    d.subscription = [];
+                    for (var j = 0; j < m.subscription.length; ++j) {
+                        d.subscription[j] = $root.TraceEvent.SubMeta.toObject(m.subscription[j], o);
+                    }
+                }
+                if (m.control != null && m.hasOwnProperty("control")) {
+                    d.control = $root.TraceEvent.ControlMeta.toObject(m.control, o);
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this RPCMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.RPCMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            RPCMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return RPCMeta;
+        })();
+    
+        TraceEvent.MessageMeta = (function() {
+    
+            /**
+             * Properties of a MessageMeta.
+             * @memberof TraceEvent
+             * @interface IMessageMeta
+             * @property {Uint8Array|null} [messageID] MessageMeta messageID
+             * @property {string|null} [topic] MessageMeta topic
+             */
+    
+            /**
+             * Constructs a new MessageMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a MessageMeta.
+             * @implements IMessageMeta
+             * @constructor
+             * @param {TraceEvent.IMessageMeta=} [p] Properties to set
+             */
+            function MessageMeta(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * MessageMeta messageID.
+             * @member {Uint8Array} messageID
+             * @memberof TraceEvent.MessageMeta
+             * @instance
+             */
+            MessageMeta.prototype.messageID = $util.newBuffer([]);
+    
+            /**
+             * MessageMeta topic.
+             * @member {string} topic
+             * @memberof TraceEvent.MessageMeta
+             * @instance
+             */
+            MessageMeta.prototype.topic = "";
+    
+            /**
+             * Encodes the specified MessageMeta message. Does not implicitly {@link TraceEvent.MessageMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.MessageMeta
+             * @static
+             * @param {TraceEvent.IMessageMeta} m MessageMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            MessageMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageID != null && Object.hasOwnProperty.call(m, "messageID"))
+                    w.uint32(10).bytes(m.messageID);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a MessageMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.MessageMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.MessageMeta} MessageMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            MessageMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.MessageMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.messageID = r.bytes();
+                        break;
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a MessageMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.MessageMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.MessageMeta} MessageMeta
+             */
+            MessageMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.MessageMeta)
+                    return d;
+                var m = new $root.TraceEvent.MessageMeta();
+                if (d.messageID != null) {
+                    if (typeof d.messageID === "string")
+                        $util.base64.decode(d.messageID, m.messageID = $util.newBuffer($util.base64.length(d.messageID)), 0);
+                    else if (d.messageID.length)
+                        m.messageID = d.messageID;
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a MessageMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.MessageMeta
+             * @static
+             * @param {TraceEvent.MessageMeta} m MessageMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            MessageMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    if (o.bytes === String)
+                        d.messageID = "";
+                    else {
+                        d.messageID = [];
+                        if (o.bytes !== Array)
+                            d.messageID = $util.newBuffer(d.messageID);
+                    }
+                    d.topic = "";
+                }
+                if (m.messageID != null && m.hasOwnProperty("messageID")) {
+                    d.messageID = o.bytes === String ? $util.base64.encode(m.messageID, 0, m.messageID.length) : o.bytes === Array ? Array.prototype.slice.call(m.messageID) : m.messageID;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this MessageMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.MessageMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            MessageMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return MessageMeta;
+        })();
+    
+        TraceEvent.SubMeta = (function() {
+    
+            /**
+             * Properties of a SubMeta.
+             * @memberof TraceEvent
+             * @interface ISubMeta
+             * @property {boolean|null} [subscribe] SubMeta subscribe
+             * @property {string|null} [topic] SubMeta topic
+             */
+    
+            /**
+             * Constructs a new SubMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a SubMeta.
+             * @implements ISubMeta
+             * @constructor
+             * @param {TraceEvent.ISubMeta=} [p] Properties to set
+             */
+            function SubMeta(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * SubMeta subscribe.
+             * @member {boolean} subscribe
+             * @memberof TraceEvent.SubMeta
+             * @instance
+             */
+            SubMeta.prototype.subscribe = false;
+    
+            /**
+             * SubMeta topic.
+             * @member {string} topic
+             * @memberof TraceEvent.SubMeta
+             * @instance
+             */
+            SubMeta.prototype.topic = "";
+    
+            /**
+             * Encodes the specified SubMeta message. Does not implicitly {@link TraceEvent.SubMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.SubMeta
+             * @static
+             * @param {TraceEvent.ISubMeta} m SubMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            SubMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.subscribe != null && Object.hasOwnProperty.call(m, "subscribe"))
+                    w.uint32(8).bool(m.subscribe);
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(18).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a SubMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.SubMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.SubMeta} SubMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            SubMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.SubMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.subscribe = r.bool();
+                        break;
+                    case 2:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a SubMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.SubMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.SubMeta} SubMeta
+             */
+            SubMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.SubMeta)
+                    return d;
+                var m = new $root.TraceEvent.SubMeta();
+                if (d.subscribe != null) {
+                    m.subscribe = Boolean(d.subscribe);
+                }
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a SubMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.SubMeta
+             * @static
+             * @param {TraceEvent.SubMeta} m SubMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            SubMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    d.subscribe = false;
+                    d.topic = "";
+                }
+                if (m.subscribe != null && m.hasOwnProperty("subscribe")) {
+                    d.subscribe = m.subscribe;
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this SubMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.SubMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            SubMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return SubMeta;
+        })();
+    
+        TraceEvent.ControlMeta = (function() {
+    
+            /**
+             * Properties of a ControlMeta.
+             * @memberof TraceEvent
+             * @interface IControlMeta
+             * @property {Array.<TraceEvent.IControlIHaveMeta>|null} [ihave] ControlMeta ihave
+             * @property {Array.<TraceEvent.IControlIWantMeta>|null} [iwant] ControlMeta iwant
+             * @property {Array.<TraceEvent.IControlGraftMeta>|null} [graft] ControlMeta graft
+             * @property {Array.<TraceEvent.IControlPruneMeta>|null} [prune] ControlMeta prune
+             * @property {Array.<TraceEvent.IControlIDontWantMeta>|null} [idontwant] ControlMeta idontwant
+             */
+    
+            /**
+             * Constructs a new ControlMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a ControlMeta.
+             * @implements IControlMeta
+             * @constructor
+             * @param {TraceEvent.IControlMeta=} [p] Properties to set
+             */
+            function ControlMeta(p) {
+                this.ihave = [];
+                this.iwant = [];
+                this.graft = [];
+                this.prune = [];
+                this.idontwant = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlMeta ihave.
+             * @member {Array.<TraceEvent.IControlIHaveMeta>} ihave
+             * @memberof TraceEvent.ControlMeta
+             * @instance
+             */
+            ControlMeta.prototype.ihave = $util.emptyArray;
+    
+            /**
+             * ControlMeta iwant.
+             * @member {Array.<TraceEvent.IControlIWantMeta>} iwant
+             * @memberof TraceEvent.ControlMeta
+             * @instance
+             */
+            ControlMeta.prototype.iwant = $util.emptyArray;
+    
+            /**
+             * ControlMeta graft.
+             * @member {Array.<TraceEvent.IControlGraftMeta>} graft
+             * @memberof TraceEvent.ControlMeta
+             * @instance
+             */
+            ControlMeta.prototype.graft = $util.emptyArray;
+    
+            /**
+             * ControlMeta prune.
+             * @member {Array.<TraceEvent.IControlPruneMeta>} prune
+             * @memberof TraceEvent.ControlMeta
+             * @instance
+             */
+            ControlMeta.prototype.prune = $util.emptyArray;
+    
+            /**
+             * ControlMeta idontwant.
+             * @member {Array.<TraceEvent.IControlIDontWantMeta>} idontwant
+             * @memberof TraceEvent.ControlMeta
+             * @instance
+             */
+            ControlMeta.prototype.idontwant = $util.emptyArray;
+    
+            /**
+             * Encodes the specified ControlMeta message. Does not implicitly {@link TraceEvent.ControlMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.ControlMeta
+             * @static
+             * @param {TraceEvent.IControlMeta} m ControlMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.ihave != null && m.ihave.length) {
+                    for (var i = 0; i < m.ihave.length; ++i)
+                        $root.TraceEvent.ControlIHaveMeta.encode(m.ihave[i], w.uint32(10).fork()).ldelim();
+                }
+                if (m.iwant != null && m.iwant.length) {
+                    for (var i = 0; i < m.iwant.length; ++i)
+                        $root.TraceEvent.ControlIWantMeta.encode(m.iwant[i], w.uint32(18).fork()).ldelim();
+                }
+                if (m.graft != null && m.graft.length) {
+                    for (var i = 0; i < m.graft.length; ++i)
+                        $root.TraceEvent.ControlGraftMeta.encode(m.graft[i], w.uint32(26).fork()).ldelim();
+                }
+                if (m.prune != null && m.prune.length) {
+                    for (var i = 0; i < m.prune.length; ++i)
+                        $root.TraceEvent.ControlPruneMeta.encode(m.prune[i], w.uint32(34).fork()).ldelim();
+                }
+                if (m.idontwant != null && m.idontwant.length) {
+                    for (var i = 0; i < m.idontwant.length; ++i)
+                        $root.TraceEvent.ControlIDontWantMeta.encode(m.idontwant[i], w.uint32(42).fork()).ldelim();
+                }
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.ControlMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.ControlMeta} ControlMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.ControlMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        if (!(m.ihave && m.ihave.length))
+                            m.ihave = [];
+                        m.ihave.push($root.TraceEvent.ControlIHaveMeta.decode(r, r.uint32()));
+                        break;
+                    case 2:
+                        if (!(m.iwant && m.iwant.length))
+                            m.iwant = [];
+                        m.iwant.push($root.TraceEvent.ControlIWantMeta.decode(r, r.uint32()));
+                        break;
+                    case 3:
+                        if (!(m.graft && m.graft.length))
+                            m.graft = [];
+                        m.graft.push($root.TraceEvent.ControlGraftMeta.decode(r, r.uint32()));
+                        break;
+                    case 4:
+                        if (!(m.prune && m.prune.length))
+                            m.prune = [];
+                        m.prune.push($root.TraceEvent.ControlPruneMeta.decode(r, r.uint32()));
+                        break;
+                    case 5:
+                        if (!(m.idontwant && m.idontwant.length))
+                            m.idontwant = [];
+                        m.idontwant.push($root.TraceEvent.ControlIDontWantMeta.decode(r, r.uint32()));
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.ControlMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.ControlMeta} ControlMeta
+             */
+            ControlMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.ControlMeta)
+                    return d;
+                var m = new $root.TraceEvent.ControlMeta();
+                if (d.ihave) {
+                    if (!Array.isArray(d.ihave))
+                        throw TypeError(".TraceEvent.ControlMeta.ihave: array expected");
+                    m.ihave = [];
+                    for (var i = 0; i < d.ihave.length; ++i) {
+                        if (typeof d.ihave[i] !== "object")
+                            throw TypeError(".TraceEvent.ControlMeta.ihave: object expected");
+                        m.ihave[i] = $root.TraceEvent.ControlIHaveMeta.fromObject(d.ihave[i]);
+                    }
+                }
+                if (d.iwant) {
+                    if (!Array.isArray(d.iwant))
+                        throw TypeError(".TraceEvent.ControlMeta.iwant: array expected");
+                    m.iwant = [];
+                    for (var i = 0; i < d.iwant.length; ++i) {
+                        if (typeof d.iwant[i] !== "object")
+                            throw TypeError(".TraceEvent.ControlMeta.iwant: object expected");
+                        m.iwant[i] = $root.TraceEvent.ControlIWantMeta.fromObject(d.iwant[i]);
+                    }
+                }
+                if (d.graft) {
+                    if (!Array.isArray(d.graft))
+                        throw TypeError(".TraceEvent.ControlMeta.graft: array expected");
+                    m.graft = [];
+                    for (var i = 0; i < d.graft.length; ++i) {
+                        if (typeof d.graft[i] !== "object")
+                            throw TypeError(".TraceEvent.ControlMeta.graft: object expected");
+                        m.graft[i] = $root.TraceEvent.ControlGraftMeta.fromObject(d.graft[i]);
+                    }
+                }
+                if (d.prune) {
+                    if (!Array.isArray(d.prune))
+                        throw TypeError(".TraceEvent.ControlMeta.prune: array expected");
+                    m.prune = [];
+                    for (var i = 0; i < d.prune.length; ++i) {
+                        if (typeof d.prune[i] !== "object")
+                            throw TypeError(".TraceEvent.ControlMeta.prune: object expected");
+                        m.prune[i] = $root.TraceEvent.ControlPruneMeta.fromObject(d.prune[i]);
+                    }
+                }
+                if (d.idontwant) {
+                    if (!Array.isArray(d.idontwant))
+                        throw TypeError(".TraceEvent.ControlMeta.idontwant: array expected");
+                    m.idontwant = [];
+                    for (var i = 0; i < d.idontwant.length; ++i) {
+                        if (typeof d.idontwant[i] !== "object")
+                            throw TypeError(".TraceEvent.ControlMeta.idontwant: object expected");
+                        m.idontwant[i] = $root.TraceEvent.ControlIDontWantMeta.fromObject(d.idontwant[i]);
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.ControlMeta
+             * @static
+             * @param {TraceEvent.ControlMeta} m ControlMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.ihave = [];
+                    d.iwant = [];
+                    d.graft = [];
+                    d.prune = [];
+                    d.idontwant = [];
+                }
+                if (m.ihave && m.ihave.length) {
+                    d.ihave = [];
+                    for (var j = 0; j < m.ihave.length; ++j) {
+                        d.ihave[j] = $root.TraceEvent.ControlIHaveMeta.toObject(m.ihave[j], o);
+                    }
+                }
+                if (m.iwant && m.iwant.length) {
+                    d.iwant = [];
+                    for (var j = 0; j < m.iwant.length; ++j) {
+                        d.iwant[j] = $root.TraceEvent.ControlIWantMeta.toObject(m.iwant[j], o);
+                    }
+                }
+                if (m.graft && m.graft.length) {
+                    d.graft = [];
+                    for (var j = 0; j < m.graft.length; ++j) {
+                        d.graft[j] = $root.TraceEvent.ControlGraftMeta.toObject(m.graft[j], o);
+                    }
+                }
+                if (m.prune && m.prune.length) {
+                    d.prune = [];
+                    for (var j = 0; j < m.prune.length; ++j) {
+                        d.prune[j] = $root.TraceEvent.ControlPruneMeta.toObject(m.prune[j], o);
+                    }
+                }
+                if (m.idontwant && m.idontwant.length) {
+                    d.idontwant = [];
+                    for (var j = 0; j < m.idontwant.length; ++j) {
+                        d.idontwant[j] = $root.TraceEvent.ControlIDontWantMeta.toObject(m.idontwant[j], o);
+                    }
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.ControlMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlMeta;
+        })();
+    
+        TraceEvent.ControlIHaveMeta = (function() {
+    
+            /**
+             * Properties of a ControlIHaveMeta.
+             * @memberof TraceEvent
+             * @interface IControlIHaveMeta
+             * @property {string|null} [topic] ControlIHaveMeta topic
+             * @property {Array.<Uint8Array>|null} [messageIDs] ControlIHaveMeta messageIDs
+             */
+    
+            /**
+             * Constructs a new ControlIHaveMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a ControlIHaveMeta.
+             * @implements IControlIHaveMeta
+             * @constructor
+             * @param {TraceEvent.IControlIHaveMeta=} [p] Properties to set
+             */
+            function ControlIHaveMeta(p) {
+                this.messageIDs = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlIHaveMeta topic.
+             * @member {string} topic
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @instance
+             */
+            ControlIHaveMeta.prototype.topic = "";
+    
+            /**
+             * ControlIHaveMeta messageIDs.
+             * @member {Array.<Uint8Array>} messageIDs
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @instance
+             */
+            ControlIHaveMeta.prototype.messageIDs = $util.emptyArray;
+    
+            /**
+             * Encodes the specified ControlIHaveMeta message. Does not implicitly {@link TraceEvent.ControlIHaveMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @static
+             * @param {TraceEvent.IControlIHaveMeta} m ControlIHaveMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlIHaveMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(10).string(m.topic);
+                if (m.messageIDs != null && m.messageIDs.length) {
+                    for (var i = 0; i < m.messageIDs.length; ++i)
+                        w.uint32(18).bytes(m.messageIDs[i]);
+                }
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlIHaveMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.ControlIHaveMeta} ControlIHaveMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlIHaveMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.ControlIHaveMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.topic = r.string();
+                        break;
+                    case 2:
+                        if (!(m.messageIDs && m.messageIDs.length))
+                            m.messageIDs = [];
+                        m.messageIDs.push(r.bytes());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlIHaveMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.ControlIHaveMeta} ControlIHaveMeta
+             */
+            ControlIHaveMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.ControlIHaveMeta)
+                    return d;
+                var m = new $root.TraceEvent.ControlIHaveMeta();
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                if (d.messageIDs) {
+                    if (!Array.isArray(d.messageIDs))
+                        throw TypeError(".TraceEvent.ControlIHaveMeta.messageIDs: array expected");
+                    m.messageIDs = [];
+                    for (var i = 0; i < d.messageIDs.length; ++i) {
+                        if (typeof d.messageIDs[i] === "string")
+                            $util.base64.decode(d.messageIDs[i], m.messageIDs[i] = $util.newBuffer($util.base64.length(d.messageIDs[i])), 0);
+                        else if (d.messageIDs[i].length)
+                            m.messageIDs[i] = d.messageIDs[i];
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlIHaveMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @static
+             * @param {TraceEvent.ControlIHaveMeta} m ControlIHaveMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlIHaveMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.messageIDs = [];
+                }
+                if (o.defaults) {
+                    d.topic = "";
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                if (m.messageIDs && m.messageIDs.length) {
+                    d.messageIDs = [];
+                    for (var j = 0; j < m.messageIDs.length; ++j) {
+                        d.messageIDs[j] = o.bytes === String ? $util.base64.encode(m.messageIDs[j], 0, m.messageIDs[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.messageIDs[j]) : m.messageIDs[j];
+                    }
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlIHaveMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.ControlIHaveMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlIHaveMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlIHaveMeta;
+        })();
+    
+        TraceEvent.ControlIWantMeta = (function() {
+    
+            /**
+             * Properties of a ControlIWantMeta.
+             * @memberof TraceEvent
+             * @interface IControlIWantMeta
+             * @property {Array.<Uint8Array>|null} [messageIDs] ControlIWantMeta messageIDs
+             */
+    
+            /**
+             * Constructs a new ControlIWantMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a ControlIWantMeta.
+             * @implements IControlIWantMeta
+             * @constructor
+             * @param {TraceEvent.IControlIWantMeta=} [p] Properties to set
+             */
+            function ControlIWantMeta(p) {
+                this.messageIDs = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlIWantMeta messageIDs.
+             * @member {Array.<Uint8Array>} messageIDs
+             * @memberof TraceEvent.ControlIWantMeta
+             * @instance
+             */
+            ControlIWantMeta.prototype.messageIDs = $util.emptyArray;
+    
+            /**
+             * Encodes the specified ControlIWantMeta message. Does not implicitly {@link TraceEvent.ControlIWantMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.ControlIWantMeta
+             * @static
+             * @param {TraceEvent.IControlIWantMeta} m ControlIWantMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlIWantMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageIDs != null && m.messageIDs.length) {
+                    for (var i = 0; i < m.messageIDs.length; ++i)
+                        w.uint32(10).bytes(m.messageIDs[i]);
+                }
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlIWantMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.ControlIWantMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.ControlIWantMeta} ControlIWantMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlIWantMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.ControlIWantMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        if (!(m.messageIDs && m.messageIDs.length))
+                            m.messageIDs = [];
+                        m.messageIDs.push(r.bytes());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlIWantMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.ControlIWantMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.ControlIWantMeta} ControlIWantMeta
+             */
+            ControlIWantMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.ControlIWantMeta)
+                    return d;
+                var m = new $root.TraceEvent.ControlIWantMeta();
+                if (d.messageIDs) {
+                    if (!Array.isArray(d.messageIDs))
+                        throw TypeError(".TraceEvent.ControlIWantMeta.messageIDs: array expected");
+                    m.messageIDs = [];
+                    for (var i = 0; i < d.messageIDs.length; ++i) {
+                        if (typeof d.messageIDs[i] === "string")
+                            $util.base64.decode(d.messageIDs[i], m.messageIDs[i] = $util.newBuffer($util.base64.length(d.messageIDs[i])), 0);
+                        else if (d.messageIDs[i].length)
+                            m.messageIDs[i] = d.messageIDs[i];
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlIWantMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.ControlIWantMeta
+             * @static
+             * @param {TraceEvent.ControlIWantMeta} m ControlIWantMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlIWantMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.messageIDs = [];
+                }
+                if (m.messageIDs && m.messageIDs.length) {
+                    d.messageIDs = [];
+                    for (var j = 0; j < m.messageIDs.length; ++j) {
+                        d.messageIDs[j] = o.bytes === String ? $util.base64.encode(m.messageIDs[j], 0, m.messageIDs[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.messageIDs[j]) : m.messageIDs[j];
+                    }
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlIWantMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.ControlIWantMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlIWantMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlIWantMeta;
+        })();
+    
+        TraceEvent.ControlGraftMeta = (function() {
+    
+            /**
+             * Properties of a ControlGraftMeta.
+             * @memberof TraceEvent
+             * @interface IControlGraftMeta
+             * @property {string|null} [topic] ControlGraftMeta topic
+             */
+    
+            /**
+             * Constructs a new ControlGraftMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a ControlGraftMeta.
+             * @implements IControlGraftMeta
+             * @constructor
+             * @param {TraceEvent.IControlGraftMeta=} [p] Properties to set
+             */
+            function ControlGraftMeta(p) {
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlGraftMeta topic.
+             * @member {string} topic
+             * @memberof TraceEvent.ControlGraftMeta
+             * @instance
+             */
+            ControlGraftMeta.prototype.topic = "";
+    
+            /**
+             * Encodes the specified ControlGraftMeta message. Does not implicitly {@link TraceEvent.ControlGraftMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.ControlGraftMeta
+             * @static
+             * @param {TraceEvent.IControlGraftMeta} m ControlGraftMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlGraftMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(10).string(m.topic);
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlGraftMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.ControlGraftMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.ControlGraftMeta} ControlGraftMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlGraftMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.ControlGraftMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.topic = r.string();
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlGraftMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.ControlGraftMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.ControlGraftMeta} ControlGraftMeta
+             */
+            ControlGraftMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.ControlGraftMeta)
+                    return d;
+                var m = new $root.TraceEvent.ControlGraftMeta();
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlGraftMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.ControlGraftMeta
+             * @static
+             * @param {TraceEvent.ControlGraftMeta} m ControlGraftMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlGraftMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.defaults) {
+                    d.topic = "";
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlGraftMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.ControlGraftMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlGraftMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlGraftMeta;
+        })();
+    
+        TraceEvent.ControlPruneMeta = (function() {
+    
+            /**
+             * Properties of a ControlPruneMeta.
+             * @memberof TraceEvent
+             * @interface IControlPruneMeta
+             * @property {string|null} [topic] ControlPruneMeta topic
+             * @property {Array.<Uint8Array>|null} [peers] ControlPruneMeta peers
+             */
+    
+            /**
+             * Constructs a new ControlPruneMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a ControlPruneMeta.
+             * @implements IControlPruneMeta
+             * @constructor
+             * @param {TraceEvent.IControlPruneMeta=} [p] Properties to set
+             */
+            function ControlPruneMeta(p) {
+                this.peers = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlPruneMeta topic.
+             * @member {string} topic
+             * @memberof TraceEvent.ControlPruneMeta
+             * @instance
+             */
+            ControlPruneMeta.prototype.topic = "";
+    
+            /**
+             * ControlPruneMeta peers.
+             * @member {Array.<Uint8Array>} peers
+             * @memberof TraceEvent.ControlPruneMeta
+             * @instance
+             */
+            ControlPruneMeta.prototype.peers = $util.emptyArray;
+    
+            /**
+             * Encodes the specified ControlPruneMeta message. Does not implicitly {@link TraceEvent.ControlPruneMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.ControlPruneMeta
+             * @static
+             * @param {TraceEvent.IControlPruneMeta} m ControlPruneMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlPruneMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.topic != null && Object.hasOwnProperty.call(m, "topic"))
+                    w.uint32(10).string(m.topic);
+                if (m.peers != null && m.peers.length) {
+                    for (var i = 0; i < m.peers.length; ++i)
+                        w.uint32(18).bytes(m.peers[i]);
+                }
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlPruneMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.ControlPruneMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.ControlPruneMeta} ControlPruneMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlPruneMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.ControlPruneMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        m.topic = r.string();
+                        break;
+                    case 2:
+                        if (!(m.peers && m.peers.length))
+                            m.peers = [];
+                        m.peers.push(r.bytes());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlPruneMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.ControlPruneMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.ControlPruneMeta} ControlPruneMeta
+             */
+            ControlPruneMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.ControlPruneMeta)
+                    return d;
+                var m = new $root.TraceEvent.ControlPruneMeta();
+                if (d.topic != null) {
+                    m.topic = String(d.topic);
+                }
+                if (d.peers) {
+                    if (!Array.isArray(d.peers))
+                        throw TypeError(".TraceEvent.ControlPruneMeta.peers: array expected");
+                    m.peers = [];
+                    for (var i = 0; i < d.peers.length; ++i) {
+                        if (typeof d.peers[i] === "string")
+                            $util.base64.decode(d.peers[i], m.peers[i] = $util.newBuffer($util.base64.length(d.peers[i])), 0);
+                        else if (d.peers[i].length)
+                            m.peers[i] = d.peers[i];
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlPruneMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.ControlPruneMeta
+             * @static
+             * @param {TraceEvent.ControlPruneMeta} m ControlPruneMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlPruneMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.peers = [];
+                }
+                if (o.defaults) {
+                    d.topic = "";
+                }
+                if (m.topic != null && m.hasOwnProperty("topic")) {
+                    d.topic = m.topic;
+                }
+                if (m.peers && m.peers.length) {
+                    d.peers = [];
+                    for (var j = 0; j < m.peers.length; ++j) {
+                        d.peers[j] = o.bytes === String ? $util.base64.encode(m.peers[j], 0, m.peers[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.peers[j]) : m.peers[j];
+                    }
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlPruneMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.ControlPruneMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlPruneMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlPruneMeta;
+        })();
+    
+        TraceEvent.ControlIDontWantMeta = (function() {
+    
+            /**
+             * Properties of a ControlIDontWantMeta.
+             * @memberof TraceEvent
+             * @interface IControlIDontWantMeta
+             * @property {Array.<Uint8Array>|null} [messageIDs] ControlIDontWantMeta messageIDs
+             */
+    
+            /**
+             * Constructs a new ControlIDontWantMeta.
+             * @memberof TraceEvent
+             * @classdesc Represents a ControlIDontWantMeta.
+             * @implements IControlIDontWantMeta
+             * @constructor
+             * @param {TraceEvent.IControlIDontWantMeta=} [p] Properties to set
+             */
+            function ControlIDontWantMeta(p) {
+                this.messageIDs = [];
+                if (p)
+                    for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                        if (p[ks[i]] != null)
+                            this[ks[i]] = p[ks[i]];
+            }
+    
+            /**
+             * ControlIDontWantMeta messageIDs.
+             * @member {Array.<Uint8Array>} messageIDs
+             * @memberof TraceEvent.ControlIDontWantMeta
+             * @instance
+             */
+            ControlIDontWantMeta.prototype.messageIDs = $util.emptyArray;
+    
+            /**
+             * Encodes the specified ControlIDontWantMeta message. Does not implicitly {@link TraceEvent.ControlIDontWantMeta.verify|verify} messages.
+             * @function encode
+             * @memberof TraceEvent.ControlIDontWantMeta
+             * @static
+             * @param {TraceEvent.IControlIDontWantMeta} m ControlIDontWantMeta message or plain object to encode
+             * @param {$protobuf.Writer} [w] Writer to encode to
+             * @returns {$protobuf.Writer} Writer
+             */
+            ControlIDontWantMeta.encode = function encode(m, w) {
+                if (!w)
+                    w = $Writer.create();
+                if (m.messageIDs != null && m.messageIDs.length) {
+                    for (var i = 0; i < m.messageIDs.length; ++i)
+                        w.uint32(10).bytes(m.messageIDs[i]);
+                }
+                return w;
+            };
+    
+            /**
+             * Decodes a ControlIDontWantMeta message from the specified reader or buffer.
+             * @function decode
+             * @memberof TraceEvent.ControlIDontWantMeta
+             * @static
+             * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+             * @param {number} [l] Message length if known beforehand
+             * @returns {TraceEvent.ControlIDontWantMeta} ControlIDontWantMeta
+             * @throws {Error} If the payload is not a reader or valid buffer
+             * @throws {$protobuf.util.ProtocolError} If required fields are missing
+             */
+            ControlIDontWantMeta.decode = function decode(r, l) {
+                if (!(r instanceof $Reader))
+                    r = $Reader.create(r);
+                var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEvent.ControlIDontWantMeta();
+                while (r.pos < c) {
+                    var t = r.uint32();
+                    switch (t >>> 3) {
+                    case 1:
+                        if (!(m.messageIDs && m.messageIDs.length))
+                            m.messageIDs = [];
+                        m.messageIDs.push(r.bytes());
+                        break;
+                    default:
+                        r.skipType(t & 7);
+                        break;
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a ControlIDontWantMeta message from a plain object. Also converts values to their respective internal types.
+             * @function fromObject
+             * @memberof TraceEvent.ControlIDontWantMeta
+             * @static
+             * @param {Object.<string,*>} d Plain object
+             * @returns {TraceEvent.ControlIDontWantMeta} ControlIDontWantMeta
+             */
+            ControlIDontWantMeta.fromObject = function fromObject(d) {
+                if (d instanceof $root.TraceEvent.ControlIDontWantMeta)
+                    return d;
+                var m = new $root.TraceEvent.ControlIDontWantMeta();
+                if (d.messageIDs) {
+                    if (!Array.isArray(d.messageIDs))
+                        throw TypeError(".TraceEvent.ControlIDontWantMeta.messageIDs: array expected");
+                    m.messageIDs = [];
+                    for (var i = 0; i < d.messageIDs.length; ++i) {
+                        if (typeof d.messageIDs[i] === "string")
+                            $util.base64.decode(d.messageIDs[i], m.messageIDs[i] = $util.newBuffer($util.base64.length(d.messageIDs[i])), 0);
+                        else if (d.messageIDs[i].length)
+                            m.messageIDs[i] = d.messageIDs[i];
+                    }
+                }
+                return m;
+            };
+    
+            /**
+             * Creates a plain object from a ControlIDontWantMeta message. Also converts values to other types if specified.
+             * @function toObject
+             * @memberof TraceEvent.ControlIDontWantMeta
+             * @static
+             * @param {TraceEvent.ControlIDontWantMeta} m ControlIDontWantMeta
+             * @param {$protobuf.IConversionOptions} [o] Conversion options
+             * @returns {Object.<string,*>} Plain object
+             */
+            ControlIDontWantMeta.toObject = function toObject(m, o) {
+                if (!o)
+                    o = {};
+                var d = {};
+                if (o.arrays || o.defaults) {
+                    d.messageIDs = [];
+                }
+                if (m.messageIDs && m.messageIDs.length) {
+                    d.messageIDs = [];
+                    for (var j = 0; j < m.messageIDs.length; ++j) {
+                        d.messageIDs[j] = o.bytes === String ? $util.base64.encode(m.messageIDs[j], 0, m.messageIDs[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.messageIDs[j]) : m.messageIDs[j];
+                    }
+                }
+                return d;
+            };
+    
+            /**
+             * Converts this ControlIDontWantMeta to JSON.
+             * @function toJSON
+             * @memberof TraceEvent.ControlIDontWantMeta
+             * @instance
+             * @returns {Object.<string,*>} JSON object
+             */
+            ControlIDontWantMeta.prototype.toJSON = function toJSON() {
+                return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+            };
+    
+            return ControlIDontWantMeta;
+        })();
+    
+        return TraceEvent;
+    })();
+    
+    $root.TraceEventBatch = (function() {
+    
+        /**
+         * Properties of a TraceEventBatch.
+         * @exports ITraceEventBatch
+         * @interface ITraceEventBatch
+         * @property {Array.<ITraceEvent>|null} [batch] TraceEventBatch batch
+         */
+    
+        /**
+         * Constructs a new TraceEventBatch.
+         * @exports TraceEventBatch
+         * @classdesc Represents a TraceEventBatch.
+         * @implements ITraceEventBatch
+         * @constructor
+         * @param {ITraceEventBatch=} [p] Properties to set
+         */
+        function TraceEventBatch(p) {
+            this.batch = [];
+            if (p)
+                for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                    if (p[ks[i]] != null)
+                        this[ks[i]] = p[ks[i]];
+        }
+    
+        /**
+         * TraceEventBatch batch.
+         * @member {Array.<ITraceEvent>} batch
+         * @memberof TraceEventBatch
+         * @instance
+         */
+        TraceEventBatch.prototype.batch = $util.emptyArray;
+    
+        /**
+         * Encodes the specified TraceEventBatch message. Does not implicitly {@link TraceEventBatch.verify|verify} messages.
+         * @function encode
+         * @memberof TraceEventBatch
+         * @static
+         * @param {ITraceEventBatch} m TraceEventBatch message or plain object to encode
+         * @param {$protobuf.Writer} [w] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TraceEventBatch.encode = function encode(m, w) {
+            if (!w)
+                w = $Writer.create();
+            if (m.batch != null && m.batch.length) {
+                for (var i = 0; i < m.batch.length; ++i)
+                    $root.TraceEvent.encode(m.batch[i], w.uint32(10).fork()).ldelim();
+            }
+            return w;
+        };
+    
+        /**
+         * Decodes a TraceEventBatch message from the specified reader or buffer.
+         * @function decode
+         * @memberof TraceEventBatch
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+         * @param {number} [l] Message length if known beforehand
+         * @returns {TraceEventBatch} TraceEventBatch
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TraceEventBatch.decode = function decode(r, l) {
+            if (!(r instanceof $Reader))
+                r = $Reader.create(r);
+            var c = l === undefined ? r.len : r.pos + l, m = new $root.TraceEventBatch();
+            while (r.pos < c) {
+                var t = r.uint32();
+                switch (t >>> 3) {
+                case 1:
+                    if (!(m.batch && m.batch.length))
+                        m.batch = [];
+                    m.batch.push($root.TraceEvent.decode(r, r.uint32()));
+                    break;
+                default:
+                    r.skipType(t & 7);
+                    break;
+                }
+            }
+            return m;
+        };
+    
+        /**
+         * Creates a TraceEventBatch message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof TraceEventBatch
+         * @static
+         * @param {Object.<string,*>} d Plain object
+         * @returns {TraceEventBatch} TraceEventBatch
+         */
+        TraceEventBatch.fromObject = function fromObject(d) {
+            if (d instanceof $root.TraceEventBatch)
+                return d;
+            var m = new $root.TraceEventBatch();
+            if (d.batch) {
+                if (!Array.isArray(d.batch))
+                    throw TypeError(".TraceEventBatch.batch: array expected");
+                m.batch = [];
+                for (var i = 0; i < d.batch.length; ++i) {
+                    if (typeof d.batch[i] !== "object")
+                        throw TypeError(".TraceEventBatch.batch: object expected");
+                    m.batch[i] = $root.TraceEvent.fromObject(d.batch[i]);
+                }
+            }
+            return m;
+        };
+    
+        /**
+         * Creates a plain object from a TraceEventBatch message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof TraceEventBatch
+         * @static
+         * @param {TraceEventBatch} m TraceEventBatch
+         * @param {$protobuf.IConversionOptions} [o] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        TraceEventBatch.toObject = function toObject(m, o) {
+            if (!o)
+                o = {};
+            var d = {};
+            if (o.arrays || o.defaults) {
+                d.batch = [];
+            }
+            if (m.batch && m.batch.length) {
+                d.batch = [];
+                for (var j = 0; j < m.batch.length; ++j) {
+                    d.batch[j] = $root.TraceEvent.toObject(m.batch[j], o);
+                }
+            }
+            return d;
+        };
+    
+        /**
+         * Converts this TraceEventBatch to JSON.
+         * @function toJSON
+         * @memberof TraceEventBatch
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        TraceEventBatch.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+    
+        return TraceEventBatch;
+    })();
+
+    return $root;
+});
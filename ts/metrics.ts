@@ -0,0 +1,346 @@
+import { RPC, IRPC } from './message/rpc'
+
+export type Labels = Record<string, string>
+
+type MetricType = 'counter' | 'gauge' | 'histogram'
+
+interface Metric {
+  name: string
+  help: string
+  type: MetricType
+  /**
+   * Render the samples of the metric in the Prometheus text exposition format
+   */
+  render (): string[]
+}
+
+/**
+ * Render a sample line, eg: name{label="value"} 1
+ * @param {string} name
+ * @param {Labels} labels
+ * @param {number} value
+ * @returns {string}
+ */
+function renderSample (name: string, labels: Labels, value: number): string {
+  const entries = Object.entries(labels)
+  const labelsStr = entries.length
+    ? `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`
+    : ''
+  return `${name}${labelsStr} ${formatValue(value)}`
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue (value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue (value: number): string {
+  if (value === Infinity) {
+    return '+Inf'
+  }
+  if (value === -Infinity) {
+    return '-Inf'
+  }
+  return String(value)
+}
+
+/**
+ * Samples of a metric per label values
+ */
+class LabeledValues {
+  values: Map<string, { labels: Labels, value: number }>
+
+  constructor () {
+    this.values = new Map()
+  }
+
+  get (labels: Labels): number {
+    const entry = this.values.get(JSON.stringify(labels))
+    return entry ? entry.value : 0
+  }
+
+  set (labels: Labels, value: number): void {
+    this.values.set(JSON.stringify(labels), { labels, value })
+  }
+}
+
+/**
+ * Counter is a monotonically increasing value
+ */
+export class Counter implements Metric {
+  name: string
+  help: string
+  type: MetricType = 'counter'
+  samples: LabeledValues
+
+  constructor (name: string, help: string) {
+    this.name = name
+    this.help = help
+    this.samples = new LabeledValues()
+  }
+
+  /**
+   * @param {Labels} labels
+   * @param {number} value
+   * @returns {void}
+   */
+  inc (labels: Labels = {}, value = 1): void {
+    this.samples.set(labels, this.samples.get(labels) + value)
+  }
+
+  render (): string[] {
+    return Array.from(this.samples.values.values()).map(({ labels, value }) => renderSample(this.name, labels, value))
+  }
+}
+
+/**
+ * Gauge is a value which can go up and down
+ */
+export class Gauge implements Metric {
+  name: string
+  help: string
+  type: MetricType = 'gauge'
+  samples: LabeledValues
+
+  constructor (name: string, help: string) {
+    this.name = name
+    this.help = help
+    this.samples = new LabeledValues()
+  }
+
+  /**
+   * @param {number} value
+   * @param {Labels} labels
+   * @returns {void}
+   */
+  set (value: number, labels: Labels = {}): void {
+    this.samples.set(labels, value)
+  }
+
+  /**
+   * Remove all the samples, eg: before setting the values of the current topics
+   * @returns {void}
+   */
+  reset (): void {
+    this.samples = new LabeledValues()
+  }
+
+  render (): string[] {
+    return Array.from(this.samples.values.values()).map(({ labels, value }) => renderSample(this.name, labels, value))
+  }
+}
+
+/**
+ * Histogram counts observed values in cumulative buckets
+ */
+export class Histogram implements Metric {
+  name: string
+  help: string
+  type: MetricType = 'histogram'
+  buckets: number[]
+  counts: number[]
+  sum: number
+  count: number
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} buckets upper bounds of the buckets, in increasing order
+   */
+  constructor (name: string, help: string, buckets: number[]) {
+    this.name = name
+    this.help = help
+    this.buckets = buckets
+    this.counts = buckets.map(() => 0)
+    this.sum = 0
+    this.count = 0
+  }
+
+  /**
+   * @param {number} value
+   * @returns {void}
+   */
+  observe (value: number): void {
+    this.buckets.forEach((le, i) => {
+      if (value <= le) {
+        this.counts[i]++
+      }
+    })
+    this.sum += value
+    this.count++
+  }
+
+  /**
+   * Remove all the observations, eg: before observing a snapshot of values
+   * @returns {void}
+   */
+  reset (): void {
+    this.counts = this.buckets.map(() => 0)
+    this.sum = 0
+    this.count = 0
+  }
+
+  render (): string[] {
+    return [
+      ...this.buckets.map((le, i) => renderSample(`${this.name}_bucket`, { le: formatValue(le) }, this.counts[i])),
+      renderSample(`${this.name}_bucket`, { le: '+Inf' }, this.count),
+      renderSample(`${this.name}_sum`, {}, this.sum),
+      renderSample(`${this.name}_count`, {}, this.count)
+    ]
+  }
+}
+
+/**
+ * MetricsRegistry holds metrics and renders them in the Prometheus text exposition format
+ */
+export class MetricsRegistry {
+  metrics: Metric[]
+
+  constructor () {
+    this.metrics = []
+  }
+
+  counter (name: string, help: string): Counter {
+    return this.register(new Counter(name, help))
+  }
+
+  gauge (name: string, help: string): Gauge {
+    return this.register(new Gauge(name, help))
+  }
+
+  histogram (name: string, help: string, buckets: number[]): Histogram {
+    return this.register(new Histogram(name, help, buckets))
+  }
+
+  register<T extends Metric> (metric: T): T {
+    this.metrics.push(metric)
+    return metric
+  }
+
+  /**
+   * @returns {string}
+   */
+  render (): string {
+    return this.metrics
+      .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render()].join('\n'))
+      .join('\n') + '\n'
+  }
+}
+
+type ControlType = 'ihave' | 'iwant' | 'graft' | 'prune' | 'idontwant'
+const controlTypes: ControlType[] = ['ihave', 'iwant', 'graft', 'prune', 'idontwant']
+
+/**
+ * Label of the topics we don't know, which are sent by the peers and can't be trusted to be few
+ */
+const otherTopic = 'other'
+
+/**
+ * Gossipsub router metrics
+ */
+export class GossipsubMetrics {
+  registry: MetricsRegistry
+  msgReceived: Counter
+  msgDuplicate: Counter
+  msgValidated: Counter
+  msgRejected: Counter
+  controlSent: Counter
+  controlReceived: Counter
+  meshPeers: Gauge
+  fanoutPeers: Gauge
+  heartbeatDuration: Histogram
+  mcacheSize: Gauge
+  brokenPromises: Counter
+  peerScores: Histogram
+  private isKnownTopic: (topic: string) => boolean
+
+  /**
+   * @param {Function} isKnownTopic whether a topic gets its own label, the others are labelled "other"
+   */
+  constructor (isKnownTopic: (topic: string) => boolean) {
+    this.isKnownTopic = isKnownTopic
+    const r = this.registry = new MetricsRegistry()
+    this.msgReceived = r.counter('gossipsub_messages_received_total', 'Messages received per topic, including duplicates')
+    this.msgDuplicate = r.counter('gossipsub_messages_duplicate_total', 'Duplicate messages received per topic')
+    this.msgValidated = r.counter('gossipsub_messages_validated_total', 'Messages which passed validation per topic')
+    this.msgRejected = r.counter('gossipsub_messages_rejected_total', 'Messages which failed validation per topic and reason')
+    this.controlSent = r.counter('gossipsub_control_sent_total', 'Control entries sent per type')
+    this.controlReceived = r.counter('gossipsub_control_received_total', 'Control entries received per type')
+    this.meshPeers = r.gauge('gossipsub_mesh_peers', 'Number of mesh peers per topic')
+    this.fanoutPeers = r.gauge('gossipsub_fanout_peers', 'Number of fanout peers per topic')
+    this.heartbeatDuration = r.histogram(
+      'gossipsub_heartbeat_duration_seconds', 'Duration of the heartbeats',
+      [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1]
+    )
+    this.mcacheSize = r.gauge('gossipsub_mcache_size', 'Number of messages in the message cache')
+    this.brokenPromises = r.counter('gossipsub_iwant_broken_promises_total', 'IWANT requests not followed up by the peers')
+    this.peerScores = r.histogram(
+      'gossipsub_peer_scores', 'Scores of the connected peers at the last heartbeat',
+      [-1000, -100, -10, -1, 0, 1, 10, 100, 1000]
+    )
+  }
+
+  /**
+   * Count a message once per topic, the unknown topics of a message being counted once as "other"
+   * @param {Counter} counter
+   * @param {string[]} topics
+   * @param {Labels} labels
+   * @returns {void}
+   */
+  onMessage (counter: Counter, topics: string[] | undefined, labels: Labels = {}): void {
+    new Set((topics || []).map(topic => this.isKnownTopic(topic) ? topic : otherTopic))
+      .forEach(topic => counter.inc({ topic, ...labels }))
+  }
+
+  /**
+   * Count the control entries of an RPC, per type
+   * @param {Counter} counter
+   * @param {RPC.IControlMessage|null|undefined} control
+   * @returns {void}
+   */
+  onControl (counter: Counter, control: RPC.IControlMessage | null | undefined): void {
+    if (!control) {
+      return
+    }
+    controlTypes.forEach(type => {
+      const entries = control[type]
+      if (entries && entries.length) {
+        counter.inc({ type }, entries.length)
+      }
+    })
+  }
+
+  /**
+   * @param {IRPC} rpc
+   * @returns {void}
+   */
+  onRpcSent (rpc: IRPC): void {
+    this.onControl(this.controlSent, rpc.control)
+  }
+
+  /**
+   * Set the number of peers per topic, removing the topics we are no longer part of
+   * @param {Gauge} gauge
+   * @param {Map<string, Set<string>>} peersByTopic
+   * @returns {void}
+   */
+  setTopicPeers (gauge: Gauge, peersByTopic: Map<string, Set<string>>): void {
+    gauge.reset()
+    peersByTopic.forEach((peers, topic) => gauge.set(peers.size, { topic }))
+  }
+
+  /**
+   * Render the metrics in the Prometheus text exposition format
+   * @returns {string}
+   */
+  render (): string {
+    return this.registry.render()
+  }
+}
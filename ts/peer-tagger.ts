@@ -0,0 +1,220 @@
+import { RawTracer } from './trace'
+import { ERR_INVALID_PEER_TAG_WEIGHTS } from './constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+/**
+ * The weights are added to the value the connection manager gives the peer, so they never lower it
+ */
+export interface PeerTagWeights {
+  /**
+   * mesh is added to the value of a peer for each topic mesh it is in
+   */
+  mesh: number
+  /**
+   * direct is added to the value of a direct peer
+   */
+  direct: number
+  /**
+   * positiveScore is added to the value of a peer with a positive score
+   */
+  positiveScore: number
+}
+
+/**
+ * Tags of a peer, from which its value is computed
+ */
+export interface PeerTags {
+  /**
+   * topics whose mesh the peer is in
+   */
+  mesh: string[]
+  direct: boolean
+  positiveScore: boolean
+}
+
+/**
+ * Receives the value of a peer, between 0 and 1, when it changes
+ * The peers losing their tags, eg: when removed, get their base value back
+ */
+export type PeerValueHook = (id: string, value: number, tags: PeerTags) => void
+
+const defaultPeerTagWeights: PeerTagWeights = {
+  mesh: 0.1,
+  direct: 0.5,
+  positiveScore: 0.1
+}
+
+/**
+ * @param {Partial<PeerTagWeights>} p
+ * @returns {PeerTagWeights}
+ */
+export function createPeerTagWeights (p: Partial<PeerTagWeights> = {}): PeerTagWeights {
+  return {
+    ...defaultPeerTagWeights,
+    ...p
+  }
+}
+
+/**
+ * @param {PeerTagWeights} p
+ * @returns {void}
+ */
+export function validatePeerTagWeights (p: PeerTagWeights): void {
+  Object.entries(p).forEach(([name, weight]) => {
+    if (!(weight >= 0 && weight <= 1)) {
+      throw errcode(new Error(`invalid ${name} peer tag weight; must be between 0 and 1`), ERR_INVALID_PEER_TAG_WEIGHTS)
+    }
+  })
+}
+
+/**
+ * PeerTagger raises the value of the peers from their mesh memberships, direct status and score, so that the
+ * connection manager keeps the connections to the peers we rely on.
+ * It follows the mesh memberships as a raw tracer, and is refreshed every heartbeat for the direct status and score.
+ */
+export class PeerTagger implements RawTracer {
+  weights: PeerTagWeights
+  /**
+   * peer id => topics whose mesh the peer is in
+   */
+  meshTopics: Map<string, Set<string>>
+  /**
+   * peer id => last value set
+   */
+  values: Map<string, number>
+  /**
+   * peer id => value of the peer before we tagged it
+   */
+  baseValues: Map<string, number>
+  private isDirect: (id: string) => boolean
+  private getScore: (id: string) => number
+  private getBaseValue: (id: string) => number
+  private setValue: PeerValueHook
+
+  /**
+   * @param {PeerTagWeights} weights
+   * @param {Function} isDirect whether a peer is a direct peer
+   * @param {Function} getScore score of a peer
+   * @param {Function} getBaseValue value of a peer without our tags, eg: in the connection manager
+   * @param {PeerValueHook} setValue sets the value of a peer
+   */
+  constructor (
+    weights: PeerTagWeights,
+    isDirect: (id: string) => boolean,
+    getScore: (id: string) => number,
+    getBaseValue: (id: string) => number,
+    setValue: PeerValueHook
+  ) {
+    validatePeerTagWeights(weights)
+    this.weights = weights
+    this.meshTopics = new Map()
+    this.values = new Map()
+    this.baseValues = new Map()
+    this.isDirect = isDirect
+    this.getScore = getScore
+    this.getBaseValue = getBaseValue
+    this.setValue = setValue
+  }
+
+  addPeer (id: string): void {
+    this.update(id)
+  }
+
+  removePeer (id: string): void {
+    this.meshTopics.delete(id)
+    this._untag(id)
+  }
+
+  graft (id: string, topic: string): void {
+    let topics = this.meshTopics.get(id)
+    if (!topics) {
+      topics = new Set()
+      this.meshTopics.set(id, topics)
+    }
+    topics.add(topic)
+    this.update(id)
+  }
+
+  prune (id: string, topic: string): void {
+    const topics = this.meshTopics.get(id)
+    if (!topics || !topics.delete(topic)) {
+      return
+    }
+    if (!topics.size) {
+      this.meshTopics.delete(id)
+    }
+    this.update(id)
+  }
+
+  /**
+   * Update the values of the peers, eg: every heartbeat
+   * @param {Iterable<string>} ids
+   * @returns {void}
+   */
+  refresh (ids: Iterable<string>): void {
+    for (const id of ids) {
+      this.update(id)
+    }
+  }
+
+  /**
+   * Update the value of a peer, if it changed
+   * @param {string} id
+   * @returns {void}
+   */
+  update (id: string): void {
+    const topics = this.meshTopics.get(id)
+    const tags: PeerTags = {
+      mesh: topics ? Array.from(topics) : [],
+      direct: this.isDirect(id),
+      positiveScore: this.getScore(id) > 0
+    }
+
+    let base = this.baseValues.get(id)
+    if (base === undefined) {
+      base = this.getBaseValue(id)
+      this.baseValues.set(id, base)
+    }
+
+    let value = base + tags.mesh.length * this.weights.mesh
+    if (tags.direct) {
+      value += this.weights.direct
+    }
+    if (tags.positiveScore) {
+      value += this.weights.positiveScore
+    }
+    value = Math.min(1, value)
+
+    const previous = this.values.get(id)
+    this.values.set(id, value)
+    if (value !== (previous === undefined ? base : previous)) {
+      this.setValue(id, value, tags)
+    }
+  }
+
+  /**
+   * Give the peers their base value back and forget them
+   * @returns {void}
+   */
+  clear (): void {
+    this.meshTopics.clear()
+    Array.from(this.values.keys()).forEach(id => this._untag(id))
+  }
+
+  /**
+   * Give a peer its base value back, if we changed it
+   * @param {string} id
+   * @returns {void}
+   */
+  _untag (id: string): void {
+    const value = this.values.get(id)
+    const base = this.baseValues.get(id)
+    this.values.delete(id)
+    this.baseValues.delete(id)
+    if (value !== undefined && base !== undefined && value !== base) {
+      this.setValue(id, base, { mesh: [], direct: false, positiveScore: false })
+    }
+  }
+}
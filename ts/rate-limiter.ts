@@ -0,0 +1,247 @@
+import { ERR_INVALID_RATE_LIMIT_PARAMS } from './constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+export interface RateLimitParams {
+  /**
+   * messageRate is the number of messages per second a peer may send us; 0 disables the message limit
+   */
+  messageRate: number
+  /**
+   * messageBurst is the number of messages a peer may send us at once, after being idle
+   */
+  messageBurst: number
+  /**
+   * byteRate is the number of message data bytes per second a peer may send us; 0 disables the byte limit
+   */
+  byteRate: number
+  /**
+   * byteBurst is the number of message data bytes a peer may send us at once, after being idle
+   * Messages larger than byteBurst are always dropped
+   */
+  byteBurst: number
+}
+
+/**
+ * Token bucket state; tokens are refilled lazily when the bucket is used
+ */
+interface TokenBucket {
+  messages: number
+  bytes: number
+  lastRefill: number
+}
+
+/**
+ * Rate limits are disabled by default
+ */
+const defaultRateLimitParams: RateLimitParams = {
+  messageRate: 0,
+  messageBurst: 0,
+  byteRate: 0,
+  byteBurst: 0
+}
+
+/**
+ * Bursts default to one second worth of tokens, and at least one token so that slow rates allow messages
+ * @param {Partial<RateLimitParams>} p
+ * @returns {RateLimitParams}
+ */
+export function createRateLimitParams (p: Partial<RateLimitParams> = {}): RateLimitParams {
+  const params = {
+    ...defaultRateLimitParams,
+    ...p
+  }
+  if (p.messageBurst === undefined && params.messageRate > 0) {
+    params.messageBurst = Math.max(1, params.messageRate)
+  }
+  if (p.byteBurst === undefined && params.byteRate > 0) {
+    params.byteBurst = Math.max(1, params.byteRate)
+  }
+  return params
+}
+
+/**
+ * @param {RateLimitParams} p
+ * @returns {void}
+ */
+export function validateRateLimitParams (p: RateLimitParams): void {
+  if (!(p.messageRate >= 0) || !(p.byteRate >= 0)) {
+    throw errcode(new Error('invalid rate limit; must be non-negative'), ERR_INVALID_RATE_LIMIT_PARAMS)
+  }
+  // a bucket with less than one token never allows a message
+  if (p.messageRate > 0 && !(p.messageBurst >= 1)) {
+    throw errcode(new Error('invalid message burst; must be at least 1'), ERR_INVALID_RATE_LIMIT_PARAMS)
+  }
+  if (p.byteRate > 0 && !(p.byteBurst >= 1)) {
+    throw errcode(new Error('invalid byte burst; must be at least 1'), ERR_INVALID_RATE_LIMIT_PARAMS)
+  }
+}
+
+/**
+ * RateLimiter limits the messages and bytes received per key (eg: a peer id or an IP) with token buckets.
+ * Topics with their own rate limit params have their own buckets, the other topics share the default buckets of a key.
+ */
+export class RateLimiter {
+  params: RateLimitParams
+  topicParams: Map<string, RateLimitParams>
+  /**
+   * Token buckets
+   * key => topic, or the empty string for the default bucket => bucket
+   */
+  buckets: Map<string, Map<string, TokenBucket>>
+
+  /**
+   * @param {Partial<RateLimitParams>} params default rate limit params
+   * @param {Record<string, Partial<RateLimitParams>>} topicParams rate limit params per topic
+   */
+  constructor (params: Partial<RateLimitParams> = {}, topicParams: Record<string, Partial<RateLimitParams>> = {}) {
+    this.params = createRateLimitParams(params)
+    validateRateLimitParams(this.params)
+    this.topicParams = new Map()
+    Object.entries(topicParams).forEach(([topic, p]) => {
+      const limits = createRateLimitParams(p)
+      validateRateLimitParams(limits)
+      this.topicParams.set(topic, limits)
+    })
+    this.buckets = new Map()
+  }
+
+  /**
+   * Whether any rate limit is configured
+   * @returns {boolean}
+   */
+  get enabled (): boolean {
+    return isLimited(this.params) || Array.from(this.topicParams.values()).some(isLimited)
+  }
+
+  /**
+   * Consume the tokens of a message from the buckets of every key and every topic of the message.
+   * If a bucket doesn't have enough tokens, nothing is consumed and the message must be dropped.
+   * @param {string[]} keys
+   * @param {string[]} topics
+   * @param {number} size message data size in bytes
+   * @returns {boolean} whether the message is allowed
+   */
+  allow (keys: string[], topics: string[], size: number): boolean {
+    const now = Date.now()
+
+    // group the topics of the message by bucket
+    const groups = new Map<string, RateLimitParams>()
+    topics.forEach(topic => {
+      const p = this.topicParams.get(topic)
+      if (p) {
+        groups.set(topic, p)
+      } else {
+        groups.set('', this.params)
+      }
+    })
+    if (!groups.size) {
+      groups.set('', this.params)
+    }
+
+    const charges: [TokenBucket, RateLimitParams][] = []
+    for (const key of keys) {
+      for (const [group, p] of groups) {
+        if (!isLimited(p)) {
+          continue
+        }
+        const bucket = this._getBucket(key, group, p, now)
+        if (
+          (p.messageRate > 0 && bucket.messages < 1) ||
+          (p.byteRate > 0 && bucket.bytes < size)
+        ) {
+          return false
+        }
+        charges.push([bucket, p])
+      }
+    }
+
+    charges.forEach(([bucket, p]) => {
+      if (p.messageRate > 0) {
+        bucket.messages--
+      }
+      if (p.byteRate > 0) {
+        bucket.bytes -= size
+      }
+    })
+    return true
+  }
+
+  /**
+   * Remove the buckets which are full again, they are equivalent to new buckets
+   * @returns {void}
+   */
+  prune (): void {
+    const now = Date.now()
+    this.buckets.forEach((groups, key) => {
+      groups.forEach((bucket, group) => {
+        const p = group ? this.topicParams.get(group)! : this.params
+        refill(bucket, p, now)
+        if (bucket.messages >= p.messageBurst && bucket.bytes >= p.byteBurst) {
+          groups.delete(group)
+        }
+      })
+      if (!groups.size) {
+        this.buckets.delete(key)
+      }
+    })
+  }
+
+  /**
+   * @returns {void}
+   */
+  clear (): void {
+    this.buckets = new Map()
+  }
+
+  /**
+   * Get the refilled bucket of a key and topic group, creating a full bucket if there is none
+   * @param {string} key
+   * @param {string} group
+   * @param {RateLimitParams} p
+   * @param {number} now
+   * @returns {TokenBucket}
+   */
+  _getBucket (key: string, group: string, p: RateLimitParams, now: number): TokenBucket {
+    let groups = this.buckets.get(key)
+    if (!groups) {
+      groups = new Map()
+      this.buckets.set(key, groups)
+    }
+    let bucket = groups.get(group)
+    if (!bucket) {
+      bucket = {
+        messages: p.messageBurst,
+        bytes: p.byteBurst,
+        lastRefill: now
+      }
+      groups.set(group, bucket)
+    } else {
+      refill(bucket, p, now)
+    }
+    return bucket
+  }
+}
+
+/**
+ * @param {RateLimitParams} p
+ * @returns {boolean}
+ */
+function isLimited (p: RateLimitParams): boolean {
+  return p.messageRate > 0 || p.byteRate > 0
+}
+
+/**
+ * Add the tokens accumulated since the last refill, up to the bucket capacity
+ * @param {TokenBucket} bucket
+ * @param {RateLimitParams} p
+ * @param {number} now
+ * @returns {void}
+ */
+function refill (bucket: TokenBucket, p: RateLimitParams, now: number): void {
+  const elapsed = (now - bucket.lastRefill) / 1000
+  bucket.messages = Math.min(p.messageBurst, bucket.messages + elapsed * p.messageRate)
+  bucket.bytes = Math.min(p.byteBurst, bucket.bytes + elapsed * p.byteRate)
+  bucket.lastRefill = now
+}
@@ -0,0 +1,107 @@
+import { RPC } from './message/rpc'
+import {
+  GossipsubMaxRpcSize,
+  GossipsubMaxRpcMessages,
+  GossipsubMaxRpcSubscriptions,
+  GossipsubMaxRpcControlEntries,
+  GossipsubMaxRpcMessageIDs
+} from './constants'
+
+export interface RpcLimits {
+  /**
+   * maxRpcSize is the maximum size in bytes of an encoded RPC, larger RPCs are dropped without being decoded
+   */
+  maxRpcSize: number
+  /**
+   * maxMessages is the maximum number of messages per RPC
+   */
+  maxMessages: number
+  /**
+   * maxSubscriptions is the maximum number of subscriptions per RPC
+   */
+  maxSubscriptions: number
+  /**
+   * maxIHave is the maximum number of IHAVE entries per RPC
+   */
+  maxIHave: number
+  /**
+   * maxIWant is the maximum number of IWANT entries per RPC
+   */
+  maxIWant: number
+  /**
+   * maxGraft is the maximum number of GRAFT entries per RPC
+   */
+  maxGraft: number
+  /**
+   * maxPrune is the maximum number of PRUNE entries per RPC
+   */
+  maxPrune: number
+  /**
+   * maxIDontWant is the maximum number of IDONTWANT entries per RPC
+   */
+  maxIDontWant: number
+  /**
+   * maxMessageIDs is the maximum number of message ids per IHAVE, IWANT and IDONTWANT entry
+   */
+  maxMessageIDs: number
+}
+
+const defaultRpcLimits: RpcLimits = {
+  maxRpcSize: GossipsubMaxRpcSize,
+  maxMessages: GossipsubMaxRpcMessages,
+  maxSubscriptions: GossipsubMaxRpcSubscriptions,
+  maxIHave: GossipsubMaxRpcControlEntries,
+  maxIWant: GossipsubMaxRpcControlEntries,
+  maxGraft: GossipsubMaxRpcControlEntries,
+  maxPrune: GossipsubMaxRpcControlEntries,
+  maxIDontWant: GossipsubMaxRpcControlEntries,
+  maxMessageIDs: GossipsubMaxRpcMessageIDs
+}
+
+/**
+ * @param {Partial<RpcLimits>} p
+ * @returns {RpcLimits}
+ */
+export function createRpcLimits (p: Partial<RpcLimits> = {}): RpcLimits {
+  return {
+    ...defaultRpcLimits,
+    ...p
+  }
+}
+
+/**
+ * Truncate the messages, subscriptions, control entries and their message ids of an RPC exceeding the limits
+ * @param {RPC} rpc
+ * @param {RpcLimits} limits
+ * @returns {boolean} whether the RPC was truncated
+ */
+export function truncateRpc (rpc: RPC, limits: RpcLimits): boolean {
+  let truncated = false
+  const truncate = <T>(entries: T[] | null | undefined, max: number): T[] => {
+    if (!entries) {
+      return []
+    }
+    if (entries.length <= max) {
+      return entries
+    }
+    truncated = true
+    return entries.slice(0, max)
+  }
+
+  rpc.msgs = truncate(rpc.msgs, limits.maxMessages)
+  rpc.subscriptions = truncate(rpc.subscriptions, limits.maxSubscriptions)
+
+  const control = rpc.control
+  if (control) {
+    control.ihave = truncate(control.ihave, limits.maxIHave)
+    control.iwant = truncate(control.iwant, limits.maxIWant)
+    control.graft = truncate(control.graft, limits.maxGraft)
+    control.prune = truncate(control.prune, limits.maxPrune)
+    control.idontwant = truncate(control.idontwant, limits.maxIDontWant)
+    for (const entry of [...control.ihave, ...control.iwant, ...control.idontwant]) {
+      entry.messageIDs = truncate(entry.messageIDs, limits.maxMessageIDs)
+    }
+  }
+
+  return truncated
+}
@@ -1,5 +1,202 @@
-import { PeerStats } from './peer-stats'
-import { PeerScoreParams } from './peer-score-params'
+import { PeerStats, TopicStats } from './peer-stats'
+import { PeerScoreParams, TopicScoreParams } from './peer-score-params'
+
+/**
+ * Contributions of the topic parameters to the score of a peer in a topic,
+ * each contribution is the parameter value multiplied by its weight
+ */
+export interface TopicScoreBreakdown {
+  /**
+   * P1: time in mesh
+   */
+  p1: number
+  /**
+   * P2: first message deliveries
+   */
+  p2: number
+  /**
+   * P3: mesh message deliveries deficit
+   */
+  p3: number
+  /**
+   * P3b: mesh message delivery failures
+   */
+  p3b: number
+  /**
+   * P4: invalid messages
+   */
+  p4: number
+  /**
+   * Sum of the contributions multiplied by the topic weight
+   */
+  score: number
+}
+
+/**
+ * IP colocation group of a peer IP, and its contribution to P6
+ */
+export interface IPGroupBreakdown {
+  ip: string
+  /**
+   * network of the IP, with the configured prefix length
+   */
+  group: string
+  /**
+   * number of peers in the group
+   */
+  peers: number
+  whitelisted: boolean
+  /**
+   * contribution to P6, multiplied by its weight
+   */
+  p6: number
+}
+
+/**
+ * Contributions of the score parameters to the score of a peer
+ */
+export interface ScoreBreakdown {
+  /**
+   * Per scored topic contributions
+   */
+  topics: Record<string, TopicScoreBreakdown>
+  /**
+   * Sum of the topic scores, before applying the topic score cap
+   */
+  topicScore: number
+  /**
+   * Sum of the topic scores, after applying the topic score cap
+   */
+  cappedTopicScore: number
+  /**
+   * P5: application-specific score, multiplied by its weight
+   */
+  p5: number
+  /**
+   * P6: IP colocation factor, multiplied by its weight
+   */
+  p6: number
+  /**
+   * IP colocation groups of the peer IPs
+   */
+  ipGroups: IPGroupBreakdown[]
+  /**
+   * P7: behavioural pattern penalty, multiplied by its weight
+   */
+  p7: number
+  /**
+   * Final score
+   */
+  score: number
+}
+
+/**
+ * P1: time in mesh, multiplied by its weight
+ * @param {TopicStats} tstats
+ * @param {TopicScoreParams} topicParams
+ * @returns {number}
+ */
+function timeInMeshScore (tstats: TopicStats, topicParams: TopicScoreParams): number {
+  if (!tstats.inMesh) {
+    return 0
+  }
+  let p1 = tstats.meshTime / topicParams.timeInMeshQuantum
+  if (p1 > topicParams.timeInMeshCap) {
+    p1 = topicParams.timeInMeshCap
+  }
+  return p1 * topicParams.timeInMeshWeight
+}
+
+/**
+ * P2: first message deliveries, multiplied by its weight
+ * @param {TopicStats} tstats
+ * @param {TopicScoreParams} topicParams
+ * @returns {number}
+ */
+function firstMessageDeliveriesScore (tstats: TopicStats, topicParams: TopicScoreParams): number {
+  const p2 = tstats.firstMessageDeliveries
+  return p2 * topicParams.firstMessageDeliveriesWeight
+}
+
+/**
+ * P3: mesh message deliveries deficit, multiplied by its weight
+ * @param {TopicStats} tstats
+ * @param {TopicScoreParams} topicParams
+ * @returns {number}
+ */
+function meshMessageDeliveriesScore (tstats: TopicStats, topicParams: TopicScoreParams): number {
+  if (!tstats.meshMessageDeliveriesActive || tstats.meshMessageDeliveries >= topicParams.meshMessageDeliveriesThreshold) {
+    return 0
+  }
+  const deficit = topicParams.meshMessageDeliveriesThreshold - tstats.meshMessageDeliveries
+  const p3 = deficit * deficit
+  return p3 * topicParams.meshMessageDeliveriesWeight
+}
+
+/**
+ * P3b: mesh message delivery failures, multiplied by its weight
+ * NOTE: the weight of P3b is negative (validated in validateTopicScoreParams) so this detracts
+ * @param {TopicStats} tstats
+ * @param {TopicScoreParams} topicParams
+ * @returns {number}
+ */
+function meshFailurePenaltyScore (tstats: TopicStats, topicParams: TopicScoreParams): number {
+  const p3b = tstats.meshFailurePenalty
+  return p3b * topicParams.meshFailurePenaltyWeight
+}
+
+/**
+ * P4: invalid messages, multiplied by its weight
+ * NOTE: the weight of P4 is negative (validated in validateTopicScoreParams) so this detracts
+ * @param {TopicStats} tstats
+ * @param {TopicScoreParams} topicParams
+ * @returns {number}
+ */
+function invalidMessageDeliveriesScore (tstats: TopicStats, topicParams: TopicScoreParams): number {
+  const p4 = tstats.invalidMessageDeliveries * tstats.invalidMessageDeliveries
+  return p4 * topicParams.invalidMessageDeliveriesWeight
+}
+
+/**
+ * P5: application-specific score, multiplied by its weight
+ * @param {string} peer
+ * @param {PeerStats} pstats
+ * @param {PeerScoreParams} params
+ * @returns {number}
+ */
+function appSpecificScore (peer: string, pstats: PeerStats, params: PeerScoreParams): number {
+  const p5 = params.appSpecificScoreProvider ? pstats.appSpecificScore : params.appSpecificScore(peer)
+  return p5 * params.appSpecificWeight
+}
+
+/**
+ * P6: IP colocation factor of a non whitelisted IP group, multiplied by its weight
+ * P6 has a cliff (IPColocationFactorThreshold)
+ * It's only applied if at least that many peers are connected to us from that source IP addr.
+ * It is quadratic, and the weight is negative (validated in validatePeerScoreParams)
+ * @param {number} numPeersInIP number of peers in the IP group
+ * @param {PeerScoreParams} params
+ * @returns {number}
+ */
+function ipColocationFactorScore (numPeersInIP: number, params: PeerScoreParams): number {
+  if (numPeersInIP <= params.IPColocationFactorThreshold) {
+    return 0
+  }
+  const surplus = numPeersInIP - params.IPColocationFactorThreshold
+  const p6 = surplus * surplus
+  return p6 * params.IPColocationFactorWeight
+}
+
+/**
+ * P7: behavioural pattern penalty, multiplied by its weight
+ * @param {PeerStats} pstats
+ * @param {PeerScoreParams} params
+ * @returns {number}
+ */
+function behaviourPenaltyScore (pstats: PeerStats, params: PeerScoreParams): number {
+  const p7 = pstats.behaviourPenalty * pstats.behaviourPenalty
+  return p7 * params.behaviourPenaltyWeight
+}
 
 export function computeScore (
   peer: string,
@@ -10,82 +207,112 @@ export function computeScore (
   let score = 0
 
   // topic stores
-  Object.entries(pstats.topics).forEach(([topic, tstats]) => {
+  for (const topic in pstats.topics) {
     // the topic parameters
     const topicParams = params.topics[topic]
     if (!topicParams) {
       // we are not scoring this topic
-      return
+      continue
     }
+    const tstats = pstats.topics[topic]
 
-    let topicScore = 0
+    const topicScore = timeInMeshScore(tstats, topicParams) +
+      firstMessageDeliveriesScore(tstats, topicParams) +
+      meshMessageDeliveriesScore(tstats, topicParams) +
+      meshFailurePenaltyScore(tstats, topicParams) +
+      invalidMessageDeliveriesScore(tstats, topicParams)
 
-    // P1: time in Mesh
-    if (tstats.inMesh) {
-      let p1 = tstats.meshTime / topicParams.timeInMeshQuantum
-      if (p1 > topicParams.timeInMeshCap) {
-        p1 = topicParams.timeInMeshCap
-      }
-      topicScore += p1 * topicParams.timeInMeshWeight
-    }
+    // update score, mixing with topic weight
+    score += topicScore * topicParams.topicWeight
+  }
 
-    // P2: first message deliveries
-    const p2 = tstats.firstMessageDeliveries
-    topicScore += p2 * topicParams.firstMessageDeliveriesWeight
-
-    // P3: mesh message deliveries
-    if (tstats.meshMessageDeliveriesActive) {
-      if (tstats.meshMessageDeliveries < topicParams.meshMessageDeliveriesThreshold) {
-        const deficit = topicParams.meshMessageDeliveriesThreshold - tstats.meshMessageDeliveries
-        const p3 = deficit * deficit
-        topicScore += p3 * topicParams.meshMessageDeliveriesWeight
-      }
+  // apply the topic score cap, if any
+  if (params.topicScoreCap > 0 && score > params.topicScoreCap) {
+    score = params.topicScoreCap
+  }
+
+  score += appSpecificScore(peer, pstats, params)
+
+  for (const { group, whitelisted } of pstats.ipGroups) {
+    if (whitelisted) {
+      continue
     }
+    const peersInIP = peerIPs.get(group)
+    score += ipColocationFactorScore(peersInIP ? peersInIP.size : 0, params)
+  }
+
+  score += behaviourPenaltyScore(pstats, params)
+
+  return score
+}
+
+/**
+ * Same as computeScore, detailing the contribution of each score parameter
+ * Allocates a breakdown object per scored topic, so it is meant for inspection rather than the hot paths
+ */
+export function computeScoreBreakdown (
+  peer: string,
+  pstats: PeerStats,
+  params: PeerScoreParams,
+  peerIPs: Map<string, Set<string>>
+): ScoreBreakdown {
+  const topics: Record<string, TopicScoreBreakdown> = {}
+  let score = 0
 
-    // P3b:
-    // NOTE: the weight of P3b is negative (validated in validateTopicScoreParams) so this detracts
-    const p3b = tstats.meshFailurePenalty
-    topicScore += p3b * topicParams.meshFailurePenaltyWeight
+  // topic stores
+  Object.entries(pstats.topics).forEach(([topic, tstats]) => {
+    // the topic parameters
+    const topicParams = params.topics[topic]
+    if (!topicParams) {
+      // we are not scoring this topic
+      return
+    }
 
-    // P4: invalid messages
-    // NOTE: the weight of P4 is negative (validated in validateTopicScoreParams) so this detracts
-    const p4 = tstats.invalidMessageDeliveries * tstats.invalidMessageDeliveries
-    topicScore += p4 * topicParams.invalidMessageDeliveriesWeight
+    const breakdown: TopicScoreBreakdown = {
+      p1: timeInMeshScore(tstats, topicParams),
+      p2: firstMessageDeliveriesScore(tstats, topicParams),
+      p3: meshMessageDeliveriesScore(tstats, topicParams),
+      p3b: meshFailurePenaltyScore(tstats, topicParams),
+      p4: invalidMessageDeliveriesScore(tstats, topicParams),
+      score: 0
+    }
 
     // update score, mixing with topic weight
-    score += topicScore * topicParams.topicWeight
+    const topicScore = breakdown.p1 + breakdown.p2 + breakdown.p3 + breakdown.p3b + breakdown.p4
+    breakdown.score = topicScore * topicParams.topicWeight
+    topics[topic] = breakdown
+    score += breakdown.score
   })
 
   // apply the topic score cap, if any
+  const topicScore = score
   if (params.topicScoreCap > 0 && score > params.topicScoreCap) {
     score = params.topicScoreCap
   }
+  const cappedTopicScore = score
 
-  // P5: application-specific score
-  const p5 = params.appSpecificScore(peer)
-  score += p5 * params.appSpecificWeight
-
-  // P6: IP colocation factor
-  pstats.ips.forEach(ip => {
-    if (params.IPColocationFactorWhitelist.has(ip)) {
-      return
-    }
+  const p5 = appSpecificScore(peer, pstats, params)
+  score += p5
 
-    // P6 has a cliff (IPColocationFactorThreshold)
-    // It's only applied if at least that many peers are connected to us from that source IP addr.
-    // It is quadratic, and the weight is negative (validated in validatePeerScoreParams)
-    const peersInIP = peerIPs.get(ip)
+  let p6 = 0
+  const ipGroups: IPGroupBreakdown[] = []
+  pstats.ipGroups.forEach(({ ip, group, whitelisted }) => {
+    const peersInIP = peerIPs.get(group)
     const numPeersInIP = peersInIP ? peersInIP.size : 0
-    if (numPeersInIP > params.IPColocationFactorThreshold) {
-      const surplus = numPeersInIP - params.IPColocationFactorThreshold
-      const p6 = surplus * surplus
-      score += p6 * params.IPColocationFactorWeight
+    const ipGroup: IPGroupBreakdown = {
+      ip,
+      group,
+      peers: numPeersInIP,
+      whitelisted,
+      p6: whitelisted ? 0 : ipColocationFactorScore(numPeersInIP, params)
     }
+    ipGroups.push(ipGroup)
+    p6 += ipGroup.p6
   })
+  score += p6
 
-  // P7: behavioural pattern penalty
-  const p7 = pstats.behaviourPenalty * pstats.behaviourPenalty
-  score += p7 * params.behaviourPenaltyWeight
+  const p7 = behaviourPenaltyScore(pstats, params)
+  score += p7
 
-  return score
+  return { topics, topicScore, cappedTopicScore, p5, p6, ipGroups, p7, score }
 }
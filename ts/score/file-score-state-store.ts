@@ -0,0 +1,40 @@
+import { ScoreState, ScoreStateStore } from './score-state'
+import fs = require('fs')
+
+/**
+ * FileScoreStateStore persists the score state in a JSON file
+ */
+export class FileScoreStateStore implements ScoreStateStore {
+  path: string
+
+  /**
+   * @param {string} path
+   */
+  constructor (path: string) {
+    this.path = path
+  }
+
+  async load (): Promise<ScoreState | undefined> {
+    let json: string
+    try {
+      json = await fs.promises.readFile(this.path, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return undefined
+      }
+      throw err
+    }
+    return JSON.parse(json)
+  }
+
+  /**
+   * Write the state to a temporary file first, so that a crash while saving doesn't corrupt the previous state
+   * @param {ScoreState} state
+   * @returns {Promise<void>}
+   */
+  async save (state: ScoreState): Promise<void> {
+    const tmpPath = `${this.path}.tmp`
+    await fs.promises.writeFile(tmpPath, JSON.stringify(state))
+    await fs.promises.rename(tmpPath, this.path)
+  }
+}
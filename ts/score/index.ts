@@ -1,3 +1,7 @@
 export * from './peer-score-params'
 export * from './peer-score-thresholds'
 export * from './peer-score'
+export * from './compute-score'
+export * from './score-state'
+export * from './score-params-calculator'
+export * from './score-simulator'
@@ -0,0 +1,249 @@
+import { PeerScoreParams } from './peer-score-params'
+import { PeerIPGroup } from './peer-stats'
+
+// This file groups the peer IPs by network prefix for the IP colocation factor (P6),
+// so that the peers of a same subnet are counted together
+
+/**
+ * An IP network, as the bytes of its address (4 for IPv4, 16 for IPv6) and its prefix length
+ */
+interface Network {
+  bytes: number[]
+  prefixLength: number
+}
+
+/**
+ * Parse an IPv4 or IPv6 address into its bytes.
+ * IPv4-mapped IPv6 addresses are parsed as IPv4 addresses.
+ * @param {string} ip
+ * @returns {number[]|null} null if ip is not an IP address
+ */
+export function parseIP (ip: string): number[] | null {
+  if (ip.includes(':')) {
+    const bytes = parseIPv6(ip)
+    if (bytes && bytes.slice(0, 10).every(b => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+      return bytes.slice(12)
+    }
+    return bytes
+  }
+  return parseIPv4(ip)
+}
+
+/**
+ * @param {string} ip
+ * @returns {number[]|null}
+ */
+function parseIPv4 (ip: string): number[] | null {
+  const parts = ip.split('.')
+  if (parts.length !== 4 || !parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255)) {
+    return null
+  }
+  return parts.map(Number)
+}
+
+/**
+ * @param {string} ip
+ * @returns {number[]|null}
+ */
+function parseIPv6 (ip: string): number[] | null {
+  // drop the zone index
+  const address = ip.split('%')[0]
+
+  const halves = address.split('::')
+  if (halves.length > 2) {
+    return null
+  }
+  const parseHextets = (s: string): number[] | null => {
+    if (!s) {
+      return []
+    }
+    const hextets: number[] = []
+    const parts = s.split(':')
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i]
+      // the last 32 bits may be written as an IPv4 address
+      if (i === parts.length - 1 && part.includes('.')) {
+        const ipv4 = parseIPv4(part)
+        if (!ipv4) {
+          return null
+        }
+        hextets.push((ipv4[0] << 8) | ipv4[1], (ipv4[2] << 8) | ipv4[3])
+        continue
+      }
+      if (!/^[0-9a-fA-F]{1,4}$/.test(part)) {
+        return null
+      }
+      hextets.push(parseInt(part, 16))
+    }
+    return hextets
+  }
+
+  const head = parseHextets(halves[0])
+  const tail = halves.length === 2 ? parseHextets(halves[1]) : []
+  if (!head || !tail) {
+    return null
+  }
+  const missing = 8 - head.length - tail.length
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null
+  }
+  const hextets = [...head, ...new Array(missing).fill(0), ...tail]
+
+  const bytes: number[] = []
+  hextets.forEach(h => bytes.push(h >> 8, h & 0xff))
+  return bytes
+}
+
+/**
+ * Zero the bits of an address beyond a prefix length
+ * @param {number[]} bytes
+ * @param {number} prefixLength
+ * @returns {number[]}
+ */
+function mask (bytes: number[], prefixLength: number): number[] {
+  return bytes.map((b, i) => {
+    const bits = Math.min(8, Math.max(0, prefixLength - i * 8))
+    return b & (0xff << (8 - bits)) & 0xff
+  })
+}
+
+/**
+ * @param {Network} network
+ * @returns {string}
+ */
+function formatNetwork ({ bytes, prefixLength }: Network): string {
+  if (bytes.length === 4) {
+    return `${bytes.join('.')}/${prefixLength}`
+  }
+  const hextets: string[] = []
+  for (let i = 0; i < bytes.length; i += 2) {
+    hextets.push(((bytes[i] << 8) | bytes[i + 1]).toString(16))
+  }
+  return `${hextets.join(':')}/${prefixLength}`
+}
+
+/**
+ * Parse an IP address or a CIDR range
+ * @param {string} cidr e.g. 10.0.0.0/8, 2001:db8::/32 or 192.168.1.1
+ * @returns {Network|null} null if cidr is not an IP address or a CIDR range
+ */
+function parseNetwork (cidr: string): Network | null {
+  const [ip, prefix, ...rest] = cidr.split('/')
+  const bytes = parseIP(ip)
+  if (!bytes || rest.length) {
+    return null
+  }
+  if (prefix === undefined) {
+    return { bytes, prefixLength: bytes.length * 8 }
+  }
+  if (!/^\d+$/.test(prefix) || Number(prefix) > (ip.includes(':') ? 128 : 32)) {
+    return null
+  }
+  // an IPv4-mapped IPv6 range is an IPv4 range
+  const prefixLength = ip.includes(':') && bytes.length === 4 ? Number(prefix) - 96 : Number(prefix)
+  if (prefixLength < 0) {
+    return null
+  }
+  return { bytes: mask(bytes, prefixLength), prefixLength }
+}
+
+/**
+ * Check whether a string is an IP address or a CIDR range
+ * @param {string} range
+ * @returns {boolean}
+ */
+export function isValidIPRange (range: string): boolean {
+  return parseNetwork(range) !== null
+}
+
+// parsed IP ranges, the whitelists and blacklists being small and rarely changed
+const networks = new Map<string, Network | null>()
+
+/**
+ * @param {string} entry
+ * @returns {Network|null}
+ */
+function getNetwork (entry: string): Network | null {
+  let network = networks.get(entry)
+  if (network === undefined) {
+    network = parseNetwork(entry)
+    networks.set(entry, network)
+  }
+  return network
+}
+
+/**
+ * Check whether an IP is in the IP colocation whitelist, as an IP address or within a CIDR range
+ * @param {string} ip
+ * @param {Set<string>} whitelist
+ * @returns {boolean}
+ */
+export function isIPWhitelisted (ip: string, whitelist: Set<string>): boolean {
+  return whitelist.has(ip) || isIPInRanges(ip, whitelist)
+}
+
+/**
+ * Check whether an IP is one of the IP addresses or within one of the CIDR ranges
+ * @param {string} ip
+ * @param {Iterable<string>} ranges
+ * @returns {boolean}
+ */
+export function isIPInRanges (ip: string, ranges: Iterable<string>): boolean {
+  const bytes = parseIP(ip)
+  if (!bytes) {
+    return false
+  }
+  for (const entry of ranges) {
+    const network = getNetwork(entry)
+    if (!network || network.bytes.length !== bytes.length) {
+      continue
+    }
+    const masked = mask(bytes, network.prefixLength)
+    if (masked.every((b, i) => b === network.bytes[i])) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Get the IP colocation group of an IP: its network with the configured prefix length of its address family.
+ * Peers with IPs in the same group are counted together by the IP colocation factor.
+ * Addresses which are not IPs, such as DNS names, are their own group.
+ * @param {string} ip
+ * @param {PeerScoreParams} params
+ * @returns {string}
+ */
+export function getIPGroup (
+  ip: string,
+  params: Pick<PeerScoreParams, 'IPColocationFactorIPv4PrefixLength' | 'IPColocationFactorIPv6PrefixLength'>
+): string {
+  const bytes = parseIP(ip)
+  if (!bytes) {
+    return ip
+  }
+  const prefixLength = bytes.length === 4 ? params.IPColocationFactorIPv4PrefixLength : params.IPColocationFactorIPv6PrefixLength
+  return formatNetwork({ bytes: mask(bytes, prefixLength), prefixLength })
+}
+
+/**
+ * Get the IP colocation groups of the IPs of a peer, keeping the first IP of each group
+ * @param {string[]} ips
+ * @param {PeerScoreParams} params
+ * @returns {PeerIPGroup[]}
+ */
+export function getIPGroups (
+  ips: string[],
+  params: Pick<PeerScoreParams, 'IPColocationFactorIPv4PrefixLength' | 'IPColocationFactorIPv6PrefixLength' | 'IPColocationFactorWhitelist'>
+): PeerIPGroup[] {
+  const ipGroups: PeerIPGroup[] = []
+  ips.forEach(ip => {
+    const group = getIPGroup(ip, params)
+    // the IPs of a peer in the same group only count once
+    if (ipGroups.some(ipGroup => ipGroup.group === group)) {
+      return
+    }
+    ipGroups.push({ ip, group, whitelisted: isIPWhitelisted(ip, params.IPColocationFactorWhitelist) })
+  })
+  return ipGroups
+}
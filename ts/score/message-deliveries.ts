@@ -41,10 +41,15 @@ interface DeliveryQueueEntry {
 export class MessageDeliveries {
   private records: Map<string, DeliveryRecord>
   private queue: Denque<DeliveryQueueEntry>
+  private now: () => number
 
-  constructor () {
+  /**
+   * @param {Function} now clock, in milliseconds
+   */
+  constructor (now: () => number = Date.now) {
     this.records = new Map()
     this.queue = new Denque()
+    this.now = now
   }
 
   ensureRecord (msgId: Uint8Array): DeliveryRecord {
@@ -58,7 +63,7 @@ export class MessageDeliveries {
     // create record
     drec = {
       status: DeliveryRecordStatus.unknown,
-      firstSeen: Date.now(),
+      firstSeen: this.now(),
       validated: 0,
       peers: new Set()
     }
@@ -67,7 +72,7 @@ export class MessageDeliveries {
     // and add msgId to the queue
     const entry: DeliveryQueueEntry = {
       msgId: msgIdStr,
-      expire: Date.now() + TimeCacheDuration
+      expire: this.now() + TimeCacheDuration
     }
     this.queue.push(entry)
 
@@ -75,7 +80,7 @@ export class MessageDeliveries {
   }
 
   gc (): void {
-    const now = Date.now()
+    const now = this.now()
     // queue is sorted by expiry time
     // remove expired messages, remove from queue until first un-expired message found
     let head = this.queue.peekFront()
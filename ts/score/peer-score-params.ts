@@ -1,4 +1,5 @@
 import { ERR_INVALID_PEER_SCORE_PARAMS } from './constants'
+import { isValidIPRange } from './ip-group'
 // eslint-disable-next-line @typescript-eslint/ban-ts-comment
 // @ts-ignore
 import errcode = require('err-code')
@@ -24,6 +25,12 @@ export interface PeerScoreParams {
    */
   appSpecificScore: (p: string) => number
   appSpecificWeight: number
+  /**
+   * Asynchronous application-specific score, used instead of appSpecificScore if set.
+   * It is called when a peer is added, every decay interval for the connected peers, and on demand,
+   * and the last value it resolved to is used by the score computation.
+   */
+  appSpecificScoreProvider?: (p: string) => Promise<number>
 
   /**
    * P6: IP-colocation factor.
@@ -34,10 +41,15 @@ export interface PeerScoreParams {
    * The weight of the parameter MUST be negative, unless you want to disable for testing.
    * Note: In order to simulate many IPs in a managable manner when testing, you can set the weight to 0
    *       thus disabling the IP colocation penalty.
+   * The IPs are grouped by network: the peers whose IPs share the first IPColocationFactorIPv4PrefixLength
+   * (for IPv4) or IPColocationFactorIPv6PrefixLength (for IPv6) bits are counted as the same IP.
+   * The whitelist contains IPs and CIDR ranges, e.g. 10.0.0.0/8, which are not penalized.
    */
   IPColocationFactorWeight: number
   IPColocationFactorThreshold: number
   IPColocationFactorWhitelist: Set<string>
+  IPColocationFactorIPv4PrefixLength: number
+  IPColocationFactorIPv6PrefixLength: number
 
   /**
    * P7: behavioural pattern penalties.
@@ -146,6 +158,8 @@ export const defaultPeerScoreParams: PeerScoreParams = {
   IPColocationFactorWeight: -5,
   IPColocationFactorThreshold: 10,
   IPColocationFactorWhitelist: new Set(),
+  IPColocationFactorIPv4PrefixLength: 32,
+  IPColocationFactorIPv6PrefixLength: 64,
   behaviourPenaltyWeight: -10,
   behaviourPenaltyDecay: 0.2,
   decayInterval: 1000,
@@ -240,6 +254,26 @@ export function validatePeerScoreParams (p: PeerScoreParams): void {
       ERR_INVALID_PEER_SCORE_PARAMS
     )
   }
+  if (!Number.isInteger(p.IPColocationFactorIPv4PrefixLength) || p.IPColocationFactorIPv4PrefixLength < 1 || p.IPColocationFactorIPv4PrefixLength > 32) {
+    throw errcode(
+      new Error('invalid IPColocationFactorIPv4PrefixLength; must be an integer between 1 and 32'),
+      ERR_INVALID_PEER_SCORE_PARAMS
+    )
+  }
+  if (!Number.isInteger(p.IPColocationFactorIPv6PrefixLength) || p.IPColocationFactorIPv6PrefixLength < 1 || p.IPColocationFactorIPv6PrefixLength > 128) {
+    throw errcode(
+      new Error('invalid IPColocationFactorIPv6PrefixLength; must be an integer between 1 and 128'),
+      ERR_INVALID_PEER_SCORE_PARAMS
+    )
+  }
+  for (const entry of p.IPColocationFactorWhitelist) {
+    if (!isValidIPRange(entry)) {
+      throw errcode(
+        new Error(`invalid IPColocationFactorWhitelist entry ${entry}; must be an IP or a CIDR range`),
+        ERR_INVALID_PEER_SCORE_PARAMS
+      )
+    }
+  }
 
   // check the behaviour penalty
   if (p.behaviourPenaltyWeight > 0) {
@@ -1,9 +1,11 @@
-import { PeerScoreParams, validatePeerScoreParams } from './peer-score-params'
+import { PeerScoreParams, TopicScoreParams, validatePeerScoreParams } from './peer-score-params'
 import { PeerStats, createPeerStats, ensureTopicStats } from './peer-stats'
-import { computeScore } from './compute-score'
+import { computeScore, computeScoreBreakdown, ScoreBreakdown } from './compute-score'
 import { MessageDeliveries, DeliveryRecordStatus } from './message-deliveries'
+import { RetainedPeerStats } from './score-state'
+import { getIPGroup, getIPGroups } from './ip-group'
 import { MessageIdFunction } from '../interfaces'
-import { ERR_TOPIC_VALIDATOR_IGNORE } from '../constants'
+import { ERR_TOPIC_VALIDATOR_IGNORE, ERR_VALIDATION_THROTTLED } from '../constants'
 import PeerId from 'peer-id'
 import ConnectionManager from 'libp2p/src/connection-manager'
 import { InMessage } from 'libp2p-interfaces/src/pubsub'
@@ -27,7 +29,7 @@ export class PeerScore {
    */
   peerStats: Map<string, PeerStats>
   /**
-   * IP colocation tracking; maps IP => set of peers.
+   * IP colocation tracking; maps IP group => set of peers.
    */
   peerIPs: Map<string, Set<string>>
   /**
@@ -40,6 +42,10 @@ export class PeerScore {
   msgId: MessageIdFunction
   _connectionManager: ConnectionManager
   _backgroundInterval?: NodeJS.Timeout
+  /**
+   * Pending updates of the asynchronous application-specific scores, by peer id
+   */
+  _appScoreUpdates: Map<string, Promise<void>>
 
   constructor (params: PeerScoreParams, connectionManager: ConnectionManager, msgId: MessageIdFunction) {
     validatePeerScoreParams(params)
@@ -47,7 +53,8 @@ export class PeerScore {
     this._connectionManager = connectionManager
     this.peerStats = new Map()
     this.peerIPs = new Map()
-    this.deliveryRecords = new MessageDeliveries()
+    this._appScoreUpdates = new Map()
+    this.deliveryRecords = new MessageDeliveries(() => this._now())
     this.msgId = msgId
   }
 
@@ -78,9 +85,140 @@ export class PeerScore {
     this.peerIPs.clear()
     this.peerStats.clear()
     this.deliveryRecords.clear()
+    this._appScoreUpdates.clear()
     log('stopped')
   }
 
+  /**
+   * Update the score parameters, keeping the existing counters.
+   * The new parameters are used by the next score computation and decay.
+   * The stats of the topics which are no longer scored are dropped.
+   * Throws if the resulting parameters are invalid
+   * @param {Partial<PeerScoreParams>} params
+   * @returns {void}
+   */
+  setParams (params: Partial<PeerScoreParams>): void {
+    const newParams = { ...this.params, ...params }
+    validatePeerScoreParams(newParams)
+
+    const decayIntervalChanged = newParams.decayInterval !== this.params.decayInterval
+    const ipGroupsChanged = newParams.IPColocationFactorIPv4PrefixLength !== this.params.IPColocationFactorIPv4PrefixLength ||
+      newParams.IPColocationFactorIPv6PrefixLength !== this.params.IPColocationFactorIPv6PrefixLength ||
+      newParams.IPColocationFactorWhitelist !== this.params.IPColocationFactorWhitelist
+    this.params = newParams
+    this._dropUnscoredTopics()
+
+    // regroup the tracked IPs with the new prefix lengths and whitelist
+    if (ipGroupsChanged) {
+      this.peerIPs.clear()
+      this.peerStats.forEach((pstats, id) => this._setIPs(id, pstats.ips, []))
+    }
+
+    // reschedule the decay at the new interval
+    if (decayIntervalChanged && this._backgroundInterval) {
+      clearInterval(this._backgroundInterval)
+      this._backgroundInterval = setInterval(() => this.background(), this.params.decayInterval)
+    }
+  }
+
+  /**
+   * Set the score parameters of a topic, adding it to the scored topics if needed.
+   * The counters of an already scored topic are kept
+   * @param {string} topic
+   * @param {TopicScoreParams} params
+   * @returns {void}
+   */
+  setTopicScoreParams (topic: string, params: TopicScoreParams): void {
+    this.setParams({ topics: { ...this.params.topics, [topic]: params } })
+  }
+
+  /**
+   * Stop scoring a topic, dropping its stats
+   * @param {string} topic
+   * @returns {void}
+   */
+  removeTopicScoreParams (topic: string): void {
+    const topics = { ...this.params.topics }
+    delete topics[topic]
+    this.setParams({ topics })
+  }
+
+  /**
+   * Drop the topic stats of the topics which are not scored
+   * @returns {void}
+   */
+  _dropUnscoredTopics (): void {
+    this.peerStats.forEach(pstats => {
+      Object.keys(pstats.topics).forEach(topic => {
+        if (!this.params.topics[topic]) {
+          delete pstats.topics[topic]
+        }
+      })
+    })
+  }
+
+  /**
+   * Export the stats of the peers whose scores are retained, to be restored by importStats after a restart.
+   * The connected peers are removed first, as if they disconnected, so this is meant to be called when stopping.
+   * @returns {Record<string, RetainedPeerStats>} peer id => retained stats
+   */
+  exportStats (): Record<string, RetainedPeerStats> {
+    this.peerStats.forEach((pstats, id) => {
+      if (pstats.connected) {
+        this.removePeer(id)
+      }
+    })
+
+    const stats: Record<string, RetainedPeerStats> = {}
+    this.peerStats.forEach(({ expire, behaviourPenalty, topics }, id) => {
+      stats[id] = { expire, behaviourPenalty, topics }
+    })
+    return stats
+  }
+
+  /**
+   * Restore the stats exported by exportStats, decaying the counters for the time elapsed since they were exported.
+   * The restored counters are added to the stats of the peers which are already tracked.
+   * @param {Record<string, RetainedPeerStats>} stats peer id => retained stats
+   * @param {number} exportedAt time at which the stats were exported
+   * @returns {void}
+   */
+  importStats (stats: Record<string, RetainedPeerStats>, exportedAt: number): void {
+    const now = this._now()
+    const decays = Math.max(0, Math.floor((now - exportedAt) / this.params.decayInterval))
+    const decay = (value: number, factor: number): number => {
+      const decayed = value * Math.pow(factor, decays)
+      return decayed < this.params.decayToZero ? 0 : decayed
+    }
+
+    Object.entries(stats).forEach(([id, retained]) => {
+      if (retained.expire < now) {
+        return
+      }
+
+      const existing = this.peerStats.get(id)
+      const pstats = existing || createPeerStats({ expire: retained.expire })
+      pstats.behaviourPenalty += decay(retained.behaviourPenalty, this.params.behaviourPenaltyDecay)
+
+      Object.entries(retained.topics).forEach(([topic, retainedTopicStats]) => {
+        const tparams = this.params.topics[topic]
+        const tstats = ensureTopicStats(topic, pstats, this.params)
+        if (!tparams || !tstats) {
+          // we are no longer scoring this topic
+          return
+        }
+        tstats.firstMessageDeliveries += decay(retainedTopicStats.firstMessageDeliveries, tparams.firstMessageDeliveriesDecay)
+        tstats.meshMessageDeliveries += decay(retainedTopicStats.meshMessageDeliveries, tparams.meshMessageDeliveriesDecay)
+        tstats.meshFailurePenalty += decay(retainedTopicStats.meshFailurePenalty, tparams.meshFailurePenaltyDecay)
+        tstats.invalidMessageDeliveries += decay(retainedTopicStats.invalidMessageDeliveries, tparams.invalidMessageDeliveriesDecay)
+      })
+
+      if (!existing) {
+        this.peerStats.set(id, pstats)
+      }
+    })
+  }
+
   /**
    * Periodic maintenance
    * @returns {void}
@@ -88,15 +226,68 @@ export class PeerScore {
   background (): void {
     this._refreshScores()
     this._updateIPs()
+    this._updateAppSpecificScores()
     this.deliveryRecords.gc()
   }
 
+  /**
+   * Update the asynchronous application-specific score of a peer, if an appSpecificScoreProvider is set.
+   * Resolves once the new value is used by the score computation.
+   * If an update of the peer is already pending, resolves with it.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  updateAppSpecificScore (id: string): Promise<void> {
+    const provider = this.params.appSpecificScoreProvider
+    if (!provider || !this.peerStats.has(id)) {
+      return Promise.resolve()
+    }
+
+    let update = this._appScoreUpdates.get(id)
+    if (update) {
+      return update
+    }
+
+    update = (async () => {
+      try {
+        const appSpecificScore = await provider(id)
+        // the peer may have been dropped in the meantime
+        const pstats = this.peerStats.get(id)
+        if (pstats) {
+          pstats.appSpecificScore = appSpecificScore
+        }
+      } catch (err) {
+        // keep the previous value
+        log('failed to update the application-specific score of %s: %s', id, err.message)
+      } finally {
+        this._appScoreUpdates.delete(id)
+      }
+    })()
+    this._appScoreUpdates.set(id, update)
+    return update
+  }
+
+  /**
+   * Update the asynchronous application-specific scores of the connected peers
+   * @returns {void}
+   */
+  _updateAppSpecificScores (): void {
+    if (!this.params.appSpecificScoreProvider) {
+      return
+    }
+    this.peerStats.forEach((pstats, id) => {
+      if (pstats.connected) {
+        this.updateAppSpecificScore(id)
+      }
+    })
+  }
+
   /**
    * Decays scores, and purges score records for disconnected peers once their expiry has elapsed.
    * @returns {void}
    */
   _refreshScores (): void {
-    const now = Date.now()
+    const now = this._now()
     const decayToZero = this.params.decayToZero
 
     this.peerStats.forEach((pstats, id) => {
@@ -169,6 +360,31 @@ export class PeerScore {
     return computeScore(id, pstats, this.params, this.peerIPs)
   }
 
+  /**
+   * Return the contributions of the score parameters to the score of a peer
+   * @param {string} id
+   * @returns {ScoreBreakdown | null} null if the peer is not tracked
+   */
+  getScoreBreakdown (id: string): ScoreBreakdown | null {
+    const pstats = this.peerStats.get(id)
+    if (!pstats) {
+      return null
+    }
+    return computeScoreBreakdown(id, pstats, this.params, this.peerIPs)
+  }
+
+  /**
+   * Return the score breakdowns of all the tracked peers, including the disconnected peers whose stats are retained
+   * @returns {Record<string, ScoreBreakdown>} peer id => score breakdown
+   */
+  dumpPeerScores (): Record<string, ScoreBreakdown> {
+    const scores: Record<string, ScoreBreakdown> = {}
+    this.peerStats.forEach((pstats, id) => {
+      scores[id] = computeScoreBreakdown(id, pstats, this.params, this.peerIPs)
+    })
+    return scores
+  }
+
   /**
    * Apply a behavioural penalty to a peer
    * @param {string} id
@@ -190,15 +406,20 @@ export class PeerScore {
   addPeer (id: string): void {
     // create peer stats (not including topic stats for each topic to be scored)
     // topic stats will be added as needed
-    const pstats = createPeerStats({
-      connected: true
-    })
-    this.peerStats.set(id, pstats)
+    // the stats retained since the peer disconnected, or restored after a restart, are kept
+    let pstats = this.peerStats.get(id)
+    if (!pstats) {
+      pstats = createPeerStats()
+      this.peerStats.set(id, pstats)
+    }
+    pstats.connected = true
 
     // get + update peer IPs
     const ips = this._getIPs(id)
     this._setIPs(id, ips, pstats.ips)
     pstats.ips = ips
+
+    this.updateAppSpecificScore(id)
   }
 
   /**
@@ -234,7 +455,7 @@ export class PeerScore {
     })
 
     pstats.connected = false
-    pstats.expire = Date.now() + this.params.retainScore
+    pstats.expire = this._now() + this.params.retainScore
   }
 
   /**
@@ -254,7 +475,7 @@ export class PeerScore {
     }
 
     tstats.inMesh = true
-    tstats.graftTime = Date.now()
+    tstats.graftTime = this._now()
     tstats.meshTime = 0
     tstats.meshMessageDeliveriesActive = false
   }
@@ -301,7 +522,7 @@ export class PeerScore {
     this._markFirstMessageDelivery(id, message)
 
     const drec = this.deliveryRecords.ensureRecord(await this.msgId(message))
-    const now = Date.now()
+    const now = this._now()
 
     // defensive check that this is the first delivery trace -- delivery status should be unknown
     if (drec.status !== DeliveryRecordStatus.unknown) {
@@ -336,6 +557,10 @@ export class PeerScore {
       case ERR_INVALID_SIGNATURE:
         this._markInvalidMessageDelivery(id, message)
         return
+      case ERR_VALIDATION_THROTTLED:
+        // the message was dropped before validation because of throttling,
+        // we don't know whether it is valid, so don't penalize the peer
+        return
     }
 
     const drec = this.deliveryRecords.ensureRecord(await this.msgId(message))
@@ -344,7 +569,7 @@ export class PeerScore {
     if (drec.status !== DeliveryRecordStatus.unknown) {
       log(
         'unexpected rejection: message from %s was first seen %s ago and has delivery status %d',
-        id, Date.now() - drec.firstSeen, DeliveryRecordStatus[drec.status]
+        id, this._now() - drec.firstSeen, DeliveryRecordStatus[drec.status]
       )
       return
     }
@@ -469,7 +694,7 @@ export class PeerScore {
       return
     }
 
-    const now = validatedTime ? Date.now() : 0
+    const now = validatedTime ? this._now() : 0
 
     message.topicIDs.forEach(topic => {
       const tstats = ensureTopicStats(topic, pstats, this.params)
@@ -498,6 +723,14 @@ export class PeerScore {
     })
   }
 
+  /**
+   * Current time, overridable to drive the score with a simulated clock
+   * @returns {number}
+   */
+  _now (): number {
+    return Date.now()
+  }
+
   /**
    * Gets the current IPs for a peer.
    * @param {string} id
@@ -509,53 +742,43 @@ export class PeerScore {
   }
 
   /**
-   * Adds tracking for the new IPs in the list, and removes tracking from the obsolete IPs.
+   * Adds tracking for the new IP groups of the peer, and removes tracking from the obsolete IP groups.
+   * The IP groups of the peer stats are updated, so that computing the score doesn't regroup the IPs.
    * @param {string} id
    * @param {Array<string>} newIPs
    * @param {Array<string>} oldIPs
    * @returns {void}
    */
   _setIPs (id: string, newIPs: string[], oldIPs: string[]): void {
-    // add the new IPs to the tracking
-    // eslint-disable-next-line no-labels
-    addNewIPs:
-    for (const ip of newIPs) {
-      // check if it is in the old ips list
-      for (const xip of oldIPs) {
-        if (ip === xip) {
-          // eslint-disable-next-line no-labels
-          continue addNewIPs
-        }
+    const ipGroups = getIPGroups(newIPs, this.params)
+    const pstats = this.peerStats.get(id)
+    if (pstats) {
+      pstats.ipGroups = ipGroups
+    }
+
+    const newGroups = new Set(ipGroups.map(ipGroup => ipGroup.group))
+    const oldGroups = new Set(oldIPs.map(ip => getIPGroup(ip, this.params)))
+
+    // add the new groups to the tracking
+    newGroups.forEach(group => {
+      if (oldGroups.has(group)) {
+        return
       }
-      // no, it's a new one -- add it to the tracker
-      let peers = this.peerIPs.get(ip)
+      let peers = this.peerIPs.get(group)
       if (!peers) {
         peers = new Set()
-        this.peerIPs.set(ip, peers)
+        this.peerIPs.set(group, peers)
       }
       peers.add(id)
-    }
-    // remove the obsolete old IPs from the tracking
-    // eslint-disable-next-line no-labels
-    removeOldIPs:
-    for (const ip of oldIPs) {
-      // check if it is in the new ips list
-      for (const xip of newIPs) {
-        if (ip === xip) {
-          // eslint-disable-next-line no-labels
-          continue removeOldIPs
-        }
-      }
-      // no, its obselete -- remove it from the tracker
-      const peers = this.peerIPs.get(ip)
-      if (!peers) {
-        continue
-      }
-      peers.delete(id)
-      if (!peers.size) {
-        this.peerIPs.delete(ip)
+    })
+
+    // remove the obsolete groups from the tracking
+    oldGroups.forEach(group => {
+      if (newGroups.has(group)) {
+        return
       }
-    }
+      this._untrackIPGroup(id, group)
+    })
   }
 
   /**
@@ -565,17 +788,24 @@ export class PeerScore {
    * @returns {void}
    */
   _removeIPs (id: string, ips: string[]): void {
-    ips.forEach(ip => {
-      const peers = this.peerIPs.get(ip)
-      if (!peers) {
-        return
-      }
+    ips.forEach(ip => this._untrackIPGroup(id, getIPGroup(ip, this.params)))
+  }
 
-      peers.delete(id)
-      if (!peers.size) {
-        this.peerIPs.delete(ip)
-      }
-    })
+  /**
+   * @param {string} id
+   * @param {string} group
+   * @returns {void}
+   */
+  _untrackIPGroup (id: string, group: string): void {
+    const peers = this.peerIPs.get(group)
+    if (!peers) {
+      return
+    }
+
+    peers.delete(id)
+    if (!peers.size) {
+      this.peerIPs.delete(group)
+    }
   }
 
   /**
@@ -585,6 +815,9 @@ export class PeerScore {
   _updateIPs (): void {
     this.peerStats.forEach((pstats, id) => {
       const newIPs = this._getIPs(id)
+      if (newIPs.length === pstats.ips.length && newIPs.every((ip, i) => ip === pstats.ips[i])) {
+        return
+      }
       this._setIPs(id, newIPs, pstats.ips)
       pstats.ips = newIPs
     })
@@ -1,5 +1,17 @@
 import { PeerScoreParams } from './peer-score-params'
 
+/**
+ * IP colocation group of a peer IP
+ */
+export interface PeerIPGroup {
+  ip: string
+  /**
+   * network of the IP, with the configured prefix length
+   */
+  group: string
+  whitelisted: boolean
+}
+
 export interface PeerStats {
   /**
    * true if the peer is currently connected
@@ -21,10 +33,20 @@ export interface PeerStats {
    */
   ips: string[]
 
+  /**
+   * IP colocation groups of the IPs, one per group; computed when the IPs or the grouping parameters change
+   */
+  ipGroups: PeerIPGroup[]
+
   /**
    * behavioural pattern penalties (applied by the router)
    */
   behaviourPenalty: number
+
+  /**
+   * last value of the asynchronous application-specific score
+   */
+  appSpecificScore: number
 }
 
 export interface TopicStats {
@@ -75,7 +97,9 @@ export function createPeerStats (ps: Partial<PeerStats> = {}): PeerStats {
     connected: false,
     expire: 0,
     ips: [],
+    ipGroups: [],
     behaviourPenalty: 0,
+    appSpecificScore: 0,
     ...ps,
     topics: ps.topics
       ? Object.entries(ps.topics)
@@ -0,0 +1,243 @@
+import { PeerScoreParams, TopicScoreParams, createPeerScoreParams, createTopicScoreParams, validatePeerScoreParams } from './peer-score-params'
+import { PeerScoreThresholds, createPeerScoreThresholds, validatePeerScoreThresholds } from './peer-score-thresholds'
+import { scoreParameterDecayWithBase } from './score-param-decay'
+import { ERR_INVALID_PEER_SCORE_PARAMS } from './constants'
+import { GossipsubD, GossipsubHeartbeatInterval } from '../constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+// This file computes a full set of peer score parameters and thresholds
+// from the expected traffic of the scored topics
+
+export interface TopicTraffic {
+  /**
+   * expected number of messages per second in the topic
+   */
+  messageRate: number
+
+  /**
+   * weight of the topic, relative to the other topics
+   */
+  topicWeight: number
+}
+
+export interface ScoreParamsCalculatorOptions {
+  /**
+   * expected traffic per scored topic
+   */
+  topics: Record<string, Partial<TopicTraffic> & Pick<TopicTraffic, 'messageRate'>>
+
+  /**
+   * mesh degree (D) of the topics
+   */
+  D: number
+
+  /**
+   * heartbeat interval in milliseconds, the quantum of the time in mesh
+   */
+  heartbeatInterval: number
+
+  /**
+   * decay interval of the score counters in milliseconds
+   */
+  decayInterval: number
+
+  /**
+   * counter value below which it is considered 0
+   */
+  decayToZero: number
+
+  /**
+   * time in milliseconds for a first message deliveries counter to decay to zero
+   */
+  firstMessageDeliveriesDecayTime: number
+
+  /**
+   * time in milliseconds for a mesh message deliveries counter, and the mesh failure penalty, to decay to zero
+   */
+  meshMessageDeliveriesDecayTime: number
+
+  /**
+   * time in milliseconds for an invalid message deliveries counter to decay to zero
+   */
+  invalidMessageDeliveriesDecayTime: number
+
+  /**
+   * time in milliseconds for the behaviour penalty counter to decay to zero
+   */
+  behaviourPenaltyDecayTime: number
+
+  /**
+   * number of behaviour penalties after which a peer's score drops to the gossip threshold
+   */
+  behaviourPenaltyThreshold: number
+
+  /**
+   * maximum contribution of the time in mesh (P1) to the score of a topic
+   */
+  maxInMeshScore: number
+
+  /**
+   * maximum contribution of the first message deliveries (P2) to the score of a topic
+   */
+  maxFirstMessageDeliveriesScore: number
+
+  /**
+   * time to remember counters for a disconnected peer
+   */
+  retainScore: number
+}
+
+export const defaultScoreParamsCalculatorOptions: Omit<ScoreParamsCalculatorOptions, 'topics'> = {
+  D: GossipsubD,
+  heartbeatInterval: GossipsubHeartbeatInterval,
+  decayInterval: 1000,
+  decayToZero: 0.01,
+  firstMessageDeliveriesDecayTime: 3600 * 1000,
+  meshMessageDeliveriesDecayTime: 60 * 1000,
+  invalidMessageDeliveriesDecayTime: 3600 * 1000,
+  behaviourPenaltyDecayTime: 3600 * 1000,
+  behaviourPenaltyThreshold: 6,
+  maxInMeshScore: 10,
+  maxFirstMessageDeliveriesScore: 40,
+  retainScore: 3600 * 1000
+}
+
+/**
+ * Steady state value of a counter incremented by rate every decay interval
+ * @param {number} decay
+ * @param {number} rate
+ * @returns {number}
+ */
+function decayConvergence (decay: number, rate: number): number {
+  return rate / (1 - decay)
+}
+
+/**
+ * Compute the peer score parameters and thresholds from the expected traffic of the scored topics.
+ *
+ * The positive score of a peer is bounded by maxInMeshScore + maxFirstMessageDeliveriesScore per unit of topic weight,
+ * and the negative parameters are weighted so that:
+ * - a mesh peer delivering none of the expected mesh messages loses the maximum positive score (P3)
+ * - n invalid messages cost n² times the maximum positive score (P4)
+ * - behaviourPenaltyThreshold behaviour penalties bring the score down to the gossip threshold (P7)
+ * - the graylist, publish and gossip thresholds are 160, 80 and 40 times the maximum positive score
+ * @param {ScoreParamsCalculatorOptions} options
+ * @returns {{ scoreParams: PeerScoreParams, scoreThresholds: PeerScoreThresholds }}
+ */
+export function computeScoreParams (
+  options: Partial<ScoreParamsCalculatorOptions> & Pick<ScoreParamsCalculatorOptions, 'topics'>
+): { scoreParams: PeerScoreParams, scoreThresholds: PeerScoreThresholds } {
+  const opts = { ...defaultScoreParamsCalculatorOptions, ...options }
+  const decayFor = (decayTime: number): number => scoreParameterDecayWithBase(decayTime, opts.decayInterval, opts.decayToZero)
+
+  const topicWeights = Object.values(opts.topics).map(t => t.topicWeight === undefined ? 1 : t.topicWeight)
+  const totalTopicWeight = topicWeights.reduce((sum, w) => sum + w, 0)
+  const maxPositiveScore = (opts.maxInMeshScore + opts.maxFirstMessageDeliveriesScore) * totalTopicWeight
+
+  const scoreThresholds = createPeerScoreThresholds({
+    gossipThreshold: -40 * maxPositiveScore,
+    publishThreshold: -80 * maxPositiveScore,
+    graylistThreshold: -160 * maxPositiveScore,
+    acceptPXThreshold: maxPositiveScore,
+    opportunisticGraftThreshold: maxPositiveScore / 20
+  })
+
+  const topics: Record<string, TopicScoreParams> = {}
+  Object.entries(opts.topics).forEach(([topic, traffic]) => {
+    topics[topic] = computeTopicScoreParams(topic, {
+      messageRate: traffic.messageRate,
+      topicWeight: traffic.topicWeight === undefined ? 1 : traffic.topicWeight
+    }, opts, maxPositiveScore, decayFor)
+  })
+
+  const behaviourPenaltyThreshold = opts.behaviourPenaltyThreshold
+  const scoreParams = createPeerScoreParams({
+    topics,
+    topicScoreCap: maxPositiveScore / 2,
+    appSpecificWeight: 1,
+    IPColocationFactorWeight: -maxPositiveScore,
+    behaviourPenaltyWeight: scoreThresholds.gossipThreshold / (behaviourPenaltyThreshold * behaviourPenaltyThreshold),
+    behaviourPenaltyDecay: decayFor(opts.behaviourPenaltyDecayTime),
+    decayInterval: opts.decayInterval,
+    decayToZero: opts.decayToZero,
+    retainScore: opts.retainScore
+  })
+
+  validatePeerScoreParams(scoreParams)
+  validatePeerScoreThresholds(scoreThresholds)
+  return { scoreParams, scoreThresholds }
+}
+
+/**
+ * @param {string} topic
+ * @param {TopicTraffic} traffic
+ * @param {ScoreParamsCalculatorOptions} opts
+ * @param {number} maxPositiveScore
+ * @param {Function} decayFor decay factor for a decay time
+ * @returns {TopicScoreParams}
+ */
+function computeTopicScoreParams (
+  topic: string,
+  traffic: TopicTraffic,
+  opts: ScoreParamsCalculatorOptions,
+  maxPositiveScore: number,
+  decayFor: (decayTime: number) => number
+): TopicScoreParams {
+  const { messageRate, topicWeight } = traffic
+  if (!(messageRate > 0)) {
+    throw errcode(
+      new Error(`invalid message rate for topic ${topic}; must be positive`),
+      ERR_INVALID_PEER_SCORE_PARAMS
+    )
+  }
+  if (!(topicWeight > 0)) {
+    throw errcode(
+      new Error(`invalid topic weight for topic ${topic}; must be positive`),
+      ERR_INVALID_PEER_SCORE_PARAMS
+    )
+  }
+
+  // expected number of messages delivered first by each mesh peer per decay interval,
+  // assuming the mesh peers share the first deliveries evenly
+  const meshPeerRate = messageRate * opts.decayInterval / 1000 / opts.D
+
+  // P1: the maximum score is reached after an hour in the mesh
+  const timeInMeshCap = 3600 * 1000 / opts.heartbeatInterval
+
+  // P2: a peer delivering twice its share of the messages reaches the maximum score
+  const firstMessageDeliveriesDecay = decayFor(opts.firstMessageDeliveriesDecayTime)
+  const firstMessageDeliveriesCap = decayConvergence(firstMessageDeliveriesDecay, 2 * meshPeerRate)
+
+  // P3: a mesh peer is penalized below a quarter of its expected share of the mesh deliveries,
+  // once the counter had the time to converge
+  const meshMessageDeliveriesDecay = decayFor(opts.meshMessageDeliveriesDecayTime)
+  const expectedMeshMessageDeliveries = decayConvergence(meshMessageDeliveriesDecay, meshPeerRate)
+  const meshMessageDeliveriesThreshold = expectedMeshMessageDeliveries / 4
+  const meshMessageDeliveriesWeight = -maxPositiveScore / (topicWeight * meshMessageDeliveriesThreshold * meshMessageDeliveriesThreshold)
+
+  return createTopicScoreParams({
+    topicWeight,
+
+    timeInMeshWeight: opts.maxInMeshScore / timeInMeshCap,
+    timeInMeshQuantum: opts.heartbeatInterval,
+    timeInMeshCap,
+
+    firstMessageDeliveriesWeight: opts.maxFirstMessageDeliveriesScore / firstMessageDeliveriesCap,
+    firstMessageDeliveriesDecay,
+    firstMessageDeliveriesCap,
+
+    meshMessageDeliveriesWeight,
+    meshMessageDeliveriesDecay,
+    meshMessageDeliveriesCap: 2 * expectedMeshMessageDeliveries,
+    meshMessageDeliveriesThreshold,
+    meshMessageDeliveriesActivation: opts.meshMessageDeliveriesDecayTime,
+
+    meshFailurePenaltyWeight: meshMessageDeliveriesWeight,
+    meshFailurePenaltyDecay: meshMessageDeliveriesDecay,
+
+    invalidMessageDeliveriesWeight: -maxPositiveScore / topicWeight,
+    invalidMessageDeliveriesDecay: decayFor(opts.invalidMessageDeliveriesDecayTime)
+  })
+}
@@ -0,0 +1,271 @@
+import { InMessage } from 'libp2p-interfaces/src/pubsub'
+import { PeerScore } from './peer-score'
+import { PeerScoreParams } from './peer-score-params'
+import { PeerScoreThresholds } from './peer-score-thresholds'
+import { ScoreBreakdown } from './compute-score'
+import { ERR_TOPIC_VALIDATOR_REJECT } from '../constants'
+import ConnectionManager from 'libp2p/src/connection-manager'
+import { fromString } from 'uint8arrays/from-string'
+
+// This file simulates the scores of peers following synthetic timelines,
+// to check a set of score parameters against the score thresholds before deploying them
+
+/**
+ * An event of a simulated peer timeline, at a time in milliseconds since the beginning of the simulation
+ */
+export type SimulationEvent =
+  /**
+   * The peer is grafted onto, or pruned from, the mesh of a topic
+   */
+  { time: number, type: 'graft' | 'prune', topic: string } |
+  /**
+   * The peer delivers valid messages of a topic.
+   * If first is false, the messages were first delivered by another peer, delay milliseconds earlier
+   */
+  { time: number, type: 'deliver', topic: string, count?: number, first?: boolean, delay?: number } |
+  /**
+   * The peer delivers invalid messages of a topic
+   */
+  { time: number, type: 'invalid', topic: string, count?: number } |
+  /**
+   * The router applies behaviour penalties to the peer
+   */
+  { time: number, type: 'penalty', count?: number }
+
+export interface SimulatedPeer {
+  /**
+   * whether the peer is honest; honest peers whose score drops below the gossip, publish or graylist threshold
+   * are flagged in the report
+   */
+  honest?: boolean
+  /**
+   * IPs of the peer, for the IP colocation factor
+   */
+  ips?: string[]
+  events: SimulationEvent[]
+}
+
+export interface SimulationOptions {
+  params: PeerScoreParams
+  thresholds: PeerScoreThresholds
+  /**
+   * simulated peers, by peer id
+   */
+  peers: Record<string, SimulatedPeer>
+  /**
+   * simulated duration in milliseconds
+   */
+  duration: number
+  /**
+   * time between score samples in milliseconds, rounded to a multiple of the decay interval;
+   * defaults to the decay interval
+   */
+  sampleInterval?: number
+}
+
+export type ThresholdName = 'gossipThreshold' | 'publishThreshold' | 'graylistThreshold' | 'acceptPXThreshold' | 'opportunisticGraftThreshold'
+
+const negativeThresholds: ThresholdName[] = ['gossipThreshold', 'publishThreshold', 'graylistThreshold']
+const positiveThresholds: ThresholdName[] = ['acceptPXThreshold', 'opportunisticGraftThreshold']
+
+export interface ScoreSample {
+  /**
+   * milliseconds since the beginning of the simulation
+   */
+  time: number
+  breakdown: ScoreBreakdown
+}
+
+export interface PeerSimulationReport {
+  samples: ScoreSample[]
+  minScore: number
+  maxScore: number
+  /**
+   * time of the first sample below the gossip, publish and graylist thresholds,
+   * and of the first sample at or above the acceptPX and opportunisticGraft thresholds
+   */
+  crossed: Partial<Record<ThresholdName, number>>
+}
+
+export interface SimulationReport {
+  peers: Record<string, PeerSimulationReport>
+  /**
+   * honest peers whose score dropped below the gossip, publish or graylist threshold
+   */
+  flagged: Array<{ id: string, threshold: ThresholdName, time: number }>
+}
+
+/**
+ * PeerScore driven by a simulated clock, with simulated peer IPs
+ */
+class SimulatedPeerScore extends PeerScore {
+  time: number
+  ips: Map<string, string[]>
+
+  constructor (params: PeerScoreParams, start: number) {
+    super(params, {} as ConnectionManager, (msg: InMessage) => msg.seqno!)
+    this.time = start
+    this.ips = new Map()
+  }
+
+  _now (): number {
+    return this.time
+  }
+
+  _getIPs (id: string): string[] {
+    return this.ips.get(id) || []
+  }
+}
+
+/**
+ * Simulated peer action, at an absolute simulated time
+ */
+interface Action {
+  time: number
+  run: () => Promise<void> | void
+}
+
+/**
+ * Simulate the scores of peers following synthetic timelines.
+ * The scores are decayed every decay interval of the simulated time, and sampled after each decay.
+ * @param {SimulationOptions} options
+ * @returns {Promise<SimulationReport>}
+ */
+export async function simulateScores (options: SimulationOptions): Promise<SimulationReport> {
+  const { params, thresholds, peers, duration } = options
+  const decayInterval = params.decayInterval
+  const sampleEvery = Math.max(1, Math.round((options.sampleInterval || decayInterval) / decayInterval))
+
+  // start at an arbitrary non-zero time, as 0 has a special meaning for the delivery times
+  const start = 1000 * decayInterval
+  const ps = new SimulatedPeerScore(params, start)
+
+  let seqno = 0
+  const makeMessage = (receivedFrom: string, topic: string): InMessage => ({
+    receivedFrom,
+    from: receivedFrom,
+    topicIDs: [topic],
+    seqno: fromString(String(seqno++)),
+    data: new Uint8Array()
+  })
+
+  const actions: Action[] = []
+  Object.entries(peers).forEach(([id, peer]) => {
+    ps.ips.set(id, peer.ips || [])
+    ps.addPeer(id)
+
+    peer.events.forEach(evt => {
+      const time = start + evt.time
+      switch (evt.type) {
+        case 'graft':
+          actions.push({ time, run: () => ps.graft(id, evt.topic) })
+          return
+        case 'prune':
+          actions.push({ time, run: () => ps.prune(id, evt.topic) })
+          return
+        case 'penalty':
+          actions.push({ time, run: () => ps.addPenalty(id, evt.count || 1) })
+          return
+        case 'invalid':
+          for (let i = 0; i < (evt.count || 1); i++) {
+            const msg = makeMessage(id, evt.topic)
+            actions.push({
+              time,
+              run: async () => {
+                await ps.validateMessage(msg)
+                await ps.rejectMessage(msg, ERR_TOPIC_VALIDATOR_REJECT)
+              }
+            })
+          }
+          return
+        case 'deliver':
+          for (let i = 0; i < (evt.count || 1); i++) {
+            if (evt.first !== false) {
+              const msg = makeMessage(id, evt.topic)
+              actions.push({
+                time,
+                run: async () => {
+                  await ps.validateMessage(msg)
+                  await ps.deliverMessage(msg)
+                }
+              })
+              continue
+            }
+
+            // the message is first delivered by an untracked peer, then forwarded by the simulated peer
+            const msg = makeMessage('', evt.topic)
+            actions.push({
+              time: time - (evt.delay || 0),
+              run: async () => {
+                await ps.validateMessage(msg)
+                await ps.deliverMessage(msg)
+              }
+            })
+            actions.push({ time, run: () => ps.duplicateMessage({ ...msg, receivedFrom: id }) })
+          }
+      }
+    })
+  })
+  // stable sort by time, keeping the order of the actions at the same time
+  const sorted = actions
+    .map((action, i) => ({ action, i }))
+    .sort((a, b) => a.action.time - b.action.time || a.i - b.i)
+    .map(({ action }) => action)
+
+  const reports: Record<string, PeerSimulationReport> = {}
+  Object.keys(peers).forEach(id => {
+    reports[id] = { samples: [], minScore: Infinity, maxScore: -Infinity, crossed: {} }
+  })
+
+  let next = 0
+  for (let tick = 1; tick * decayInterval <= duration; tick++) {
+    const tickTime = start + tick * decayInterval
+    while (next < sorted.length && sorted[next].time <= tickTime) {
+      const action = sorted[next++]
+      ps.time = Math.max(ps.time, action.time)
+      await action.run()
+    }
+    ps.time = tickTime
+    ps._refreshScores()
+    ps.deliveryRecords.gc()
+
+    if (tick % sampleEvery) {
+      continue
+    }
+    const time = tickTime - start
+    Object.entries(reports).forEach(([id, report]) => {
+      const breakdown = ps.getScoreBreakdown(id)
+      if (!breakdown) {
+        return
+      }
+      report.samples.push({ time, breakdown })
+      report.minScore = Math.min(report.minScore, breakdown.score)
+      report.maxScore = Math.max(report.maxScore, breakdown.score)
+      negativeThresholds.forEach(name => {
+        if (report.crossed[name] === undefined && breakdown.score < thresholds[name]) {
+          report.crossed[name] = time
+        }
+      })
+      positiveThresholds.forEach(name => {
+        if (report.crossed[name] === undefined && breakdown.score >= thresholds[name]) {
+          report.crossed[name] = time
+        }
+      })
+    })
+  }
+
+  const flagged: SimulationReport['flagged'] = []
+  Object.entries(peers).forEach(([id, peer]) => {
+    if (!peer.honest) {
+      return
+    }
+    negativeThresholds.forEach(threshold => {
+      const time = reports[id].crossed[threshold]
+      if (time !== undefined) {
+        flagged.push({ id, threshold, time })
+      }
+    })
+  })
+
+  return { peers: reports, flagged }
+}
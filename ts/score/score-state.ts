@@ -0,0 +1,52 @@
+import { TopicStats } from './peer-stats'
+
+/**
+ * Stats of a peer whose score is retained while it is disconnected
+ */
+export interface RetainedPeerStats {
+  /**
+   * expiration time of the score stats
+   */
+  expire: number
+  /**
+   * behavioural pattern penalties
+   */
+  behaviourPenalty: number
+  /**
+   * per topic stats
+   */
+  topics: Record<string, TopicStats>
+}
+
+/**
+ * Peer score and backoff state, persisted across restarts
+ */
+export interface ScoreState {
+  /**
+   * time at which the state was saved, used to decay the stats for the downtime
+   */
+  savedAt: number
+  /**
+   * peer id => retained stats
+   */
+  peerStats: Record<string, RetainedPeerStats>
+  /**
+   * topic => peer id => backoff expiration time
+   */
+  backoff: Record<string, Record<string, number>>
+}
+
+/**
+ * ScoreStateStore persists the score state when gossipsub stops, and loads it back when gossipsub starts
+ */
+export interface ScoreStateStore {
+  /**
+   * @returns {Promise<ScoreState|undefined>} undefined if no state was saved
+   */
+  load (): Promise<ScoreState | undefined>
+  /**
+   * @param {ScoreState} state
+   * @returns {Promise<void>}
+   */
+  save (state: ScoreState): Promise<void>
+}
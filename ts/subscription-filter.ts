@@ -0,0 +1,127 @@
+import { RPC } from './message/rpc'
+import { ERR_TOO_MANY_SUBSCRIPTIONS } from './constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+/**
+ * SubscriptionFilter bounds the topics we subscribe to, and the topics peers can announce subscriptions to
+ */
+export interface SubscriptionFilter {
+  /**
+   * Whether we can subscribe to a topic
+   * @param {string} topic
+   * @returns {boolean}
+   */
+  canSubscribe (topic: string): boolean
+  /**
+   * Filter the subscriptions announced by a peer in an RPC, returning the subscriptions to process.
+   * Throws to drop all the subscriptions of the RPC and penalize the peer.
+   * @param {string} id peer id
+   * @param {RPC.ISubOpts[]} subs
+   * @param {Set<string>} peerTopics topics the peer is currently subscribed to
+   * @returns {RPC.ISubOpts[]}
+   */
+  filterIncomingSubscriptions (id: string, subs: RPC.ISubOpts[], peerTopics: Set<string>): RPC.ISubOpts[]
+}
+
+/**
+ * Filter the subscriptions of an RPC to the topics allowed by a filter
+ * @param {SubscriptionFilter} filter
+ * @param {RPC.ISubOpts[]} subs
+ * @returns {RPC.ISubOpts[]}
+ */
+function filterAllowedSubscriptions (filter: SubscriptionFilter, subs: RPC.ISubOpts[]): RPC.ISubOpts[] {
+  return subs.filter(sub => sub.topicID && filter.canSubscribe(sub.topicID))
+}
+
+/**
+ * AllowlistSubscriptionFilter only allows the subscriptions to a fixed set of topics
+ */
+export class AllowlistSubscriptionFilter implements SubscriptionFilter {
+  topics: Set<string>
+
+  /**
+   * @param {string[]} topics
+   */
+  constructor (topics: string[]) {
+    this.topics = new Set(topics)
+  }
+
+  canSubscribe (topic: string): boolean {
+    return this.topics.has(topic)
+  }
+
+  filterIncomingSubscriptions (id: string, subs: RPC.ISubOpts[]): RPC.ISubOpts[] {
+    return filterAllowedSubscriptions(this, subs)
+  }
+}
+
+/**
+ * RegexSubscriptionFilter only allows the subscriptions to topics matching a regular expression,
+ * eg: /^\/eth2\// for the topics starting with the /eth2/ prefix
+ */
+export class RegexSubscriptionFilter implements SubscriptionFilter {
+  regex: RegExp
+
+  /**
+   * @param {RegExp} regex
+   */
+  constructor (regex: RegExp) {
+    this.regex = regex
+  }
+
+  canSubscribe (topic: string): boolean {
+    return this.regex.test(topic)
+  }
+
+  filterIncomingSubscriptions (id: string, subs: RPC.ISubOpts[]): RPC.ISubOpts[] {
+    return filterAllowedSubscriptions(this, subs)
+  }
+}
+
+/**
+ * LimitSubscriptionFilter wraps a filter, additionally capping the number of topics a peer can be subscribed to.
+ * Peers announcing subscriptions over the cap have all the subscriptions of the RPC dropped.
+ */
+export class LimitSubscriptionFilter implements SubscriptionFilter {
+  filter: SubscriptionFilter | undefined
+  maxTopics: number
+
+  /**
+   * @param {SubscriptionFilter|undefined} filter wrapped filter, all topics are allowed if undefined
+   * @param {number} maxTopics
+   */
+  constructor (filter: SubscriptionFilter | undefined, maxTopics: number) {
+    this.filter = filter
+    this.maxTopics = maxTopics
+  }
+
+  canSubscribe (topic: string): boolean {
+    return !this.filter || this.filter.canSubscribe(topic)
+  }
+
+  filterIncomingSubscriptions (id: string, subs: RPC.ISubOpts[], peerTopics: Set<string>): RPC.ISubOpts[] {
+    const filtered = this.filter ? this.filter.filterIncomingSubscriptions(id, subs, peerTopics) : subs
+
+    const topics = new Set(peerTopics)
+    filtered.forEach(({ subscribe, topicID }) => {
+      if (!topicID) {
+        return
+      }
+      if (subscribe) {
+        topics.add(topicID)
+      } else {
+        topics.delete(topicID)
+      }
+    })
+    if (topics.size > this.maxTopics) {
+      throw errcode(
+        new Error(`peer ${id} subscribed to ${topics.size} topics, over the limit of ${this.maxTopics}`),
+        ERR_TOO_MANY_SUBSCRIPTIONS
+      )
+    }
+
+    return filtered
+  }
+}
@@ -0,0 +1,122 @@
+import { AddrInfo } from './interfaces'
+
+/**
+ * TopicDiscovery finds the peers of a topic beyond our connected peers, eg: through a rendezvous point or a DHT
+ */
+export interface TopicDiscovery {
+  /**
+   * Advertise that we joined a topic
+   * @param {string} topic
+   * @returns {Promise<void>}
+   */
+  advertise (topic: string): Promise<void>
+  /**
+   * Stop advertising a topic we left
+   * @param {string} topic
+   * @returns {Promise<void>}
+   */
+  unadvertise (topic: string): Promise<void>
+  /**
+   * Find peers advertising a topic
+   * @param {string} topic
+   * @param {number} limit maximum number of peers to return
+   * @returns {Promise<AddrInfo[]>}
+   */
+  findPeers (topic: string, limit: number): Promise<AddrInfo[]>
+}
+
+/**
+ * MemoryRendezvous is an in-memory rendezvous point, registering the peers advertising topics
+ */
+export class MemoryRendezvous {
+  /**
+   * topic => peer id => addresses of the peer
+   */
+  registrations: Map<string, Map<string, AddrInfo>>
+
+  constructor () {
+    this.registrations = new Map()
+  }
+
+  /**
+   * @param {string} topic
+   * @param {AddrInfo} addrInfo
+   * @returns {void}
+   */
+  register (topic: string, addrInfo: AddrInfo): void {
+    let peers = this.registrations.get(topic)
+    if (!peers) {
+      peers = new Map()
+      this.registrations.set(topic, peers)
+    }
+    peers.set(addrInfo.id.toB58String(), addrInfo)
+  }
+
+  /**
+   * @param {string} topic
+   * @param {string} id
+   * @returns {void}
+   */
+  unregister (topic: string, id: string): void {
+    const peers = this.registrations.get(topic)
+    if (!peers) {
+      return
+    }
+    peers.delete(id)
+    if (!peers.size) {
+      this.registrations.delete(topic)
+    }
+  }
+
+  /**
+   * @param {string} topic
+   * @param {number} limit
+   * @returns {AddrInfo[]}
+   */
+  discover (topic: string, limit: number): AddrInfo[] {
+    const peers = this.registrations.get(topic)
+    return peers ? Array.from(peers.values()).slice(0, limit) : []
+  }
+
+  /**
+   * Create the topic discovery of a peer using this rendezvous point
+   * @param {AddrInfo} addrInfo addresses advertised by the peer
+   * @returns {MemoryTopicDiscovery}
+   */
+  discovery (addrInfo: AddrInfo): MemoryTopicDiscovery {
+    return new MemoryTopicDiscovery(this, addrInfo)
+  }
+}
+
+/**
+ * MemoryTopicDiscovery advertises and finds the peers of topics through a MemoryRendezvous
+ */
+export class MemoryTopicDiscovery implements TopicDiscovery {
+  rendezvous: MemoryRendezvous
+  addrInfo: AddrInfo
+
+  /**
+   * @param {MemoryRendezvous} rendezvous
+   * @param {AddrInfo} addrInfo addresses advertised by the peer
+   */
+  constructor (rendezvous: MemoryRendezvous, addrInfo: AddrInfo) {
+    this.rendezvous = rendezvous
+    this.addrInfo = addrInfo
+  }
+
+  async advertise (topic: string): Promise<void> {
+    this.rendezvous.register(topic, this.addrInfo)
+  }
+
+  async unadvertise (topic: string): Promise<void> {
+    this.rendezvous.unregister(topic, this.addrInfo.id.toB58String())
+  }
+
+  async findPeers (topic: string, limit: number): Promise<AddrInfo[]> {
+    const id = this.addrInfo.id.toB58String()
+    // we may be registered, so ask for one more peer
+    return this.rendezvous.discover(topic, limit + 1)
+      .filter(addrInfo => addrInfo.id.toB58String() !== id)
+      .slice(0, limit)
+  }
+}
@@ -0,0 +1,383 @@
+import { InMessage } from 'libp2p-interfaces/src/pubsub'
+import { IRPC } from './message/rpc'
+import { TraceEvent, ITraceEvent } from './message/trace'
+import { MessageIdFunction } from './interfaces'
+import { fromString } from 'uint8arrays/from-string'
+import debug = require('debug')
+
+const log = debug('libp2p:gossipsub:trace')
+
+/**
+ * RawTracer receives the router events as they happen.
+ * All the hooks are optional, and are called synchronously: long running work should be deferred.
+ */
+export interface RawTracer {
+  /**
+   * A new peer has been added to the router
+   */
+  addPeer? (id: string, protocol: string): void
+  /**
+   * A peer has been removed from the router
+   */
+  removePeer? (id: string): void
+  /**
+   * We joined a topic
+   */
+  join? (topic: string): void
+  /**
+   * We left a topic
+   */
+  leave? (topic: string): void
+  /**
+   * A peer has been added to the mesh of a topic
+   */
+  graft? (id: string, topic: string): void
+  /**
+   * A peer has been removed from the mesh of a topic
+   */
+  prune? (id: string, topic: string): void
+  /**
+   * We published a message
+   */
+  publishMessage? (msg: InMessage): void
+  /**
+   * A message received from a peer has been validated and delivered
+   */
+  deliverMessage? (msg: InMessage): void
+  /**
+   * A message received from a peer has been rejected, or ignored, for the given reason
+   */
+  rejectMessage? (msg: InMessage, reason: string): void
+  /**
+   * A message already seen has been received from a peer
+   */
+  duplicateMessage? (msg: InMessage): void
+  /**
+   * Messages from a peer have been dropped by the rate limiter or the validation queue
+   */
+  throttlePeer? (id: string): void
+  /**
+   * An RPC has been received from a peer
+   */
+  recvRPC? (id: string, rpc: IRPC): void
+  /**
+   * An RPC has been sent to a peer
+   */
+  sendRPC? (id: string, rpc: IRPC): void
+  /**
+   * An RPC for a peer has been dropped, eg: the peer has no outbound stream
+   */
+  dropRPC? (id: string, rpc: IRPC): void
+}
+
+/**
+ * EventTracer receives the router events as trace events in the go-libp2p-pubsub trace format
+ */
+export interface EventTracer {
+  trace (evt: ITraceEvent): void
+}
+
+/**
+ * Encode a peer id the way it is encoded in trace events
+ * @param {string} id base58 peer id
+ * @returns {Uint8Array}
+ */
+function peerIdBytes (id: string): Uint8Array {
+  return fromString(id, 'base58btc')
+}
+
+/**
+ * Tracer dispatches the router events to the raw tracers, and converts them to trace events for the event tracer
+ */
+export class Tracer {
+  peerID: Uint8Array
+  getMsgId: MessageIdFunction
+  eventTracer: EventTracer | undefined
+  rawTracers: RawTracer[]
+
+  /**
+   * @param {string} id our peer id
+   * @param {MessageIdFunction} getMsgId
+   * @param {EventTracer|undefined} eventTracer
+   * @param {RawTracer[]} rawTracers
+   */
+  constructor (id: string, getMsgId: MessageIdFunction, eventTracer: EventTracer | undefined, rawTracers: RawTracer[]) {
+    this.peerID = peerIdBytes(id)
+    this.getMsgId = getMsgId
+    this.eventTracer = eventTracer
+    this.rawTracers = rawTracers
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} protocol
+   * @returns {void}
+   */
+  addPeer (id: string, protocol: string): void {
+    this._raw(t => t.addPeer && t.addPeer(id, protocol))
+    this._trace({
+      type: TraceEvent.Type.ADD_PEER,
+      addPeer: { peerID: peerIdBytes(id), proto: protocol }
+    })
+  }
+
+  /**
+   * @param {string} id
+   * @returns {void}
+   */
+  removePeer (id: string): void {
+    this._raw(t => t.removePeer && t.removePeer(id))
+    this._trace({
+      type: TraceEvent.Type.REMOVE_PEER,
+      removePeer: { peerID: peerIdBytes(id) }
+    })
+  }
+
+  /**
+   * @param {string} topic
+   * @returns {void}
+   */
+  join (topic: string): void {
+    this._raw(t => t.join && t.join(topic))
+    this._trace({
+      type: TraceEvent.Type.JOIN,
+      join: { topic }
+    })
+  }
+
+  /**
+   * @param {string} topic
+   * @returns {void}
+   */
+  leave (topic: string): void {
+    this._raw(t => t.leave && t.leave(topic))
+    this._trace({
+      type: TraceEvent.Type.LEAVE,
+      leave: { topic }
+    })
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} topic
+   * @returns {void}
+   */
+  graft (id: string, topic: string): void {
+    this._raw(t => t.graft && t.graft(id, topic))
+    this._trace({
+      type: TraceEvent.Type.GRAFT,
+      graft: { peerID: peerIdBytes(id), topic }
+    })
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} topic
+   * @returns {void}
+   */
+  prune (id: string, topic: string): void {
+    this._raw(t => t.prune && t.prune(id, topic))
+    this._trace({
+      type: TraceEvent.Type.PRUNE,
+      prune: { peerID: peerIdBytes(id), topic }
+    })
+  }
+
+  /**
+   * @param {InMessage} msg
+   * @returns {void}
+   */
+  publishMessage (msg: InMessage): void {
+    this._raw(t => t.publishMessage && t.publishMessage(msg))
+    this._traceMessage(msg, (messageID, topic) => ({
+      type: TraceEvent.Type.PUBLISH_MESSAGE,
+      publishMessage: { messageID, topic }
+    }))
+  }
+
+  /**
+   * @param {InMessage} msg
+   * @returns {void}
+   */
+  deliverMessage (msg: InMessage): void {
+    this._raw(t => t.deliverMessage && t.deliverMessage(msg))
+    this._traceMessage(msg, (messageID, topic) => ({
+      type: TraceEvent.Type.DELIVER_MESSAGE,
+      deliverMessage: { messageID, topic, receivedFrom: peerIdBytes(msg.receivedFrom) }
+    }))
+  }
+
+  /**
+   * @param {InMessage} msg
+   * @param {string} reason
+   * @returns {void}
+   */
+  rejectMessage (msg: InMessage, reason: string): void {
+    this._raw(t => t.rejectMessage && t.rejectMessage(msg, reason))
+    this._traceMessage(msg, (messageID, topic) => ({
+      type: TraceEvent.Type.REJECT_MESSAGE,
+      rejectMessage: { messageID, topic, reason, receivedFrom: peerIdBytes(msg.receivedFrom) }
+    }))
+  }
+
+  /**
+   * @param {InMessage} msg
+   * @returns {void}
+   */
+  duplicateMessage (msg: InMessage): void {
+    this._raw(t => t.duplicateMessage && t.duplicateMessage(msg))
+    this._traceMessage(msg, (messageID, topic) => ({
+      type: TraceEvent.Type.DUPLICATE_MESSAGE,
+      duplicateMessage: { messageID, topic, receivedFrom: peerIdBytes(msg.receivedFrom) }
+    }))
+  }
+
+  /**
+   * Throttled peers have no trace event in the go-libp2p-pubsub trace format, only raw tracers are notified
+   * @param {string} id
+   * @returns {void}
+   */
+  throttlePeer (id: string): void {
+    this._raw(t => t.throttlePeer && t.throttlePeer(id))
+  }
+
+  /**
+   * @param {string} id
+   * @param {IRPC} rpc
+   * @returns {void}
+   */
+  recvRPC (id: string, rpc: IRPC): void {
+    this._raw(t => t.recvRPC && t.recvRPC(id, rpc))
+    this._traceRpc(rpc, meta => ({
+      type: TraceEvent.Type.RECV_RPC,
+      recvRPC: { receivedFrom: peerIdBytes(id), meta }
+    }))
+  }
+
+  /**
+   * @param {string} id
+   * @param {IRPC} rpc
+   * @returns {void}
+   */
+  sendRPC (id: string, rpc: IRPC): void {
+    this._raw(t => t.sendRPC && t.sendRPC(id, rpc))
+    this._traceRpc(rpc, meta => ({
+      type: TraceEvent.Type.SEND_RPC,
+      sendRPC: { sendTo: peerIdBytes(id), meta }
+    }))
+  }
+
+  /**
+   * @param {string} id
+   * @param {IRPC} rpc
+   * @returns {void}
+   */
+  dropRPC (id: string, rpc: IRPC): void {
+    this._raw(t => t.dropRPC && t.dropRPC(id, rpc))
+    this._traceRpc(rpc, meta => ({
+      type: TraceEvent.Type.DROP_RPC,
+      dropRPC: { sendTo: peerIdBytes(id), meta }
+    }))
+  }
+
+  /**
+   * Call a hook of the raw tracers, a throwing tracer doesn't affect the router or the other tracers
+   * @param {Function} hook
+   * @returns {void}
+   */
+  _raw (hook: (t: RawTracer) => void): void {
+    this.rawTracers.forEach(t => {
+      try {
+        hook(t)
+      } catch (err) {
+        log('raw tracer error: %s', err.message)
+      }
+    })
+  }
+
+  /**
+   * Stamp a trace event with our peer id and the current time in nanoseconds, and pass it to the event tracer
+   * @param {ITraceEvent} evt
+   * @returns {void}
+   */
+  _trace (evt: ITraceEvent): void {
+    if (!this.eventTracer) {
+      return
+    }
+    try {
+      this.eventTracer.trace({
+        ...evt,
+        peerID: this.peerID,
+        timestamp: Date.now() * 1e6
+      })
+    } catch (err) {
+      log('event tracer error: %s', err.message)
+    }
+  }
+
+  /**
+   * Trace an event about a message, once its id is computed
+   * @param {InMessage} msg
+   * @param {Function} build builds the event from the message id and topic
+   * @returns {Promise<void>}
+   */
+  async _traceMessage (msg: InMessage, build: (messageID: Uint8Array, topic: string) => ITraceEvent): Promise<void> {
+    if (!this.eventTracer) {
+      return
+    }
+    try {
+      const messageID = await this.getMsgId(msg)
+      this._trace(build(messageID, msg.topicIDs[0]))
+    } catch (err) {
+      log('cannot trace message: %s', err.message)
+    }
+  }
+
+  /**
+   * Trace an event about an RPC, once the ids of its messages are computed
+   * @param {IRPC} rpc
+   * @param {Function} build builds the event from the RPC meta
+   * @returns {Promise<void>}
+   */
+  async _traceRpc (rpc: IRPC, build: (meta: TraceEvent.IRPCMeta) => ITraceEvent): Promise<void> {
+    if (!this.eventTracer) {
+      return
+    }
+    try {
+      this._trace(build(await this._rpcMeta(rpc)))
+    } catch (err) {
+      log('cannot trace rpc: %s', err.message)
+    }
+  }
+
+  /**
+   * @param {IRPC} rpc
+   * @returns {Promise<TraceEvent.IRPCMeta>}
+   */
+  async _rpcMeta (rpc: IRPC): Promise<TraceEvent.IRPCMeta> {
+    const messages = await Promise.all((rpc.msgs || []).map(async msg => ({
+      messageID: await this.getMsgId(msg as InMessage),
+      topic: (msg.topicIDs || [])[0]
+    })))
+    const subscription = (rpc.subscriptions || []).map(sub => ({
+      subscribe: sub.subscribe,
+      topic: sub.topicID
+    }))
+
+    const meta: TraceEvent.IRPCMeta = { messages, subscription }
+    const control = rpc.control
+    if (control) {
+      meta.control = {
+        ihave: (control.ihave || []).map(ihave => ({ topic: ihave.topicID, messageIDs: ihave.messageIDs })),
+        iwant: (control.iwant || []).map(iwant => ({ messageIDs: iwant.messageIDs })),
+        graft: (control.graft || []).map(graft => ({ topic: graft.topicID })),
+        prune: (control.prune || []).map(prune => ({
+          topic: prune.topicID,
+          peers: (prune.peers || []).map(p => p.peerID).filter((p): p is Uint8Array => !!p)
+        })),
+        idontwant: (control.idontwant || []).map(idontwant => ({ messageIDs: idontwant.messageIDs }))
+      }
+    }
+    return meta
+  }
+}
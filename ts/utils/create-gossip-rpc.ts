@@ -17,6 +17,7 @@ export function createGossipRpc (msgs: RPC.IMessage[] = [], control: Partial<RPC
       iwant: [],
       graft: [],
       prune: [],
+      idontwant: [],
       ...control
     }
   }
@@ -0,0 +1,109 @@
+import { RPC, IRPC } from '../message/rpc'
+
+type ControlType = 'ihave' | 'iwant' | 'graft' | 'prune' | 'idontwant'
+
+interface MessageIDs {
+  messageIDs?: Uint8Array[] | null
+}
+
+/**
+ * Split an RPC into several RPCs whose encoded size is at most maxSize.
+ * Messages, subscriptions and control entries are never split across RPCs,
+ * except for the message IDs of an IHAVE, IWANT or IDONTWANT entry which doesn't fit in a single RPC.
+ * An RPC containing a single entry larger than maxSize (eg: a large message) may exceed maxSize.
+ * @param {IRPC} rpc
+ * @param {number} maxSize
+ * @returns {IRPC[]}
+ */
+export function fragmentRpc (rpc: IRPC, maxSize: number): IRPC[] {
+  const fragments: IRPC[] = []
+  let fragment: IRPC = { subscriptions: [], msgs: [] }
+  // encoded size of the fragment subscriptions and messages
+  let size = 0
+  // encoded size of the fragment control message content
+  let controlSize = 0
+
+  const totalSize = (extraSize: number, extraControlSize: number): number => {
+    const hasControl = fragment.control || extraControlSize
+    return size + extraSize + (hasControl ? fieldSize(controlSize + extraControlSize) : 0)
+  }
+  // start a new fragment if the entry doesn't fit in the current one
+  const reserve = (extraSize: number, extraControlSize: number): void => {
+    const empty = !size && !fragment.control
+    if (!empty && totalSize(extraSize, extraControlSize) > maxSize) {
+      fragments.push(fragment)
+      fragment = { subscriptions: [], msgs: [] }
+      size = 0
+      controlSize = 0
+    }
+  }
+
+  ;(rpc.subscriptions || []).forEach(sub => {
+    const entrySize = fieldSize(RPC.SubOpts.encode(sub).finish().length)
+    reserve(entrySize, 0)
+    fragment.subscriptions!.push(sub)
+    size += entrySize
+  })
+
+  ;(rpc.msgs || []).forEach(msg => {
+    const entrySize = fieldSize(RPC.Message.encode(msg).finish().length)
+    reserve(entrySize, 0)
+    fragment.msgs!.push(msg)
+    size += entrySize
+  })
+
+  const addControl = <T>(type: ControlType, entries: T[] | null | undefined, encodedLength: (entry: T) => number): void => {
+    (entries || []).forEach(entry => {
+      const entrySize = fieldSize(encodedLength(entry))
+      reserve(0, entrySize)
+      if (!fragment.control) {
+        fragment.control = { ihave: [], iwant: [], graft: [], prune: [], idontwant: [] }
+      }
+      (fragment.control[type] as T[]).push(entry)
+      controlSize += entrySize
+    })
+  }
+
+  // split the message IDs of an entry until each part fits in an RPC on its own
+  const splitMessageIDs = <T extends MessageIDs>(entries: T[] | null | undefined, encodedLength: (entry: T) => number): T[] => {
+    const split = (entry: T): T[] => {
+      const messageIDs = entry.messageIDs || []
+      if (messageIDs.length < 2 || fieldSize(fieldSize(encodedLength(entry))) <= maxSize) {
+        return [entry]
+      }
+      const half = Math.ceil(messageIDs.length / 2)
+      return split({ ...entry, messageIDs: messageIDs.slice(0, half) })
+        .concat(split({ ...entry, messageIDs: messageIDs.slice(half) }))
+    }
+    return ([] as T[]).concat(...(entries || []).map(split))
+  }
+
+  const control = rpc.control
+  if (control) {
+    const ihaveLength = (e: RPC.IControlIHave) => RPC.ControlIHave.encode(e).finish().length
+    const iwantLength = (e: RPC.IControlIWant) => RPC.ControlIWant.encode(e).finish().length
+    const idontwantLength = (e: RPC.IControlIDontWant) => RPC.ControlIDontWant.encode(e).finish().length
+
+    addControl('ihave', splitMessageIDs(control.ihave, ihaveLength), ihaveLength)
+    addControl('iwant', splitMessageIDs(control.iwant, iwantLength), iwantLength)
+    addControl('graft', control.graft, e => RPC.ControlGraft.encode(e).finish().length)
+    addControl('prune', control.prune, e => RPC.ControlPrune.encode(e).finish().length)
+    addControl('idontwant', splitMessageIDs(control.idontwant, idontwantLength), idontwantLength)
+  }
+
+  fragments.push(fragment)
+  return fragments
+}
+
+/**
+ * Encoded size of a length-delimited protobuf field with a single byte tag
+ * @param {number} length
+ * @returns {number}
+ */
+function fieldSize (length: number): number {
+  let varintSize = 1
+  for (let n = length; n >= 128; n = Math.floor(n / 128)) {
+    varintSize++
+  }
+  return 1 + varintSize + length
+}
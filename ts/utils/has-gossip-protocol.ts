@@ -1,7 +1,7 @@
-import { GossipsubIDv10, GossipsubIDv11 } from '../constants'
+import { GossipsubIDv10, GossipsubIDv11, GossipsubIDv12 } from '../constants'
 
 export function hasGossipProtocol (protocol: string): boolean {
   return (
-    protocol === GossipsubIDv10 || protocol === GossipsubIDv11
+    protocol === GossipsubIDv10 || protocol === GossipsubIDv11 || protocol === GossipsubIDv12
   )
 }
@@ -2,3 +2,4 @@ export * from './create-gossip-rpc'
 export * from './shuffle'
 export * from './has-gossip-protocol'
 export * from './messageIdToString'
+export * from './fragment-rpc'
@@ -0,0 +1,201 @@
+import { InMessage } from 'libp2p-interfaces/src/pubsub'
+import { ERR_VALIDATION_THROTTLED } from './constants'
+// eslint-disable-next-line @typescript-eslint/ban-ts-comment
+// @ts-ignore
+import errcode = require('err-code')
+
+/**
+ * What to do with a message once the validation queue is full
+ * - drop-newest: drop the incoming message
+ * - drop-oldest: drop the message which has been waiting the longest, and queue the incoming message
+ */
+export type ValidationDropPolicy = 'drop-newest' | 'drop-oldest'
+
+export interface ValidationQueueOptions {
+  /**
+   * concurrency is the maximum number of messages validated at the same time
+   */
+  concurrency: number
+  /**
+   * topicConcurrency is the maximum number of messages of a topic validated at the same time
+   * Topics without an entry are only bounded by the global concurrency
+   */
+  topicConcurrency: Record<string, number>
+  /**
+   * queueSize is the maximum number of messages waiting to be validated
+   */
+  queueSize: number
+  /**
+   * dropPolicy selects the message dropped once the queue is full
+   */
+  dropPolicy: ValidationDropPolicy
+}
+
+export interface ValidationQueueStats {
+  /**
+   * Number of messages which had to wait in the queue before being validated
+   */
+  queued: number
+  /**
+   * Number of messages dropped because the queue was full
+   */
+  dropped: number
+  /**
+   * Number of messages whose validation completed, whatever the result
+   */
+  validated: number
+}
+
+interface ValidationJob {
+  topics: string[]
+  validate: () => Promise<void>
+  resolve: () => void
+  reject: (err: Error) => void
+}
+
+/**
+ * ValidationQueue bounds the number of messages validated concurrently, globally and per topic.
+ * Messages over the limits wait in a bounded queue, in arrival order, without blocking the messages of other topics.
+ * Dropped messages fail with ERR_VALIDATION_THROTTLED, so that their senders are not penalized.
+ */
+export class ValidationQueue {
+  options: ValidationQueueOptions
+  /**
+   * Number of messages being validated
+   */
+  active: number
+  /**
+   * Number of messages being validated per topic
+   */
+  topicActive: Map<string, number>
+  queue: ValidationJob[]
+  stats: ValidationQueueStats
+
+  /**
+   * @param {ValidationQueueOptions} options
+   */
+  constructor (options: ValidationQueueOptions) {
+    this.options = options
+    this.active = 0
+    this.topicActive = new Map()
+    this.queue = []
+    this.stats = {
+      queued: 0,
+      dropped: 0,
+      validated: 0
+    }
+  }
+
+  /**
+   * Number of messages waiting to be validated
+   * @returns {number}
+   */
+  get size (): number {
+    return this.queue.length
+  }
+
+  /**
+   * Run the validation of a message once the concurrency limits allow it
+   * @param {InMessage} msg
+   * @param {() => Promise<void>} validate
+   * @returns {Promise<void>}
+   */
+  validate (msg: InMessage, validate: () => Promise<void>): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const job = { topics: msg.topicIDs || [], validate, resolve, reject }
+
+      // the queued messages are all blocked by the limits, a message allowed by them runs without waiting
+      if (this._canRun(job)) {
+        this._run(job)
+        return
+      }
+
+      if (this.queue.length >= this.options.queueSize) {
+        if (this.options.dropPolicy === 'drop-newest' || !this.queue.length) {
+          this._drop(job)
+          return
+        }
+        this._drop(this.queue.shift()!)
+      }
+
+      this.queue.push(job)
+      this.stats.queued++
+    })
+  }
+
+  /**
+   * Drop all the messages waiting to be validated
+   * @returns {void}
+   */
+  clear (): void {
+    const queue = this.queue
+    this.queue = []
+    queue.forEach(job => this._drop(job))
+  }
+
+  /**
+   * @param {ValidationJob} job
+   * @returns {boolean}
+   */
+  _canRun (job: ValidationJob): boolean {
+    if (this.active >= this.options.concurrency) {
+      return false
+    }
+    return job.topics.every(topic => {
+      const limit = this.options.topicConcurrency[topic]
+      return limit === undefined || (this.topicActive.get(topic) || 0) < limit
+    })
+  }
+
+  /**
+   * @param {ValidationJob} job
+   * @returns {void}
+   */
+  _run (job: ValidationJob): void {
+    this.active++
+    job.topics.forEach(topic => {
+      this.topicActive.set(topic, (this.topicActive.get(topic) || 0) + 1)
+    })
+
+    job.validate()
+      .then(job.resolve, job.reject)
+      .then(() => {
+        this.active--
+        job.topics.forEach(topic => {
+          const active = this.topicActive.get(topic)! - 1
+          if (active) {
+            this.topicActive.set(topic, active)
+          } else {
+            this.topicActive.delete(topic)
+          }
+        })
+        this.stats.validated++
+        this._next()
+      })
+  }
+
+  /**
+   * Start the validation of the queued messages allowed by the concurrency limits
+   * @returns {void}
+   */
+  _next (): void {
+    for (let i = 0; i < this.queue.length && this.active < this.options.concurrency;) {
+      const job = this.queue[i]
+      if (this._canRun(job)) {
+        this.queue.splice(i, 1)
+        this._run(job)
+      } else {
+        i++
+      }
+    }
+  }
+
+  /**
+   * @param {ValidationJob} job
+   * @returns {void}
+   */
+  _drop (job: ValidationJob): void {
+    this.stats.dropped++
+    job.reject(errcode(new Error('validation queue is full'), ERR_VALIDATION_THROTTLED))
+  }
+}